@@ -104,9 +104,38 @@ const requireVerifiedDonor = async (req, res, next) => {
   }
 };
 
+// Socket.IO authentication middleware
+// Connections without a token stay anonymous; a bad token is rejected
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return next(new Error('Invalid token. User not found.'));
+    }
+
+    socket.data.user = user;
+
+    // Hospital sockets also receive their hospital's alert and delivery updates
+    if (['hospital', 'blood_bank'].includes(user.role)) {
+      const Hospital = require('../models/Hospital');
+      const hospital = await Hospital.findOne({ user: user._id }).select('_id');
+      socket.data.hospitalId = hospital?._id;
+    }
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
 module.exports = {
   authMiddleware,
   authorize,
   requireVerifiedHospital,
-  requireVerifiedDonor
+  requireVerifiedDonor,
+  socketAuth
 };
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const CheckIn = require('./CheckIn');
+const { getDonationTypesForComponent } = require('../services/donationRules');
+const { COMPONENTS, checkDonorForAlert } = require('../services/bloodCompatibility');
+
+const COMPONENT_LABELS = {
+  whole_blood: 'blood',
+  red_cells: 'blood',
+  platelets: 'platelets',
+  plasma: 'plasma',
+  cryoprecipitate: 'cryoprecipitate'
+};
 
 const alertSchema = new mongoose.Schema({
   hospital: {
@@ -11,6 +22,12 @@ const alertSchema = new mongoose.Schema({
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
     required: true
   },
+  // Component the patient needs, which decides donor compatibility and donation type
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    default: 'red_cells'
+  },
   urgencyLevel: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -37,6 +54,8 @@ const alertSchema = new mongoose.Schema({
       enum: ['male', 'female', 'other']
     },
     condition: String,
+    // Antigens the patient has antibodies to, so donors must be typed negative for them
+    antigenNegative: [String],
     isEmergency: {
       type: Boolean,
       default: false
@@ -66,7 +85,8 @@ const alertSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'partially_fulfilled', 'fulfilled', 'expired', 'cancelled'],
+    // pending_approval holds an automatic alert until staff approve it; donors are not contacted before then
+    enum: ['pending_approval', 'active', 'partially_fulfilled', 'fulfilled', 'expired', 'cancelled'],
     default: 'active'
   },
   notifications: {
@@ -91,6 +111,8 @@ const alertSchema = new mongoose.Schema({
         type: String,
         enum: ['email', 'sms', 'push']
       },
+      rankScore: Number, // Donor ranking score when this donor was picked
+      wave: Number, // Mobilization wave that contacted this donor
       sentAt: {
         type: Date,
         default: Date.now
@@ -119,7 +141,7 @@ const alertSchema = new mongoose.Schema({
     },
     responseType: {
       type: String,
-      enum: ['interested', 'committed', 'donated', 'not_available', 'not_eligible'],
+      enum: ['interested', 'committed', 'arrived', 'donated', 'not_available', 'not_eligible'],
       required: true
     },
     message: String,
@@ -129,6 +151,12 @@ const alertSchema = new mongoose.Schema({
       preferredTime: String
     },
     estimatedArrival: Date,
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment' // Booked slot; its own reminders replace the arrival reminder
+    },
+    reminderSentAt: Date,
+    checkInCode: String, // Shown to donors who are coming in, scanned at the hospital desk
     actualArrival: Date,
     donationCompleted: {
       type: Boolean,
@@ -164,7 +192,8 @@ const alertSchema = new mongoose.Schema({
       },
       response: {
         type: String,
-        enum: ['pending', 'accepted', 'declined', 'partially_fulfilled']
+        enum: ['pending', 'accepted', 'declined', 'partially_fulfilled'],
+        default: 'pending'
       },
       unitsPromised: {
         type: Number,
@@ -199,6 +228,67 @@ const alertSchema = new mongoose.Schema({
       }
     }
   },
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date,
+    history: [{
+      level: Number,
+      escalatedAt: {
+        type: Date,
+        default: Date.now
+      },
+      urgencyLevel: String,
+      searchRadius: Number,
+      donorsNotified: Number
+    }]
+  },
+  // Progressive mobilization: donors are contacted in waves until commitments cover the need
+  mobilization: {
+    status: {
+      type: String,
+      enum: ['active', 'covered', 'exhausted', 'stopped'],
+      default: 'active'
+    },
+    waveWindowMinutes: {
+      type: Number,
+      min: 5,
+      max: 240,
+      default: function() {
+        return { critical: 10, high: 20, medium: 30, low: 60 }[this.urgencyLevel] || 30;
+      }
+    },
+    currentWave: {
+      type: Number,
+      default: 0
+    },
+    nextWaveAt: Date,
+    waves: [{
+      number: Number,
+      reason: {
+        type: String,
+        enum: ['initial', 'next_batch', 'radius_expanded', 'escalation']
+      },
+      startedAt: {
+        type: Date,
+        default: Date.now
+      },
+      closedAt: Date,
+      searchRadius: Number,
+      donorsNotified: Number,
+      donorsRemaining: Number, // Ranked candidates left in range after this wave
+      unitsOutstanding: Number,
+      outcome: {
+        interested: Number,
+        committed: Number,
+        notAvailable: Number,
+        noResponse: Number
+      },
+      decision: String // Why mobilization moved on, stopped or finished after this wave
+    }]
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -222,20 +312,44 @@ const alertSchema = new mongoose.Schema({
     ref: 'User'
   },
   tags: [String], // For categorization and filtering
-  internalNotes: String // For hospital staff use only
+  internalNotes: String, // For hospital staff use only
+  // Field-level edit history; each entry is one edit with the values before and after
+  revisions: [{
+    changes: [{
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      _id: false
+    }],
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
 // Create indexes for efficient queries
 alertSchema.index({ hospital: 1, status: 1 });
-alertSchema.index({ bloodType: 1, status: 1 });
+alertSchema.index({ bloodType: 1, component: 1, status: 1 });
 alertSchema.index({ urgencyLevel: 1, status: 1 });
 alertSchema.index({ 'location.coordinates': '2dsphere' });
 alertSchema.index({ createdAt: -1 });
 
-// TTL index to automatically remove expired alerts
-alertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Index for the scheduler's expiry and escalation sweeps
+alertSchema.index({ status: 1, expiresAt: 1 });
+
+// Index for check-in code lookups at the hospital desk
+alertSchema.index({ 'responses.checkInCode': 1 }, { sparse: true });
+
+// Index for the scheduler's mobilization sweep
+alertSchema.index({ 'mobilization.status': 1, 'mobilization.nextWaveAt': 1 });
 
 // Virtual for completion percentage
 alertSchema.virtual('completionPercentage').get(function() {
@@ -278,6 +392,10 @@ alertSchema.methods.addResponse = function(donorId, responseType, additionalData
     responseType,
     ...additionalData
   };
+
+  if (['interested', 'committed'].includes(responseType)) {
+    response.checkInCode = CheckIn.generateCode();
+  }
   
   // Calculate response time if notification was sent to this donor
   const notification = this.notifications.sentTo.find(n => n.donor.toString() === donorId.toString());
@@ -304,32 +422,87 @@ alertSchema.methods.addResponse = function(donorId, responseType, additionalData
   }
 };
 
+// Method to record a completed donation from a donor against this alert
+alertSchema.methods.recordDonation = function(donorId, units, donationDetails) {
+  let response = this.responses.find(r => r.donor.toString() === donorId.toString());
+
+  // Walk-in donors who never responded still get a response entry, but do not count towards the response rate
+  if (!response) {
+    this.responses.push({ donor: donorId, responseType: 'donated' });
+    response = this.responses[this.responses.length - 1];
+  }
+
+  response.responseType = 'donated';
+  response.donationCompleted = true;
+  response.donationDetails = donationDetails;
+
+  this.unitsCollected += units;
+
+  // Only open alerts move between fulfilment states
+  if (['active', 'partially_fulfilled'].includes(this.status)) {
+    this.status = this.unitsCollected >= this.unitsNeeded ? 'fulfilled' : 'partially_fulfilled';
+  }
+
+  return response;
+};
+
+// Method to credit units a partner hospital delivered by transfer
+alertSchema.methods.recordTransfer = function(hospitalId, units) {
+  const sharingEntry = this.sharing.sharedWith.find(s => s.hospital.toString() === hospitalId.toString());
+  if (sharingEntry) {
+    sharingEntry.unitsDelivered += units;
+  }
+
+  this.unitsCollected += units;
+
+  if (['active', 'partially_fulfilled'].includes(this.status)) {
+    this.status = this.unitsCollected >= this.unitsNeeded ? 'fulfilled' : 'partially_fulfilled';
+  }
+};
+
 // Method to extend expiry time
 alertSchema.methods.extendExpiry = function(hours) {
   this.expiresAt = new Date(this.expiresAt.getTime() + hours * 60 * 60 * 1000);
 };
 
+// Method to set fields by path and record what changed as one revision; returns the changes
+alertSchema.methods.revise = function(updates, { actor, reason } = {}) {
+  const changes = [];
+  for (const [field, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+
+    const from = this.get(field);
+    const unchanged = from instanceof Date
+      ? from.getTime() === new Date(value).getTime()
+      : from === value;
+    if (unchanged) continue;
+
+    this.set(field, value);
+    changes.push({ field, from, to: this.get(field) });
+  }
+
+  if (changes.length > 0) {
+    this.revisions.push({ changes, reason, changedBy: actor, changedAt: new Date() });
+    if (actor) this.lastModifiedBy = actor;
+  }
+  return changes;
+};
+
+// Method to describe what is needed, e.g. "O- platelets"
+alertSchema.methods.describeNeed = function() {
+  return `${this.bloodType} ${COMPONENT_LABELS[this.component] || 'blood'}`;
+};
+
 // Method to check if donor is eligible for this alert
-alertSchema.statics.checkDonorEligibility = function(donor, alert) {
-  // Check blood type compatibility
-  const compatibleBloodTypes = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],
-    'A-': ['A-', 'O-'],
-    'B+': ['B+', 'B-', 'O+', 'O-'],
-    'B-': ['B-', 'O-'],
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],
-    'O+': ['O+', 'O-'],
-    'O-': ['O-']
-  };
-  
-  const eligibleBloodTypes = compatibleBloodTypes[alert.bloodType] || [];
-  if (!eligibleBloodTypes.includes(donor.medicalInfo.bloodGroup)) {
-    return { eligible: false, reason: 'Blood type incompatible' };
+alertSchema.statics.checkDonorEligibility = function(donor, alert, asOf) {
+  // Check blood type compatibility for the component requested, including conservation policies
+  const compatibility = checkDonorForAlert(donor, alert);
+  if (!compatibility.compatible) {
+    return { eligible: false, reason: compatibility.reason };
   }
   
-  // Check general donor eligibility
-  const donorEligibility = donor.checkEligibility();
+  // Check general donor eligibility for a donation type that supplies what the alert needs
+  const donorEligibility = donor.checkEligibilityForAny(getDonationTypesForComponent(alert.component), asOf);
   if (!donorEligibility.eligible) {
     return donorEligibility;
   }
@@ -340,4 +513,7 @@ alertSchema.statics.checkDonorEligibility = function(donor, alert) {
   return { eligible: true, reason: 'Eligible for this alert' };
 };
 
+// Statuses of alerts that are still outstanding, including those awaiting approval
+alertSchema.statics.UNRESOLVED_STATUSES = ['pending_approval', 'active', 'partially_fulfilled'];
+
 module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const CheckIn = require('./CheckIn');
+const { DONATION_TYPES } = require('../services/donationRules');
+
+const ACTIVE_STATUSES = ['booked', 'checked_in'];
+
+const appointmentSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationSlot',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert' // Unset for a general donation
+  },
+  donationType: {
+    type: String,
+    enum: DONATION_TYPES,
+    default: 'whole_blood'
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'completed', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+  checkInCode: {
+    type: String // Shown as a QR code and scanned at the hospital desk
+  },
+  notes: String,
+  cancellationReason: String,
+  reminderSentAt: Date,
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['booked', 'rescheduled', 'cancelled', 'checked_in', 'completed', 'no_show'],
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fromTime: Date, // Previous time when rescheduled
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for calendars, conflict checks and the reminder sweep
+appointmentSchema.index({ donor: 1, status: 1, scheduledAt: 1 });
+appointmentSchema.index({ hospital: 1, scheduledAt: 1 });
+appointmentSchema.index({ status: 1, scheduledAt: 1 });
+appointmentSchema.index({ checkInCode: 1 }, { sparse: true });
+
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+appointmentSchema.pre('validate', function(next) {
+  if (this.isNew && !this.checkInCode) {
+    this.checkInCode = CheckIn.generateCode();
+  }
+  next();
+});
+
+// Method to find another active booking for the donor overlapping a time window
+appointmentSchema.statics.findConflict = function(donorId, startTime, endTime, excludeId) {
+  const query = {
+    donor: donorId,
+    status: { $in: ACTIVE_STATUSES },
+    scheduledAt: { $lt: endTime },
+    endsAt: { $gt: startTime }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return this.findOne(query);
+};
+
+appointmentSchema.methods.record = function(action, by, extra = {}) {
+  this.history.push({ action, by, at: new Date(), ...extra });
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+
+// Default shelf life per component, in days
+const SHELF_LIFE_DAYS = {
+  whole_blood: 35,
+  red_cells: 42,
+  plasma: 365,
+  platelets: 5,
+  cryoprecipitate: 365
+};
+
+// Allowed status transitions for a single bag
+const STATUS_TRANSITIONS = {
+  quarantined: ['available', 'discarded'],
+  available: ['reserved', 'issued', 'discarded'],
+  reserved: ['available', 'issued', 'discarded'],
+  issued: [],
+  discarded: []
+};
+
+// Components counted towards the per-blood-type red cell counters
+const RED_CELL_COMPONENTS = ['whole_blood', 'red_cells'];
+
+// Hospital.inventory.components keys per component
+const COMPONENT_COUNTERS = {
+  red_cells: 'redCells',
+  plasma: 'plasma',
+  platelets: 'platelets',
+  cryoprecipitate: 'cryoprecipitate'
+};
+
+const bloodUnitSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  bagId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  bloodType: {
+    type: String,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    required: true
+  },
+  component: {
+    type: String,
+    enum: Object.keys(SHELF_LIFE_DAYS),
+    default: 'whole_blood'
+  },
+  volume: {
+    type: Number, // ml
+    min: 10
+  },
+  collectionDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  storageLocation: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'quarantined'
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation' // Set while the unit is held for a patient or alert
+  },
+  issuedTo: {
+    destination: String, // Ward, theatre or receiving facility
+    reference: String, // Patient or request reference
+    issuedAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  discardReason: String,
+  statusHistory: [{
+    status: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Bag IDs are unique within a hospital
+bloodUnitSchema.index({ hospital: 1, bagId: 1 }, { unique: true });
+
+// Index for FEFO lookups
+bloodUnitSchema.index({ hospital: 1, status: 1, bloodType: 1, component: 1, expiryDate: 1 });
+
+// Default expiry from component shelf life
+bloodUnitSchema.pre('validate', function(next) {
+  if (!this.expiryDate && this.collectionDate) {
+    const days = SHELF_LIFE_DAYS[this.component] || SHELF_LIFE_DAYS.whole_blood;
+    this.expiryDate = new Date(this.collectionDate.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, reason: 'Unit received' });
+  }
+  next();
+});
+
+// Virtual for expiry check
+bloodUnitSchema.virtual('isExpired').get(function() {
+  return this.expiryDate <= new Date();
+});
+
+// Method to move a unit to a new status
+bloodUnitSchema.methods.transition = function(status, { actor, reason } = {}) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    throw new Error(`Cannot move unit ${this.bagId} from ${this.status} to ${status}`);
+  }
+
+  if (['available', 'reserved', 'issued'].includes(status) && this.isExpired) {
+    throw new Error(`Unit ${this.bagId} expired on ${this.expiryDate.toISOString().split('T')[0]}`);
+  }
+
+  this.status = status;
+  if (status === 'discarded') {
+    this.discardReason = reason;
+  }
+  this.statusHistory.push({ status, changedBy: actor, reason });
+};
+
+// Method to issue the first-expiring available units, one atomic claim per unit
+bloodUnitSchema.statics.issueFEFO = async function(hospitalId, { bloodType, component, quantity, issuedTo = {}, actor, reason }) {
+  const now = new Date();
+  const issued = [];
+
+  for (let i = 0; i < quantity; i++) {
+    const unit = await this.findOneAndUpdate(
+      {
+        hospital: hospitalId,
+        bloodType,
+        component,
+        status: 'available',
+        expiryDate: { $gt: now }
+      },
+      {
+        $set: {
+          status: 'issued',
+          issuedTo: { ...issuedTo, issuedAt: now, issuedBy: actor }
+        },
+        $push: { statusHistory: { status: 'issued', changedAt: now, changedBy: actor, reason } }
+      },
+      { sort: { expiryDate: 1, collectionDate: 1 }, new: true }
+    );
+
+    if (!unit) break;
+    issued.push(unit);
+  }
+
+  // Put back a partial pick so callers never get less than requested
+  if (issued.length < quantity) {
+    await this.updateMany(
+      { _id: { $in: issued.map(u => u._id) } },
+      {
+        $set: { status: 'available' },
+        $unset: { issuedTo: 1 },
+        $push: { statusHistory: { status: 'available', changedAt: new Date(), changedBy: actor, reason: 'Issue rolled back: insufficient stock' } }
+      }
+    );
+    return { issued: [], shortfall: quantity - issued.length };
+  }
+
+  return { issued, shortfall: 0 };
+};
+
+// Method to hold units for a reservation: the given units, or the first-expiring
+// units of the listed blood types in order of preference
+bloodUnitSchema.statics.reserveUnits = async function(hospitalId, { unitIds, bloodTypes, component, quantity, reservationId, actor, reason }) {
+  const now = new Date();
+  const reserved = [];
+  const update = {
+    $set: { status: 'reserved', reservation: reservationId },
+    $push: { statusHistory: { status: 'reserved', changedAt: now, changedBy: actor, reason } }
+  };
+
+  const claims = unitIds
+    ? unitIds.map(_id => ({ _id }))
+    : Array.from({ length: quantity }, () => null);
+
+  for (const claim of claims) {
+    let unit = null;
+    const candidates = claim ? [claim] : bloodTypes.map(bloodType => ({ bloodType, component }));
+    for (const candidate of candidates) {
+      unit = await this.findOneAndUpdate(
+        { ...candidate, hospital: hospitalId, status: 'available', expiryDate: { $gt: now } },
+        update,
+        { sort: { expiryDate: 1, collectionDate: 1 }, new: true }
+      );
+      if (unit) break;
+    }
+
+    if (!unit) break;
+    reserved.push(unit);
+  }
+
+  // Put back a partial pick so a reservation is all or nothing
+  if (reserved.length < claims.length) {
+    await this.releaseReservedUnits(reservationId, reserved.map(u => u._id), {
+      actor,
+      reason: 'Reservation rolled back: units unavailable'
+    });
+    return { reserved: [], shortfall: claims.length - reserved.length };
+  }
+
+  return { reserved, shortfall: 0 };
+};
+
+// Method to return a reservation's held units to available stock
+bloodUnitSchema.statics.releaseReservedUnits = async function(reservationId, unitIds, { actor, reason } = {}) {
+  const result = await this.updateMany(
+    { _id: { $in: unitIds }, reservation: reservationId, status: 'reserved' },
+    {
+      $set: { status: 'available' },
+      $unset: { reservation: 1 },
+      $push: { statusHistory: { status: 'available', changedAt: new Date(), changedBy: actor, reason } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Method to issue a reservation's held units; expired units are left behind
+bloodUnitSchema.statics.issueReservedUnits = async function(reservationId, unitIds, { issuedTo = {}, actor, reason } = {}) {
+  const now = new Date();
+  const issued = [];
+
+  for (const _id of unitIds) {
+    const unit = await this.findOneAndUpdate(
+      { _id, reservation: reservationId, status: 'reserved', expiryDate: { $gt: now } },
+      {
+        $set: {
+          status: 'issued',
+          issuedTo: { ...issuedTo, issuedAt: now, issuedBy: actor }
+        },
+        $push: { statusHistory: { status: 'issued', changedAt: now, changedBy: actor, reason } }
+      },
+      { new: true }
+    );
+    if (unit) issued.push(unit);
+  }
+
+  return issued;
+};
+
+// Method to count unexpired available and reserved units per blood type, and available units per component
+bloodUnitSchema.statics.countHospitalStock = async function(hospitalId, asOf = new Date()) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        hospital: hospitalId,
+        status: { $in: ['available', 'reserved'] },
+        expiryDate: { $gt: asOf }
+      }
+    },
+    {
+      $group: {
+        _id: { bloodType: '$bloodType', component: '$component', status: '$status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const bloodUnits = {};
+  const components = { redCells: 0, plasma: 0, platelets: 0, cryoprecipitate: 0 };
+
+  counts.forEach(({ _id, count }) => {
+    if (RED_CELL_COMPONENTS.includes(_id.component)) {
+      bloodUnits[_id.bloodType] = bloodUnits[_id.bloodType] || { available: 0, reserved: 0 };
+      bloodUnits[_id.bloodType][_id.status] += count;
+    }
+    if (COMPONENT_COUNTERS[_id.component] && _id.status === 'available') {
+      components[COMPONENT_COUNTERS[_id.component]] += count;
+    }
+  });
+
+  return { bloodUnits, components };
+};
+
+// Method to derive inventory counters from unit records and apply them to the hospital.
+// Only hospitals that opted in to unit tracking have their counters replaced; for others this does nothing.
+bloodUnitSchema.statics.syncHospitalInventory = async function(hospital, context = {}) {
+  if (!hospital.inventory.unitTracking) return null;
+
+  const now = new Date();
+  const { bloodUnits, components } = await this.countHospitalStock(hospital._id, now);
+
+  ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].forEach(bloodType => {
+    const derived = bloodUnits[bloodType] || { available: 0, reserved: 0 };
+    hospital.setInventoryLevel(bloodType, 'available', derived.available, { source: 'unit_tracking', ...context });
+    hospital.setInventoryLevel(bloodType, 'reserved', derived.reserved, { source: 'unit_tracking', ...context });
+  });
+  Object.assign(hospital.inventory.components, components);
+  hospital.inventory.unitsSyncedAt = now;
+
+  await hospital.save();
+  return { bloodUnits, components };
+};
+
+bloodUnitSchema.statics.RED_CELL_COMPONENTS = RED_CELL_COMPONENTS;
+bloodUnitSchema.statics.COMPONENT_COUNTERS = COMPONENT_COUNTERS;
+
+module.exports = mongoose.model('BloodUnit', bloodUnitSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { describeSectionChecks } = require('../services/screening');
+
+const OPEN_STATUSES = ['arrived', 'cleared'];
+
+// Unambiguous characters so codes can be read out or typed from a screen
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Pre-donation screening checks; every one must be answered yes to clear the donor.
+// Health questions come from the current questionnaire; the rest are only checked at the desk.
+const SCREENING_CHECKLIST = [
+  { key: 'identity_verified', label: 'Photo ID matches the donor record' },
+  ...describeSectionChecks(),
+  { key: 'ate_and_hydrated', label: 'Has eaten and had fluids in the last 4 hours' },
+  { key: 'consent_signed', label: 'Donation consent signed' }
+];
+
+// Acceptable vital sign ranges for whole blood donation
+const VITAL_LIMITS = {
+  hemoglobin: { min: 12.5, max: 20, label: 'Hemoglobin (g/dL)' },
+  systolic: { min: 90, max: 180, label: 'Systolic BP (mmHg)' },
+  diastolic: { min: 50, max: 100, label: 'Diastolic BP (mmHg)' },
+  pulse: { min: 50, max: 100, label: 'Pulse (bpm)' },
+  temperature: { min: 35.5, max: 37.5, label: 'Temperature (°C)' },
+  weight: { min: 45, max: 300, label: 'Weight (kg)' }
+};
+
+const checkInSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  method: {
+    type: String,
+    enum: ['qr_code', 'phone', 'appointment', 'walk_in'],
+    required: true
+  },
+  arrivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['arrived', 'cleared', 'deferred', 'donated', 'left'],
+    default: 'arrived'
+  },
+  screening: {
+    answers: [{
+      key: String,
+      passed: Boolean
+    }],
+    vitals: {
+      hemoglobin: Number,
+      systolic: Number,
+      diastolic: Number,
+      pulse: Number,
+      temperature: Number,
+      weight: Number
+    },
+    outcome: {
+      type: String,
+      enum: ['cleared', 'deferred']
+    },
+    reasons: [String],
+    notes: String,
+    screenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    screenedAt: Date
+  },
+  questionnaire: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScreeningResponse' // Health questionnaire confirmed by staff at this visit
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  notes: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for the check-in desk and duplicate arrival checks
+checkInSchema.index({ hospital: 1, arrivedAt: -1 });
+checkInSchema.index({ donor: 1, hospital: 1, status: 1 });
+
+checkInSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+checkInSchema.statics.SCREENING_CHECKLIST = SCREENING_CHECKLIST;
+checkInSchema.statics.VITAL_LIMITS = VITAL_LIMITS;
+
+// Method to create the short code shown on a donor's booking or alert response
+checkInSchema.statics.generateCode = function() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+};
+
+// Method to record the screening result and clear or defer the donor
+checkInSchema.methods.screen = function({ answers = {}, vitals = {}, notes }, screenedBy) {
+  const reasons = [];
+
+  const checklist = SCREENING_CHECKLIST.map(item => {
+    const passed = answers[item.key] === true;
+    if (!passed) reasons.push(item.label);
+    return { key: item.key, passed };
+  });
+
+  Object.entries(VITAL_LIMITS).forEach(([key, limit]) => {
+    const value = vitals[key];
+    if (value === undefined || value === null) {
+      reasons.push(`${limit.label} not recorded`);
+    } else if (value < limit.min || value > limit.max) {
+      reasons.push(`${limit.label} ${value} outside ${limit.min}–${limit.max}`);
+    }
+  });
+
+  const outcome = reasons.length === 0 ? 'cleared' : 'deferred';
+  this.screening = {
+    answers: checklist,
+    vitals,
+    outcome,
+    reasons,
+    notes,
+    screenedBy,
+    screenedAt: new Date()
+  };
+  this.status = outcome;
+  if (outcome === 'deferred') this.completedAt = new Date();
+
+  return this.screening;
+};
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const donationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  bloodType: {
+    type: String,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    required: true
+  },
+  donationType: {
+    type: String,
+    enum: ['whole_blood', 'plasma', 'platelets', 'red_cells'],
+    default: 'whole_blood'
+  },
+  volume: {
+    type: Number,
+    default: 450, // ml
+    min: 50,
+    max: 1000
+  },
+  units: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  donationDate: {
+    type: Date,
+    default: Date.now
+  },
+  location: String,
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for donor history and hospital reporting
+donationSchema.index({ donor: 1, donationDate: -1 });
+donationSchema.index({ hospital: 1, donationDate: -1 });
+donationSchema.index({ alert: 1 });
+
+module.exports = mongoose.model('Donation', donationSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const donationSlotSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 50 // Donation chairs staffed for this slot
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One slot per start time per hospital; also serves the calendar range queries
+donationSlotSchema.index({ hospital: 1, startTime: 1 }, { unique: true });
+
+donationSlotSchema.virtual('available').get(function() {
+  return Math.max(this.capacity - this.booked, 0);
+});
+
+donationSlotSchema.set('toJSON', { virtuals: true });
+donationSlotSchema.set('toObject', { virtuals: true });
+
+// Take a chair in an open future slot; null when the slot is full, closed or past
+donationSlotSchema.statics.claim = function(slotId) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      status: 'open',
+      startTime: { $gt: new Date() },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+};
+
+donationSlotSchema.statics.release = function(slotId) {
+  return this.updateOne({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+// Opening and closing times for a calendar day, or null when the blood bank is closed
+function getOpeningHours(operatingHours = {}, day) {
+  if (operatingHours.is24x7) return { open: '00:00', close: '24:00' };
+
+  const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+  const isWeekend = weekday === 0 || weekday === 6;
+  const hours = isWeekend ? operatingHours.weekends : operatingHours.weekdays;
+  if (!hours?.open || !hours?.close) return null;
+
+  return { open: hours.open, close: hours.close };
+}
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+function nextDay(day) {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// The instant a wall-clock time on a calendar day falls at in a time zone
+function atTime(day, time, timeZone) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.year, day.month - 1, day.day, hours, minutes);
+
+  // Correct by the zone's offset, twice so times next to a daylight saving change settle
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const seen = zonedParts(new Date(instant), timeZone);
+    instant -= Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute) - wallClock;
+  }
+  return new Date(instant);
+}
+
+// Create slots covering the blood bank's operating hours between two dates, reading the hours
+// in the hospital's time zone. Existing slots are left untouched so regenerating never drops bookings.
+donationSlotSchema.statics.generateFromOperatingHours = async function(hospital, { from, to, slotMinutes, capacity, createdBy }) {
+  const operatingHours = hospital.bloodBank?.operatingHours;
+  const timeZone = operatingHours?.timeZone || process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+  const operations = [];
+  let day = zonedParts(from, timeZone);
+
+  while (atTime(day, '00:00', timeZone) <= to) {
+    const hours = getOpeningHours(operatingHours, day);
+
+    if (hours) {
+      const close = atTime(day, hours.close, timeZone);
+      let start = atTime(day, hours.open, timeZone);
+
+      while (start.getTime() + slotMinutes * 60 * 1000 <= close.getTime()) {
+        const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+        if (start >= from) {
+          operations.push({
+            updateOne: {
+              filter: { hospital: hospital._id, startTime: start },
+              update: { $setOnInsert: { hospital: hospital._id, startTime: start, endTime: end, capacity, createdBy } },
+              upsert: true
+            }
+          });
+        }
+        start = end;
+      }
+    }
+
+    day = nextDay(day);
+  }
+
+  if (operations.length === 0) return 0;
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount;
+};
+
+module.exports = mongoose.model('DonationSlot', donationSlotSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const {
+  DONATION_TYPES,
+  getDefaultVolume,
+  getNextEligibleDate,
+  checkAnnualCap
+} = require('../services/donationRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const donorSchema = new mongoose.Schema({
   user: {
@@ -67,6 +75,19 @@ const donorSchema = new mongoose.Schema({
     hasInfectiousDisease: {
       type: Boolean,
       default: false
+    },
+    // Extended red cell typing from the lab, used for patients with antibodies
+    antigenProfile: {
+      negative: [String],
+      rare: {
+        type: Boolean,
+        default: false
+      },
+      typedAt: Date,
+      typedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+      }
     }
   },
   location: {
@@ -123,11 +144,31 @@ const donorSchema = new mongoose.Schema({
       default: true
     },
     lastDonationDate: Date,
-    nextEligibleDate: Date,
+    nextEligibleDate: Date, // Whole blood; see nextEligibleByType for the others
+    nextEligibleByType: {
+      whole_blood: Date,
+      red_cells: Date,
+      platelets: Date,
+      plasma: Date
+    },
     restrictions: [String],
     temporaryDeferral: {
       reason: String,
-      until: Date
+      until: Date,
+      rule: String, // Screening rule that produced it, if any
+      screening: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScreeningResponse'
+      }
+    },
+    permanentDeferral: {
+      reason: String,
+      since: Date,
+      rule: String,
+      screening: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScreeningResponse'
+      }
     }
   },
   preferences: {
@@ -196,7 +237,7 @@ const donorSchema = new mongoose.Schema({
   },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected'],
+    enum: ['pending', 'verified', 'rejected', 'suspended'],
     default: 'pending'
   },
   documents: [{
@@ -239,9 +280,20 @@ donorSchema.virtual('age').get(function() {
   return age;
 });
 
-// Method to check current eligibility
-donorSchema.methods.checkEligibility = function() {
-  const now = new Date();
+// Method to list past donations for interval rules; profiles from before donation
+// history was kept only have lastDonationDate, which is treated as whole blood
+donorSchema.methods.getDonationRecords = function() {
+  if (this.donationHistory.length > 0) {
+    return this.donationHistory.map(d => ({ date: d.date, type: d.type || 'whole_blood' }));
+  }
+  return this.eligibility.lastDonationDate
+    ? [{ date: this.eligibility.lastDonationDate, type: 'whole_blood' }]
+    : [];
+};
+
+// Method to check eligibility for a donation type now, or on a future date such as a booked appointment
+donorSchema.methods.checkEligibility = function(asOf = new Date(), donationType = 'whole_blood') {
+  const now = asOf;
   const age = this.age;
   
   // Basic age check (18-65)
@@ -254,14 +306,27 @@ donorSchema.methods.checkEligibility = function() {
     return { eligible: false, reason: 'Weight below minimum requirement (45kg)' };
   }
   
-  // Check last donation date (56 days for whole blood)
-  if (this.eligibility.lastDonationDate) {
-    const daysSinceLastDonation = Math.floor((now - this.eligibility.lastDonationDate) / (1000 * 60 * 60 * 24));
-    if (daysSinceLastDonation < 56) {
-      return { eligible: false, reason: `Must wait ${56 - daysSinceLastDonation} more days since last donation` };
-    }
+  // Check the wait since previous donations, which depends on what was given then and now
+  const donations = this.getDonationRecords();
+  const nextEligibleDate = getNextEligibleDate(donations, donationType);
+  if (nextEligibleDate && nextEligibleDate > now) {
+    const days = Math.ceil((nextEligibleDate - now) / DAY_MS);
+    return { eligible: false, reason: `Must wait ${days} more days since last donation`, nextEligibleDate };
+  }
+
+  const annualCap = checkAnnualCap(donations, donationType, this.personalInfo.gender, now);
+  if (annualCap.capped) {
+    return {
+      eligible: false,
+      reason: `Reached the limit of ${annualCap.cap} ${donationType.replace('_', ' ')} donations in 12 months`,
+      nextEligibleDate: annualCap.until
+    };
   }
   
+  if (this.eligibility.permanentDeferral?.reason) {
+    return { eligible: false, reason: this.eligibility.permanentDeferral.reason, permanent: true };
+  }
+
   // Check temporary deferral
   if (this.eligibility.temporaryDeferral && this.eligibility.temporaryDeferral.until > now) {
     return { eligible: false, reason: this.eligibility.temporaryDeferral.reason };
@@ -275,16 +340,87 @@ donorSchema.methods.checkEligibility = function() {
   return { eligible: true, reason: 'Eligible for donation' };
 };
 
+// Method to check eligibility for every donation type at once
+donorSchema.methods.checkEligibilityByType = function(asOf = new Date()) {
+  return Object.fromEntries(DONATION_TYPES.map(type => [type, this.checkEligibility(asOf, type)]));
+};
+
+// Method to check whether the donor can give any of the donation types that supply a component
+donorSchema.methods.checkEligibilityForAny = function(donationTypes, asOf = new Date()) {
+  let firstResult = null;
+  for (const type of donationTypes) {
+    const result = this.checkEligibility(asOf, type);
+    if (result.eligible) return { ...result, donationType: type };
+    firstResult = firstResult || result;
+  }
+  return firstResult;
+};
+
+// Method to record the deferral produced by a screening questionnaire
+donorSchema.methods.applyScreeningOutcome = function(outcome, screeningId) {
+  const { permanentDeferral, temporaryDeferral } = this.eligibility;
+
+  // A re-screened questionnaire replaces whatever it deferred the donor for before
+  if (permanentDeferral?.screening?.equals(screeningId)) {
+    this.eligibility.permanentDeferral = undefined;
+    this.eligibility.isEligible = true;
+  }
+  if (temporaryDeferral?.screening?.equals(screeningId)) {
+    this.eligibility.temporaryDeferral = undefined;
+  }
+
+  const deferral = outcome.deferral;
+  if (!deferral) return;
+
+  if (deferral.type === 'permanent') {
+    this.eligibility.permanentDeferral = {
+      reason: deferral.reason,
+      since: new Date(),
+      rule: deferral.rule,
+      screening: screeningId
+    };
+    this.eligibility.isEligible = false;
+  } else if (!(this.eligibility.temporaryDeferral?.until > deferral.until)) {
+    this.eligibility.temporaryDeferral = {
+      reason: deferral.reason,
+      until: deferral.until,
+      rule: deferral.rule,
+      screening: screeningId
+    };
+  }
+};
+
 // Method to update eligibility after donation
-donorSchema.methods.updateEligibilityAfterDonation = function() {
-  this.eligibility.lastDonationDate = new Date();
-  this.eligibility.nextEligibleDate = new Date(Date.now() + 56 * 24 * 60 * 60 * 1000); // 56 days later
+donorSchema.methods.updateEligibilityAfterDonation = function(donation = {}) {
+  const donationDate = donation.date ? new Date(donation.date) : new Date();
+  const type = donation.type || 'whole_blood';
+  const volume = donation.volume || getDefaultVolume(type);
+
+  // A donor donating again within 120 days keeps their streak going
+  const previousDonation = this.statistics.lastDonationDate;
+  const continuesStreak = previousDonation &&
+    (donationDate - previousDonation) <= 120 * 24 * 60 * 60 * 1000;
+
+  // Callers normally add the donation to the history first; make sure it counts either way
+  const donations = this.getDonationRecords();
+  if (!donations.some(d => d.type === type && new Date(d.date).getTime() === donationDate.getTime())) {
+    donations.push({ date: donationDate, type });
+  }
+
+  this.eligibility.lastDonationDate = donationDate;
+  DONATION_TYPES.forEach(donationType => {
+    this.eligibility.nextEligibleByType[donationType] = getNextEligibleDate(donations, donationType);
+  });
+  this.eligibility.nextEligibleDate = this.eligibility.nextEligibleByType.whole_blood;
   this.statistics.totalDonations += 1;
-  this.statistics.totalVolumeDonated += 450; // Assuming 450ml per donation
-  this.statistics.lastDonationDate = new Date();
+  this.statistics.totalVolumeDonated += volume;
+  this.statistics.lastDonationDate = donationDate;
+  this.statistics.livesImpacted += 3; // Each donation can help up to 3 patients
+  this.statistics.streak.current = continuesStreak ? this.statistics.streak.current + 1 : 1;
+  this.statistics.streak.longest = Math.max(this.statistics.streak.longest, this.statistics.streak.current);
   
   if (!this.statistics.firstDonationDate) {
-    this.statistics.firstDonationDate = new Date();
+    this.statistics.firstDonationDate = donationDate;
   }
 };
 
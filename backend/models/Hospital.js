@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const InventoryTransaction = require('./InventoryTransaction');
+const { RED_CELL_COMPONENTS, COMPONENT_COUNTERS } = require('./BloodUnit');
+const { BLOOD_TYPES } = require('../services/bloodCompatibility');
+
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Stock level that raises an alert of the given urgency; ratio thresholds scale with the type's critical level
+const autoAlertLevelSchema = new mongoose.Schema({
+  threshold: { type: Number, required: true, min: 0 },
+  basis: {
+    type: String,
+    enum: ['critical_ratio', 'units'],
+    default: 'critical_ratio'
+  },
+  urgencyLevel: {
+    type: String,
+    enum: URGENCY_LEVELS,
+    required: true
+  }
+}, { _id: false });
+
+const autoAlertPolicyFields = () => ({
+  enabled: { type: Boolean, default: true },
+  levels: {
+    type: [autoAlertLevelSchema],
+    default: () => [
+      { threshold: 1, basis: 'critical_ratio', urgencyLevel: 'high' },
+      { threshold: 0.5, basis: 'critical_ratio', urgencyLevel: 'critical' }
+    ]
+  },
+  cooldownMinutes: { type: Number, default: 360, min: 0, max: 10080 },
+  searchRadius: { type: Number, default: 50, min: 5, max: 200 },
+  expiryHours: { type: Number, default: 24, min: 1, max: 168 },
+  restockRatio: { type: Number, default: 1, min: 0.5, max: 5 }, // Ask for enough to reach this multiple of the critical level
+  requireApproval: { type: Boolean, default: false }
+});
+
+const autoAlertPolicySchema = new mongoose.Schema(autoAlertPolicyFields(), { _id: false });
+
+const autoAlertOverrideSchema = new mongoose.Schema({
+  bloodType: {
+    type: String,
+    enum: BLOOD_TYPES,
+    required: true
+  },
+  ...autoAlertPolicyFields()
+}, { _id: false });
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
 const hospitalSchema = new mongoose.Schema({
   user: {
@@ -123,6 +179,15 @@ const hospitalSchema = new mongoose.Schema({
       is24x7: {
         type: Boolean,
         default: false
+      },
+      // IANA zone the opening times are given in, e.g. Asia/Kolkata
+      timeZone: {
+        type: String,
+        default: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+        validate: {
+          validator: isTimeZone,
+          message: props => `${props.value} is not a recognised time zone`
+        }
       }
     }
   },
@@ -182,7 +247,13 @@ const hospitalSchema = new mongoose.Schema({
       plasma: { type: Number, default: 0 },
       platelets: { type: Number, default: 0 },
       cryoprecipitate: { type: Number, default: 0 }
-    }
+    },
+    // When enabled, available/reserved counters are derived from BloodUnit records
+    unitTracking: {
+      type: Boolean,
+      default: false
+    },
+    unitsSyncedAt: Date // Last time the counters were derived; bags expiring after this are recounted by the scheduler
   },
   staff: {
     totalDoctors: Number,
@@ -240,25 +311,6 @@ const hospitalSchema = new mongoose.Schema({
       default: 'active'
     }
   }],
-  partnerships: [{
-    hospitalId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Hospital'
-    },
-    type: {
-      type: String,
-      enum: ['blood_sharing', 'emergency_backup', 'referral']
-    },
-    status: {
-      type: String,
-      enum: ['active', 'inactive'],
-      default: 'active'
-    },
-    establishedDate: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   statistics: {
     totalBloodRequests: {
       type: Number,
@@ -291,6 +343,22 @@ const hospitalSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Shortage alerts raised automatically after inventory changes; overrides replace the default for one type
+    autoAlertPolicy: {
+      type: autoAlertPolicySchema,
+      default: () => ({})
+    },
+    autoAlertPolicies: [autoAlertOverrideSchema],
+    lastAutoAlertAt: {
+      type: Map,
+      of: Date,
+      default: () => ({})
+    },
+    // Low-urgency alerts raised when the forecast shows a type reaching critical within leadDays
+    forecastAlerts: {
+      enabled: { type: Boolean, default: false },
+      leadDays: { type: Number, default: 3, min: 1, max: 14 }
+    },
     notificationPreferences: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: true },
@@ -357,29 +425,115 @@ hospitalSchema.methods.getCriticalShortages = function() {
   return criticalShortages;
 };
 
+// Method to get the auto-alert policy that applies to a blood type
+hospitalSchema.methods.getAutoAlertPolicy = function(bloodType) {
+  return this.alerts.autoAlertPolicies.find(policy => policy.bloodType === bloodType) ||
+    this.alerts.autoAlertPolicy;
+};
+
+// Method to queue a ledger entry for an inventory change; entries are written with the next save
+hospitalSchema.methods.recordInventoryChange = function(bloodType, field, before, after, context = {}) {
+  if (before === after) return;
+
+  if (!this.$locals.inventoryLedger) {
+    this.$locals.inventoryLedger = [];
+  }
+
+  this.$locals.inventoryLedger.push({
+    hospital: this._id,
+    bloodType,
+    field,
+    delta: after - before,
+    before,
+    after,
+    reason: context.reason,
+    source: context.source,
+    reference: context.reference,
+    actor: context.actor
+  });
+};
+
+// Method to set an inventory level to an absolute value
+hospitalSchema.methods.setInventoryLevel = function(bloodType, field, value, context = {}) {
+  const inventory = this.inventory.bloodUnits[bloodType];
+  if (!inventory) return;
+
+  const before = inventory[field];
+  inventory[field] = Math.max(0, value);
+  inventory.lastUpdated = new Date();
+
+  this.recordInventoryChange(bloodType, field, before, inventory[field], context);
+};
+
 // Method to update inventory
-hospitalSchema.methods.updateInventory = function(bloodType, change, type = 'available') {
+hospitalSchema.methods.updateInventory = function(bloodType, change, type = 'available', context = {}) {
   if (this.inventory.bloodUnits[bloodType]) {
-    this.inventory.bloodUnits[bloodType][type] += change;
-    this.inventory.bloodUnits[bloodType].lastUpdated = new Date();
-    
     // Ensure non-negative values
-    if (this.inventory.bloodUnits[bloodType][type] < 0) {
-      this.inventory.bloodUnits[bloodType][type] = 0;
-    }
+    this.setInventoryLevel(bloodType, type, this.inventory.bloodUnits[bloodType][type] + change, context);
   }
 };
 
-// Method to check compatibility for blood sharing
-hospitalSchema.methods.canShareBloodWith = function(requestingHospital) {
-  // Check if hospitals are partners
-  const partnership = this.partnerships.find(p => 
-    p.hospitalId.toString() === requestingHospital._id.toString() && 
-    p.status === 'active' &&
-    ['blood_sharing', 'emergency_backup'].includes(p.type)
-  );
-  
-  return !!partnership;
+// Method to add or remove counted stock of a component for hospitals without unit tracking.
+// Counted the same way as tracked bags: red cell products per blood type, the rest as component totals.
+hospitalSchema.methods.adjustCountedStock = function(bloodType, component, change, context = {}) {
+  if (RED_CELL_COMPONENTS.includes(component)) {
+    this.updateInventory(bloodType, change, 'available', context);
+  }
+
+  const counter = COMPONENT_COUNTERS[component];
+  if (counter) {
+    this.inventory.components[counter] = Math.max(0, this.inventory.components[counter] + change);
+  }
 };
 
+// Write queued inventory ledger entries before the new levels, so a ledger failure fails the save
+// and the counters never move without their history
+hospitalSchema.pre('save', async function() {
+  this.$locals.ledgerWritten = null;
+  const entries = this.$locals.inventoryLedger;
+  if (!entries || entries.length === 0) return;
+
+  this.$locals.ledgerWritten = await InventoryTransaction.insertMany(entries);
+  this.$locals.inventoryLedger = [];
+});
+
+// The ledger is append-only, so if the levels could not be saved after all, reverse what was written
+hospitalSchema.post('save', function(error, res, next) {
+  const written = this.$locals.ledgerWritten;
+  this.$locals.ledgerWritten = null;
+  if (!written || written.length === 0) return next(error);
+
+  InventoryTransaction.insertMany(written.map(entry => ({
+    hospital: entry.hospital,
+    bloodType: entry.bloodType,
+    field: entry.field,
+    delta: -entry.delta,
+    before: entry.after,
+    after: entry.before,
+    reason: `Reversal: inventory change not saved (${error.message})`,
+    source: 'adjustment',
+    reference: { kind: 'InventoryTransaction', item: entry._id },
+    actor: entry.actor
+  })))
+    .catch(reversalError => {
+      console.error(`Failed to reverse ledger entries for hospital ${this._id}:`, reversalError.message);
+    })
+    .then(() => next(error));
+});
+
+// Note the types whose stock or critical level changed; callers hand them to the auto-alert
+// service once they have responded, so saves never wait on alert creation
+hospitalSchema.post('save', function(doc) {
+  const written = doc.$locals.ledgerWritten;
+  if (!written || written.length === 0) return;
+
+  doc.$locals.ledgerWritten = null;
+  doc.$locals.stockChanges = [
+    ...(doc.$locals.stockChanges || []),
+    ...written
+      .filter(entry => ['available', 'critical'].includes(entry.field))
+      .map(entry => ({ bloodType: entry.bloodType, actor: entry.actor }))
+  ];
+});
+
 module.exports = mongoose.model('Hospital', hospitalSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const inventoryTransactionSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  bloodType: {
+    type: String,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['available', 'reserved', 'critical'],
+    default: 'available'
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  before: {
+    type: Number,
+    required: true
+  },
+  after: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['inventory_update', 'bulk_update', 'hospital_inventory', 'adjustment', 'donation', 'unit_tracking', 'transfer'],
+    default: 'adjustment'
+  },
+  reference: {
+    kind: String, // Model name of the related document, e.g. 'Donation'
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reference.kind'
+    }
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for history queries per blood type
+inventoryTransactionSchema.index({ hospital: 1, bloodType: 1, createdAt: -1 });
+
+// Ledger entries are append-only
+const immutableError = () => new Error('Inventory ledger entries are immutable');
+
+inventoryTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+inventoryTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+inventoryTransactionSchema.pre('deleteOne', { document: true, query: true }, function(next) {
+  next(immutableError());
+});
+
+module.exports = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
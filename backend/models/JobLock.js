@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: String, // hostname:pid of the instance holding the lease
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastResult: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Method to take the lease for a job if it is free or already ours
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: { $lte: now } }, { lockedBy: owner }]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // Another instance created or holds the lease
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Method to hand the lease back once a run has finished
+jobLockSchema.statics.release = function(name, owner, lastResult) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    { $set: { lockedUntil: new Date(), lastRunAt: new Date(), lastResult } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientRole: {
+    type: String,
+    enum: ['donor', 'hospital', 'admin']
+  },
+  type: {
+    type: String,
+    enum: [
+      'blood_shortage_alert',
+      'alert_created',
+      'auto_alert_approval',
+      'alert_response',
+      'alert_update',
+      'alert_shared',
+      'share_response',
+      'transfer_update',
+      'partnership_update',
+      'arrival_reminder',
+      'appointment_update',
+      'appointment_reminder',
+      'donation_confirmation',
+      'verification_decision',
+      'test'
+    ],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['in_app', 'email', 'sms', 'push'],
+    default: 'in_app'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  link: String, // Frontend route the notification opens, e.g. /alerts/:alertId
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'failed', 'skipped'], // skipped: no provider for the channel
+    default: 'pending'
+  },
+  providerMessageId: String, // Message ID returned by the email/SMS provider
+  error: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for inbox queries
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+notificationSchema.index({ alert: 1 });
+
+// Method to mark as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const outboundMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: true
+  },
+  // Provider-ready content: { to, subject, html } for email, { to, body } for SMS,
+  // { userId, payload, options } for push
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'dead', 'skipped'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0 // Higher is sent first
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  attemptLog: [{
+    attempt: Number,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  providerMessageId: String,
+  sentAt: Date,
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for workers claiming due messages per channel
+outboundMessageSchema.index({ channel: 1, status: 1, priority: -1, nextAttemptAt: 1 });
+
+// Index for per-alert delivery progress
+outboundMessageSchema.index({ alert: 1, status: 1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
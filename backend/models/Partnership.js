@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { BLOOD_TYPES } = require('../services/bloodCompatibility');
+
+// Allowed status moves; expiry is applied by the scheduler once validUntil passes
+const STATUS_TRANSITIONS = {
+  pending: ['active', 'declined', 'terminated', 'expired'],
+  active: ['suspended', 'terminated', 'expired'],
+  suspended: ['active', 'terminated', 'expired'],
+  declined: [],
+  terminated: [],
+  expired: []
+};
+
+const OPEN_STATUSES = ['pending', 'active', 'suspended'];
+const SHARING_TYPES = ['blood_sharing', 'emergency_backup'];
+
+const partnershipSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['blood_sharing', 'emergency_backup', 'referral'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  terms: {
+    // Empty means every blood type may be shared
+    allowedBloodTypes: [{
+      type: String,
+      enum: BLOOD_TYPES
+    }],
+    maxUnitsPerRequest: {
+      type: Number,
+      min: 1
+    },
+    notes: String
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  message: String,
+  respondedAt: Date,
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  endedAt: Date,
+  endReason: String,
+  history: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for each side's agreement list and for expiry sweeps
+partnershipSchema.index({ requester: 1, status: 1 });
+partnershipSchema.index({ partner: 1, status: 1 });
+partnershipSchema.index({ status: 1, validUntil: 1 });
+
+// Static method to find the open agreement between two hospitals, in either direction
+partnershipSchema.statics.findBetween = function(hospitalA, hospitalB, statuses = OPEN_STATUSES) {
+  return this.findOne({
+    status: { $in: statuses },
+    $or: [
+      { requester: hospitalA, partner: hospitalB },
+      { requester: hospitalB, partner: hospitalA }
+    ]
+  });
+};
+
+// Method to move the agreement to a new status, recording who did it
+partnershipSchema.methods.transition = function(status, { hospital, actor, notes } = {}) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    throw new Error(`Cannot move partnership from ${this.status} to ${status}`);
+  }
+
+  const now = new Date();
+  const previous = this.status;
+  this.status = status;
+
+  if (previous === 'pending') this.respondedAt = now;
+  if (status === 'suspended') {
+    this.suspendedBy = hospital;
+  } else {
+    this.suspendedBy = undefined;
+  }
+  if (['declined', 'terminated', 'expired'].includes(status)) {
+    this.endedAt = now;
+    this.endReason = notes;
+  }
+
+  this.history.push({ status, at: now, hospital, by: actor, notes });
+};
+
+// Method to move to a new status and save, failing if the other hospital moved it first
+partnershipSchema.methods.saveTransition = async function(status, options) {
+  const previous = this.status;
+  this.transition(status, options);
+
+  this.$where = { status: previous };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new Error('Partnership was updated by the other hospital; reload and try again');
+    }
+    throw error;
+  }
+};
+
+// Method to tell which side of the agreement a hospital is on
+partnershipSchema.methods.sideOf = function(hospitalId) {
+  const id = hospitalId.toString();
+  if ((this.requester._id || this.requester).toString() === id) return 'requester';
+  if ((this.partner._id || this.partner).toString() === id) return 'partner';
+  return null;
+};
+
+// Method to get the other hospital's id
+partnershipSchema.methods.otherParty = function(hospitalId) {
+  const requester = this.requester._id || this.requester;
+  const partner = this.partner._id || this.partner;
+  return requester.toString() === hospitalId.toString() ? partner : requester;
+};
+
+// Method to check whether the agreement is active and within its validity period
+partnershipSchema.methods.isInEffect = function(asOf = new Date()) {
+  return this.status === 'active' &&
+    (!this.validFrom || this.validFrom <= asOf) &&
+    (!this.validUntil || this.validUntil > asOf);
+};
+
+// Method to check a share against the agreement; returns the reason it is not allowed, or null
+partnershipSchema.methods.checkSharing = function({ bloodType, units, asOf = new Date() } = {}) {
+  if (!SHARING_TYPES.includes(this.type)) {
+    return 'Partnership does not cover blood sharing';
+  }
+  if (this.status !== 'active') {
+    return `Partnership is ${this.status}`;
+  }
+  if (this.validFrom && this.validFrom > asOf) {
+    return `Partnership starts on ${this.validFrom.toDateString()}`;
+  }
+  if (this.validUntil && this.validUntil <= asOf) {
+    return 'Partnership has expired';
+  }
+
+  const allowed = this.terms?.allowedBloodTypes || [];
+  if (bloodType && allowed.length > 0 && !allowed.includes(bloodType)) {
+    return `Partnership does not cover ${bloodType}`;
+  }
+
+  const cap = this.terms?.maxUnitsPerRequest;
+  if (units && cap && units > cap) {
+    return `Partnership allows at most ${cap} unit(s) per request`;
+  }
+
+  return null;
+};
+
+partnershipSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('Partnership', partnershipSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  expirationTime: Date,
+  userAgent: String,
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for delivering to every device a user registered
+pushSubscriptionSchema.index({ user: 1 });
+
+// Method to get the object web-push expects
+pushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    expirationTime: this.expirationTime ? this.expirationTime.getTime() : null,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
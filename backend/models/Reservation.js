@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const BloodUnit = require('./BloodUnit');
+
+// Components containing red cells must pass a cross-match before they are issued
+const CROSSMATCH_COMPONENTS = ['whole_blood', 'red_cells'];
+
+const reservationSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert' // Unset when held for a patient request instead
+  },
+  patient: {
+    reference: String, // Request or medical record number
+    name: String,
+    ward: String
+  },
+  bloodType: {
+    type: String, // Recipient blood type
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    required: true
+  },
+  component: {
+    type: String,
+    enum: ['whole_blood', 'red_cells', 'plasma', 'platelets', 'cryoprecipitate'],
+    required: true
+  },
+  units: [{
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodUnit',
+      required: true
+    },
+    bagId: String,
+    bloodType: String,
+    status: {
+      type: String,
+      enum: ['held', 'issued', 'released'],
+      default: 'held'
+    },
+    crossMatch: {
+      result: {
+        type: String,
+        enum: ['pending', 'compatible', 'incompatible'],
+        default: 'pending'
+      },
+      method: {
+        type: String,
+        enum: ['electronic', 'immediate_spin', 'full']
+      },
+      notes: String,
+      testedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      testedAt: Date
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'issued', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  issuedTo: {
+    destination: String,
+    reference: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closeReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for the hospital's list and the scheduler's expiry sweep
+reservationSchema.index({ hospital: 1, status: 1, createdAt: -1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ alert: 1 });
+
+// Whether this unit may be issued given its cross-match
+reservationSchema.methods.canIssueUnit = function(entry) {
+  if (entry.status !== 'held') return false;
+  if (!CROSSMATCH_COMPONENTS.includes(this.component)) {
+    return entry.crossMatch.result !== 'incompatible';
+  }
+  return entry.crossMatch.result === 'compatible';
+};
+
+// Method to return held units to stock, e.g. on release, expiry or a failed cross-match
+reservationSchema.methods.releaseUnits = async function(entries, { actor, reason } = {}) {
+  const held = entries.filter(entry => entry.status === 'held');
+  if (held.length === 0) return 0;
+
+  await BloodUnit.releaseReservedUnits(this._id, held.map(entry => entry.unit), { actor, reason });
+  held.forEach(entry => { entry.status = 'released'; });
+  return held.length;
+};
+
+// Method to close the reservation, releasing whatever is still held
+reservationSchema.methods.close = async function(status, { actor, reason } = {}) {
+  await this.releaseUnits(this.units, { actor, reason: reason || `Reservation ${status}` });
+  this.status = status;
+  this.closedAt = new Date();
+  this.closedBy = actor;
+  this.closeReason = reason;
+};
+
+reservationSchema.statics.CROSSMATCH_COMPONENTS = CROSSMATCH_COMPONENTS;
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Answers go stale quickly (illness, medication), so a pre-arrival questionnaire only counts for a few days
+const VALID_DAYS = 3;
+
+const deferralSchema = new mongoose.Schema({
+  rule: String,
+  type: {
+    type: String,
+    enum: ['temporary', 'permanent']
+  },
+  reason: String,
+  until: Date
+}, { _id: false });
+
+const screeningResponseSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  questionnaireVersion: {
+    type: Number,
+    required: true
+  },
+  answers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  source: {
+    type: String,
+    enum: ['donor', 'staff'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'confirmed'],
+    default: 'submitted'
+  },
+  outcome: {
+    eligible: Boolean,
+    deferral: deferralSchema,
+    triggered: [deferralSchema]
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    default: () => new Date(Date.now() + VALID_DAYS * 24 * 60 * 60 * 1000)
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital' // Hospital whose staff confirmed the answers
+  },
+  checkIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn'
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: Date
+}, {
+  timestamps: true
+});
+
+screeningResponseSchema.index({ donor: 1, createdAt: -1 });
+
+screeningResponseSchema.statics.VALID_DAYS = VALID_DAYS;
+
+// Method to find the donor's most recent questionnaire that has not gone stale
+screeningResponseSchema.statics.findLatestValid = function(donorId) {
+  return this.findOne({ donor: donorId, validUntil: { $gt: new Date() } }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('ScreeningResponse', screeningResponseSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// Allowed status moves and which side of the transfer makes them
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'cancelled'],
+  approved: ['dispatched', 'cancelled'],
+  dispatched: ['in_transit', 'received'],
+  in_transit: ['received'],
+  received: [],
+  cancelled: []
+};
+
+const TIMESTAMP_FIELDS = {
+  approved: 'approvedAt',
+  dispatched: 'dispatchedAt',
+  in_transit: 'inTransitAt',
+  received: 'receivedAt',
+  cancelled: 'cancelledAt'
+};
+
+const transferSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert' // Set when the transfer answers an alert
+  },
+  // Side that proposed the transfer; the other side approves it
+  initiatedBy: {
+    type: String,
+    enum: ['sender', 'receiver'],
+    default: 'sender'
+  },
+  fromHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true // Partner supplying the units
+  },
+  toHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true // Hospital that needs the units
+  },
+  bloodType: {
+    type: String,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    required: true
+  },
+  component: {
+    type: String,
+    enum: ['whole_blood', 'red_cells', 'plasma', 'platelets', 'cryoprecipitate'],
+    default: 'red_cells'
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitsReceived: Number,
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  // Bags sent, when the sender tracks individual units
+  bloodUnits: [{
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodUnit'
+    },
+    bagId: String,
+    bloodType: String,
+    collectionDate: Date,
+    expiryDate: Date,
+    volume: Number
+  }],
+  courier: {
+    name: String,
+    phone: String,
+    vehicle: String,
+    trackingReference: String
+  },
+  estimatedArrival: Date,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedAt: Date,
+  dispatchedAt: Date,
+  inTransitAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  receiptNotes: String,
+  history: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for each side's transfer list
+transferSchema.index({ fromHospital: 1, status: 1, createdAt: -1 });
+transferSchema.index({ toHospital: 1, status: 1, createdAt: -1 });
+transferSchema.index({ alert: 1 });
+
+// Method to move the transfer to a new status, stamping the time
+transferSchema.methods.transition = function(status, { actor, notes } = {}) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    throw new Error(`Cannot move transfer from ${this.status} to ${status}`);
+  }
+
+  const now = new Date();
+  this.status = status;
+  if (TIMESTAMP_FIELDS[status]) {
+    this[TIMESTAMP_FIELDS[status]] = now;
+  }
+  this.history.push({ status, at: now, by: actor, notes });
+};
+
+// Method to move to a new status and save, failing if the other hospital moved it first
+transferSchema.methods.saveTransition = async function(status, options) {
+  const previous = this.status;
+  this.transition(status, options);
+
+  this.$where = { status: previous };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new Error('Transfer was updated by the other hospital; reload and try again');
+    }
+    throw error;
+  }
+};
+
+// Method to tell which side approves the transfer
+transferSchema.methods.approverSide = function() {
+  return this.initiatedBy === 'receiver' ? 'sender' : 'receiver';
+};
+
+// Method to tell which side of the transfer a hospital is on
+transferSchema.methods.sideOf = function(hospitalId) {
+  const id = hospitalId.toString();
+  if ((this.fromHospital._id || this.fromHospital).toString() === id) return 'sender';
+  if ((this.toHospital._id || this.toHospital).toString() === id) return 'receiver';
+  return null;
+};
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const verificationDecisionSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: ['Donor', 'Hospital'],
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectType',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'suspend'],
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    required: true
+  },
+  newStatus: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for per-applicant audit trails
+verificationDecisionSchema.index({ subjectType: 1, subject: 1, createdAt: -1 });
+verificationDecisionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('VerificationDecision', verificationDecisionSchema);
@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Donor = require('../models/Donor');
+const Hospital = require('../models/Hospital');
+const VerificationDecision = require('../models/VerificationDecision');
+const OutboundMessage = require('../models/OutboundMessage');
+const notificationService = require('../services/notificationService');
+const messageQueue = require('../services/messageQueue');
+
+const router = express.Router();
+
+// Allowed verification transitions per admin action
+const VERIFICATION_ACTIONS = {
+  approve: { from: ['pending', 'rejected', 'suspended'], to: 'verified' },
+  reject: { from: ['pending'], to: 'rejected' },
+  suspend: { from: ['verified'], to: 'suspended' }
+};
+
+const SUBJECTS = {
+  donors: {
+    model: Donor,
+    subjectType: 'Donor',
+    summaryFields: 'personalInfo.firstName personalInfo.lastName personalInfo.phone medicalInfo.bloodGroup location.address.city verificationStatus documents createdAt user',
+    getName: donor => `${donor.personalInfo.firstName} ${donor.personalInfo.lastName}`,
+    getEmail: donor => donor.user?.email
+  },
+  hospitals: {
+    model: Hospital,
+    subjectType: 'Hospital',
+    summaryFields: 'basicInfo.name basicInfo.registrationNumber basicInfo.type contactInfo.email contactInfo.primaryPhone location.address.city bloodBank.bloodBankLicense verificationStatus documents createdAt user',
+    getName: hospital => hospital.basicInfo.name,
+    getEmail: hospital => hospital.contactInfo.email
+  }
+};
+
+// Get verification review queue
+router.get('/queue', async (req, res) => {
+  try {
+    const { type = 'all', status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const result = {};
+    for (const [key, subject] of Object.entries(SUBJECTS)) {
+      if (type !== 'all' && type !== key) continue;
+
+      const query = { verificationStatus: status };
+      const items = await subject.model.find(query)
+        .select(subject.summaryFields)
+        .populate('user', 'email createdAt')
+        .sort({ createdAt: 1 }) // Oldest applications first
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      result[key] = {
+        items,
+        total: await subject.model.countDocuments(query)
+      };
+    }
+
+    // Counts per status for the dashboard summary
+    const counts = {};
+    for (const [key, subject] of Object.entries(SUBJECTS)) {
+      const grouped = await subject.model.aggregate([
+        { $group: { _id: '$verificationStatus', count: { $sum: 1 } } }
+      ]);
+      counts[key] = grouped.reduce((acc, g) => ({ ...acc, [g._id]: g.count }), {});
+    }
+
+    res.json({
+      queue: result,
+      counts,
+      filters: { type, status }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get verification decision audit log
+router.get('/decisions', async (req, res) => {
+  try {
+    const { subjectType, action, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (subjectType) query.subjectType = subjectType;
+    if (action) query.action = action;
+
+    const decisions = await VerificationDecision.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('decidedBy', 'email');
+
+    const total = await VerificationDecision.countDocuments(query);
+
+    res.json({
+      decisions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get outbound messages, e.g. the dead-letter queue
+router.get('/messages', async (req, res) => {
+  try {
+    const { status = 'dead', channel, page = 1, limit = 50 } = req.query;
+
+    const query = { status };
+    if (channel) query.channel = channel;
+
+    const messages = await OutboundMessage.find(query)
+      .select('-content.html') // Rendered email bodies are large
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await OutboundMessage.countDocuments(query);
+
+    // Counts per channel and status for the dashboard summary
+    const grouped = await OutboundMessage.aggregate([
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const counts = {};
+    grouped.forEach(({ _id, count }) => {
+      counts[_id.channel] = { ...counts[_id.channel], [_id.status]: count };
+    });
+
+    res.json({
+      messages,
+      counts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Retry dead-lettered messages, either one or all on a channel
+router.post('/messages/retry', [
+  body('messageId').optional().isMongoId(),
+  body('channel').optional().isIn(['email', 'sms', 'push'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.body.messageId) filter._id = req.body.messageId;
+    if (req.body.channel) filter.channel = req.body.channel;
+
+    const requeued = await messageQueue.requeue(filter);
+
+    res.json({
+      message: `${requeued} message(s) requeued`,
+      requeued
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get applicant details with decision history
+router.get('/:subjectType/:subjectId', [
+  param('subjectType').isIn(Object.keys(SUBJECTS)),
+  param('subjectId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const subject = SUBJECTS[req.params.subjectType];
+    const record = await subject.model.findById(req.params.subjectId)
+      .populate('user', 'email isActive createdAt lastLogin');
+
+    if (!record) {
+      return res.status(404).json({ message: `${subject.subjectType} not found` });
+    }
+
+    const decisions = await VerificationDecision.find({
+      subjectType: subject.subjectType,
+      subject: record._id
+    })
+    .sort({ createdAt: -1 })
+    .populate('decidedBy', 'email');
+
+    res.json({
+      [subject.subjectType.toLowerCase()]: record,
+      decisions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Approve, reject or suspend an applicant
+router.post('/:subjectType/:subjectId/:action', [
+  param('subjectType').isIn(Object.keys(SUBJECTS)),
+  param('subjectId').isMongoId(),
+  param('action').isIn(Object.keys(VERIFICATION_ACTIONS)),
+  body('reason')
+    .if(param('action').isIn(['reject', 'suspend']))
+    .trim()
+    .isLength({ min: 5 })
+    .withMessage('A reason is required to reject or suspend'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const subject = SUBJECTS[req.params.subjectType];
+    const { action } = req.params;
+    const transition = VERIFICATION_ACTIONS[action];
+
+    const record = await subject.model.findById(req.params.subjectId)
+      .populate('user', 'email');
+
+    if (!record) {
+      return res.status(404).json({ message: `${subject.subjectType} not found` });
+    }
+
+    const previousStatus = record.verificationStatus;
+    if (!transition.from.includes(previousStatus)) {
+      return res.status(400).json({
+        message: `Cannot ${action} a ${subject.subjectType.toLowerCase()} whose status is ${previousStatus}`
+      });
+    }
+
+    record.verificationStatus = transition.to;
+    await record.save();
+
+    // Audit the decision
+    const decision = new VerificationDecision({
+      subjectType: subject.subjectType,
+      subject: record._id,
+      action,
+      previousStatus,
+      newStatus: transition.to,
+      reason: req.body.reason,
+      decidedBy: req.user._id
+    });
+    await decision.save();
+
+    // Notify the applicant
+    let notified = false;
+    const email = subject.getEmail(record);
+    if (email) {
+      try {
+        await notificationService.sendVerificationDecision(email, subject.getName(record), decision, record.user?._id);
+        notified = true;
+      } catch (notificationError) {
+        console.error(`Failed to send verification decision to ${email}:`, notificationError.message);
+      }
+    }
+
+    if (subject.subjectType === 'Hospital') {
+      const io = req.app.get('io');
+      io.to(`hospital-${record._id}`).emit('verification-updated', {
+        previousStatus,
+        newStatus: transition.to,
+        reason: req.body.reason
+      });
+    }
+
+    res.json({
+      message: `${subject.subjectType} ${transition.to}`,
+      decision,
+      notified
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Alert = require('../models/Alert');
-const Donor = require('../models/Donor');
 const Hospital = require('../models/Hospital');
+const Partnership = require('../models/Partnership');
 const notificationService = require('../services/notificationService');
+const messageQueue = require('../services/messageQueue');
+const { startWave, summarizeMobilization } = require('../services/mobilization');
+const { COMPONENTS } = require('../services/bloodCompatibility');
+const { checkTransferableStock, createTransferFromShare, broadcastTransfer } = require('../services/transfers');
+const autoAlerts = require('../services/autoAlerts');
+const { notifyResponders } = require('../services/alertUpdates');
 const { authorize, requireVerifiedHospital } = require('../middleware/auth');
 
 const router = express.Router();
@@ -11,11 +17,14 @@ const router = express.Router();
 // Create new blood shortage alert
 router.post('/', requireVerifiedHospital, [
   body('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
+  body('component').optional().isIn(COMPONENTS),
+  body('patientInfo.antigenNegative').optional().isArray(),
   body('urgencyLevel').isIn(['low', 'medium', 'high', 'critical']),
   body('unitsNeeded').isNumeric().isInt({ min: 1, max: 100 }),
   body('reason').trim().isLength({ min: 10 }),
   body('patientInfo.requiredBy').isISO8601(),
-  body('location.searchRadius').optional().isNumeric().isInt({ min: 5, max: 200 })
+  body('location.searchRadius').optional().isNumeric().isInt({ min: 5, max: 200 }),
+  body('mobilization.waveWindowMinutes').optional().isInt({ min: 5, max: 240 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -29,6 +38,7 @@ router.post('/', requireVerifiedHospital, [
     const alertData = {
       hospital: hospital._id,
       bloodType: req.body.bloodType,
+      component: req.body.component,
       urgencyLevel: req.body.urgencyLevel,
       unitsNeeded: req.body.unitsNeeded,
       reason: req.body.reason,
@@ -40,25 +50,32 @@ router.post('/', requireVerifiedHospital, [
       createdBy: req.user._id,
       tags: req.body.tags || []
     };
+    if (req.body.mobilization?.waveWindowMinutes) {
+      alertData.mobilization = { waveWindowMinutes: req.body.mobilization.waveWindowMinutes };
+    }
 
     const alert = new Alert(alertData);
     await alert.save();
 
-    // Find eligible donors
-    const eligibleDonors = await findEligibleDonors(alert);
-    
-    // Send notifications
-    const notificationResults = await notificationService.sendBloodShortageAlert(alert, eligibleDonors);
+    // Contact the best-ranked donors first; the scheduler sends further waves if needed.
+    // Delivery progress is streamed as alert-delivery-progress.
+    const { wave, notificationResults } = await startWave(alert, 'initial');
+    const eligibleDonors = wave.donorsNotified + wave.donorsRemaining;
 
     // Send confirmation to hospital
-    await notificationService.sendHospitalAlert(hospital, alertData);
+    try {
+      await notificationService.sendHospitalAlert(hospital, alert);
+    } catch (notificationError) {
+      console.error(`Failed to send alert confirmation to hospital ${hospital._id}:`, notificationError.message);
+    }
 
     // Emit real-time update
     const io = req.app.get('io');
     io.to(`hospital-${hospital._id}`).emit('alert-created', {
       alert: alert.toObject(),
       notificationResults,
-      eligibleDonors: eligibleDonors.length
+      eligibleDonors,
+      donorsNotified: wave.donorsNotified
     });
 
     // Update hospital statistics
@@ -69,7 +86,8 @@ router.post('/', requireVerifiedHospital, [
       message: 'Blood shortage alert created successfully',
       alert: alert.toObject(),
       notificationResults,
-      eligibleDonors: eligibleDonors.length
+      eligibleDonors,
+      donorsNotified: wave.donorsNotified
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -79,13 +97,14 @@ router.post('/', requireVerifiedHospital, [
 // Get all alerts for hospital
 router.get('/', requireVerifiedHospital, async (req, res) => {
   try {
-    const { status, bloodType, page = 1, limit = 20 } = req.query;
+    const { status, bloodType, component, page = 1, limit = 20 } = req.query;
     const hospital = req.hospital;
 
     // Build query
     const query = { hospital: hospital._id };
     if (status) query.status = status;
     if (bloodType) query.bloodType = bloodType;
+    if (component) query.component = component;
 
     const alerts = await Alert.find(query)
       .sort({ createdAt: -1 })
@@ -131,9 +150,98 @@ router.get('/:alertId', requireVerifiedHospital, async (req, res) => {
       conversionRate: alert.getConversionRate()
     };
 
+    const delivery = await messageQueue.getProgress(alert._id);
+
     res.json({
       alert: alert.toObject(),
-      metrics
+      metrics,
+      mobilization: summarizeMobilization(alert),
+      delivery
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Correct an open alert's details; each edit is kept in the revision history
+router.patch('/:alertId', requireVerifiedHospital, [
+  body('unitsNeeded').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('urgencyLevel').optional().isIn(['low', 'medium', 'high', 'critical']),
+  body('reason').optional().trim().isLength({ min: 10 }),
+  body('patientInfo.requiredBy').optional().isISO8601(),
+  body('location.searchRadius').optional().isInt({ min: 5, max: 200 }).toInt(),
+  body('internalNotes').optional().trim(),
+  body('changeReason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await Alert.findOne({
+      _id: req.params.alertId,
+      hospital: req.hospital._id
+    });
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!Alert.UNRESOLVED_STATUSES.includes(alert.status)) {
+      return res.status(400).json({ message: 'Only open alerts can be edited' });
+    }
+
+    const updates = {
+      unitsNeeded: req.body.unitsNeeded,
+      urgencyLevel: req.body.urgencyLevel,
+      reason: req.body.reason,
+      'location.searchRadius': req.body.location?.searchRadius,
+      internalNotes: req.body.internalNotes
+    };
+
+    const requiredBy = req.body.patientInfo?.requiredBy && new Date(req.body.patientInfo.requiredBy);
+    if (requiredBy) {
+      if (requiredBy <= new Date()) {
+        return res.status(400).json({ message: 'Required-by time must be in the future' });
+      }
+      updates['patientInfo.requiredBy'] = requiredBy;
+      // Keep the alert open until the new deadline
+      if (requiredBy > alert.expiresAt) updates.expiresAt = requiredBy;
+    }
+
+    // Lowering the need to what has already been collected completes the alert
+    if (req.body.unitsNeeded !== undefined && alert.status !== 'pending_approval') {
+      updates.status = alert.unitsCollected >= req.body.unitsNeeded
+        ? 'fulfilled'
+        : alert.unitsCollected > 0 ? 'partially_fulfilled' : 'active';
+    }
+
+    const changes = alert.revise(updates, {
+      actor: req.user._id,
+      reason: req.body.changeReason
+    });
+
+    if (changes.length === 0) {
+      return res.status(400).json({ message: 'No changes to apply' });
+    }
+
+    await alert.save();
+
+    const io = req.app.get('io');
+    io.to(`hospital-${req.hospital._id}`).emit('alert-updated', {
+      alertId: alert._id,
+      changes,
+      alert: alert.toObject()
+    });
+
+    const donorsNotified = await notifyResponders(alert, changes);
+
+    res.json({
+      message: 'Alert updated successfully',
+      alert: alert.toObject(),
+      changes,
+      donorsNotified
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -160,14 +268,15 @@ router.put('/:alertId/status', requireVerifiedHospital, [
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    const oldStatus = alert.status;
-    alert.status = req.body.status;
-    alert.lastModifiedBy = req.user._id;
-
-    if (req.body.reason) {
-      alert.internalNotes = `${alert.internalNotes || ''}\n${new Date().toISOString()}: Status changed from ${oldStatus} to ${req.body.status}. Reason: ${req.body.reason}`;
+    if (alert.status === 'pending_approval' && ['active', 'partially_fulfilled'].includes(req.body.status)) {
+      return res.status(400).json({ message: 'Use approve to activate an alert awaiting approval' });
     }
 
+    const oldStatus = alert.status;
+    const changes = alert.revise({ status: req.body.status }, {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
     await alert.save();
 
     // Emit real-time update
@@ -179,8 +288,124 @@ router.put('/:alertId/status', requireVerifiedHospital, [
       reason: req.body.reason
     });
 
+    const donorsNotified = await notifyResponders(alert, changes);
+
     res.json({
       message: 'Alert status updated successfully',
+      alert: alert.toObject(),
+      donorsNotified
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Approve an automatic alert held for review, optionally adjusting it, and start contacting donors
+router.put('/:alertId/approve', requireVerifiedHospital, [
+  body('urgencyLevel').optional().isIn(['low', 'medium', 'high', 'critical']),
+  body('unitsNeeded').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('location.searchRadius').optional().isInt({ min: 5, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await Alert.findOne({
+      _id: req.params.alertId,
+      hospital: req.hospital._id
+    });
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (alert.status !== 'pending_approval') {
+      return res.status(400).json({ message: 'Only alerts awaiting approval can be approved' });
+    }
+
+    // The deadline the policy set runs from approval rather than from when the alert was held
+    const deadline = new Date(Date.now() + (alert.expiresAt - alert.createdAt));
+    alert.revise({
+      status: 'active',
+      expiresAt: deadline,
+      'patientInfo.requiredBy': deadline,
+      urgencyLevel: req.body.urgencyLevel,
+      unitsNeeded: req.body.unitsNeeded,
+      'location.searchRadius': req.body.location?.searchRadius
+    }, {
+      actor: req.user._id,
+      reason: 'Automatic alert approved'
+    });
+
+    // Only one approval or rejection wins
+    alert.$where = { status: 'pending_approval' };
+    try {
+      await alert.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        return res.status(409).json({ message: 'Alert was already approved or rejected' });
+      }
+      throw error;
+    }
+
+    const { wave, notificationResults } = await autoAlerts.mobilize(req.hospital, alert);
+
+    res.json({
+      message: 'Alert approved and donors are being contacted',
+      alert: alert.toObject(),
+      notificationResults,
+      donorsNotified: wave.donorsNotified
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reject an automatic alert held for review
+router.put('/:alertId/reject', requireVerifiedHospital, [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.alertId, hospital: req.hospital._id, status: 'pending_approval' },
+      {
+        $set: { status: 'cancelled', isActive: false, lastModifiedBy: req.user._id },
+        $push: {
+          revisions: {
+            changes: [{ field: 'status', from: 'pending_approval', to: 'cancelled' }],
+            reason: req.body.reason || 'Automatic alert rejected',
+            changedBy: req.user._id,
+            changedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!alert) {
+      const exists = await Alert.exists({ _id: req.params.alertId, hospital: req.hospital._id });
+      return exists
+        ? res.status(400).json({ message: 'Only alerts awaiting approval can be rejected' })
+        : res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const io = req.app.get('io');
+    io.to(`hospital-${req.hospital._id}`).emit('alert-status-updated', {
+      alertId: alert._id,
+      oldStatus: 'pending_approval',
+      newStatus: 'cancelled',
+      reason: req.body.reason || 'Automatic alert rejected'
+    });
+
+    res.json({
+      message: 'Alert rejected',
       alert: alert.toObject()
     });
   } catch (error) {
@@ -212,7 +437,12 @@ router.put('/:alertId/extend', requireVerifiedHospital, [
     }
 
     const oldExpiry = alert.expiresAt;
-    alert.extendExpiry(req.body.hours);
+    alert.revise({
+      expiresAt: new Date(oldExpiry.getTime() + req.body.hours * 60 * 60 * 1000)
+    }, {
+      actor: req.user._id,
+      reason: `Extended by ${req.body.hours} hours`
+    });
     await alert.save();
 
     res.json({
@@ -250,22 +480,25 @@ router.post('/:alertId/share', requireVerifiedHospital, [
       return res.status(400).json({ message: 'Alert sharing is not allowed' });
     }
 
+    if (alert.status === 'pending_approval') {
+      return res.status(400).json({ message: 'Approve the alert before sharing it' });
+    }
+
     const { hospitalIds, message } = req.body;
     const results = [];
 
     for (const hospitalId of hospitalIds) {
-      // Check if hospital is a partner
-      const isPartner = req.hospital.partnerships.some(p => 
-        p.hospitalId.toString() === hospitalId && 
-        p.status === 'active' &&
-        ['blood_sharing', 'emergency_backup'].includes(p.type)
-      );
+      // Check the agreement with this hospital covers the shortage
+      const partnership = await Partnership.findBetween(req.hospital._id, hospitalId, ['active']);
+      const notCovered = partnership
+        ? partnership.checkSharing({ bloodType: alert.bloodType })
+        : 'Hospital is not a partner';
 
-      if (!isPartner) {
+      if (notCovered) {
         results.push({
           hospitalId,
           success: false,
-          reason: 'Hospital is not a partner'
+          reason: notCovered
         });
         continue;
       }
@@ -298,6 +531,14 @@ router.post('/:alertId/share', requireVerifiedHospital, [
         message
       });
 
+      await notificationService.notifyHospital(hospitalId, {
+        type: 'alert_shared',
+        title: `${alert.bloodType} shortage shared with you`,
+        message: `${req.hospital.basicInfo.name} needs ${alert.unitsNeeded} units${message ? `: ${message}` : ''}`,
+        link: '/hospital/alerts',
+        alert: alert._id
+      });
+
       results.push({
         hospitalId,
         success: true
@@ -318,7 +559,7 @@ router.post('/:alertId/share', requireVerifiedHospital, [
 // Respond to shared alert
 router.post('/:alertId/respond-share', requireVerifiedHospital, [
   body('response').isIn(['accepted', 'declined', 'partially_fulfilled']),
-  body('unitsPromised').optional().isNumeric().isInt({ min: 0 }),
+  body('unitsPromised').optional().isNumeric().isInt({ min: 0 }).toInt(),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -345,6 +586,22 @@ router.post('/:alertId/respond-share', requireVerifiedHospital, [
       return res.status(400).json({ message: 'You have already responded to this alert' });
     }
 
+    // Promised units must fit the agreement as it stands now, not when the alert was shared
+    if (req.body.response !== 'declined' && req.body.unitsPromised > 0) {
+      const partnership = await Partnership.findBetween(alert.hospital, req.hospital._id, ['active']);
+      const notCovered = partnership
+        ? partnership.checkSharing({ bloodType: alert.bloodType, units: req.body.unitsPromised })
+        : 'Your hospital no longer has an active partnership with the requesting hospital';
+      if (notCovered) {
+        return res.status(400).json({ message: notCovered });
+      }
+
+      const untracked = checkTransferableStock(req.hospital, alert.component);
+      if (untracked) {
+        return res.status(400).json({ message: untracked });
+      }
+    }
+
     // Update response
     sharingEntry.response = req.body.response;
     sharingEntry.unitsPromised = req.body.unitsPromised || 0;
@@ -352,6 +609,13 @@ router.post('/:alertId/respond-share', requireVerifiedHospital, [
 
     await alert.save();
 
+    // Promised units travel as a transfer the requesting hospital approves
+    let transfer = null;
+    if (req.body.response !== 'declined' && sharingEntry.unitsPromised > 0) {
+      transfer = await createTransferFromShare(alert, req.hospital, sharingEntry.unitsPromised, req.user._id);
+      await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+    }
+
     // Notify original hospital
     const io = req.app.get('io');
     io.to(`hospital-${alert.hospital}`).emit('share-response', {
@@ -361,13 +625,23 @@ router.post('/:alertId/respond-share', requireVerifiedHospital, [
       unitsPromised: req.body.unitsPromised
     });
 
+    await notificationService.notifyHospital(alert.hospital, {
+      type: 'share_response',
+      title: `${req.hospital.basicInfo.name} ${req.body.response.replace('_', ' ')} your request`,
+      message: `${req.body.unitsPromised || 0} ${alert.bloodType} units promised`,
+      link: '/hospital/alerts',
+      alert: alert._id,
+      data: { response: req.body.response, unitsPromised: req.body.unitsPromised }
+    });
+
     res.json({
       message: 'Response recorded successfully',
       response: {
         alert: alert._id,
         response: req.body.response,
         unitsPromised: req.body.unitsPromised
-      }
+      },
+      transfer
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -412,67 +686,4 @@ router.get('/shared/received', requireVerifiedHospital, async (req, res) => {
   }
 });
 
-// Helper function to find eligible donors
-async function findEligibleDonors(alert) {
-  try {
-    // Blood type compatibility mapping
-    const compatibleDonorTypes = {
-      'A+': ['A+', 'A-', 'O+', 'O-'],
-      'A-': ['A-', 'O-'],
-      'B+': ['B+', 'B-', 'O+', 'O-'],
-      'B-': ['B-', 'O-'],
-      'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-      'AB-': ['A-', 'B-', 'AB-', 'O-'],
-      'O+': ['O+', 'O-'],
-      'O-': ['O-']
-    };
-
-    const eligibleBloodTypes = compatibleDonorTypes[alert.bloodType] || [];
-
-    // Find donors within search radius
-    const donors = await Donor.find({
-      'medicalInfo.bloodGroup': { $in: eligibleBloodTypes },
-      'eligibility.isEligible': true,
-      'verificationStatus': 'verified',
-      'isActive': true,
-      'location.coordinates': {
-        $near: {
-          $geometry: alert.location.coordinates,
-          $maxDistance: alert.location.searchRadius * 1000 // Convert km to meters
-        }
-      }
-    }).populate('user', 'email');
-
-    // Filter by individual donor preferences and eligibility
-    const eligibleDonors = [];
-    
-    for (const donor of donors) {
-      // Check individual eligibility
-      const eligibility = donor.checkEligibility();
-      if (!eligibility.eligible) continue;
-
-      // Check if donor's max travel distance includes this location
-      // This is a simplified check - in production, you'd calculate actual distance
-      if (donor.preferences.maxTravelDistance < alert.location.searchRadius) continue;
-
-      // Check if donor hasn't already responded to this alert
-      const hasResponded = await Alert.exists({
-        _id: alert._id,
-        'responses.donor': donor._id
-      });
-      if (hasResponded) continue;
-
-      // Check emergency-only preference
-      if (donor.preferences.emergencyOnly && alert.urgencyLevel !== 'critical') continue;
-
-      eligibleDonors.push(donor);
-    }
-
-    return eligibleDonors;
-  } catch (error) {
-    console.error('Error finding eligible donors:', error);
-    return [];
-  }
-}
-
 module.exports = router;
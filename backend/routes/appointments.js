@@ -0,0 +1,667 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const DonationSlot = require('../models/DonationSlot');
+const Alert = require('../models/Alert');
+const Donor = require('../models/Donor');
+const Hospital = require('../models/Hospital');
+const notificationService = require('../services/notificationService');
+const { checkInDonor, broadcastCheckIn } = require('../services/checkIn');
+const { DONATION_TYPES, getDonationTypesForComponent } = require('../services/donationRules');
+const { authorize, requireVerifiedHospital, requireVerifiedDonor } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_GENERATE_DAYS = 31;
+const OPEN_ALERT_STATUSES = ['active', 'partially_fulfilled'];
+
+// Create slots from the blood bank's operating hours
+router.post('/slots/generate', requireVerifiedHospital, [
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  body('slotMinutes').optional().isInt({ min: 15, max: 240 }),
+  body('chairs').isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const from = new Date(Math.max(new Date(req.body.from).getTime(), Date.now()));
+    const to = new Date(req.body.to);
+
+    if (to <= from) {
+      return res.status(400).json({ message: 'The end date must be after the start date and in the future' });
+    }
+    if (to - from > MAX_GENERATE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `Slots can be generated for at most ${MAX_GENERATE_DAYS} days at a time` });
+    }
+
+    const operatingHours = hospital.bloodBank?.operatingHours;
+    if (!operatingHours?.is24x7 && !operatingHours?.weekdays?.open && !operatingHours?.weekends?.open) {
+      return res.status(400).json({ message: 'Set blood bank operating hours before generating slots' });
+    }
+
+    const created = await DonationSlot.generateFromOperatingHours(hospital, {
+      from,
+      to,
+      slotMinutes: req.body.slotMinutes || 30,
+      capacity: req.body.chairs,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: `${created} slot(s) created`,
+      created
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a single slot outside the regular pattern
+router.post('/slots', requireVerifiedHospital, [
+  body('startTime').isISO8601(),
+  body('endTime').isISO8601(),
+  body('chairs').isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+    if (startTime <= new Date() || endTime <= startTime) {
+      return res.status(400).json({ message: 'Slots must start in the future and end after they start' });
+    }
+
+    const overlapping = await DonationSlot.exists({
+      hospital: req.hospital._id,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    });
+    if (overlapping) {
+      return res.status(409).json({ message: 'This slot overlaps an existing slot' });
+    }
+
+    const slot = await DonationSlot.create({
+      hospital: req.hospital._id,
+      startTime,
+      endTime,
+      capacity: req.body.chairs,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Slot created successfully',
+      slot
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get nearby hospitals with bookable slots for a general donation
+router.get('/hospitals', requireVerifiedDonor, async (req, res) => {
+  try {
+    const donor = req.donor;
+    const now = new Date();
+
+    const hospitalIds = await DonationSlot.distinct('hospital', {
+      status: 'open',
+      startTime: { $gt: now, $lte: new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000) },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    });
+
+    const hospitals = await Hospital.find({
+      _id: { $in: hospitalIds },
+      verificationStatus: 'verified',
+      isActive: true,
+      'location.coordinates': {
+        $near: {
+          $geometry: donor.location.coordinates,
+          $maxDistance: donor.preferences.maxTravelDistance * 1000 // Convert km to meters
+        }
+      }
+    })
+    .select('basicInfo.name location.address contactInfo.primaryPhone bloodBank.operatingHours')
+    .limit(20);
+
+    res.json({ hospitals });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get slots: a hospital sees its own, a donor sees bookable slots at a hospital
+router.get('/slots', authorize('donor', 'hospital', 'blood_bank'), [
+  query('hospitalId').optional().isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const filter = { startTime: { $gte: from, $lte: to } };
+    if (req.user.role === 'donor') {
+      if (!req.query.hospitalId) {
+        return res.status(400).json({ message: 'hospitalId is required' });
+      }
+      filter.hospital = req.query.hospitalId;
+      filter.status = 'open';
+      filter.startTime.$gte = new Date(Math.max(from.getTime(), Date.now()));
+      filter.$expr = { $lt: ['$booked', '$capacity'] };
+    } else {
+      const hospital = await Hospital.findOne({ user: req.user._id }).select('_id');
+      if (!hospital) {
+        return res.status(404).json({ message: 'Hospital profile not found' });
+      }
+      filter.hospital = hospital._id;
+    }
+
+    const slots = await DonationSlot.find(filter).sort({ startTime: 1 });
+
+    res.json({ slots });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a slot's chairs or open/close it
+router.put('/slots/:slotId', requireVerifiedHospital, [
+  body('chairs').optional().isInt({ min: 1, max: 50 }),
+  body('status').optional().isIn(['open', 'closed'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await DonationSlot.findOne({ _id: req.params.slotId, hospital: req.hospital._id });
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    if (req.body.chairs !== undefined) {
+      // Never strand donors who already booked
+      if (req.body.chairs < slot.booked) {
+        return res.status(409).json({ message: `${slot.booked} donor(s) are booked into this slot` });
+      }
+      slot.capacity = req.body.chairs;
+    }
+    if (req.body.status) slot.status = req.body.status;
+
+    await slot.save();
+
+    res.json({
+      message: 'Slot updated successfully',
+      slot
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete an unbooked slot
+router.delete('/slots/:slotId', requireVerifiedHospital, async (req, res) => {
+  try {
+    const result = await DonationSlot.deleteOne({ _id: req.params.slotId, hospital: req.hospital._id, booked: 0 });
+    if (result.deletedCount === 0) {
+      const exists = await DonationSlot.exists({ _id: req.params.slotId, hospital: req.hospital._id });
+      return exists
+        ? res.status(409).json({ message: 'Slots with bookings cannot be deleted; close the slot instead' })
+        : res.status(404).json({ message: 'Slot not found' });
+    }
+
+    res.json({ message: 'Slot deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get appointments for the calendar: a donor's own bookings or a hospital's schedule
+router.get('/', authorize('donor', 'hospital', 'blood_bank'), [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('status').optional().isIn(['booked', 'checked_in', 'completed', 'cancelled', 'no_show'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    const { profile, isDonor } = await findProfile(req);
+    if (!profile) {
+      return res.status(404).json({ message: `${isDonor ? 'Donor' : 'Hospital'} profile not found` });
+    }
+    filter[isDonor ? 'donor' : 'hospital'] = profile._id;
+
+    if (req.query.from || req.query.to) {
+      filter.scheduledAt = {};
+      if (req.query.from) filter.scheduledAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.scheduledAt.$lte = new Date(req.query.to);
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const appointments = await Appointment.find(filter)
+      .sort({ scheduledAt: 1 })
+      .limit(500)
+      .populate(isDonor ? 'hospital' : 'donor', isDonor
+        ? 'basicInfo.name location.address contactInfo.primaryPhone'
+        : 'personalInfo.firstName personalInfo.lastName personalInfo.phone medicalInfo.bloodGroup')
+      .populate('alert', 'bloodType urgencyLevel status');
+
+    res.json({ appointments });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Book a slot, optionally for a specific alert
+router.post('/', requireVerifiedDonor, [
+  body('slotId').isMongoId(),
+  body('alertId').optional().isMongoId(),
+  body('donationType').optional().isIn(DONATION_TYPES),
+  body('notes').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = req.donor;
+    const slot = await DonationSlot.findById(req.body.slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    let alert = null;
+    if (req.body.alertId) {
+      alert = await Alert.findById(req.body.alertId);
+      if (!alert || !alert.hospital.equals(slot.hospital)) {
+        return res.status(404).json({ message: 'Alert not found at this hospital' });
+      }
+    }
+
+    const donationType = req.body.donationType || defaultDonationType(donor, slot, alert);
+    const problem = await checkBooking(donor, slot, alert, donationType);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+
+    const claimed = await DonationSlot.claim(slot._id);
+    if (!claimed) {
+      return res.status(409).json({ message: 'This slot is no longer available' });
+    }
+
+    let appointment;
+    try {
+      appointment = new Appointment({
+        donor: donor._id,
+        hospital: slot.hospital,
+        slot: slot._id,
+        alert: alert?._id,
+        donationType,
+        scheduledAt: slot.startTime,
+        endsAt: slot.endTime,
+        notes: req.body.notes
+      });
+      appointment.record('booked', req.user._id);
+      await appointment.save();
+    } catch (error) {
+      await DonationSlot.release(slot._id);
+      throw error;
+    }
+
+    await followUpBooking(req, appointment, donor, alert, 'booked');
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Move a booking to another slot at the same hospital
+router.put('/:appointmentId/reschedule', requireVerifiedDonor, [
+  body('slotId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = req.donor;
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, donor: donor._id });
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({ message: `Cannot reschedule a ${appointment.status.replace('_', ' ')} appointment` });
+    }
+
+    const slot = await DonationSlot.findOne({ _id: req.body.slotId, hospital: appointment.hospital });
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found at this hospital' });
+    }
+    if (slot._id.equals(appointment.slot)) {
+      return res.status(400).json({ message: 'The appointment is already in this slot' });
+    }
+
+    const alert = appointment.alert ? await Alert.findById(appointment.alert) : null;
+    const problem = await checkBooking(donor, slot, alert, appointment.donationType, appointment._id);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+
+    const claimed = await DonationSlot.claim(slot._id);
+    if (!claimed) {
+      return res.status(409).json({ message: 'This slot is no longer available' });
+    }
+    await DonationSlot.release(appointment.slot);
+
+    appointment.record('rescheduled', req.user._id, { fromTime: appointment.scheduledAt });
+    appointment.slot = slot._id;
+    appointment.scheduledAt = slot.startTime;
+    appointment.endsAt = slot.endTime;
+    appointment.reminderSentAt = undefined;
+    await appointment.save();
+
+    await followUpBooking(req, appointment, donor, alert, 'rescheduled');
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cancel a booking; either the donor or the hospital can cancel
+router.put('/:appointmentId/cancel', authorize('donor', 'hospital', 'blood_bank'), [
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { profile, isDonor } = await findProfile(req);
+    if (!profile) {
+      return res.status(404).json({ message: `${isDonor ? 'Donor' : 'Hospital'} profile not found` });
+    }
+
+    // Conditional update so a concurrent check-in or cancel wins cleanly
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: req.params.appointmentId, [isDonor ? 'donor' : 'hospital']: profile._id, status: 'booked' },
+      {
+        $set: { status: 'cancelled', cancellationReason: req.body.reason },
+        $push: { history: { action: 'cancelled', by: req.user._id, at: new Date(), reason: req.body.reason } }
+      },
+      { new: true }
+    );
+    if (!appointment) {
+      return res.status(404).json({ message: 'No booked appointment found' });
+    }
+
+    await DonationSlot.release(appointment.slot);
+
+    // Drop the slot from the alert response so arrival reminders take over again
+    if (appointment.alert) {
+      await Alert.updateOne(
+        { _id: appointment.alert, 'responses.appointment': appointment._id },
+        { $unset: { 'responses.$.appointment': 1, 'responses.$.estimatedArrival': 1 } }
+      );
+    }
+
+    const donor = isDonor ? profile : await Donor.findById(appointment.donor);
+    await announce(req, appointment, donor, 'cancelled');
+
+    res.json({
+      message: 'Appointment cancelled successfully',
+      appointment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Check a donor in when they arrive
+router.put('/:appointmentId/check-in', requireVerifiedHospital, async (req, res) => {
+  try {
+    const booked = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      hospital: req.hospital._id,
+      status: 'booked'
+    });
+    if (!booked) {
+      return res.status(404).json({ message: 'No booked appointment found' });
+    }
+
+    const donor = await Donor.findById(booked.donor);
+    const result = await checkInDonor({
+      hospital: req.hospital,
+      donor,
+      appointmentId: booked._id,
+      method: 'appointment',
+      user: req.user
+    });
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    await announce(req, result.appointment, donor, 'checked_in');
+    try {
+      await broadcastCheckIn(req.app.get('io'), result.checkIn, 'arrived');
+    } catch (error) {
+      console.error(`Failed to broadcast check-in ${result.checkIn._id}:`, error.message);
+    }
+
+    res.json({
+      message: 'Donor checked in successfully',
+      appointment: result.appointment,
+      checkIn: result.checkIn
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark a donor who never arrived
+router.put('/:appointmentId/no-show', requireVerifiedHospital, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOneAndUpdate(
+      {
+        _id: req.params.appointmentId,
+        hospital: req.hospital._id,
+        status: 'booked',
+        scheduledAt: { $lte: new Date() }
+      },
+      {
+        $set: { status: 'no_show' },
+        $push: { history: { action: 'no_show', by: req.user._id, at: new Date() } }
+      },
+      { new: true }
+    );
+    if (!appointment) {
+      return res.status(404).json({ message: 'No past booked appointment found' });
+    }
+
+    res.json({
+      message: 'Appointment marked as no-show',
+      appointment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Helper function to load the requesting donor or hospital profile
+async function findProfile(req) {
+  const isDonor = req.user.role === 'donor';
+  const profile = isDonor
+    ? await Donor.findOne({ user: req.user._id })
+    : await Hospital.findOne({ user: req.user._id });
+
+  return { profile, isDonor };
+}
+
+// Helper function picking the donation type for a booking that did not name one
+function defaultDonationType(donor, slot, alert) {
+  if (!alert) return 'whole_blood';
+
+  // The first type that supplies the alert's component and the donor can give on the day
+  const donationTypes = getDonationTypesForComponent(alert.component);
+  return donor.checkEligibilityForAny(donationTypes, slot.startTime).donationType || donationTypes[0];
+}
+
+// Helper function returning why a donor cannot give this donation type in a slot, or null
+async function checkBooking(donor, slot, alert, donationType, excludeAppointmentId) {
+  if (slot.status !== 'open' || slot.startTime <= new Date()) {
+    return { status: 400, message: 'This slot is not open for booking' };
+  }
+
+  if (alert) {
+    const alertEligibility = Alert.checkDonorEligibility(donor, alert, slot.startTime);
+    if (!alertEligibility.eligible) {
+      return { status: 400, message: `Not eligible on this date: ${alertEligibility.reason}` };
+    }
+    if (!getDonationTypesForComponent(alert.component).includes(donationType)) {
+      return { status: 400, message: `A ${donationType.replace('_', ' ')} donation does not supply what this alert needs` };
+    }
+  }
+
+  const eligibility = donor.checkEligibility(slot.startTime, donationType);
+  if (!eligibility.eligible) {
+    return { status: 400, message: `Not eligible on this date: ${eligibility.reason}` };
+  }
+
+  if (alert) {
+    if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+      return { status: 400, message: 'Alert is no longer active' };
+    }
+    if (slot.startTime > alert.expiresAt) {
+      return { status: 400, message: 'This slot is after the alert expires' };
+    }
+
+    const existingQuery = {
+      donor: donor._id,
+      alert: alert._id,
+      status: { $in: Appointment.ACTIVE_STATUSES }
+    };
+    if (excludeAppointmentId) existingQuery._id = { $ne: excludeAppointmentId };
+
+    const existing = await Appointment.findOne(existingQuery);
+    if (existing) {
+      return { status: 409, message: 'You already have an appointment for this alert' };
+    }
+  }
+
+  const conflict = await Appointment.findConflict(donor._id, slot.startTime, slot.endTime, excludeAppointmentId);
+  if (conflict) {
+    return { status: 409, message: `You already have an appointment at ${conflict.scheduledAt.toLocaleString()}` };
+  }
+
+  return null;
+}
+
+// Helper function recording the booking as the donor's commitment to the alert
+async function commitToAlert(alert, donor, appointment, email) {
+  const response = alert.responses.find(r => r.donor.equals(donor._id));
+
+  if (response) {
+    response.responseType = 'committed';
+    response.estimatedArrival = appointment.scheduledAt;
+    response.appointment = appointment._id;
+  } else {
+    alert.addResponse(donor._id, 'committed', {
+      donor: donor._id,
+      responseType: 'committed',
+      estimatedArrival: appointment.scheduledAt,
+      appointment: appointment._id,
+      contactInfo: {
+        phone: donor.personalInfo.phone,
+        email
+      }
+    });
+  }
+
+  await alert.save();
+}
+
+// Helper function for the steps after a booking is saved; failures are logged so they never undo it
+async function followUpBooking(req, appointment, donor, alert, action) {
+  if (alert) {
+    try {
+      await commitToAlert(alert, donor, appointment, req.user.email);
+    } catch (error) {
+      console.error(`Failed to record appointment ${appointment._id} against alert ${alert._id}:`, error.message);
+    }
+  }
+
+  await announce(req, appointment, donor, action);
+}
+
+// Helper function telling the other party and the hospital dashboard about a change.
+// The change is already saved, so failures are logged rather than failing the request.
+async function announce(req, appointment, donor, action) {
+  try {
+    await sendAnnouncement(req, appointment, donor, action);
+  } catch (error) {
+    console.error(`Failed to announce appointment ${appointment._id}:`, error.message);
+  }
+}
+
+async function sendAnnouncement(req, appointment, donor, action) {
+  const donorName = `${donor.personalInfo.firstName} ${donor.personalInfo.lastName}`;
+  const when = appointment.scheduledAt.toLocaleString();
+
+  const io = req.app.get('io');
+  io.to(`hospital-${appointment.hospital}`).emit('appointment-updated', {
+    action,
+    appointment: appointment.toObject(),
+    donorName,
+    donorBloodType: donor.medicalInfo.bloodGroup
+  });
+
+  if (req.user.role === 'donor') {
+    await notificationService.notifyHospital(appointment.hospital, {
+      type: 'appointment_update',
+      title: `Appointment ${action}`,
+      message: `${donorName} (${donor.medicalInfo.bloodGroup}) ${action} an appointment for ${when}`,
+      link: '/hospital/appointments',
+      alert: appointment.alert,
+      data: { appointmentId: appointment._id, action }
+    });
+  } else if (action !== 'checked_in') {
+    await notificationService.notifyInApp(donor.user, 'donor', {
+      type: 'appointment_update',
+      title: `Appointment ${action}`,
+      message: `Your donation appointment for ${when} was ${action} by the hospital${appointment.cancellationReason ? `: ${appointment.cancellationReason}` : ''}`,
+      link: '/donor/appointments',
+      alert: appointment.alert,
+      data: { appointmentId: appointment._id, action }
+    });
+  }
+}
+
+module.exports = router;
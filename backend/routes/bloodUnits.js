@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const BloodUnit = require('../models/BloodUnit');
+const autoAlerts = require('../services/autoAlerts');
+const { requireVerifiedHospital } = require('../middleware/auth');
+const { BLOOD_TYPES, COMPONENTS } = require('../services/bloodCompatibility');
+
+const router = express.Router();
+
+const STATUSES = ['quarantined', 'available', 'reserved', 'issued', 'discarded'];
+
+// Get blood units
+router.get('/', requireVerifiedHospital, [
+  query('status').optional().isIn(STATUSES),
+  query('bloodType').optional().isIn(BLOOD_TYPES),
+  query('component').optional().isIn(COMPONENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, bloodType, component, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const filter = { hospital: req.hospital._id };
+    if (status) filter.status = status;
+    if (bloodType) filter.bloodType = bloodType;
+    if (component) filter.component = component;
+
+    const units = await BloodUnit.find(filter)
+      .sort({ expiryDate: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-statusHistory');
+
+    const total = await BloodUnit.countDocuments(filter);
+
+    res.json({
+      units,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Switch the hospital's counters to be derived from unit records, or back to manual counts.
+// Counters with more stock than the recorded bags are only replaced once the recount is confirmed.
+router.put('/tracking', requireVerifiedHospital, [
+  body('enabled').isBoolean(),
+  body('confirmRecount').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+
+    if (!req.body.enabled) {
+      // Counters keep their last derived values and become manually maintained again
+      hospital.inventory.unitTracking = false;
+      await hospital.save();
+      return res.json({ message: 'Unit tracking disabled', unitTracking: false });
+    }
+
+    if (hospital.inventory.unitTracking) {
+      return res.json({ message: 'Unit tracking is already enabled', unitTracking: true });
+    }
+
+    const { bloodUnits } = await BloodUnit.countHospitalStock(hospital._id);
+    const discrepancies = BLOOD_TYPES
+      .map(bloodType => ({
+        bloodType,
+        counted: hospital.inventory.bloodUnits[bloodType].available,
+        recorded: bloodUnits[bloodType]?.available || 0
+      }))
+      .filter(entry => entry.counted > entry.recorded);
+
+    if (discrepancies.length > 0 && !req.body.confirmRecount) {
+      return res.status(409).json({
+        message: 'Some counted stock has no bag records yet. Receive those bags first, or confirm the recount to replace the counters with recorded bags.',
+        discrepancies
+      });
+    }
+
+    hospital.inventory.unitTracking = true;
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: 'Unit tracking enabled'
+    });
+
+    emitUnitsUpdated(req, hospital, []);
+
+    res.json({
+      message: 'Unit tracking enabled',
+      unitTracking: true,
+      inventory: hospital.inventory.bloodUnits,
+      discrepancies
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get units expiring soon
+router.get('/expiring', requireVerifiedHospital, [
+  query('days').optional().isInt({ min: 0, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 3;
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const units = await BloodUnit.find({
+      hospital: req.hospital._id,
+      status: { $in: ['quarantined', 'available', 'reserved'] },
+      expiryDate: { $lte: horizon }
+    })
+    .sort({ expiryDate: 1 })
+    .select('-statusHistory');
+
+    const expired = units.filter(unit => unit.expiryDate <= now);
+    const expiring = units.filter(unit => unit.expiryDate > now);
+
+    // Summarise by blood type and component
+    const summary = {};
+    expiring.forEach(unit => {
+      const key = `${unit.bloodType}:${unit.component}`;
+      if (!summary[key]) {
+        summary[key] = { bloodType: unit.bloodType, component: unit.component, count: 0, firstExpiry: unit.expiryDate };
+      }
+      summary[key].count++;
+    });
+
+    res.json({
+      days,
+      expiring,
+      expired,
+      summary: Object.values(summary)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a single blood unit with its status history
+router.get('/:unitId', requireVerifiedHospital, async (req, res) => {
+  try {
+    const unit = await BloodUnit.findOne({
+      _id: req.params.unitId,
+      hospital: req.hospital._id
+    })
+    .populate('statusHistory.changedBy', 'email')
+    .populate('donor', 'personalInfo.firstName personalInfo.lastName');
+
+    if (!unit) {
+      return res.status(404).json({ message: 'Blood unit not found' });
+    }
+
+    res.json({ unit });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Receive a new blood bag into inventory
+router.post('/', requireVerifiedHospital, [
+  body('bagId').trim().isLength({ min: 3, max: 40 }),
+  body('bloodType').isIn(BLOOD_TYPES),
+  body('component').optional().isIn(COMPONENTS),
+  body('volume').optional().isNumeric().isInt({ min: 10, max: 1000 }),
+  body('collectionDate').optional().isISO8601(),
+  body('expiryDate').optional().isISO8601(),
+  body('storageLocation').optional().trim(),
+  body('status').optional().isIn(['quarantined', 'available'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+
+    const unit = new BloodUnit({
+      hospital: hospital._id,
+      bagId: req.body.bagId,
+      bloodType: req.body.bloodType,
+      component: req.body.component,
+      volume: req.body.volume,
+      collectionDate: req.body.collectionDate,
+      expiryDate: req.body.expiryDate,
+      storageLocation: req.body.storageLocation,
+      status: req.body.status
+    });
+    unit.statusHistory.push({ status: unit.status, changedBy: req.user._id, reason: 'Unit received' });
+
+    await unit.validate();
+    if (unit.expiryDate <= new Date()) {
+      return res.status(400).json({ message: 'Cannot receive a unit that has already expired' });
+    }
+
+    await unit.save();
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: `Unit ${unit.bagId} received`,
+      reference: { kind: 'BloodUnit', item: unit._id }
+    });
+
+    emitUnitsUpdated(req, hospital, [unit]);
+
+    res.status(201).json({
+      message: 'Blood unit received successfully',
+      unit
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A unit with this bag ID already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Issue units first-expiring-first-out
+router.post('/issue', requireVerifiedHospital, [
+  body('bloodType').isIn(BLOOD_TYPES),
+  body('component').isIn(COMPONENTS),
+  body('quantity').isNumeric().isInt({ min: 1, max: 50 }),
+  body('issuedTo.destination').trim().isLength({ min: 2 }),
+  body('issuedTo.reference').optional().trim(),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const { bloodType, component, quantity, issuedTo, reason } = req.body;
+
+    const { issued, shortfall } = await BloodUnit.issueFEFO(hospital._id, {
+      bloodType,
+      component,
+      quantity,
+      issuedTo,
+      actor: req.user._id,
+      reason
+    });
+
+    if (shortfall > 0) {
+      return res.status(409).json({
+        message: `Insufficient ${bloodType} ${component} units: ${quantity - shortfall} available, ${quantity} requested`,
+        available: quantity - shortfall
+      });
+    }
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: reason || `Issued to ${issuedTo.destination}`
+    });
+
+    emitUnitsUpdated(req, hospital, issued);
+
+    res.json({
+      message: `${issued.length} unit(s) issued`,
+      units: issued.map(unit => ({
+        id: unit._id,
+        bagId: unit.bagId,
+        expiryDate: unit.expiryDate,
+        storageLocation: unit.storageLocation
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update unit status (release from quarantine, discard); holds go through /api/inventory/reservations
+router.put('/:unitId/status', requireVerifiedHospital, [
+  body('status').isIn(['available', 'discarded']),
+  body('reason')
+    .if(body('status').equals('discarded'))
+    .trim()
+    .isLength({ min: 3 })
+    .withMessage('A reason is required to discard a unit'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const unit = await BloodUnit.findOne({
+      _id: req.params.unitId,
+      hospital: hospital._id
+    });
+
+    if (!unit) {
+      return res.status(404).json({ message: 'Blood unit not found' });
+    }
+
+    if (unit.reservation) {
+      return res.status(409).json({
+        message: `Unit ${unit.bagId} is held by a reservation. Release or issue it through the reservation.`,
+        reservation: unit.reservation
+      });
+    }
+
+    const oldStatus = unit.status;
+    try {
+      unit.transition(req.body.status, { actor: req.user._id, reason: req.body.reason });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
+    await unit.save();
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: req.body.reason || `Unit ${unit.bagId} ${oldStatus} -> ${unit.status}`,
+      reference: { kind: 'BloodUnit', item: unit._id }
+    });
+
+    emitUnitsUpdated(req, hospital, [unit]);
+
+    res.json({
+      message: 'Blood unit status updated',
+      unit
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Move a unit to a different storage location
+router.put('/:unitId/location', requireVerifiedHospital, [
+  body('storageLocation').trim().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unit = await BloodUnit.findOneAndUpdate(
+      { _id: req.params.unitId, hospital: req.hospital._id },
+      { storageLocation: req.body.storageLocation },
+      { new: true }
+    );
+
+    if (!unit) {
+      return res.status(404).json({ message: 'Blood unit not found' });
+    }
+
+    res.json({
+      message: 'Storage location updated',
+      unit
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Helper function to broadcast unit changes to the hospital room and check the auto-alert policy
+function emitUnitsUpdated(req, hospital, units) {
+  const io = req.app.get('io');
+  io.to(`hospital-${hospital._id}`).emit('units-updated', {
+    units: units.map(unit => ({
+      id: unit._id,
+      bagId: unit.bagId,
+      bloodType: unit.bloodType,
+      component: unit.component,
+      status: unit.status
+    })),
+    inventory: hospital.inventory.bloodUnits,
+    components: hospital.inventory.components,
+    timestamp: new Date()
+  });
+  autoAlerts.queueEvaluation(hospital);
+}
+
+module.exports = router;
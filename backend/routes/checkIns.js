@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const CheckIn = require('../models/CheckIn');
+const Donor = require('../models/Donor');
+const {
+  DONOR_FIELDS,
+  findVisitByCode,
+  findVisitsByPhone,
+  checkInDonor,
+  closeVisit,
+  broadcastCheckIn
+} = require('../services/checkIn');
+const { requireVerifiedHospital } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireVerifiedHospital);
+
+// Screening checklist and vital sign limits for the desk form
+router.get('/screening', (req, res) => {
+  res.json({
+    checklist: CheckIn.SCREENING_CHECKLIST,
+    vitalLimits: CheckIn.VITAL_LIMITS
+  });
+});
+
+// Find an arriving donor by scanned check-in code or phone number
+router.get('/lookup', [
+  query('code').optional().trim().isLength({ min: 4, max: 20 }),
+  query('phone').optional().trim().isLength({ min: 7, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.query.code && !req.query.phone) {
+      return res.status(400).json({ message: 'Provide a check-in code or phone number' });
+    }
+
+    let matches;
+    if (req.query.code) {
+      const match = await findVisitByCode(req.hospital._id, req.query.code);
+      if (!match) {
+        return res.status(404).json({ message: 'No upcoming visit found for this code' });
+      }
+      matches = [match];
+    } else {
+      matches = await findVisitsByPhone(req.hospital._id, req.query.phone);
+    }
+
+    res.json({
+      matches: matches.map(({ donor, visits }) => ({
+        donor,
+        visits,
+        eligibility: donor.checkEligibility()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the hospital's check-ins for a day, today by default
+router.get('/', [
+  query('date').optional().isISO8601(),
+  query('status').optional().isIn(['arrived', 'cleared', 'deferred', 'donated', 'left'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const from = req.query.date ? new Date(req.query.date) : new Date();
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+    const filter = { hospital: req.hospital._id, arrivedAt: { $gte: from, $lt: to } };
+    if (req.query.status) filter.status = req.query.status;
+
+    const checkIns = await CheckIn.find(filter)
+      .sort({ arrivedAt: -1 })
+      .populate('donor', DONOR_FIELDS)
+      .populate('alert', 'bloodType urgencyLevel status')
+      .populate('appointment', 'scheduledAt');
+
+    res.json({ checkIns });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Check a donor in, stamping their arrival on the appointment and alert response
+router.post('/', [
+  body('donorId').isMongoId(),
+  body('appointmentId').optional().isMongoId(),
+  body('alertId').optional().isMongoId(),
+  body('method').isIn(['qr_code', 'phone', 'walk_in'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await Donor.findById(req.body.donorId);
+    if (!donor || !donor.isActive) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const result = await checkInDonor({
+      hospital: req.hospital,
+      donor,
+      appointmentId: req.body.appointmentId,
+      alertId: req.body.alertId,
+      method: req.body.method,
+      user: req.user
+    });
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message, checkIn: result.checkIn });
+    }
+
+    await broadcastCheckIn(req.app.get('io'), result.checkIn, 'arrived');
+
+    res.status(201).json({
+      message: 'Donor checked in successfully',
+      checkIn: result.checkIn,
+      eligibility: donor.checkEligibility()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Record the pre-donation screening, clearing or deferring the donor
+router.put('/:checkInId/screening', [
+  body('answers').isObject(),
+  body('vitals').isObject(),
+  body('vitals.*').optional({ values: 'null' }).isFloat({ min: 0, max: 500 }).toFloat(),
+  body('notes').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const checkIn = await CheckIn.findOne({
+      _id: req.params.checkInId,
+      hospital: req.hospital._id,
+      status: { $in: CheckIn.OPEN_STATUSES }
+    });
+    if (!checkIn) {
+      return res.status(404).json({ message: 'No open check-in found' });
+    }
+
+    const screening = checkIn.screen(req.body, req.user._id);
+    await checkIn.save();
+
+    // A deferred donor will not donate for the alert, so mobilization can look for others
+    if (screening.outcome === 'deferred') {
+      await closeVisit(checkIn, 'not_eligible', 'Deferred at screening', req.user._id);
+    }
+
+    await broadcastCheckIn(req.app.get('io'), checkIn, screening.outcome);
+
+    res.json({
+      message: screening.outcome === 'cleared' ? 'Donor cleared to donate' : 'Donor deferred',
+      checkIn
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Close a check-in for a donor who left without donating
+router.put('/:checkInId/leave', [
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const checkIn = await CheckIn.findOneAndUpdate(
+      { _id: req.params.checkInId, hospital: req.hospital._id, status: { $in: CheckIn.OPEN_STATUSES } },
+      { $set: { status: 'left', completedAt: new Date(), notes: req.body.reason } },
+      { new: true }
+    );
+    if (!checkIn) {
+      return res.status(404).json({ message: 'No open check-in found' });
+    }
+
+    await closeVisit(checkIn, 'not_available', req.body.reason || 'Left without donating', req.user._id);
+    await broadcastCheckIn(req.app.get('io'), checkIn, 'left');
+
+    res.json({
+      message: 'Check-in closed',
+      checkIn
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
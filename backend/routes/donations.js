@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Donation = require('../models/Donation');
+const Donor = require('../models/Donor');
+const Alert = require('../models/Alert');
+const BloodUnit = require('../models/BloodUnit');
+const Appointment = require('../models/Appointment');
+const CheckIn = require('../models/CheckIn');
+const notificationService = require('../services/notificationService');
+const autoAlerts = require('../services/autoAlerts');
+const { broadcastCheckIn } = require('../services/checkIn');
+const { getDefaultVolume } = require('../services/donationRules');
+const { requireVerifiedHospital } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Record a completed donation
+router.post('/', requireVerifiedHospital, [
+  body('donorId').isMongoId(),
+  body('alertId').optional().isMongoId(),
+  body('appointmentId').optional().isMongoId(),
+  body('checkInId').optional().isMongoId(),
+  body('donationType').optional().isIn(['whole_blood', 'plasma', 'platelets', 'red_cells']),
+  body('volume').optional().isNumeric().isInt({ min: 50, max: 1000 }),
+  body('units').optional().isNumeric().isInt({ min: 1, max: 4 }),
+  body('donationDate').optional().isISO8601(),
+  body('bagIds').optional().isArray({ max: 4 }),
+  body('bagIds.*').trim().isLength({ min: 3, max: 40 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+
+    const donor = await Donor.findById(req.body.donorId).populate('user', 'email');
+    if (!donor || !donor.isActive) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const donationType = req.body.donationType || 'whole_blood';
+    const eligibility = donor.checkEligibility(new Date(), donationType);
+    if (!eligibility.eligible) {
+      return res.status(400).json({ message: `Donor is not eligible: ${eligibility.reason}` });
+    }
+
+    // Donors who came through the check-in desk must have passed screening
+    let checkIn = null;
+    if (req.body.checkInId) {
+      checkIn = await CheckIn.findOne({
+        _id: req.body.checkInId,
+        hospital: hospital._id,
+        donor: donor._id
+      });
+
+      if (!checkIn) {
+        return res.status(404).json({ message: 'Check-in not found' });
+      }
+
+      if (checkIn.status !== 'cleared') {
+        return res.status(400).json({ message: 'The donor has not been cleared by pre-donation screening' });
+      }
+    }
+
+    const alertId = req.body.alertId || checkIn?.alert;
+    const appointmentId = req.body.appointmentId || checkIn?.appointment;
+
+    let alert = null;
+    if (alertId) {
+      alert = await Alert.findOne({
+        _id: alertId,
+        hospital: hospital._id
+      });
+
+      if (!alert) {
+        return res.status(404).json({ message: 'Alert not found' });
+      }
+
+      if (['expired', 'cancelled'].includes(alert.status)) {
+        return res.status(400).json({ message: `Cannot record donations against a ${alert.status} alert` });
+      }
+
+      const alertEligibility = Alert.checkDonorEligibility(donor, alert);
+      if (!alertEligibility.eligible) {
+        return res.status(400).json({ message: alertEligibility.reason });
+      }
+    }
+
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await Appointment.findOne({
+        _id: appointmentId,
+        hospital: hospital._id,
+        donor: donor._id,
+        status: { $in: Appointment.ACTIVE_STATUSES }
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ message: 'No open appointment found for this donor' });
+      }
+    }
+
+    const units = req.body.units || 1;
+    const donationDate = req.body.donationDate ? new Date(req.body.donationDate) : new Date();
+
+    // Hospitals tracking individual bags need one bag ID per collected unit
+    const bagIds = (req.body.bagIds || []).map(bagId => bagId.toUpperCase());
+    if (hospital.inventory.unitTracking) {
+      if (bagIds.length !== units || new Set(bagIds).size !== units) {
+        return res.status(400).json({ message: `Provide ${units} distinct bag ID(s) for the collected units` });
+      }
+
+      const existingBag = await BloodUnit.findOne({ hospital: hospital._id, bagId: { $in: bagIds } });
+      if (existingBag) {
+        return res.status(400).json({ message: `A unit with bag ID ${existingBag.bagId} already exists` });
+      }
+    }
+
+    const donation = new Donation({
+      donor: donor._id,
+      hospital: hospital._id,
+      alert: alert?._id,
+      bloodType: donor.medicalInfo.bloodGroup,
+      donationType,
+      volume: req.body.volume || getDefaultVolume(donationType),
+      units,
+      donationDate,
+      location: hospital.basicInfo.name,
+      notes: req.body.notes,
+      recordedBy: req.user._id
+    });
+    await donation.save();
+
+    // Update donor history, statistics and eligibility
+    donor.donationHistory.push({
+      donationId: donation._id,
+      date: donation.donationDate,
+      location: donation.location,
+      bloodBank: hospital._id,
+      volume: donation.volume,
+      type: donation.donationType,
+      notes: donation.notes
+    });
+    donor.updateEligibilityAfterDonation({
+      date: donation.donationDate,
+      volume: donation.volume,
+      type: donation.donationType
+    });
+    await donor.save();
+
+    const donationDetails = {
+      volume: donation.volume,
+      date: donation.donationDate,
+      location: donation.location,
+      notes: donation.notes
+    };
+
+    if (appointment) {
+      appointment.status = 'completed';
+      appointment.donation = donation._id;
+      appointment.record('completed', req.user._id);
+      await appointment.save();
+    }
+
+    if (checkIn) {
+      checkIn.status = 'donated';
+      checkIn.donation = donation._id;
+      checkIn.completedAt = new Date();
+      await checkIn.save();
+    }
+
+    // Credit the alert the donation was made for
+    let oldStatus;
+    if (alert) {
+      oldStatus = alert.status;
+      alert.recordDonation(donor._id, units, donationDetails);
+      alert.lastModifiedBy = req.user._id;
+      await alert.save();
+    }
+
+    // Add collected units to hospital inventory
+    const inventoryContext = {
+      actor: req.user._id,
+      reason: `Donation from ${donor.personalInfo.firstName} ${donor.personalInfo.lastName}`,
+      source: 'donation',
+      reference: { kind: 'Donation', item: donation._id }
+    };
+    hospital.statistics.totalDonationsConducted += 1;
+
+    if (hospital.inventory.unitTracking) {
+      // Collected bags start in quarantine until testing releases them
+      await BloodUnit.insertMany(bagIds.map(bagId => ({
+        hospital: hospital._id,
+        bagId,
+        bloodType: donation.bloodType,
+        component: donation.donationType,
+        volume: Math.round(donation.volume / units),
+        collectionDate: donation.donationDate,
+        donation: donation._id,
+        donor: donor._id,
+        statusHistory: [{ status: 'quarantined', changedBy: req.user._id, reason: 'Collected from donation' }]
+      })));
+      await BloodUnit.syncHospitalInventory(hospital, inventoryContext);
+    } else {
+      hospital.adjustCountedStock(donation.bloodType, donation.donationType, units, inventoryContext);
+      await hospital.save();
+    }
+
+    // Thank the donor
+    try {
+      await notificationService.sendDonationConfirmation(donor, donationDetails);
+    } catch (notificationError) {
+      console.error(`Failed to send donation confirmation to donor ${donor._id}:`, notificationError.message);
+    }
+
+    // Emit real-time updates
+    const io = req.app.get('io');
+    io.to(`hospital-${hospital._id}`).emit('donation-recorded', {
+      donation: donation.toObject(),
+      donorName: `${donor.personalInfo.firstName} ${donor.personalInfo.lastName}`,
+      inventory: hospital.inventory.bloodUnits[donation.bloodType]
+    });
+
+    if (checkIn) {
+      await broadcastCheckIn(io, checkIn, 'donated');
+    }
+
+    if (alert && alert.status !== oldStatus) {
+      io.to(`hospital-${hospital._id}`).emit('alert-status-updated', {
+        alertId: alert._id,
+        oldStatus,
+        newStatus: alert.status,
+        reason: 'Donation recorded'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Donation recorded successfully',
+      donation: donation.toObject(),
+      alert: alert ? {
+        id: alert._id,
+        status: alert.status,
+        unitsCollected: alert.unitsCollected,
+        unitsNeeded: alert.unitsNeeded
+      } : null,
+      donorEligibility: {
+        nextEligibleDate: donor.eligibility.nextEligibleDate,
+        nextEligibleByType: donor.eligibility.nextEligibleByType
+      }
+    });
+    autoAlerts.queueEvaluation(hospital);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get donations recorded by hospital
+router.get('/', requireVerifiedHospital, async (req, res) => {
+  try {
+    const { alertId, donorId, from, to, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { hospital: req.hospital._id };
+    if (alertId) query.alert = alertId;
+    if (donorId) query.donor = donorId;
+    if (from || to) {
+      query.donationDate = {};
+      if (from) query.donationDate.$gte = new Date(from);
+      if (to) query.donationDate.$lte = new Date(to);
+    }
+
+    const donations = await Donation.find(query)
+      .sort({ donationDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('donor', 'personalInfo.firstName personalInfo.lastName medicalInfo.bloodGroup')
+      .populate('alert', 'bloodType urgencyLevel status');
+
+    const total = await Donation.countDocuments(query);
+
+    res.json({
+      donations,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get specific donation
+router.get('/:donationId', requireVerifiedHospital, async (req, res) => {
+  try {
+    const donation = await Donation.findOne({
+      _id: req.params.donationId,
+      hospital: req.hospital._id
+    })
+    .populate('donor', 'personalInfo.firstName personalInfo.lastName personalInfo.phone medicalInfo.bloodGroup')
+    .populate('alert', 'bloodType urgencyLevel status unitsNeeded unitsCollected')
+    .populate('recordedBy', 'email');
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    res.json({ donation });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
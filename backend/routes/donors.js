@@ -1,11 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Donor = require('../models/Donor');
 const Alert = require('../models/Alert');
-const { authorize, requireVerifiedDonor } = require('../middleware/auth');
+const CheckIn = require('../models/CheckIn');
+const Donation = require('../models/Donation');
+const notificationService = require('../services/notificationService');
+const { DONATION_TYPES } = require('../services/donationRules');
+const { getCompatibleRecipientTypes } = require('../services/bloodCompatibility');
+const { authorize, requireVerifiedDonor, requireVerifiedHospital } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Set by admins when verifying or suspending an account, never by the donor
+const ADMIN_FIELDS = ['user', 'verificationStatus', 'isActive'];
+
+// Kept by screening and donation records; profile writes drop them so deferrals cannot be cleared
+const RECORD_FIELDS = ['eligibility', 'donationHistory', 'statistics'];
+
 // Create donor profile
 router.post('/profile', authorize('donor'), [
   body('personalInfo.firstName').trim().isLength({ min: 2 }),
@@ -25,6 +36,11 @@ router.post('/profile', authorize('donor'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const locked = ADMIN_FIELDS.filter(field => req.body[field] !== undefined);
+    if (locked.length > 0) {
+      return res.status(400).json({ message: `${locked.join(', ')} cannot be set by the donor` });
+    }
+
     // Check if donor profile already exists
     const existingDonor = await Donor.findOne({ user: req.user._id });
     if (existingDonor) {
@@ -35,6 +51,9 @@ router.post('/profile', authorize('donor'), [
       user: req.user._id,
       ...req.body
     };
+    RECORD_FIELDS.forEach(field => delete donorData[field]);
+    // Antigen typing comes from the lab through PUT /:donorId/antigen-profile
+    if (donorData.medicalInfo) delete donorData.medicalInfo.antigenProfile;
 
     const donor = new Donor(donorData);
     await donor.save();
@@ -70,13 +89,21 @@ router.get('/profile', authorize('donor'), async (req, res) => {
 // Update donor profile
 router.put('/profile', authorize('donor'), async (req, res) => {
   try {
+    const locked = ADMIN_FIELDS.filter(field => req.body[field] !== undefined);
+    if (locked.length > 0) {
+      return res.status(400).json({ message: `${locked.join(', ')} cannot be set by the donor` });
+    }
+
     const donor = await Donor.findOne({ user: req.user._id });
     if (!donor) {
       return res.status(404).json({ message: 'Donor profile not found' });
     }
 
+    // Antigen typing comes from the lab through PUT /:donorId/antigen-profile
+    if (req.body.medicalInfo) delete req.body.medicalInfo.antigenProfile;
+
     // Update fields
-    Object.keys(req.body).forEach(key => {
+    Object.keys(req.body).filter(key => !RECORD_FIELDS.includes(key)).forEach(key => {
       if (req.body[key] !== undefined) {
         if (typeof req.body[key] === 'object' && !Array.isArray(req.body[key])) {
           donor[key] = { ...donor[key].toObject(), ...req.body[key] };
@@ -98,6 +125,47 @@ router.put('/profile', authorize('donor'), async (req, res) => {
   }
 });
 
+// Record lab antigen typing for a donor this hospital has seen; donor matching relies on it
+router.put('/:donorId/antigen-profile', requireVerifiedHospital, [
+  param('donorId').isMongoId(),
+  body('negative').isArray({ max: 30 }),
+  body('negative.*').isString().trim().isLength({ min: 1, max: 20 }),
+  body('rare').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await Donor.findById(req.params.donorId);
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const visited = await CheckIn.exists({ donor: donor._id, hospital: req.hospital._id }) ||
+      await Donation.exists({ donor: donor._id, hospital: req.hospital._id });
+    if (!visited) {
+      return res.status(403).json({ message: 'Only a hospital that has seen this donor can record their typing' });
+    }
+
+    donor.medicalInfo.antigenProfile = {
+      negative: [...new Set(req.body.negative)],
+      rare: req.body.rare === true,
+      typedAt: new Date(),
+      typedBy: req.hospital._id
+    };
+    await donor.save();
+
+    res.json({
+      message: 'Antigen profile recorded',
+      antigenProfile: donor.medicalInfo.antigenProfile
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get donor eligibility status
 router.get('/eligibility', authorize('donor'), async (req, res) => {
   try {
@@ -110,7 +178,9 @@ router.get('/eligibility', authorize('donor'), async (req, res) => {
     
     res.json({
       eligibility,
+      byType: donor.checkEligibilityByType(),
       nextEligibleDate: donor.eligibility.nextEligibleDate,
+      nextEligibleByType: donor.eligibility.nextEligibleByType,
       lastDonationDate: donor.eligibility.lastDonationDate,
       restrictions: donor.eligibility.restrictions
     });
@@ -127,8 +197,8 @@ router.get('/alerts', authorize('donor'), async (req, res) => {
       return res.status(404).json({ message: 'Donor profile not found' });
     }
 
-    // Check donor eligibility
-    const eligibility = donor.checkEligibility();
+    // Check donor eligibility for at least one donation type
+    const eligibility = donor.checkEligibilityForAny(DONATION_TYPES);
     if (!eligibility.eligible) {
       return res.json({ 
         alerts: [], 
@@ -136,8 +206,8 @@ router.get('/alerts', authorize('donor'), async (req, res) => {
       });
     }
 
-    // Find compatible blood type alerts within donor's travel distance
-    const compatibleBloodTypes = this.getCompatibleBloodTypes(donor.medicalInfo.bloodGroup);
+    // Find alerts for blood types this donor can give some component to, within travel distance
+    const compatibleBloodTypes = getCompatibleRecipientTypes(donor.medicalInfo.bloodGroup);
     
     const alerts = await Alert.find({
       bloodType: { $in: compatibleBloodTypes },
@@ -159,8 +229,10 @@ router.get('/alerts', authorize('donor'), async (req, res) => {
       .filter(alert => alert.responses.some(r => r.donor.toString() === donor._id.toString()))
       .map(alert => alert._id);
 
+    // Keep alerts whose component, policies and donation type actually suit this donor
     const availableAlerts = alerts.filter(alert => 
-      !respondedAlertIds.includes(alert._id)
+      !respondedAlertIds.includes(alert._id) &&
+      Alert.checkDonorEligibility(donor, alert).eligible
     );
 
     res.json({ alerts: availableAlerts });
@@ -169,6 +241,49 @@ router.get('/alerts', authorize('donor'), async (req, res) => {
   }
 });
 
+// Get a single alert, e.g. when opened from a notification
+router.get('/alerts/:alertId', authorize('donor'), async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user._id });
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor profile not found' });
+    }
+
+    const alert = await Alert.findById(req.params.alertId)
+      .populate('hospital', 'basicInfo.name location.address contactInfo.emergencyPhone');
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const myResponse = alert.responses.find(r =>
+      r.donor.toString() === donor._id.toString()
+    );
+    const eligibility = Alert.checkDonorEligibility(donor, alert);
+
+    // Donors only see the public parts of the alert
+    res.json({
+      alert: {
+        _id: alert._id,
+        hospital: alert.hospital,
+        bloodType: alert.bloodType,
+        urgencyLevel: alert.urgencyLevel,
+        unitsNeeded: alert.unitsNeeded,
+        unitsCollected: alert.unitsCollected,
+        reason: alert.reason,
+        requiredBy: alert.patientInfo.requiredBy,
+        status: alert.status,
+        expiresAt: alert.expiresAt,
+        createdAt: alert.createdAt
+      },
+      myResponse: myResponse || null,
+      eligibility
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Respond to alert
 router.post('/alerts/:alertId/respond', authorize('donor'), [
   body('responseType').isIn(['interested', 'committed', 'not_available', 'not_eligible']),
@@ -227,6 +342,15 @@ router.post('/alerts/:alertId/respond', authorize('donor'), [
       donorBloodType: donor.medicalInfo.bloodGroup
     });
 
+    await notificationService.notifyHospital(alert.hospital, {
+      type: 'alert_response',
+      title: `Donor ${req.body.responseType.replace('_', ' ')}`,
+      message: `${donor.personalInfo.firstName} ${donor.personalInfo.lastName} (${donor.medicalInfo.bloodGroup}) responded to your ${alert.bloodType} alert`,
+      link: '/hospital/alerts',
+      alert: alert._id,
+      data: { responseType: req.body.responseType, estimatedArrival: req.body.estimatedArrival }
+    });
+
     res.json({
       message: 'Response recorded successfully',
       alert: alert.toObject()
@@ -278,20 +402,4 @@ router.put('/preferences', authorize('donor'), async (req, res) => {
   }
 });
 
-// Helper function to get compatible blood types
-function getCompatibleBloodTypes(donorBloodType) {
-  const compatibility = {
-    'A+': ['A+', 'AB+'],
-    'A-': ['A+', 'A-', 'AB+', 'AB-'],
-    'B+': ['B+', 'AB+'],
-    'B-': ['B+', 'B-', 'AB+', 'AB-'],
-    'AB+': ['AB+'],
-    'AB-': ['AB+', 'AB-'],
-    'O+': ['A+', 'B+', 'AB+', 'O+'],
-    'O-': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
-  };
-  
-  return compatibility[donorBloodType] || [];
-}
-
 module.exports = router;
@@ -1,12 +1,19 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Hospital = require('../models/Hospital');
+const Partnership = require('../models/Partnership');
 const Alert = require('../models/Alert');
 const Donor = require('../models/Donor');
+const { BLOOD_TYPES, COMPONENTS } = require('../services/bloodCompatibility');
+const { searchNetworkAvailability } = require('../services/networkSearch');
+const autoAlerts = require('../services/autoAlerts');
 const { authorize, requireVerifiedHospital } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Fields a hospital may set on its own profile; verification, activation and statistics belong to admins and the system
+const PROFILE_FIELDS = ['basicInfo', 'contactInfo', 'location', 'bloodBank', 'staff', 'services', 'certifications', 'documents'];
+
 // Create hospital profile
 router.post('/profile', authorize('hospital', 'blood_bank'), [
   body('basicInfo.name').trim().isLength({ min: 2 }),
@@ -34,10 +41,10 @@ router.post('/profile', authorize('hospital', 'blood_bank'), [
       return res.status(400).json({ message: 'Hospital profile already exists' });
     }
 
-    const hospitalData = {
-      user: req.user._id,
-      ...req.body
-    };
+    const hospitalData = { user: req.user._id };
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) hospitalData[field] = req.body[field];
+    });
 
     const hospital = new Hospital(hospitalData);
     await hospital.save();
@@ -57,8 +64,7 @@ router.post('/profile', authorize('hospital', 'blood_bank'), [
 router.get('/profile', authorize('hospital', 'blood_bank'), async (req, res) => {
   try {
     const hospital = await Hospital.findOne({ user: req.user._id })
-      .populate('user', '-password')
-      .populate('partnerships.hospitalId', 'basicInfo.name location.address');
+      .populate('user', '-password');
 
     if (!hospital) {
       return res.status(404).json({ message: 'Hospital profile not found' });
@@ -71,15 +77,44 @@ router.get('/profile', authorize('hospital', 'blood_bank'), async (req, res) =>
 });
 
 // Update hospital profile
-router.put('/profile', authorize('hospital', 'blood_bank'), async (req, res) => {
+router.put('/profile', authorize('hospital', 'blood_bank'), [
+  body('alerts.forecastAlerts.enabled').optional().isBoolean(),
+  body('alerts.forecastAlerts.leadDays').optional().isInt({ min: 1, max: 14 }).toInt()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Inventory goes through setInventoryLevel and auto-alert settings through /alert-policies,
+    // so the ledger and the auto-alert policy see every change
+    if (req.body.inventory !== undefined) {
+      return res.status(400).json({ message: 'Inventory levels are updated through /api/inventory' });
+    }
+    const { alerts, ...profile } = req.body;
+    if (alerts !== undefined && Object.keys(alerts || {}).some(key => key !== 'forecastAlerts')) {
+      return res.status(400).json({
+        message: 'Only forecast alert settings can be changed here; use /api/hospitals/alert-policies for automatic alerts'
+      });
+    }
+
+    const locked = Object.keys(profile).filter(key => !PROFILE_FIELDS.includes(key));
+    if (locked.length > 0) {
+      return res.status(400).json({ message: `${locked.join(', ')} cannot be changed through the profile` });
+    }
+
     const hospital = await Hospital.findOne({ user: req.user._id });
     if (!hospital) {
       return res.status(404).json({ message: 'Hospital profile not found' });
     }
 
+    if (alerts?.forecastAlerts) {
+      hospital.alerts.forecastAlerts = { ...hospital.alerts.forecastAlerts.toObject(), ...alerts.forecastAlerts };
+    }
+
     // Update fields
-    Object.keys(req.body).forEach(key => {
+    Object.keys(profile).forEach(key => {
       if (req.body[key] !== undefined) {
         if (typeof req.body[key] === 'object' && !Array.isArray(req.body[key])) {
           hospital[key] = { ...hospital[key].toObject(), ...req.body[key] };
@@ -175,7 +210,8 @@ router.get('/dashboard', requireVerifiedHospital, async (req, res) => {
 router.put('/inventory/:bloodType', requireVerifiedHospital, [
   body('available').optional().isNumeric().isInt({ min: 0 }),
   body('reserved').optional().isNumeric().isInt({ min: 0 }),
-  body('critical').optional().isNumeric().isInt({ min: 0 })
+  body('critical').optional().isNumeric().isInt({ min: 0 }),
+  body('reason').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,60 +226,110 @@ router.put('/inventory/:bloodType', requireVerifiedHospital, [
       return res.status(400).json({ message: 'Invalid blood type' });
     }
 
-    // Update inventory
-    if (req.body.available !== undefined) {
-      hospital.inventory.bloodUnits[bloodType].available = req.body.available;
-    }
-    if (req.body.reserved !== undefined) {
-      hospital.inventory.bloodUnits[bloodType].reserved = req.body.reserved;
-    }
-    if (req.body.critical !== undefined) {
-      hospital.inventory.bloodUnits[bloodType].critical = req.body.critical;
+    if (hospital.inventory.unitTracking &&
+        (req.body.available !== undefined || req.body.reserved !== undefined)) {
+      return res.status(409).json({
+        message: 'Available and reserved counts are derived from blood unit records for this hospital. Use /api/inventory/units instead.'
+      });
     }
 
+    // Update inventory
+    ['available', 'reserved', 'critical'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        hospital.setInventoryLevel(bloodType, field, req.body[field], {
+          actor: req.user._id,
+          reason: req.body.reason,
+          source: 'hospital_inventory'
+        });
+      }
+    });
+
     hospital.inventory.bloodUnits[bloodType].lastUpdated = new Date();
     await hospital.save();
 
-    // Check if this creates a critical shortage and auto-alert is enabled
-    if (hospital.alerts.autoAlertEnabled && hospital.isCriticalShortage(bloodType)) {
-      // Create automatic alert
-      const autoAlert = new Alert({
-        hospital: hospital._id,
-        bloodType,
-        urgencyLevel: 'critical',
-        unitsNeeded: hospital.inventory.bloodUnits[bloodType].critical - 
-                    hospital.inventory.bloodUnits[bloodType].available,
-        reason: 'Automatic critical shortage alert',
-        patientInfo: {
-          condition: 'Critical blood shortage - automatic alert',
-          isEmergency: true,
-          requiredBy: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-        },
-        location: {
-          coordinates: hospital.location.coordinates,
-          searchRadius: 50
-        },
-        createdBy: req.user._id
-      });
-
-      await autoAlert.save();
-
-      // Emit real-time update
-      const io = req.app.get('io');
-      io.to(`hospital-${hospital._id}`).emit('critical-shortage', {
-        bloodType,
-        available: hospital.inventory.bloodUnits[bloodType].available,
-        critical: hospital.inventory.bloodUnits[bloodType].critical,
-        alertId: autoAlert._id
-      });
-    }
-
     res.json({
       message: 'Inventory updated successfully',
       bloodType,
       inventory: hospital.inventory.bloodUnits[bloodType],
       isCritical: hospital.isCriticalShortage(bloodType)
     });
+    autoAlerts.queueEvaluation(hospital);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Validators for an auto-alert policy at the given body path
+const policyValidators = (path) => [
+  body(`${path}.enabled`).optional().isBoolean(),
+  body(`${path}.levels`).optional().isArray({ min: 1, max: 4 }),
+  body(`${path}.levels.*.threshold`).isFloat({ min: 0 }),
+  body(`${path}.levels.*.basis`).optional().isIn(['critical_ratio', 'units']),
+  body(`${path}.levels.*.urgencyLevel`).isIn(['low', 'medium', 'high', 'critical']),
+  body(`${path}.cooldownMinutes`).optional().isInt({ min: 0, max: 10080 }),
+  body(`${path}.searchRadius`).optional().isInt({ min: 5, max: 200 }),
+  body(`${path}.expiryHours`).optional().isInt({ min: 1, max: 168 }),
+  body(`${path}.restockRatio`).optional().isFloat({ min: 0.5, max: 5 }),
+  body(`${path}.requireApproval`).optional().isBoolean()
+];
+
+const formatAlertPolicies = (hospital) => ({
+  autoAlertEnabled: hospital.alerts.autoAlertEnabled,
+  defaultPolicy: hospital.alerts.autoAlertPolicy,
+  overrides: hospital.alerts.autoAlertPolicies,
+  lastAutoAlertAt: hospital.alerts.lastAutoAlertAt
+});
+
+// Get auto-alert policies
+router.get('/alert-policies', requireVerifiedHospital, async (req, res) => {
+  try {
+    res.json(formatAlertPolicies(req.hospital));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update auto-alert policies; overrides replace the current list and inherit unset fields from the default
+router.put('/alert-policies', requireVerifiedHospital, [
+  body('autoAlertEnabled').optional().isBoolean(),
+  ...policyValidators('defaultPolicy'),
+  body('overrides').optional().isArray({ max: BLOOD_TYPES.length }),
+  body('overrides.*.bloodType').isIn(BLOOD_TYPES),
+  ...policyValidators('overrides.*')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const { autoAlertEnabled, defaultPolicy, overrides } = req.body;
+
+    if (overrides) {
+      const bloodTypes = overrides.map(override => override.bloodType);
+      if (new Set(bloodTypes).size !== bloodTypes.length) {
+        return res.status(400).json({ message: 'Only one override per blood type is allowed' });
+      }
+    }
+
+    if (autoAlertEnabled !== undefined) {
+      hospital.alerts.autoAlertEnabled = autoAlertEnabled;
+    }
+    if (defaultPolicy) {
+      hospital.alerts.autoAlertPolicy = { ...hospital.alerts.autoAlertPolicy.toObject(), ...defaultPolicy };
+    }
+    if (overrides) {
+      const base = hospital.alerts.autoAlertPolicy.toObject();
+      hospital.alerts.autoAlertPolicies = overrides.map(override => ({ ...base, ...override }));
+    }
+
+    await hospital.save();
+
+    res.json({
+      message: 'Auto-alert policies updated successfully',
+      ...formatAlertPolicies(hospital)
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -270,17 +356,30 @@ router.get('/nearby', requireVerifiedHospital, async (req, res) => {
     .select('basicInfo.name location.address contactInfo.primaryPhone inventory.bloodUnits')
     .limit(20);
 
-    // Calculate distances and add partnership status
+    // Add the open agreement with each hospital, if any
+    const nearbyIds = nearbyHospitals.map(nearbyHospital => nearbyHospital._id);
+    const partnerships = await Partnership.find({
+      status: { $in: Partnership.OPEN_STATUSES },
+      $or: [
+        { requester: hospital._id, partner: { $in: nearbyIds } },
+        { partner: hospital._id, requester: { $in: nearbyIds } }
+      ]
+    });
+
     const hospitalsWithDetails = nearbyHospitals.map(nearbyHospital => {
-      const partnership = hospital.partnerships.find(p => 
-        p.hospitalId.toString() === nearbyHospital._id.toString()
+      const partnership = partnerships.find(p =>
+        p.otherParty(hospital._id).toString() === nearbyHospital._id.toString()
       );
 
       return {
         ...nearbyHospital.toObject(),
         partnership: partnership ? {
+          _id: partnership._id,
           type: partnership.type,
-          status: partnership.status
+          status: partnership.status,
+          side: partnership.sideOf(hospital._id),
+          terms: partnership.terms,
+          validUntil: partnership.validUntil
         } : null
       };
     });
@@ -291,10 +390,14 @@ router.get('/nearby', requireVerifiedHospital, async (req, res) => {
   }
 });
 
-// Request partnership with another hospital
-router.post('/partnerships', requireVerifiedHospital, [
-  body('hospitalId').isMongoId(),
-  body('type').isIn(['blood_sharing', 'emergency_backup', 'referral'])
+// Search the regional network for hospitals that can spare units of a blood type and component
+router.get('/network/availability', requireVerifiedHospital, [
+  query('bloodType').isIn(BLOOD_TYPES),
+  query('component').optional().isIn(COMPONENTS),
+  query('units').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('maxDistance').optional().isFloat({ min: 1, max: 500 }).toFloat(),
+  query('maxAgeHours').optional().isFloat({ min: 1 }).toFloat(),
+  query('partnersOnly').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -302,49 +405,21 @@ router.post('/partnerships', requireVerifiedHospital, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { hospitalId, type } = req.body;
-    const hospital = req.hospital;
-
-    if (hospitalId === hospital._id.toString()) {
-      return res.status(400).json({ message: 'Cannot create partnership with yourself' });
-    }
-
-    // Check if target hospital exists
-    const targetHospital = await Hospital.findById(hospitalId);
-    if (!targetHospital) {
-      return res.status(404).json({ message: 'Target hospital not found' });
-    }
+    const { bloodType, component = 'red_cells', units = 1, maxDistance = 100, maxAgeHours, partnersOnly = false } = req.query;
 
-    // Check if partnership already exists
-    const existingPartnership = hospital.partnerships.find(p => 
-      p.hospitalId.toString() === hospitalId
-    );
-    if (existingPartnership) {
-      return res.status(400).json({ message: 'Partnership already exists' });
-    }
-
-    // Add partnership to both hospitals
-    const partnershipData = {
-      hospitalId,
-      type,
-      status: 'active',
-      establishedDate: new Date()
-    };
-
-    hospital.partnerships.push(partnershipData);
-    targetHospital.partnerships.push({
-      hospitalId: hospital._id,
-      type,
-      status: 'active',
-      establishedDate: new Date()
+    const { results, summary } = await searchNetworkAvailability(req.hospital, {
+      bloodType,
+      component,
+      units,
+      maxDistance,
+      maxAgeHours,
+      partnersOnly
     });
 
-    await hospital.save();
-    await targetHospital.save();
-
     res.json({
-      message: 'Partnership created successfully',
-      partnership: partnershipData
+      query: { bloodType, component, units, maxDistance, maxAgeHours, partnersOnly },
+      summary,
+      results
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,6 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Hospital = require('../models/Hospital');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const { forecastInventory, LOOKBACK_DAYS, HORIZON_DAYS } = require('../services/forecasting');
+const autoAlerts = require('../services/autoAlerts');
 const { authorize, requireVerifiedHospital } = require('../middleware/auth');
 
 const router = express.Router();
@@ -45,6 +48,29 @@ router.get('/', requireVerifiedHospital, async (req, res) => {
   }
 });
 
+// Forecast days of supply and when each blood type will reach its critical level
+router.get('/forecast', requireVerifiedHospital, [
+  query('lookbackDays').optional().isInt({ min: 7, max: 180 }).toInt(),
+  query('horizonDays').optional().isInt({ min: 1, max: 60 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lookbackDays = LOOKBACK_DAYS, horizonDays = HORIZON_DAYS } = req.query;
+    const forecast = await forecastInventory(req.hospital, { lookbackDays, horizonDays });
+
+    res.json({
+      forecast,
+      forecastAlerts: req.hospital.alerts.forecastAlerts
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Update blood inventory for specific blood type
 router.put('/:bloodType', requireVerifiedHospital, [
   body('available').optional().isNumeric().isInt({ min: 0 }),
@@ -66,23 +92,32 @@ router.put('/:bloodType', requireVerifiedHospital, [
       return res.status(400).json({ message: 'Invalid blood type' });
     }
 
+    if (hospital.inventory.unitTracking &&
+        ['available', 'reserved', 'change'].some(field => req.body[field] !== undefined)) {
+      return res.status(409).json({
+        message: 'Available and reserved counts are derived from blood unit records for this hospital. Use /api/inventory/units instead.'
+      });
+    }
+
     const oldInventory = { ...hospital.inventory.bloodUnits[bloodType].toObject() };
 
+    const ledgerContext = {
+      actor: req.user._id,
+      reason: req.body.reason,
+      source: 'inventory_update'
+    };
+
     // Handle direct updates or changes
     if (req.body.change !== undefined) {
       // Apply change (positive for addition, negative for subtraction)
-      hospital.updateInventory(bloodType, req.body.change, 'available');
+      hospital.updateInventory(bloodType, req.body.change, 'available', ledgerContext);
     } else {
       // Direct updates
-      if (req.body.available !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].available = req.body.available;
-      }
-      if (req.body.reserved !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].reserved = req.body.reserved;
-      }
-      if (req.body.critical !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].critical = req.body.critical;
-      }
+      ['available', 'reserved', 'critical'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          hospital.setInventoryLevel(bloodType, field, req.body[field], ledgerContext);
+        }
+      });
     }
 
     hospital.inventory.bloodUnits[bloodType].lastUpdated = new Date();
@@ -130,6 +165,7 @@ router.put('/:bloodType', requireVerifiedHospital, [
       isCritical,
       change: req.body.change || 'Direct update'
     });
+    autoAlerts.queueEvaluation(hospital);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -141,7 +177,8 @@ router.put('/', requireVerifiedHospital, [
   body('updates.*.bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
   body('updates.*.available').optional().isNumeric().isInt({ min: 0 }),
   body('updates.*.reserved').optional().isNumeric().isInt({ min: 0 }),
-  body('updates.*.critical').optional().isNumeric().isInt({ min: 0 })
+  body('updates.*.critical').optional().isNumeric().isInt({ min: 0 }),
+  body('updates.*.reason').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -153,20 +190,27 @@ router.put('/', requireVerifiedHospital, [
     const updates = req.body.updates;
     const results = [];
 
+    if (hospital.inventory.unitTracking &&
+        updates.some(update => update.available !== undefined || update.reserved !== undefined)) {
+      return res.status(409).json({
+        message: 'Available and reserved counts are derived from blood unit records for this hospital. Use /api/inventory/units instead.'
+      });
+    }
+
     for (const update of updates) {
       const { bloodType } = update;
       const oldInventory = { ...hospital.inventory.bloodUnits[bloodType].toObject() };
 
       // Apply updates
-      if (update.available !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].available = update.available;
-      }
-      if (update.reserved !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].reserved = update.reserved;
-      }
-      if (update.critical !== undefined) {
-        hospital.inventory.bloodUnits[bloodType].critical = update.critical;
-      }
+      ['available', 'reserved', 'critical'].forEach(field => {
+        if (update[field] !== undefined) {
+          hospital.setInventoryLevel(bloodType, field, update[field], {
+            actor: req.user._id,
+            reason: update.reason,
+            source: 'bulk_update'
+          });
+        }
+      });
 
       hospital.inventory.bloodUnits[bloodType].lastUpdated = new Date();
 
@@ -191,39 +235,72 @@ router.put('/', requireVerifiedHospital, [
       message: 'Bulk inventory update completed',
       results
     });
+    autoAlerts.queueEvaluation(hospital);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get inventory history (simplified - in production you'd want separate collection)
-router.get('/history/:bloodType', requireVerifiedHospital, async (req, res) => {
+// Get inventory history from the transaction ledger
+router.get('/history/:bloodType', requireVerifiedHospital, [
+  query('days').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
   try {
-    const { bloodType } = req.params;
-    const { days = 30 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // This is a simplified implementation
-    // In production, you'd want a separate InventoryHistory collection
+    const { bloodType } = req.params;
+    const days = parseInt(req.query.days) || 30;
     const hospital = req.hospital;
 
     if (!hospital.inventory.bloodUnits[bloodType]) {
       return res.status(400).json({ message: 'Invalid blood type' });
     }
 
-    // For now, return current state as history point
-    // In production, implement proper history tracking
-    const currentInventory = hospital.inventory.bloodUnits[bloodType];
-    
+    // Window starts at midnight (UTC) of the first day
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const transactions = await InventoryTransaction.find({
+      hospital: hospital._id,
+      bloodType,
+      createdAt: { $gte: since }
+    })
+    .sort({ createdAt: 1 })
+    .populate('actor', 'email');
+
+    // Opening levels are the last recorded values before the window
+    const current = hospital.inventory.bloodUnits[bloodType];
+    const opening = {};
+    for (const field of ['available', 'reserved']) {
+      const lastBefore = await InventoryTransaction.findOne({
+        hospital: hospital._id,
+        bloodType,
+        field,
+        createdAt: { $lt: since }
+      }).sort({ createdAt: -1 });
+
+      const firstInWindow = transactions.find(t => t.field === field);
+      opening[field] = lastBefore ? lastBefore.after :
+        firstInWindow ? firstInWindow.before : current[field];
+    }
+
+    const history = buildDailyRollups(transactions, opening, since, days);
+
     res.json({
       bloodType,
-      history: [{
-        date: currentInventory.lastUpdated,
-        available: currentInventory.available,
-        reserved: currentInventory.reserved,
-        change: 0,
-        reason: 'Current state'
-      }],
-      message: 'Inventory history feature requires implementation of history tracking'
+      days,
+      current: {
+        available: current.available,
+        reserved: current.reserved,
+        critical: current.critical,
+        lastUpdated: current.lastUpdated
+      },
+      history,
+      transactions: transactions.reverse() // Most recent first
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -354,4 +431,44 @@ router.get('/critical/global', authorize('admin', 'hospital', 'blood_bank'), asy
   }
 });
 
+// Helper function to roll ledger entries up into one point per day
+function buildDailyRollups(transactions, opening, since, days) {
+  const levels = { ...opening };
+  const rollups = [];
+  let index = 0;
+
+  for (let day = 0; day < days; day++) {
+    const dayStart = new Date(since.getTime() + day * 24 * 60 * 60 * 1000);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const rollup = {
+      date: dayStart.toISOString().split('T')[0],
+      openingAvailable: levels.available,
+      received: 0,
+      issued: 0,
+      change: 0,
+      transactions: 0
+    };
+
+    while (index < transactions.length && transactions[index].createdAt < dayEnd) {
+      const transaction = transactions[index];
+      if (transaction.field === 'available') {
+        if (transaction.delta > 0) rollup.received += transaction.delta;
+        else rollup.issued += -transaction.delta;
+        rollup.change += transaction.delta;
+      }
+      if (levels[transaction.field] !== undefined) {
+        levels[transaction.field] = transaction.after;
+      }
+      rollup.transactions++;
+      index++;
+    }
+
+    rollup.available = levels.available;
+    rollup.reserved = levels.reserved;
+    rollups.push(rollup);
+  }
+
+  return rollups;
+}
+
 module.exports = router;
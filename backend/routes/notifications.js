@@ -1,5 +1,7 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
 const { authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -119,59 +121,157 @@ router.put('/preferences', authorize('donor', 'hospital'), [
   }
 });
 
-// Get notification history (simplified implementation)
-router.get('/history', authorize('donor', 'hospital'), async (req, res) => {
+// Get the VAPID public key browsers need to subscribe
+router.get('/push/public-key', authorize('donor', 'hospital'), (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res.status(503).json({ message: 'Push notifications are not configured' });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Register a browser push subscription for the current user
+router.post('/push/subscribe', authorize('donor', 'hospital'), [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }),
+  body('keys.p256dh').isString().notEmpty(),
+  body('keys.auth').isString().notEmpty(),
+  body('expirationTime').optional({ nullable: true }).isNumeric()
+], async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endpoint, keys, expirationTime } = req.body;
+
+    // A browser endpoint belongs to whoever registered it last
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user._id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : undefined,
+        userAgent: req.get('User-Agent'),
+        failureCount: 0
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
 
     if (req.user.role === 'donor') {
-      const Alert = require('../models/Alert');
-      
-      // Find alerts where notifications were sent to this donor
-      const alerts = await Alert.find({
-        'notifications.sentTo.donor': req.user._id
-      })
-      .populate('hospital', 'basicInfo.name')
+      const Donor = require('../models/Donor');
+      await Donor.updateOne({ user: req.user._id }, { 'preferences.notificationMethods.push': true });
+    } else {
+      const Hospital = require('../models/Hospital');
+      await Hospital.updateOne({ user: req.user._id }, { 'alerts.notificationPreferences.push': true });
+    }
+
+    const devices = await PushSubscription.countDocuments({ user: req.user._id });
+
+    res.status(201).json({
+      message: 'Push subscription registered',
+      subscriptionId: subscription._id,
+      devices
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a browser push subscription
+router.delete('/push/subscribe', authorize('donor', 'hospital'), [
+  body('endpoint').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PushSubscription.deleteOne({
+      endpoint: req.body.endpoint,
+      user: req.user._id
+    });
+
+    // Turn push off once the last device is gone
+    const devices = await PushSubscription.countDocuments({ user: req.user._id });
+    if (devices === 0) {
+      if (req.user.role === 'donor') {
+        const Donor = require('../models/Donor');
+        await Donor.updateOne({ user: req.user._id }, { 'preferences.notificationMethods.push': false });
+      } else {
+        const Hospital = require('../models/Hospital');
+        await Hospital.updateOne({ user: req.user._id }, { 'alerts.notificationPreferences.push': false });
+      }
+    }
+
+    res.json({
+      message: result.deletedCount ? 'Push subscription removed' : 'Push subscription not found',
+      devices
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get notification history
+router.get('/history', authorize('donor', 'hospital'), [
+  query('channel').optional().isIn(['in_app', 'email', 'sms', 'push']),
+  query('unread').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { channel, type, unread, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const filter = { recipient: req.user._id };
+    if (channel) filter.channel = channel;
+    if (type) filter.type = type;
+    if (unread === 'true') filter.read = false;
+
+    const notifications = await Notification.find(filter)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-      const notifications = alerts.map(alert => {
-        const notification = alert.notifications.sentTo.find(n => 
-          n.donor.toString() === req.user._id.toString()
-        );
-        
-        return {
-          id: alert._id,
-          type: 'blood_shortage_alert',
-          title: `${alert.bloodType} Blood Needed`,
-          message: `${alert.urgencyLevel} shortage at ${alert.hospital?.basicInfo?.name}`,
-          bloodType: alert.bloodType,
-          urgencyLevel: alert.urgencyLevel,
-          hospital: alert.hospital?.basicInfo?.name,
-          sentAt: notification?.sentAt,
-          opened: notification?.opened,
-          openedAt: notification?.openedAt,
-          responded: notification?.responded,
-          respondedAt: notification?.respondedAt,
-          method: notification?.method
-        };
-      });
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      channel: 'in_app',
+      read: false
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-      res.json({
-        notifications,
-        pagination: {
-          current: page,
-          total: notifications.length
-        }
-      });
-    } else {
-      // Hospital notification history
-      res.json({
-        notifications: [],
-        message: 'Hospital notification history not implemented'
-      });
-    }
+// Mark all notifications as read
+router.put('/read-all', authorize('donor', 'hospital'), async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -180,39 +280,43 @@ router.get('/history', authorize('donor', 'hospital'), async (req, res) => {
 // Mark notification as read
 router.put('/:notificationId/read', authorize('donor', 'hospital'), async (req, res) => {
   try {
-    if (req.user.role === 'donor') {
-      const Alert = require('../models/Alert');
-      
-      const alert = await Alert.findOne({
-        _id: req.params.notificationId,
-        'notifications.sentTo.donor': req.user._id
-      });
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      recipient: req.user._id
+    });
 
-      if (!alert) {
-        return res.status(404).json({ message: 'Notification not found' });
-      }
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
 
-      // Find and update the notification
-      const notification = alert.notifications.sentTo.find(n => 
-        n.donor.toString() === req.user._id.toString()
-      );
+    const wasRead = notification.read;
+    notification.markAsRead();
+    await notification.save();
 
-      if (notification && !notification.opened) {
-        notification.opened = true;
-        notification.openedAt = new Date();
-        alert.notifications.opened += 1;
-        await alert.save();
+    // Keep alert open-rate analytics in step with the donor's inbox
+    if (!wasRead && req.user.role === 'donor' && notification.alert) {
+      const Alert = require('../models/Alert');
+      const Donor = require('../models/Donor');
+      const donor = await Donor.findOne({ user: req.user._id }).select('_id');
+
+      if (donor) {
+        await Alert.updateOne(
+          {
+            _id: notification.alert,
+            'notifications.sentTo': { $elemMatch: { donor: donor._id, opened: false } }
+          },
+          {
+            $set: { 'notifications.sentTo.$.opened': true, 'notifications.sentTo.$.openedAt': new Date() },
+            $inc: { 'notifications.opened': 1 }
+          }
+        );
       }
-
-      res.json({
-        message: 'Notification marked as read',
-        notificationId: req.params.notificationId
-      });
-    } else {
-      res.json({
-        message: 'Hospital notification read status not implemented'
-      });
     }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -220,7 +324,7 @@ router.put('/:notificationId/read', authorize('donor', 'hospital'), async (req,
 
 // Test notification sending
 router.post('/test', authorize('donor', 'hospital'), [
-  body('type').isIn(['email', 'sms', 'push']),
+  body('type').isIn(['email', 'sms', 'push', 'in_app']),
   body('message').optional().trim()
 ], async (req, res) => {
   try {
@@ -232,21 +336,52 @@ router.post('/test', authorize('donor', 'hospital'), [
     const notificationService = require('../services/notificationService');
     const { type, message } = req.body;
 
-    // Send test notification based on user role
+    // Resolve the phone number for the current role
+    let phone;
     if (req.user.role === 'donor') {
       const Donor = require('../models/Donor');
       const donor = await Donor.findOne({ user: req.user._id });
-      
+
       if (!donor) {
         return res.status(404).json({ message: 'Donor profile not found' });
       }
+      phone = donor.personalInfo.phone;
+    } else {
+      const Hospital = require('../models/Hospital');
+      const hospital = await Hospital.findOne({ user: req.user._id });
 
-      const testMessage = message || 'This is a test notification from Blood Shortage Alert System';
+      if (!hospital) {
+        return res.status(404).json({ message: 'Hospital profile not found' });
+      }
+      phone = hospital.contactInfo.primaryPhone;
+    }
+
+    const testMessage = message || 'This is a test notification from Blood Shortage Alert System';
+    const record = {
+      recipient: req.user._id,
+      recipientRole: req.user.role,
+      type: 'test',
+      channel: type,
+      title: 'Test Notification',
+      message: testMessage
+    };
+
+    if (type !== 'in_app' && !notificationService.hasChannel(type)) {
+      return res.status(400).json({ message: `${type.toUpperCase()} service not configured` });
+    }
 
-      try {
-        if (type === 'email') {
-          await notificationService.emailTransporter.sendMail({
-            from: process.env.EMAIL_FROM,
+    if (type === 'push' && await PushSubscription.countDocuments({ user: req.user._id }) === 0) {
+      return res.status(400).json({ message: 'No push subscriptions registered for this account' });
+    }
+
+    try {
+      if (type === 'in_app') {
+        await notificationService.notifyInApp(req.user._id, req.user.role, record);
+      } else if (type === 'email') {
+        await notificationService.queue([{
+          record,
+          channel: 'email',
+          content: {
             to: req.user.email,
             subject: '🩸 Test Notification - Blood Shortage Alert System',
             html: `
@@ -256,36 +391,39 @@ router.post('/test', authorize('donor', 'hospital'), [
                 <p>This is a test email to verify your notification settings.</p>
               </div>
             `
-          });
-        } else if (type === 'sms') {
-          if (notificationService.twilioClient) {
-            await notificationService.twilioClient.messages.create({
-              body: `Test SMS: ${testMessage}`,
-              from: process.env.TWILIO_PHONE_NUMBER,
-              to: donor.personalInfo.phone
-            });
-          } else {
-            return res.status(400).json({ message: 'SMS service not configured' });
           }
-        } else if (type === 'push') {
-          // Push notification test (mock implementation)
-          console.log('Push notification test:', testMessage);
-        }
-
-        res.json({
-          message: `Test ${type} notification sent successfully`,
-          type,
-          sentTo: type === 'email' ? req.user.email : donor.personalInfo.phone
-        });
-      } catch (notificationError) {
-        res.status(500).json({ 
-          message: `Failed to send test ${type} notification`,
-          error: notificationError.message 
-        });
+        }]);
+      } else if (type === 'sms') {
+        await notificationService.queue([{
+          record,
+          channel: 'sms',
+          content: { body: `Test SMS: ${testMessage}`, to: phone }
+        }]);
+      } else if (type === 'push') {
+        await notificationService.queue([{
+          record,
+          channel: 'push',
+          content: {
+            userId: req.user._id,
+            payload: {
+              title: 'Test Notification',
+              body: testMessage,
+              icon: '/icon-192x192.png',
+              data: { url: req.user.role === 'donor' ? '/donor/dashboard' : '/hospital/dashboard' }
+            }
+          }
+        }]);
       }
-    } else {
+
       res.json({
-        message: 'Hospital test notifications not implemented'
+        message: type === 'in_app' ? 'Test in_app notification sent successfully' : `Test ${type} notification queued for delivery`,
+        type,
+        sentTo: type === 'email' ? req.user.email : type === 'sms' ? phone : req.user._id
+      });
+    } catch (notificationError) {
+      res.status(500).json({
+        message: `Failed to send test ${type} notification`,
+        error: notificationError.message
       });
     }
   } catch (error) {
@@ -296,42 +434,65 @@ router.post('/test', authorize('donor', 'hospital'), [
 // Get notification statistics
 router.get('/stats', authorize('donor', 'hospital'), async (req, res) => {
   try {
+    // Inbox read rates
+    const inbox = await Notification.aggregate([
+      { $match: { recipient: req.user._id, channel: 'in_app' } },
+      {
+        $group: {
+          _id: null,
+          totalReceived: { $sum: 1 },
+          totalOpened: { $sum: { $cond: ['$read', 1, 0] } }
+        }
+      }
+    ]);
+
+    const result = inbox[0] || { totalReceived: 0, totalOpened: 0 };
+    delete result._id;
+    result.unread = result.totalReceived - result.totalOpened;
+    result.openRate = result.totalReceived > 0 ?
+      Math.round((result.totalOpened / result.totalReceived) * 100) : 0;
+
+    // Delivery outcomes per external channel
+    const deliveries = await Notification.aggregate([
+      { $match: { recipient: req.user._id, channel: { $ne: 'in_app' } } },
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    result.byChannel = {};
+    deliveries.forEach(({ _id, count }) => {
+      result.byChannel[_id.channel] = result.byChannel[_id.channel] || {};
+      result.byChannel[_id.channel][_id.status] = count;
+    });
+
+    const Alert = require('../models/Alert');
+
     if (req.user.role === 'donor') {
-      const Alert = require('../models/Alert');
-      
-      const stats = await Alert.aggregate([
-        { $match: { 'notifications.sentTo.donor': req.user._id } },
+      const Donor = require('../models/Donor');
+      const donor = await Donor.findOne({ user: req.user._id }).select('_id');
+
+      const responses = donor ? await Alert.aggregate([
+        { $match: { 'notifications.sentTo.donor': donor._id } },
         { $unwind: '$notifications.sentTo' },
-        { $match: { 'notifications.sentTo.donor': req.user._id } },
+        { $match: { 'notifications.sentTo.donor': donor._id } },
         {
           $group: {
             _id: null,
-            totalReceived: { $sum: 1 },
-            totalOpened: { $sum: { $cond: ['$notifications.sentTo.opened', 1, 0] } },
-            totalResponded: { $sum: { $cond: ['$notifications.sentTo.responded', 1, 0] } },
-            avgResponseTime: { $avg: '$notifications.sentTo.responseTime' }
+            totalAlerts: { $sum: 1 },
+            totalResponded: { $sum: { $cond: ['$notifications.sentTo.responded', 1, 0] } }
           }
         }
-      ]);
-
-      const result = stats[0] || {
-        totalReceived: 0,
-        totalOpened: 0,
-        totalResponded: 0,
-        avgResponseTime: 0
-      };
-
-      result.openRate = result.totalReceived > 0 ? 
-        Math.round((result.totalOpened / result.totalReceived) * 100) : 0;
-      result.responseRate = result.totalReceived > 0 ? 
-        Math.round((result.totalResponded / result.totalReceived) * 100) : 0;
+      ]) : [];
 
-      res.json(result);
+      const { totalAlerts = 0, totalResponded = 0 } = responses[0] || {};
+      result.totalResponded = totalResponded;
+      result.responseRate = totalAlerts > 0 ?
+        Math.round((totalResponded / totalAlerts) * 100) : 0;
     } else {
-      const Alert = require('../models/Alert');
-      
-      const stats = await Alert.aggregate([
-        { $match: { hospital: req.hospital._id } },
+      const Hospital = require('../models/Hospital');
+      const hospital = await Hospital.findOne({ user: req.user._id }).select('_id');
+
+      const stats = hospital ? await Alert.aggregate([
+        { $match: { hospital: hospital._id } },
         {
           $group: {
             _id: null,
@@ -341,22 +502,25 @@ router.get('/stats', authorize('donor', 'hospital'), async (req, res) => {
             totalResponded: { $sum: '$notifications.responded' }
           }
         }
-      ]);
+      ]) : [];
 
-      const result = stats[0] || {
+      const alerts = stats[0] || {
         totalAlerts: 0,
         totalNotificationsSent: 0,
         totalOpened: 0,
         totalResponded: 0
       };
+      delete alerts._id;
 
-      result.openRate = result.totalNotificationsSent > 0 ? 
-        Math.round((result.totalOpened / result.totalNotificationsSent) * 100) : 0;
-      result.responseRate = result.totalNotificationsSent > 0 ? 
-        Math.round((result.totalResponded / result.totalNotificationsSent) * 100) : 0;
+      alerts.openRate = alerts.totalNotificationsSent > 0 ?
+        Math.round((alerts.totalOpened / alerts.totalNotificationsSent) * 100) : 0;
+      alerts.responseRate = alerts.totalNotificationsSent > 0 ?
+        Math.round((alerts.totalResponded / alerts.totalNotificationsSent) * 100) : 0;
 
-      res.json(result);
+      result.alerts = alerts;
     }
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Partnership = require('../models/Partnership');
+const Hospital = require('../models/Hospital');
+const { BLOOD_TYPES } = require('../services/bloodCompatibility');
+const { HOSPITAL_FIELDS, broadcastPartnership } = require('../services/partnerships');
+const { requireVerifiedHospital } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireVerifiedHospital);
+
+// Get agreements this hospital requested or was asked to join
+router.get('/', [
+  query('status').optional().isIn(['pending', 'active', 'declined', 'suspended', 'terminated', 'expired']),
+  query('side').optional().isIn(['requester', 'partner'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, side } = req.query;
+    const hospitalId = req.hospital._id;
+
+    // Build query
+    const filter = side === 'requester' ? { requester: hospitalId }
+      : side === 'partner' ? { partner: hospitalId }
+      : { $or: [{ requester: hospitalId }, { partner: hospitalId }] };
+    if (status) filter.status = status;
+
+    const partnerships = await Partnership.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate('requester', HOSPITAL_FIELDS)
+      .populate('partner', HOSPITAL_FIELDS);
+
+    res.json({
+      partnerships: partnerships.map(partnership => ({
+        ...partnership.toObject(),
+        side: partnership.sideOf(hospitalId),
+        inEffect: partnership.isInEffect()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a single agreement
+router.get('/:id', async (req, res) => {
+  try {
+    const partnership = await findPartnership(req);
+    if (!partnership) {
+      return res.status(404).json({ message: 'Partnership not found' });
+    }
+
+    await partnership.populate([
+      { path: 'requester', select: HOSPITAL_FIELDS },
+      { path: 'partner', select: HOSPITAL_FIELDS },
+      { path: 'history.by', select: 'email' }
+    ]);
+
+    res.json({
+      partnership,
+      side: partnership.sideOf(req.hospital._id),
+      inEffect: partnership.isInEffect()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Request a partnership; it stays pending until the other hospital accepts
+router.post('/', [
+  body('hospitalId').isMongoId(),
+  body('type').isIn(['blood_sharing', 'emergency_backup', 'referral']),
+  body('terms.allowedBloodTypes').optional().isArray(),
+  body('terms.allowedBloodTypes.*').isIn(BLOOD_TYPES),
+  body('terms.maxUnitsPerRequest').optional().isInt({ min: 1, max: 500 }).toInt(),
+  body('terms.notes').optional().trim().isLength({ max: 1000 }),
+  body('validFrom').optional().isISO8601(),
+  body('validUntil').optional().isISO8601(),
+  body('message').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hospitalId, type, terms = {}, validFrom, validUntil, message } = req.body;
+    const hospital = req.hospital;
+
+    if (hospitalId === hospital._id.toString()) {
+      return res.status(400).json({ message: 'Cannot create partnership with yourself' });
+    }
+
+    const start = validFrom ? new Date(validFrom) : new Date();
+    if (validUntil && new Date(validUntil) <= Math.max(start, Date.now())) {
+      return res.status(400).json({ message: 'validUntil must be after the start date and in the future' });
+    }
+
+    // Check if target hospital exists
+    const targetHospital = await Hospital.findOne({
+      _id: hospitalId,
+      verificationStatus: 'verified',
+      isActive: true
+    });
+    if (!targetHospital) {
+      return res.status(404).json({ message: 'Target hospital not found' });
+    }
+
+    // Only one open agreement per pair of hospitals
+    const existingPartnership = await Partnership.findBetween(hospital._id, targetHospital._id);
+    if (existingPartnership) {
+      return res.status(400).json({ message: `A ${existingPartnership.status} partnership already exists with this hospital` });
+    }
+
+    const partnership = new Partnership({
+      requester: hospital._id,
+      partner: targetHospital._id,
+      type,
+      terms: {
+        allowedBloodTypes: [...new Set(terms.allowedBloodTypes || [])],
+        maxUnitsPerRequest: terms.maxUnitsPerRequest,
+        notes: terms.notes
+      },
+      validFrom: start,
+      validUntil,
+      message,
+      history: [{ status: 'pending', hospital: hospital._id, by: req.user._id, notes: message }]
+    });
+    await partnership.save();
+
+    await broadcastPartnership(req.app.get('io'), partnership, hospital._id, { notes: message });
+
+    res.status(201).json({
+      message: 'Partnership requested',
+      partnership
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Invited hospital accepts the agreement as proposed
+router.put('/:id/accept', [
+  body('notes').optional().trim()
+], (req, res) => changeStatus(req, res, {
+  status: 'active',
+  from: ['pending'],
+  side: 'partner',
+  forbidden: 'Only the invited hospital can accept a partnership',
+  done: 'Partnership accepted',
+  check: partnership => partnership.validUntil && partnership.validUntil <= new Date()
+    ? { status: 400, message: 'This partnership request is past its end date' }
+    : null
+}));
+
+// Invited hospital turns the request down
+router.put('/:id/decline', [
+  body('reason').optional().trim()
+], (req, res) => changeStatus(req, res, {
+  status: 'declined',
+  from: ['pending'],
+  side: 'partner',
+  forbidden: 'Only the invited hospital can decline a partnership',
+  done: 'Partnership declined'
+}));
+
+// Either hospital pauses sharing without ending the agreement
+router.put('/:id/suspend', [
+  body('reason').trim().isLength({ min: 3 })
+], (req, res) => changeStatus(req, res, {
+  status: 'suspended',
+  from: ['active'],
+  done: 'Partnership suspended'
+}));
+
+// The hospital that suspended the agreement lifts the suspension
+router.put('/:id/resume', [
+  body('notes').optional().trim()
+], (req, res) => changeStatus(req, res, {
+  status: 'active',
+  from: ['suspended'],
+  label: 'resumed',
+  done: 'Partnership resumed',
+  check: (partnership, hospitalId) => partnership.suspendedBy && partnership.suspendedBy.toString() !== hospitalId.toString()
+    ? { status: 403, message: 'Only the hospital that suspended the partnership can resume it' }
+    : null
+}));
+
+// Either hospital ends the agreement; the requester may also withdraw a pending request
+router.put('/:id/terminate', [
+  body('reason').trim().isLength({ min: 3 })
+], (req, res) => changeStatus(req, res, {
+  status: 'terminated',
+  from: ['pending', 'active', 'suspended'],
+  done: 'Partnership terminated',
+  check: (partnership, hospitalId) => partnership.status === 'pending' && partnership.sideOf(hospitalId) !== 'requester'
+    ? { status: 400, message: 'Decline the request instead of terminating it' }
+    : null
+}));
+
+// Helper function to run a lifecycle step for either side and tell the other hospital
+async function changeStatus(req, res, { status, from, side, forbidden, done, label, check }) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const partnership = await findPartnership(req);
+    if (!partnership) {
+      return res.status(404).json({ message: 'Partnership not found' });
+    }
+    if (side && partnership.sideOf(req.hospital._id) !== side) {
+      return res.status(403).json({ message: forbidden });
+    }
+    if (!from.includes(partnership.status)) {
+      return res.status(400).json({ message: `Partnership is ${partnership.status}` });
+    }
+
+    const failure = check && check(partnership, req.hospital._id);
+    if (failure) {
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    const notes = req.body.reason || req.body.notes;
+    try {
+      await partnership.saveTransition(status, { hospital: req.hospital._id, actor: req.user._id, notes });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
+
+    await broadcastPartnership(req.app.get('io'), partnership, req.hospital._id, { label, notes });
+
+    res.json({
+      message: done,
+      partnership
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+}
+
+// Helper function to load an agreement this hospital is a party to
+function findPartnership(req) {
+  return Partnership.findOne({
+    _id: req.params.id,
+    $or: [{ requester: req.hospital._id }, { partner: req.hospital._id }]
+  });
+}
+
+module.exports = router;
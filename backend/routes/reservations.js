@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Reservation = require('../models/Reservation');
+const BloodUnit = require('../models/BloodUnit');
+const Alert = require('../models/Alert');
+const autoAlerts = require('../services/autoAlerts');
+const { requireVerifiedHospital } = require('../middleware/auth');
+const {
+  BLOOD_TYPES,
+  COMPONENTS,
+  canDonate,
+  getCompatibleDonorTypes
+} = require('../services/bloodCompatibility');
+
+const router = express.Router();
+
+router.use(requireVerifiedHospital);
+
+const DEFAULT_HOLD_HOURS = 24;
+const UNIT_FIELDS = 'bagId bloodType component expiryDate storageLocation status';
+
+// Get reservations
+router.get('/', [
+  query('status').optional().isIn(['active', 'issued', 'released', 'expired']),
+  query('alert').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, alert, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const filter = { hospital: req.hospital._id };
+    if (status) filter.status = status;
+    if (alert) filter.alert = alert;
+
+    const reservations = await Reservation.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('alert', 'bloodType component urgencyLevel status');
+
+    const total = await Reservation.countDocuments(filter);
+
+    res.json({
+      reservations,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a single reservation with its units
+router.get('/:id', async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ _id: req.params.id, hospital: req.hospital._id })
+      .populate('units.unit', UNIT_FIELDS)
+      .populate('units.crossMatch.testedBy', 'email')
+      .populate('alert', 'bloodType component urgencyLevel status patientInfo');
+
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    res.json({ reservation });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reserve units for an alert or a patient request
+router.post('/', [
+  body('alertId').optional().isMongoId(),
+  body('patient.reference').optional().trim().isLength({ min: 2 }),
+  body('patient.name').optional().trim(),
+  body('patient.ward').optional().trim(),
+  body('bloodType').optional().isIn(BLOOD_TYPES),
+  body('component').optional().isIn(COMPONENTS),
+  body('quantity').optional().isInt({ min: 1, max: 20 }),
+  body('unitIds').optional().isArray({ min: 1, max: 20 }),
+  body('unitIds.*').isMongoId(),
+  body('holdHours').optional().isInt({ min: 1, max: 72 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const { alertId, patient, unitIds, quantity } = req.body;
+
+    // The alert decides who the units are for; otherwise the patient request does
+    let alert = null;
+    if (alertId) {
+      alert = await Alert.findOne({ _id: alertId, hospital: hospital._id });
+      if (!alert) {
+        return res.status(404).json({ message: 'Alert not found' });
+      }
+    } else if (!patient?.reference || !req.body.bloodType) {
+      return res.status(400).json({ message: 'Provide an alert, or a patient reference and blood type' });
+    }
+
+    if (!unitIds && !quantity) {
+      return res.status(400).json({ message: 'Provide the units to reserve or a quantity' });
+    }
+
+    const bloodType = alert ? alert.bloodType : req.body.bloodType;
+    const component = alert ? alert.component : req.body.component || 'red_cells';
+
+    // Chosen units must be the right component and compatible with the recipient
+    if (unitIds) {
+      const units = await BloodUnit.find({ _id: { $in: unitIds }, hospital: hospital._id });
+      if (units.length !== new Set(unitIds).size) {
+        return res.status(404).json({ message: 'One or more blood units were not found' });
+      }
+
+      const unsuitable = units.filter(unit =>
+        unit.component !== component || !canDonate(unit.bloodType, bloodType, component)
+      );
+      if (unsuitable.length > 0) {
+        return res.status(400).json({
+          message: `Not suitable for a ${bloodType} ${component.replace('_', ' ')} recipient: ${unsuitable.map(u => u.bagId).join(', ')}`
+        });
+      }
+    }
+
+    // Identical units first, then compatible ones, with conserved groups last
+    const bloodTypes = [...new Set([
+      bloodType,
+      ...getCompatibleDonorTypes(bloodType, component, { urgencyLevel: alert?.urgencyLevel }),
+      ...getCompatibleDonorTypes(bloodType, component, { policies: {} })
+    ])].filter(type => canDonate(type, bloodType, component));
+
+    const holdHours = req.body.holdHours || DEFAULT_HOLD_HOURS;
+    const reservation = new Reservation({
+      hospital: hospital._id,
+      alert: alert?._id,
+      patient,
+      bloodType,
+      component,
+      expiresAt: new Date(Date.now() + holdHours * 60 * 60 * 1000),
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    const { reserved, shortfall } = await BloodUnit.reserveUnits(hospital._id, {
+      unitIds: unitIds && [...new Set(unitIds)],
+      bloodTypes,
+      component,
+      quantity,
+      reservationId: reservation._id,
+      actor: req.user._id,
+      reason: `Reserved for ${alert ? `alert ${alert._id}` : patient.reference}`
+    });
+
+    if (shortfall > 0) {
+      return res.status(409).json({
+        message: unitIds
+          ? 'One or more of the chosen units is no longer available'
+          : `Insufficient compatible ${component.replace('_', ' ')} units for ${bloodType}: ${quantity - shortfall} available, ${quantity} requested`
+      });
+    }
+
+    reservation.units = reserved.map(unit => ({
+      unit: unit._id,
+      bagId: unit.bagId,
+      bloodType: unit.bloodType
+    }));
+    await reservation.save();
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: `${reserved.length} unit(s) reserved`,
+      reference: { kind: 'Reservation', item: reservation._id }
+    });
+
+    emitReservationUpdated(req, hospital, reservation);
+
+    res.status(201).json({
+      message: `${reserved.length} unit(s) reserved until ${reservation.expiresAt.toISOString()}`,
+      reservation
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Record a cross-match result for a held unit
+router.put('/:id/units/:unitId/cross-match', [
+  body('result').isIn(['compatible', 'incompatible']),
+  body('method').optional().isIn(['electronic', 'immediate_spin', 'full']),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const reservation = await Reservation.findOne({ _id: req.params.id, hospital: hospital._id });
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    if (reservation.status !== 'active') {
+      return res.status(400).json({ message: `Reservation is ${reservation.status}` });
+    }
+
+    const entry = reservation.units.find(e => e.unit.toString() === req.params.unitId);
+    if (!entry || entry.status !== 'held') {
+      return res.status(404).json({ message: 'Unit is not held by this reservation' });
+    }
+
+    entry.crossMatch = {
+      result: req.body.result,
+      method: req.body.method,
+      notes: req.body.notes,
+      testedBy: req.user._id,
+      testedAt: new Date()
+    };
+
+    // An incompatible unit may still suit another patient, so it goes straight back to stock
+    if (req.body.result === 'incompatible') {
+      await reservation.releaseUnits([entry], {
+        actor: req.user._id,
+        reason: `Cross-match incompatible for reservation ${reservation._id}`
+      });
+      if (!reservation.units.some(e => e.status === 'held')) {
+        await reservation.close('released', { actor: req.user._id, reason: 'No compatible units left' });
+      }
+    }
+
+    await reservation.save();
+
+    if (req.body.result === 'incompatible') {
+      await BloodUnit.syncHospitalInventory(hospital, {
+        actor: req.user._id,
+        reason: `Unit ${entry.bagId} released after incompatible cross-match`,
+        reference: { kind: 'Reservation', item: reservation._id }
+      });
+    }
+
+    emitReservationUpdated(req, hospital, reservation);
+
+    res.json({
+      message: `Cross-match recorded as ${req.body.result}`,
+      reservation
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Issue held units that are cleared for the recipient
+router.post('/:id/issue', [
+  body('destination').trim().isLength({ min: 2 }),
+  body('reference').optional().trim(),
+  body('unitIds').optional().isArray({ min: 1 }),
+  body('unitIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = req.hospital;
+    const reservation = await Reservation.findOne({ _id: req.params.id, hospital: hospital._id });
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    if (reservation.status !== 'active') {
+      return res.status(400).json({ message: `Reservation is ${reservation.status}` });
+    }
+
+    const requested = reservation.units.filter(e =>
+      e.status === 'held' && (!req.body.unitIds || req.body.unitIds.includes(e.unit.toString()))
+    );
+
+    const blocked = requested.filter(e => !reservation.canIssueUnit(e));
+    if (requested.length === 0 || blocked.length > 0) {
+      return res.status(400).json({
+        message: blocked.length > 0
+          ? `Not cleared for issue (cross-match required): ${blocked.map(e => e.bagId).join(', ')}`
+          : 'No held units to issue'
+      });
+    }
+
+    const issuedTo = {
+      destination: req.body.destination,
+      reference: req.body.reference || reservation.patient?.reference
+    };
+    const issued = await BloodUnit.issueReservedUnits(reservation._id, requested.map(e => e.unit), {
+      issuedTo,
+      actor: req.user._id,
+      reason: `Issued from reservation ${reservation._id}`
+    });
+
+    const issuedIds = new Set(issued.map(unit => unit._id.toString()));
+    requested.forEach(e => {
+      if (issuedIds.has(e.unit.toString())) e.status = 'issued';
+    });
+    reservation.issuedTo = issuedTo;
+
+    if (!reservation.units.some(e => e.status === 'held')) {
+      reservation.status = 'issued';
+      reservation.closedAt = new Date();
+      reservation.closedBy = req.user._id;
+    }
+    await reservation.save();
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: `Issued to ${issuedTo.destination}`,
+      reference: { kind: 'Reservation', item: reservation._id }
+    });
+
+    emitReservationUpdated(req, hospital, reservation);
+
+    const notIssued = requested.filter(e => !issuedIds.has(e.unit.toString()));
+    res.json({
+      message: `${issued.length} unit(s) issued` +
+        (notIssued.length > 0 ? `; expired and not issued: ${notIssued.map(e => e.bagId).join(', ')}` : ''),
+      reservation
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Release every held unit back to stock
+router.post('/:id/release', [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const hospital = req.hospital;
+    const reservation = await Reservation.findOne({ _id: req.params.id, hospital: hospital._id });
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    if (reservation.status !== 'active') {
+      return res.status(400).json({ message: `Reservation is ${reservation.status}` });
+    }
+
+    await reservation.close('released', { actor: req.user._id, reason: req.body.reason });
+    await reservation.save();
+
+    await BloodUnit.syncHospitalInventory(hospital, {
+      actor: req.user._id,
+      reason: req.body.reason || 'Reservation released',
+      reference: { kind: 'Reservation', item: reservation._id }
+    });
+
+    emitReservationUpdated(req, hospital, reservation);
+
+    res.json({
+      message: 'Reservation released',
+      reservation
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Helper function to broadcast reservation changes to the hospital room and check the auto-alert policy
+function emitReservationUpdated(req, hospital, reservation) {
+  const io = req.app.get('io');
+  io.to(`hospital-${hospital._id}`).emit('reservation-updated', {
+    reservation: reservation.toObject(),
+    inventory: hospital.inventory.bloodUnits,
+    components: hospital.inventory.components,
+    timestamp: new Date()
+  });
+  autoAlerts.queueEvaluation(hospital);
+}
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ScreeningResponse = require('../models/ScreeningResponse');
+const CheckIn = require('../models/CheckIn');
+const Donor = require('../models/Donor');
+const {
+  CURRENT_VERSION,
+  getQuestionnaire,
+  describeQuestionnaire,
+  validateAnswers,
+  evaluateScreening
+} = require('../services/screening');
+const { closeVisit, broadcastCheckIn } = require('../services/checkIn');
+const { authorize, requireVerifiedHospital } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get the current questionnaire; staff also see the questions they fill in at the desk
+router.get('/questionnaire', (req, res) => {
+  res.json({
+    questionnaire: describeQuestionnaire(getQuestionnaire(), {
+      includeStaffOnly: req.user.role !== 'donor'
+    })
+  });
+});
+
+// Get the donor's latest questionnaire that is still valid
+router.get('/responses/me', authorize('donor'), async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user._id });
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor profile not found' });
+    }
+
+    const response = await ScreeningResponse.findLatestValid(donor._id);
+
+    res.json({
+      response,
+      currentVersion: CURRENT_VERSION,
+      gender: donor.personalInfo.gender,
+      eligibility: donor.checkEligibility()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Complete the questionnaire before arriving
+router.post('/responses', authorize('donor'), [
+  body('answers').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await Donor.findOne({ user: req.user._id });
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor profile not found' });
+    }
+
+    const questionnaire = getQuestionnaire();
+    const validation = validateAnswers(questionnaire, req.body.answers, donor);
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are missing or invalid', answerErrors: validation.errors });
+    }
+
+    const outcome = evaluateScreening(questionnaire, validation.answers, donor);
+    const response = new ScreeningResponse({
+      donor: donor._id,
+      questionnaireVersion: questionnaire.version,
+      answers: validation.answers,
+      source: 'donor',
+      outcome,
+      submittedBy: req.user._id
+    });
+    await response.save();
+
+    donor.applyScreeningOutcome(outcome, response._id);
+    await donor.save();
+
+    res.status(201).json({
+      message: outcome.eligible
+        ? 'Thank you. Staff will confirm your answers when you arrive.'
+        : `Based on your answers you cannot donate yet: ${outcome.deferral.reason}`,
+      response,
+      eligibility: donor.checkEligibility()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a donor's latest questionnaire for confirmation at the desk
+router.get('/donors/:donorId', requireVerifiedHospital, [
+  param('donorId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await Donor.findById(req.params.donorId);
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const response = await ScreeningResponse.findLatestValid(donor._id);
+
+    // Submitted answers are confirmed against the version the donor answered
+    const questionnaire = getQuestionnaire(response?.status === 'submitted' ? response.questionnaireVersion : CURRENT_VERSION);
+
+    res.json({
+      questionnaire: describeQuestionnaire(questionnaire, { includeStaffOnly: true }),
+      response,
+      donor: {
+        _id: donor._id,
+        gender: donor.personalInfo.gender
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm the donor's answers at check-in, or complete the questionnaire with a walk-in donor
+router.post('/donors/:donorId/confirm', requireVerifiedHospital, [
+  param('donorId').isMongoId(),
+  body('answers').isObject(),
+  body('responseId').optional().isMongoId(),
+  body('checkInId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await Donor.findById(req.params.donorId);
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    let checkIn = null;
+    if (req.body.checkInId) {
+      checkIn = await CheckIn.findOne({
+        _id: req.body.checkInId,
+        hospital: req.hospital._id,
+        donor: donor._id,
+        status: { $in: CheckIn.OPEN_STATUSES }
+      });
+      if (!checkIn) {
+        return res.status(404).json({ message: 'No open check-in found for this donor' });
+      }
+    }
+
+    let response = null;
+    if (req.body.responseId) {
+      response = await ScreeningResponse.findOne({
+        _id: req.body.responseId,
+        donor: donor._id,
+        status: 'submitted',
+        validUntil: { $gt: new Date() }
+      });
+      if (!response) {
+        return res.status(404).json({ message: 'No unconfirmed questionnaire found; complete a new one with the donor' });
+      }
+    }
+
+    // Hemoglobin measured during check-in screening does not need typing twice
+    const answers = { ...req.body.answers };
+    if (answers.hemoglobin === undefined && checkIn?.screening?.vitals?.hemoglobin) {
+      answers.hemoglobin = checkIn.screening.vitals.hemoglobin;
+    }
+
+    const questionnaire = getQuestionnaire(response ? response.questionnaireVersion : CURRENT_VERSION);
+    const validation = validateAnswers(questionnaire, answers, donor, { includeStaffOnly: true });
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are missing or invalid', answerErrors: validation.errors });
+    }
+
+    const outcome = evaluateScreening(questionnaire, validation.answers, donor);
+    if (!response) {
+      response = new ScreeningResponse({
+        donor: donor._id,
+        questionnaireVersion: questionnaire.version,
+        source: 'staff',
+        submittedBy: req.user._id
+      });
+    }
+    Object.assign(response, {
+      answers: validation.answers,
+      outcome,
+      status: 'confirmed',
+      hospital: req.hospital._id,
+      checkIn: checkIn?._id,
+      confirmedBy: req.user._id,
+      confirmedAt: new Date()
+    });
+    await response.save();
+
+    donor.applyScreeningOutcome(outcome, response._id);
+    await donor.save();
+
+    if (checkIn) {
+      checkIn.questionnaire = response._id;
+      if (!outcome.eligible) {
+        checkIn.status = 'deferred';
+        checkIn.completedAt = new Date();
+        checkIn.notes = outcome.deferral.reason;
+      }
+      await checkIn.save();
+
+      if (!outcome.eligible) {
+        await closeVisit(checkIn, 'not_eligible', `Deferred: ${outcome.deferral.reason}`, req.user._id);
+      }
+      await broadcastCheckIn(req.app.get('io'), checkIn, outcome.eligible ? 'questionnaire_confirmed' : 'deferred');
+    }
+
+    res.json({
+      message: outcome.eligible ? 'Questionnaire confirmed' : `Donor deferred: ${outcome.deferral.reason}`,
+      response,
+      eligibility: donor.checkEligibility()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const twilio = require('twilio');
+const Alert = require('../models/Alert');
+const Donor = require('../models/Donor');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// Keywords donors can reply with
+const REPLY_KEYWORDS = {
+  committed: ['YES', 'Y', 'OK', 'COMING'],
+  not_available: ['NO', 'N', 'CANT', 'BUSY']
+};
+
+// Reject requests that were not signed by Twilio with our auth token
+const verifyTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return res.status(503).json({ message: 'SMS webhook not configured' });
+  }
+
+  // Behind a proxy the public URL Twilio signed differs from the one we see
+  const url = process.env.SMS_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const signature = req.get('X-Twilio-Signature');
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body)) {
+    return res.status(403).json({ message: 'Invalid Twilio signature' });
+  }
+
+  next();
+};
+
+// Receive an inbound SMS reply from a donor
+router.post('/inbound', verifyTwilioSignature, async (req, res) => {
+  const twiml = new twilio.twiml.MessagingResponse();
+  const reply = (message) => {
+    if (message) twiml.message(message);
+    res.type('text/xml').send(twiml.toString());
+  };
+
+  try {
+    const from = req.body.From || '';
+    const text = (req.body.Body || '').trim();
+    const keyword = text.split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+
+    const responseType = Object.keys(REPLY_KEYWORDS).find(type => REPLY_KEYWORDS[type].includes(keyword));
+    if (!responseType) {
+      return reply('Sorry, we did not understand that. Reply YES if you can donate or NO if you cannot.');
+    }
+
+    const donors = await findDonorsByPhone(from);
+    if (donors.length !== 1) {
+      console.log(`Inbound SMS from a number ending ${from.slice(-2)} matched ${donors.length} donors`);
+      return reply(donors.length === 0
+        ? 'We could not find a donor account for this number. Please respond through the BloodAlert app.'
+        : 'This number is linked to more than one donor. Please respond through the BloodAlert app.');
+    }
+    const donor = donors[0];
+
+    // Most recent open alert this donor was notified about and has not answered
+    const alert = await Alert.findOne({
+      'notifications.sentTo.donor': donor._id,
+      'responses.donor': { $ne: donor._id },
+      status: { $in: ['active', 'partially_fulfilled'] },
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ createdAt: -1 })
+    .populate('hospital', 'basicInfo.name');
+
+    if (!alert) {
+      return reply('There is no open blood request waiting for your reply. Thank you for checking in!');
+    }
+
+    const responseData = {
+      donor: donor._id,
+      responseType,
+      message: text,
+      contactInfo: {
+        phone: donor.personalInfo.phone
+      }
+    };
+
+    alert.addResponse(donor._id, responseType, responseData);
+    await alert.save();
+
+    // Emit real-time update to hospital
+    const io = req.app.get('io');
+    io.to(`hospital-${alert.hospital._id}`).emit('alert-response', {
+      alertId: alert._id,
+      response: responseData,
+      donorName: `${donor.personalInfo.firstName} ${donor.personalInfo.lastName}`,
+      donorBloodType: donor.medicalInfo.bloodGroup,
+      channel: 'sms'
+    });
+
+    await notificationService.notifyHospital(alert.hospital._id, {
+      type: 'alert_response',
+      title: `Donor ${responseType.replace('_', ' ')}`,
+      message: `${donor.personalInfo.firstName} ${donor.personalInfo.lastName} (${donor.medicalInfo.bloodGroup}) replied ${keyword} by SMS to your ${alert.bloodType} alert`,
+      link: '/hospital/alerts',
+      alert: alert._id,
+      data: { responseType, channel: 'sms' }
+    });
+
+    reply(responseType === 'committed'
+      ? `Thank you! ${alert.hospital.basicInfo.name} has been told you are coming.`
+      : 'Thanks for letting us know. We will reach out next time.');
+  } catch (error) {
+    console.error('Failed to process inbound SMS:', error.message);
+    // Twilio relays whatever we return to the donor, so answer in TwiML rather than a JSON error
+    if (!res.headersSent) {
+      reply('Sorry, we could not process your reply right now. Please respond through the BloodAlert app.');
+    }
+  }
+});
+
+// Helper function to match a sender number against free-form donor phone numbers
+async function findDonorsByPhone(from) {
+  const digits = from.replace(/\D/g, '').slice(-10);
+  if (digits.length < 7) return [];
+
+  // Allow the separators donors type between digits, anchored to the end of the number
+  const pattern = new RegExp(`${digits.split('').join('[\\s\\-()]*')}$`);
+
+  return Donor.find({
+    'personalInfo.phone': pattern,
+    isActive: true
+  }).limit(2);
+}
+
+module.exports = router;
@@ -0,0 +1,409 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Transfer = require('../models/Transfer');
+const Alert = require('../models/Alert');
+const Hospital = require('../models/Hospital');
+const Partnership = require('../models/Partnership');
+const { BLOOD_TYPES, COMPONENTS } = require('../services/bloodCompatibility');
+const {
+  HOSPITAL_FIELDS,
+  createTransferRequest,
+  checkTransferableStock,
+  dispatchStock,
+  receiveStock,
+  broadcastTransfer,
+  loadParties
+} = require('../services/transfers');
+const autoAlerts = require('../services/autoAlerts');
+const { requireVerifiedHospital } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireVerifiedHospital);
+
+// Get transfers this hospital sends or receives
+router.get('/', [
+  query('direction').optional().isIn(['incoming', 'outgoing']),
+  query('status').optional().isIn(['requested', 'approved', 'dispatched', 'in_transit', 'received', 'cancelled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { direction, status, page = 1, limit = 20 } = req.query;
+    const hospitalId = req.hospital._id;
+
+    // Build query
+    const filter = direction === 'incoming' ? { toHospital: hospitalId }
+      : direction === 'outgoing' ? { fromHospital: hospitalId }
+      : { $or: [{ toHospital: hospitalId }, { fromHospital: hospitalId }] };
+    if (status) filter.status = status;
+
+    const transfers = await Transfer.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('fromHospital', HOSPITAL_FIELDS)
+      .populate('toHospital', HOSPITAL_FIELDS)
+      .populate('alert', 'bloodType component urgencyLevel status');
+
+    const total = await Transfer.countDocuments(filter);
+
+    res.json({
+      transfers: transfers.map(transfer => ({
+        ...transfer.toObject(),
+        side: transfer.sideOf(hospitalId)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a single transfer
+router.get('/:id', async (req, res) => {
+  try {
+    const transfer = await findTransfer(req);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    await transfer.populate([
+      { path: 'fromHospital', select: HOSPITAL_FIELDS },
+      { path: 'toHospital', select: HOSPITAL_FIELDS },
+      { path: 'alert', select: 'bloodType component urgencyLevel status unitsNeeded unitsCollected' },
+      { path: 'history.by', select: 'email' }
+    ]);
+
+    res.json({ transfer });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Ask a partner hospital for units directly; the partner approves before dispatching
+router.post('/', [
+  body('fromHospitalId').isMongoId(),
+  body('alertId').optional().isMongoId(),
+  body('bloodType').optional().isIn(BLOOD_TYPES),
+  body('component').optional().isIn(COMPONENTS),
+  body('units').isInt({ min: 1, max: 500 }).toInt(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromHospitalId, alertId, units, notes } = req.body;
+
+    // Requests tied to an alert take its blood type and component
+    let alert = null;
+    if (alertId) {
+      alert = await Alert.findOne({
+        _id: alertId,
+        hospital: req.hospital._id,
+        status: { $in: ['active', 'partially_fulfilled'] }
+      });
+      if (!alert) {
+        return res.status(404).json({ message: 'Open alert not found' });
+      }
+    }
+
+    const bloodType = alert ? alert.bloodType : req.body.bloodType;
+    const component = alert ? alert.component : req.body.component || 'red_cells';
+    if (!bloodType) {
+      return res.status(400).json({ message: 'bloodType is required when no alert is given' });
+    }
+
+    const sender = await Hospital.findOne({ _id: fromHospitalId, verificationStatus: 'verified', isActive: true });
+    if (!sender) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+
+    // Only partners whose agreement covers the request can be asked directly
+    const partnership = await Partnership.findBetween(req.hospital._id, sender._id, ['active']);
+    const notCovered = partnership
+      ? partnership.checkSharing({ bloodType, units })
+      : 'Hospital is not a partner';
+    if (notCovered) {
+      return res.status(400).json({ message: notCovered });
+    }
+
+    const untracked = checkTransferableStock(sender, component);
+    if (untracked) {
+      return res.status(400).json({ message: untracked });
+    }
+
+    const transfer = await createTransferRequest(req.hospital, sender, { bloodType, component, units, alert, notes }, req.user._id);
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.status(201).json({
+      message: `${units} unit(s) requested from ${sender.basicInfo.name}`,
+      transfer
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The side that did not propose the transfer agrees to it
+router.put('/:id/approve', [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const transfer = await findTransfer(req);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (transfer.sideOf(req.hospital._id) !== transfer.approverSide()) {
+      return res.status(403).json({ message: `Only the ${transfer.approverSide() === 'sender' ? 'sending' : 'receiving'} hospital can approve this transfer` });
+    }
+
+    try {
+      await transfer.saveTransition('approved', { actor: req.user._id, notes: req.body.notes });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
+
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.json({
+      message: 'Transfer approved',
+      transfer
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Sending hospital releases the units from stock and hands them to the courier
+router.put('/:id/dispatch', [
+  body('courier.name').trim().isLength({ min: 2 }),
+  body('courier.phone').optional().trim(),
+  body('courier.vehicle').optional().trim(),
+  body('courier.trackingReference').optional().trim(),
+  body('estimatedArrival').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findTransfer(req);
+    if (!existing) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (existing.sideOf(req.hospital._id) !== 'sender') {
+      return res.status(403).json({ message: 'Only the sending hospital can dispatch a transfer' });
+    }
+
+    // Claim the dispatch first so stock is only deducted once
+    const transfer = await Transfer.findOneAndUpdate(
+      { _id: existing._id, status: 'approved' },
+      { $set: { status: 'dispatched', dispatchedAt: new Date() } },
+      { new: true }
+    );
+    if (!transfer) {
+      return res.status(400).json({ message: `Cannot dispatch a ${existing.status} transfer` });
+    }
+
+    const { sender, receiver } = await loadParties(transfer);
+    const failure = await dispatchStock(transfer, sender, receiver, req.user._id);
+    if (failure) {
+      await Transfer.updateOne(
+        { _id: transfer._id, status: 'dispatched' },
+        { $set: { status: 'approved' }, $unset: { dispatchedAt: 1 } }
+      );
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    transfer.courier = req.body.courier;
+    transfer.estimatedArrival = req.body.estimatedArrival;
+    transfer.history.push({ status: 'dispatched', by: req.user._id, notes: req.body.notes });
+    await transfer.save();
+
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.json({
+      message: `${transfer.units} unit(s) dispatched`,
+      transfer
+    });
+    autoAlerts.queueEvaluation(sender);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Sending hospital confirms the courier is on the road
+router.put('/:id/in-transit', [
+  body('estimatedArrival').optional().isISO8601(),
+  body('courier.trackingReference').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await findTransfer(req);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (transfer.sideOf(req.hospital._id) !== 'sender') {
+      return res.status(403).json({ message: 'Only the sending hospital can update the courier' });
+    }
+
+    if (req.body.estimatedArrival) transfer.estimatedArrival = req.body.estimatedArrival;
+    if (req.body.courier?.trackingReference) transfer.courier.trackingReference = req.body.courier.trackingReference;
+    try {
+      await transfer.saveTransition('in_transit', { actor: req.user._id, notes: req.body.notes });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
+
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.json({
+      message: 'Transfer marked in transit',
+      transfer
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Receiving hospital confirms receipt and takes the units into stock
+router.put('/:id/receive', [
+  body('unitsReceived').optional().isInt({ min: 0 }).toInt(),
+  body('bags').optional().isArray({ min: 1 }),
+  body('bags.*.bagId').trim().isLength({ min: 3, max: 40 }),
+  body('bags.*.expiryDate').isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findTransfer(req);
+    if (!existing) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (existing.sideOf(req.hospital._id) !== 'receiver') {
+      return res.status(403).json({ message: 'Only the receiving hospital can confirm receipt' });
+    }
+
+    const unitsReceived = req.body.unitsReceived ?? existing.units;
+    if (unitsReceived > existing.units) {
+      return res.status(400).json({ message: `Only ${existing.units} unit(s) were sent` });
+    }
+
+    // Claim the receipt first so stock is only added once
+    const transfer = await Transfer.findOneAndUpdate(
+      { _id: existing._id, status: { $in: ['dispatched', 'in_transit'] } },
+      { $set: { status: 'received', receivedAt: new Date() } },
+      { new: true }
+    );
+    if (!transfer) {
+      return res.status(400).json({ message: `Cannot receive a ${existing.status} transfer` });
+    }
+
+    const { receiver } = await loadParties(transfer);
+    const failure = await receiveStock(transfer, receiver, { unitsReceived, bags: req.body.bags }, req.user._id);
+    if (failure) {
+      await Transfer.updateOne(
+        { _id: transfer._id, status: 'received' },
+        { $set: { status: existing.status }, $unset: { receivedAt: 1 } }
+      );
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    transfer.unitsReceived = unitsReceived;
+    transfer.receiptNotes = req.body.notes;
+    transfer.history.push({ status: 'received', by: req.user._id, notes: req.body.notes });
+    await transfer.save();
+
+    // Delivered units count towards the alert the partner answered
+    const alert = await Alert.findById(transfer.alert);
+    if (alert) {
+      const oldStatus = alert.status;
+      alert.recordTransfer(transfer.fromHospital, unitsReceived);
+      await alert.save();
+
+      if (alert.status !== oldStatus) {
+        req.app.get('io').to(`hospital-${alert.hospital}`).emit('alert-status-updated', {
+          alertId: alert._id,
+          oldStatus,
+          newStatus: alert.status,
+          reason: 'Transfer received'
+        });
+      }
+    }
+
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.json({
+      message: `${unitsReceived} unit(s) received into inventory`,
+      transfer
+    });
+    autoAlerts.queueEvaluation(receiver);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Either hospital can call off a transfer before it leaves the sender
+router.put('/:id/cancel', [
+  body('reason').trim().isLength({ min: 3 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await findTransfer(req);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    transfer.cancellationReason = req.body.reason;
+    try {
+      await transfer.saveTransition('cancelled', { actor: req.user._id, notes: req.body.reason });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
+
+    await broadcastTransfer(req.app.get('io'), transfer, req.hospital._id);
+
+    res.json({
+      message: 'Transfer cancelled',
+      transfer
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Helper function to load a transfer this hospital is a party to
+function findTransfer(req) {
+  return Transfer.findOne({
+    _id: req.params.id,
+    $or: [{ fromHospital: req.hospital._id }, { toHospital: req.hospital._id }]
+  });
+}
+
+module.exports = router;
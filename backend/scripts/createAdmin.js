@@ -0,0 +1,44 @@
+// Creates an admin account, or promotes an existing one: npm run create-admin -- <email> [password] [--reset-password]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const resetPassword = args.includes('--reset-password');
+  const [email, password] = args.filter(arg => arg !== '--reset-password');
+  if (!email || (resetPassword && !password)) {
+    console.error('Usage: npm run create-admin -- <email> [password] [--reset-password]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_shortage_system');
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  const existing = Boolean(user);
+  if (user) {
+    // Promoting keeps the existing password unless a reset is asked for explicitly
+    user.role = 'admin';
+    if (resetPassword) {
+      user.password = password;
+    }
+  } else {
+    if (!password) {
+      console.error(`No account for ${email}; a password is needed to create one`);
+      process.exit(1);
+    }
+    user = new User({ email, password, role: 'admin' });
+  }
+  await user.save();
+
+  console.log(`Admin account ready: ${user.email}`);
+  if (existing && !resetPassword) {
+    console.log('Existing password kept; pass --reset-password to replace it');
+  }
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('Failed to create admin:', error.message);
+  process.exit(1);
+});
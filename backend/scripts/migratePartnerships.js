@@ -0,0 +1,48 @@
+// Moves partnerships stored on hospital documents into Partnership agreements: npm run migrate-partnerships
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Hospital = require('../models/Hospital');
+const Partnership = require('../models/Partnership');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_shortage_system');
+
+  // Read the raw documents; the field is no longer in the schema
+  const hospitals = await Hospital.collection
+    .find({ 'partnerships.0': { $exists: true } }, { projection: { partnerships: 1 } })
+    .toArray();
+
+  let created = 0;
+  for (const hospital of hospitals) {
+    for (const entry of hospital.partnerships) {
+      if (!entry.hospitalId) continue;
+
+      // Both hospitals held a copy; keep whichever is seen first
+      const existing = await Partnership.findBetween(hospital._id, entry.hospitalId, ['active', 'terminated']);
+      if (existing) continue;
+
+      const active = entry.status !== 'inactive';
+      await Partnership.create({
+        requester: hospital._id,
+        partner: entry.hospitalId,
+        type: entry.type || 'blood_sharing',
+        status: active ? 'active' : 'terminated',
+        validFrom: entry.establishedDate,
+        respondedAt: entry.establishedDate,
+        endedAt: active ? undefined : new Date(),
+        history: [{ status: active ? 'active' : 'terminated', notes: 'Migrated from hospital record' }]
+      });
+      created++;
+    }
+  }
+
+  await Hospital.collection.updateMany({ partnerships: { $exists: true } }, { $unset: { partnerships: '' } });
+
+  console.log(`Migrated ${created} partnership(s) from ${hospitals.length} hospital(s)`);
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('Failed to migrate partnerships:', error.message);
+  process.exit(1);
+});
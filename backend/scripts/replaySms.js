@@ -0,0 +1,49 @@
+// Replays a signed inbound SMS against a running server: npm run replay-sms -- <from> <body> [url]
+const crypto = require('crypto');
+const twilio = require('twilio');
+require('dotenv').config();
+
+const run = async () => {
+  const [from, body, url = `http://localhost:${process.env.PORT || 5000}/api/sms/inbound`] = process.argv.slice(2);
+  if (!from || !body) {
+    console.error('Usage: npm run replay-sms -- <from> <body> [url]');
+    process.exit(1);
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error('TWILIO_AUTH_TOKEN must be set so the payload can be signed');
+    process.exit(1);
+  }
+
+  // Same fields Twilio sends for an inbound message
+  const params = {
+    AccountSid: process.env.TWILIO_ACCOUNT_SID || `AC${crypto.randomBytes(16).toString('hex')}`,
+    MessageSid: `SM${crypto.randomBytes(16).toString('hex')}`,
+    From: from,
+    To: process.env.TWILIO_PHONE_NUMBER || '',
+    Body: body,
+    NumMedia: '0'
+  };
+
+  // Sign against the URL the server will reconstruct, as Twilio would
+  const signedUrl = process.env.SMS_WEBHOOK_URL || url;
+  const signature = twilio.getExpectedTwilioSignature(authToken, signedUrl, params);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': signature
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+};
+
+run().catch((error) => {
+  console.error('Failed to replay SMS:', error.message);
+  process.exit(1);
+});
@@ -14,13 +14,27 @@ const hospitalRoutes = require('./routes/hospitals');
 const alertRoutes = require('./routes/alerts');
 const inventoryRoutes = require('./routes/inventory');
 const notificationRoutes = require('./routes/notifications');
+const donationRoutes = require('./routes/donations');
+const adminRoutes = require('./routes/admin');
+const bloodUnitRoutes = require('./routes/bloodUnits');
+const smsRoutes = require('./routes/sms');
+const appointmentRoutes = require('./routes/appointments');
+const checkInRoutes = require('./routes/checkIns');
+const screeningRoutes = require('./routes/screening');
+const reservationRoutes = require('./routes/reservations');
+const transferRoutes = require('./routes/transfers');
+const partnershipRoutes = require('./routes/partnerships');
 
 // Import middleware
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, authorize, socketAuth } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 
 // Import services
 const notificationService = require('./services/notificationService');
+const autoAlerts = require('./services/autoAlerts');
+const scheduler = require('./services/scheduler');
+const messageQueue = require('./services/messageQueue');
+const Alert = require('./models/Alert');
 
 const app = express();
 const server = createServer(app);
@@ -54,8 +68,26 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_shortage_system')
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    // Drops the old TTL index on expiresAt so expired alerts are kept
+    try {
+      await Alert.syncIndexes();
+    } catch (error) {
+      console.error('Failed to sync alert indexes:', error.message);
+    }
+
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduler.start(io);
+    }
+
+    if (process.env.MESSAGE_QUEUE_ENABLED !== 'false') {
+      messageQueue.start({
+        io,
+        deliver: (channel, content) => notificationService.deliver(channel, content)
+      });
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -63,15 +95,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_sho
   });
 
 // Socket.IO connection handling
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  // Join room based on user type and location
-  socket.on('join-room', (data) => {
-    const { userType, hospitalId, location } = data;
-    socket.join(`${userType}-${hospitalId || 'global'}`);
-    console.log(`User joined room: ${userType}-${hospitalId || 'global'}`);
-  });
+  // Rooms are joined from the authenticated identity only; clients cannot pick their own
+  // Personal room for inbox notifications
+  if (socket.data.user) {
+    socket.join(`user-${socket.data.user._id}`);
+  }
+  if (socket.data.hospitalId) {
+    socket.join(`hospital-${socket.data.hospitalId}`);
+  }
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
@@ -80,14 +116,26 @@ io.on('connection', (socket) => {
 
 // Make io available to routes
 app.set('io', io);
+notificationService.setIO(io);
+autoAlerts.setIO(io);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/donors', authMiddleware, donorRoutes);
+app.use('/api/hospitals/partnerships', authMiddleware, partnershipRoutes);
 app.use('/api/hospitals', authMiddleware, hospitalRoutes);
 app.use('/api/alerts', authMiddleware, alertRoutes);
+app.use('/api/inventory/units', authMiddleware, bloodUnitRoutes);
+app.use('/api/inventory/reservations', authMiddleware, reservationRoutes);
 app.use('/api/inventory', authMiddleware, inventoryRoutes);
 app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/donations', authMiddleware, donationRoutes);
+app.use('/api/appointments', authMiddleware, appointmentRoutes);
+app.use('/api/check-ins', authMiddleware, checkInRoutes);
+app.use('/api/transfers', authMiddleware, transferRoutes);
+app.use('/api/screening', authMiddleware, screeningRoutes);
+app.use('/api/admin', authMiddleware, authorize('admin'), adminRoutes);
+app.use('/api/sms', smsRoutes); // Twilio webhooks, verified by signature
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -116,6 +164,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  scheduler.stop();
+  messageQueue.stop();
   server.close(() => {
     mongoose.connection.close();
     process.exit(0);
@@ -0,0 +1,60 @@
+const Donor = require('../models/Donor');
+const notificationService = require('./notificationService');
+
+// Responses from donors who may still be on their way or waiting to donate
+const ACTIVE_RESPONSES = ['interested', 'committed', 'arrived'];
+
+const CLOSED_STATUS_LABELS = {
+  cancelled: 'cancelled — no longer needed',
+  fulfilled: 'fully met — no further donations needed',
+  expired: 'closed'
+};
+
+// Plain-language summary of the changes a responding donor needs to know about, or null if none
+function describeMaterialChanges(changes) {
+  // Once the request is closed nothing else about it matters to donors
+  const closed = changes.find(change => change.field === 'status' && CLOSED_STATUS_LABELS[change.to]);
+  if (closed) return `Request ${CLOSED_STATUS_LABELS[closed.to]}`;
+
+  const parts = [];
+  for (const { field, from, to } of changes) {
+    switch (field) {
+      case 'urgencyLevel':
+        parts.push(`Urgency now ${to}`);
+        break;
+      case 'unitsNeeded':
+        parts.push(`Now ${to} unit(s) needed (was ${from})`);
+        break;
+      case 'patientInfo.requiredBy':
+        parts.push(`Now needed by ${new Date(to).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+        break;
+      default:
+        break;
+    }
+  }
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+// Push material alert changes to donors who already responded; returns how many were told
+async function notifyResponders(alert, changes) {
+  const summary = describeMaterialChanges(changes);
+  if (!summary) return 0;
+
+  const donorIds = [...new Set(alert.responses
+    .filter(response => ACTIVE_RESPONSES.includes(response.responseType) && !response.donationCompleted)
+    .map(response => (response.donor._id || response.donor).toString()))];
+  if (donorIds.length === 0) return 0;
+
+  const donors = await Donor.find({ _id: { $in: donorIds } }).populate('user', 'email');
+  try {
+    await notificationService.sendAlertUpdate(alert, donors, summary);
+  } catch (error) {
+    console.error(`Failed to notify responders of alert ${alert._id}:`, error.message);
+    return 0;
+  }
+  return donors.length;
+}
+
+module.exports = {
+  notifyResponders
+};
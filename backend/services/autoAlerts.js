@@ -0,0 +1,157 @@
+const Alert = require('../models/Alert');
+const Hospital = require('../models/Hospital');
+const notificationService = require('./notificationService');
+const { startWave } = require('./mobilization');
+
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const AUTO_ALERT_TAGS = ['automatic', 'inventory_policy'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Most urgent policy level the stock has fallen to, or null when it is above all of them
+function matchLevel(policy, { available, critical }) {
+  let matched = null;
+  for (const level of policy.levels) {
+    const limit = level.basis === 'units' ? level.threshold : level.threshold * critical;
+    if (available > limit) continue;
+    if (!matched || URGENCY_LEVELS.indexOf(level.urgencyLevel) > URGENCY_LEVELS.indexOf(matched.urgencyLevel)) {
+      matched = { urgencyLevel: level.urgencyLevel, limit };
+    }
+  }
+  return matched;
+}
+
+// Raises shortage alerts from a hospital's auto-alert policy after its inventory changes
+class AutoAlertService {
+  setIO(io) {
+    this.io = io;
+  }
+
+  // One { bloodType, outcome, alertId } per type; outcome is raised, pending_approval or why nothing was raised
+  async evaluate(hospital, bloodTypes, { actor } = {}) {
+    if (!hospital.alerts.autoAlertEnabled) return [];
+
+    const results = [];
+    for (const bloodType of bloodTypes) {
+      results.push(await this.evaluateType(hospital, bloodType, actor));
+    }
+    return results;
+  }
+
+  // Check the policy for the types a saved inventory change touched, in the background on a fresh
+  // copy of the hospital so inventory writes never wait on alert creation or donor fan-out
+  queueEvaluation(hospital) {
+    const changes = hospital.$locals.stockChanges;
+    if (!changes || changes.length === 0) return;
+    hospital.$locals.stockChanges = [];
+
+    setImmediate(async () => {
+      try {
+        const current = await Hospital.findById(hospital._id);
+        if (!current) return;
+        await this.evaluate(current, [...new Set(changes.map(change => change.bloodType))], {
+          actor: changes[changes.length - 1].actor
+        });
+      } catch (error) {
+        console.error(`Auto-alert check failed for hospital ${hospital._id}:`, error.message);
+      }
+    });
+  }
+
+  async evaluateType(hospital, bloodType, actor) {
+    const policy = hospital.getAutoAlertPolicy(bloodType);
+    const stock = hospital.inventory.bloodUnits[bloodType];
+    if (!policy.enabled) return { bloodType, outcome: 'disabled' };
+
+    const level = matchLevel(policy, stock);
+    if (!level) return { bloodType, outcome: 'above_threshold' };
+
+    const openAlert = await Alert.exists({
+      hospital: hospital._id,
+      bloodType,
+      status: { $in: Alert.UNRESOLVED_STATUSES }
+    });
+    if (openAlert) return { bloodType, outcome: 'open_alert', alertId: openAlert._id };
+
+    // Claim the cooldown with a conditional update so concurrent saves raise a single alert
+    const now = new Date();
+    const path = `alerts.lastAutoAlertAt.${bloodType}`;
+    const claimed = await Hospital.findOneAndUpdate({
+      _id: hospital._id,
+      $or: [
+        { [path]: { $exists: false } },
+        { [path]: { $lte: new Date(now.getTime() - policy.cooldownMinutes * 60 * 1000) } }
+      ]
+    }, { $set: { [path]: now } }, { projection: { _id: 1 } });
+    if (!claimed) return { bloodType, outcome: 'cooldown' };
+
+    const deadline = new Date(now.getTime() + policy.expiryHours * HOUR_MS);
+    const alert = await Alert.create({
+      hospital: hospital._id,
+      bloodType,
+      urgencyLevel: level.urgencyLevel,
+      unitsNeeded: Math.min(100, Math.max(1, Math.ceil(stock.critical * policy.restockRatio) - stock.available)),
+      reason: `Automatic shortage alert: ${stock.available} ${bloodType} unit(s) left against a critical level of ${stock.critical}`,
+      patientInfo: {
+        condition: 'Blood shortage - automatic alert',
+        isEmergency: level.urgencyLevel === 'critical',
+        requiredBy: deadline
+      },
+      location: {
+        coordinates: hospital.location.coordinates,
+        searchRadius: policy.searchRadius
+      },
+      status: policy.requireApproval ? 'pending_approval' : 'active',
+      expiresAt: deadline,
+      createdBy: actor || hospital.user,
+      tags: AUTO_ALERT_TAGS
+    });
+
+    this.emit(hospital._id, 'critical-shortage', {
+      bloodType,
+      available: stock.available,
+      critical: stock.critical,
+      alertId: alert._id,
+      urgencyLevel: alert.urgencyLevel,
+      status: alert.status
+    });
+
+    if (policy.requireApproval) {
+      await notificationService.notifyHospital(hospital._id, {
+        type: 'auto_alert_approval',
+        title: `${bloodType} alert awaiting approval`,
+        message: `${bloodType} stock is down to ${stock.available} unit(s). Approve the ${alert.urgencyLevel} alert for ${alert.unitsNeeded} unit(s) to contact donors.`,
+        link: '/hospital/alerts',
+        alert: alert._id
+      });
+      return { bloodType, outcome: 'pending_approval', alertId: alert._id };
+    }
+
+    await this.mobilize(hospital, alert);
+    return { bloodType, outcome: 'raised', alertId: alert._id };
+  }
+
+  // Contact the first wave of donors for an automatic alert and confirm it to the hospital
+  async mobilize(hospital, alert) {
+    const { wave, notificationResults } = await startWave(alert, 'initial');
+    try {
+      await notificationService.sendHospitalAlert(hospital, alert);
+    } catch (error) {
+      console.error(`Failed to send auto alert confirmation to hospital ${hospital._id}:`, error.message);
+    }
+
+    this.emit(hospital._id, 'alert-created', {
+      alert: alert.toObject(),
+      notificationResults,
+      donorsNotified: wave.donorsNotified
+    });
+    return { wave, notificationResults };
+  }
+
+  emit(hospitalId, event, data) {
+    if (this.io) {
+      this.io.to(`hospital-${hospitalId}`).emit(event, data);
+    }
+  }
+}
+
+module.exports = new AutoAlertService();
@@ -0,0 +1,116 @@
+// Blood group compatibility for every component, kept in one place.
+// Everything is phrased as "can a donor of group X give this component to a recipient of group Y".
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const COMPONENTS = ['whole_blood', 'red_cells', 'platelets', 'plasma', 'cryoprecipitate'];
+
+// ABO groups a recipient can receive from, per direction of compatibility
+const ABO_IDENTICAL = { O: ['O'], A: ['A'], B: ['B'], AB: ['AB'] };
+const ABO_RED_CELLS = { O: ['O'], A: ['A', 'O'], B: ['B', 'O'], AB: ['AB', 'A', 'B', 'O'] };
+// Plasma runs the other way: AB plasma carries no antibodies and suits everyone
+const ABO_PLASMA = { O: ['O', 'A', 'B', 'AB'], A: ['A', 'AB'], B: ['B', 'AB'], AB: ['AB'] };
+
+// Whole blood carries both cells and plasma, so it must match exactly.
+// RhD only matters for components containing red cells; platelets carry enough to sensitise.
+const COMPONENT_RULES = {
+  whole_blood: { abo: ABO_IDENTICAL, rhD: true },
+  red_cells: { abo: ABO_RED_CELLS, rhD: true },
+  platelets: { abo: ABO_PLASMA, rhD: true },
+  plasma: { abo: ABO_PLASMA, rhD: false },
+  cryoprecipitate: { abo: ABO_PLASMA, rhD: false }
+};
+
+// Optional matching policies, off unless enabled:
+// - conserveRhNegative keeps Rh-negative donors for Rh-negative patients unless the request is critical
+// - conserveRareDonors keeps donors with a rare antigen profile for patients who need antigen-negative blood
+const DEFAULT_POLICIES = {
+  conserveRhNegative: process.env.CONSERVE_RH_NEGATIVE === 'true',
+  conserveRareDonors: process.env.CONSERVE_RARE_DONORS === 'true'
+};
+
+function parseBloodType(bloodType) {
+  const match = /^(AB|A|B|O)([+-])$/.exec(bloodType || '');
+  return match ? { abo: match[1], rh: match[2] } : null;
+}
+
+function getRules(component = 'red_cells') {
+  return COMPONENT_RULES[component] || COMPONENT_RULES.red_cells;
+}
+
+// Whether a donor's group can give this component to the recipient's group
+function canDonate(donorType, recipientType, component = 'red_cells') {
+  const donor = parseBloodType(donorType);
+  const recipient = parseBloodType(recipientType);
+  if (!donor || !recipient) return false;
+
+  const rules = getRules(component);
+  if (!rules.abo[recipient.abo].includes(donor.abo)) return false;
+  return !(rules.rhD && recipient.rh === '-' && donor.rh === '+');
+}
+
+// Whether a conservation policy holds this donor group back from the recipient's group
+function isConserved(donorType, recipientType, component, { urgencyLevel, policies = DEFAULT_POLICIES } = {}) {
+  if (!policies.conserveRhNegative || urgencyLevel === 'critical') return false;
+  if (!getRules(component).rhD) return false;
+  return donorType.endsWith('-') && recipientType.endsWith('+');
+}
+
+// Donor groups that can give a component to a recipient, after conservation policies
+function getCompatibleDonorTypes(recipientType, component = 'red_cells', options = {}) {
+  return BLOOD_TYPES.filter(donorType =>
+    canDonate(donorType, recipientType, component) &&
+    !isConserved(donorType, recipientType, component, options)
+  );
+}
+
+// Recipient groups a donor can give a component to; without a component, any component counts
+function getCompatibleRecipientTypes(donorType, component) {
+  const components = component ? [component] : COMPONENTS;
+  return BLOOD_TYPES.filter(recipientType =>
+    components.some(c => canDonate(donorType, recipientType, c))
+  );
+}
+
+// Whether a donor's typed antigens satisfy the patient's needs, and rare donors are not wasted
+function checkAntigens(donor, antigenNegative = [], { policies = DEFAULT_POLICIES } = {}) {
+  const profile = donor.medicalInfo?.antigenProfile || {};
+  const negative = profile.negative || [];
+
+  const missing = antigenNegative.filter(antigen => !negative.includes(antigen));
+  if (missing.length > 0) {
+    return { compatible: false, reason: `Not typed negative for ${missing.join(', ')}` };
+  }
+
+  if (policies.conserveRareDonors && profile.rare && antigenNegative.length === 0) {
+    return { compatible: false, reason: 'Rare donor held for antigen-negative requests' };
+  }
+
+  return { compatible: true };
+}
+
+// Full compatibility of a donor with an alert: blood group, component, policies and antigens
+function checkDonorForAlert(donor, alert, options = {}) {
+  const donorType = donor.medicalInfo.bloodGroup;
+  const context = { urgencyLevel: alert.urgencyLevel, ...options };
+
+  if (!canDonate(donorType, alert.bloodType, alert.component)) {
+    return { compatible: false, reason: 'Blood type incompatible' };
+  }
+  if (isConserved(donorType, alert.bloodType, alert.component, context)) {
+    return { compatible: false, reason: 'Rh-negative donors are held for Rh-negative patients' };
+  }
+
+  return checkAntigens(donor, alert.patientInfo?.antigenNegative, context);
+}
+
+module.exports = {
+  BLOOD_TYPES,
+  COMPONENTS,
+  DEFAULT_POLICIES,
+  parseBloodType,
+  canDonate,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  checkAntigens,
+  checkDonorForAlert
+};
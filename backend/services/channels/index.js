@@ -0,0 +1,77 @@
+const SmtpProvider = require('./smtp');
+const TwilioProvider = require('./twilio');
+const WebPushProvider = require('./webpush');
+const OutboxProvider = require('./outbox');
+
+// Provider factories per channel; the first configured default wins when no provider is named
+const providers = {
+  email: { smtp: () => new SmtpProvider() },
+  sms: { twilio: () => new TwilioProvider() },
+  push: { webpush: () => new WebPushProvider() }
+};
+
+Object.keys(providers).forEach(channel => {
+  providers[channel].outbox = () => new OutboxProvider(channel);
+});
+
+// Environment variable naming the provider for each channel
+const PROVIDER_ENV = {
+  email: 'EMAIL_PROVIDER',
+  sms: 'SMS_PROVIDER',
+  push: 'PUSH_PROVIDER'
+};
+
+const registerProvider = (channel, name, factory) => {
+  providers[channel] = providers[channel] || {};
+  providers[channel][name] = factory;
+};
+
+// Pick a provider for a channel: explicit env choice, then NOTIFICATION_PROVIDER, then any configured real provider
+const resolveProvider = (channel) => {
+  const requested = process.env[PROVIDER_ENV[channel]] || process.env.NOTIFICATION_PROVIDER;
+
+  if (requested === 'none') return null;
+
+  if (requested) {
+    const factory = providers[channel][requested];
+    if (!factory) {
+      console.log(`Unknown ${channel} provider "${requested}" - ${channel} notifications disabled`);
+      return null;
+    }
+    const provider = factory();
+    if (!provider.isConfigured()) {
+      console.log(`${channel} provider "${requested}" is not configured - ${channel} notifications disabled`);
+      return null;
+    }
+    return provider;
+  }
+
+  for (const [name, factory] of Object.entries(providers[channel])) {
+    if (name === 'outbox') continue;
+    const provider = factory();
+    if (provider.isConfigured()) return provider;
+  }
+
+  console.log(`No ${channel} provider configured - ${channel} notifications disabled`);
+  return null;
+};
+
+const createChannels = () => ({
+  email: resolveProvider('email'),
+  sms: resolveProvider('sms'),
+  push: resolveProvider('push')
+});
+
+// Error for sends on a channel with no provider; callers treat it as skipped
+const channelUnavailable = (channel) => {
+  const error = new Error(`${channel} service not configured`);
+  error.code = 'CHANNEL_UNAVAILABLE';
+  return error;
+};
+
+module.exports = {
+  registerProvider,
+  resolveProvider,
+  createChannels,
+  channelUnavailable
+};
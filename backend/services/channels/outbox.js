@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local sink for staging, tests and offline deployments.
+// OUTBOX_DIR=memory keeps messages in this.messages, otherwise one JSON line per message is appended to <dir>/<channel>.log
+class OutboxProvider {
+  constructor(channel) {
+    this.name = 'outbox';
+    this.channel = channel;
+    this.target = process.env.OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+    this.messages = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const entry = {
+      id: `outbox-${crypto.randomUUID()}`,
+      channel: this.channel,
+      createdAt: new Date().toISOString(),
+      ...message
+    };
+
+    if (this.target === 'memory') {
+      this.messages.push(entry);
+    } else {
+      await fs.promises.mkdir(this.target, { recursive: true });
+      await fs.promises.appendFile(path.join(this.target, `${this.channel}.log`), `${JSON.stringify(entry)}\n`);
+    }
+
+    console.log(`[outbox] ${this.channel} to ${message.to || message.subscription?.endpoint || 'unknown'}`);
+    return { id: entry.id };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = OutboxProvider;
@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+// Email over SMTP; SMTP_HOST selects a generic server, otherwise EMAIL_SERVICE (default Gmail)
+class SmtpProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.channel = 'email';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASS);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const auth = {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      };
+
+      this.transporter = process.env.SMTP_HOST
+        ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth
+        })
+        : nodemailer.createTransport({
+          service: process.env.EMAIL_SERVICE || 'gmail',
+          auth
+        });
+    }
+    return this.transporter;
+  }
+
+  async send({ to, subject, html, text }) {
+    const info = await this.getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to,
+      subject,
+      html,
+      text
+    });
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpProvider;
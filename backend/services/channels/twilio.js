@@ -0,0 +1,35 @@
+const twilio = require('twilio');
+
+// SMS through the Twilio Messaging API
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.channel = 'sms';
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.TWILIO_ACCOUNT_SID &&
+      process.env.TWILIO_AUTH_TOKEN &&
+      process.env.TWILIO_ACCOUNT_SID.startsWith('AC')
+    );
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  async send({ to, body }) {
+    const message = await this.getClient().messages.create({
+      body,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to
+    });
+    return { id: message.sid };
+  }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,38 @@
+const webpush = require('web-push');
+
+// Browser push through VAPID-signed Web Push
+class WebPushProvider {
+  constructor() {
+    this.name = 'webpush';
+    this.channel = 'push';
+    this.publicKey = process.env.VAPID_PUBLIC_KEY;
+  }
+
+  isConfigured() {
+    if (this.ready !== undefined) return this.ready;
+
+    this.ready = false;
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY &&
+        process.env.VAPID_PUBLIC_KEY.length > 10 && process.env.VAPID_PRIVATE_KEY.length > 10) {
+      try {
+        webpush.setVapidDetails(
+          `mailto:${process.env.VAPID_EMAIL}`,
+          process.env.VAPID_PUBLIC_KEY,
+          process.env.VAPID_PRIVATE_KEY
+        );
+        this.ready = true;
+      } catch (error) {
+        console.log('Web Push service configuration error:', error.message);
+      }
+    }
+    return this.ready;
+  }
+
+  // Errors keep web-push's statusCode so callers can prune expired subscriptions
+  async send({ subscription, payload, options = {} }) {
+    const response = await webpush.sendNotification(subscription, JSON.stringify(payload), options);
+    return { id: response.headers?.location };
+  }
+}
+
+module.exports = WebPushProvider;
@@ -0,0 +1,207 @@
+const CheckIn = require('../models/CheckIn');
+const Appointment = require('../models/Appointment');
+const Alert = require('../models/Alert');
+const Donor = require('../models/Donor');
+
+const OPEN_ALERT_STATUSES = ['active', 'partially_fulfilled'];
+const EXPECTED_RESPONSES = ['interested', 'committed'];
+const MIN_PHONE_DIGITS = 7;
+
+const DONOR_FIELDS = 'personalInfo.firstName personalInfo.lastName personalInfo.phone medicalInfo.bloodGroup';
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+function describeAppointment(appointment) {
+  return {
+    type: 'appointment',
+    appointmentId: appointment._id,
+    alertId: appointment.alert,
+    scheduledAt: appointment.scheduledAt
+  };
+}
+
+function describeResponse(alert, response) {
+  return {
+    type: 'alert',
+    alertId: alert._id,
+    bloodType: alert.bloodType,
+    urgencyLevel: alert.urgencyLevel,
+    responseType: response.responseType,
+    scheduledAt: response.estimatedArrival
+  };
+}
+
+// Resolve a scanned or typed check-in code to the visit it belongs to at this hospital
+async function findVisitByCode(hospitalId, code) {
+  const normalized = code.trim().toUpperCase();
+
+  const appointment = await Appointment.findOne({
+    checkInCode: normalized,
+    hospital: hospitalId,
+    status: 'booked'
+  });
+  if (appointment) {
+    const donor = await Donor.findById(appointment.donor).select(DONOR_FIELDS);
+    return donor ? { donor, visits: [describeAppointment(appointment)] } : null;
+  }
+
+  const alert = await Alert.findOne({
+    hospital: hospitalId,
+    status: { $in: OPEN_ALERT_STATUSES },
+    'responses.checkInCode': normalized
+  });
+  const response = alert?.responses.find(r => r.checkInCode === normalized);
+  if (!response || !EXPECTED_RESPONSES.includes(response.responseType)) return null;
+
+  const donor = await Donor.findById(response.donor).select(DONOR_FIELDS);
+  return donor ? { donor, visits: [describeResponse(alert, response)] } : null;
+}
+
+// Donors matching a phone number, each with the visits they are expected for today
+async function findVisitsByPhone(hospitalId, phone) {
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length < MIN_PHONE_DIGITS) return [];
+
+  // Stored numbers may contain spaces, dashes or brackets between the digits
+  const pattern = new RegExp(`${digits.split('').join('\\D*')}$`);
+  const donors = await Donor.find({ 'personalInfo.phone': pattern, isActive: true })
+    .select(DONOR_FIELDS)
+    .limit(5);
+
+  const tomorrow = new Date(startOfToday().getTime() + 24 * 60 * 60 * 1000);
+
+  return Promise.all(donors.map(async (donor) => {
+    const [appointments, alerts] = await Promise.all([
+      Appointment.find({
+        donor: donor._id,
+        hospital: hospitalId,
+        status: 'booked',
+        scheduledAt: { $gte: startOfToday(), $lt: tomorrow }
+      }),
+      Alert.find({
+        hospital: hospitalId,
+        status: { $in: OPEN_ALERT_STATUSES },
+        responses: { $elemMatch: { donor: donor._id, responseType: { $in: EXPECTED_RESPONSES } } }
+      })
+    ]);
+
+    const visits = [
+      ...appointments.map(describeAppointment),
+      ...alerts
+        // Alert visits booked through an appointment are already listed above
+        .filter(alert => !appointments.some(a => a.alert?.equals(alert._id)))
+        .map(alert => describeResponse(alert, alert.responses.find(r => r.donor.equals(donor._id))))
+    ];
+
+    return { donor, visits };
+  }));
+}
+
+// Record the donor's arrival against their appointment and alert response.
+// Returns { status, message } when the arrival cannot be recorded.
+async function checkInDonor({ hospital, donor, appointmentId, alertId, method, user }) {
+  const openCheckIn = await CheckIn.findOne({
+    donor: donor._id,
+    hospital: hospital._id,
+    status: { $in: CheckIn.OPEN_STATUSES },
+    arrivedAt: { $gte: startOfToday() }
+  });
+  if (openCheckIn) {
+    return { status: 409, message: 'This donor is already checked in', checkIn: openCheckIn };
+  }
+
+  const now = new Date();
+
+  let appointment = null;
+  if (appointmentId) {
+    appointment = await Appointment.findOneAndUpdate(
+      { _id: appointmentId, hospital: hospital._id, donor: donor._id, status: 'booked' },
+      {
+        $set: { status: 'checked_in', checkedInAt: now, checkedInBy: user._id },
+        $push: { history: { action: 'checked_in', by: user._id, at: now } }
+      },
+      { new: true }
+    );
+    if (!appointment) {
+      return { status: 404, message: 'No booked appointment found' };
+    }
+  }
+
+  let alert = null;
+  const targetAlertId = alertId || appointment?.alert;
+  if (targetAlertId) {
+    alert = await Alert.findOne({
+      _id: targetAlertId,
+      hospital: hospital._id,
+      status: { $in: OPEN_ALERT_STATUSES }
+    });
+  }
+
+  if (alert) {
+    const response = alert.responses.find(r => r.donor.equals(donor._id));
+    if (response) {
+      response.actualArrival = now;
+      if (response.responseType !== 'donated') response.responseType = 'arrived';
+    } else {
+      alert.addResponse(donor._id, 'arrived', { actualArrival: now });
+    }
+    alert.lastModifiedBy = user._id;
+    await alert.save();
+  }
+
+  const checkIn = new CheckIn({
+    donor: donor._id,
+    hospital: hospital._id,
+    alert: alert?._id,
+    appointment: appointment?._id,
+    method,
+    arrivedAt: now,
+    checkedInBy: user._id
+  });
+  await checkIn.save();
+
+  return { checkIn, appointment, alert };
+}
+
+// Take a donor who will not donate off the appointment and the alert's expected donations
+async function closeVisit(checkIn, responseType, reason, userId) {
+  if (checkIn.appointment) {
+    await Appointment.updateOne(
+      { _id: checkIn.appointment, status: 'checked_in' },
+      {
+        $set: { status: 'cancelled', cancellationReason: reason },
+        $push: { history: { action: 'cancelled', by: userId, at: new Date(), reason } }
+      }
+    );
+  }
+
+  if (checkIn.alert) {
+    await Alert.updateOne(
+      { _id: checkIn.alert, responses: { $elemMatch: { donor: checkIn.donor, responseType: 'arrived' } } },
+      { $set: { 'responses.$.responseType': responseType } }
+    );
+  }
+}
+
+// Let the hospital dashboard follow a donor from arrival to donation
+async function broadcastCheckIn(io, checkIn, action) {
+  await checkIn.populate('donor', DONOR_FIELDS);
+  io.to(`hospital-${checkIn.hospital}`).emit('check-in-updated', {
+    action,
+    checkIn: checkIn.toObject(),
+    donorName: `${checkIn.donor.personalInfo.firstName} ${checkIn.donor.personalInfo.lastName}`
+  });
+}
+
+module.exports = {
+  DONOR_FIELDS,
+  findVisitByCode,
+  findVisitsByPhone,
+  checkInDonor,
+  closeVisit,
+  broadcastCheckIn
+};
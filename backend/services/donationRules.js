@@ -0,0 +1,116 @@
+// Per-donation-type intervals, default volumes and annual caps.
+// Defaults follow common blood service guidance; override any part with the
+// DONATION_RULES environment variable, e.g. DONATION_RULES='{"plasma":{"annualCap":{"female":10}}}'
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DONATION_TYPES = ['whole_blood', 'red_cells', 'platelets', 'plasma'];
+
+const DEFAULT_RULES = {
+  whole_blood: {
+    volumeMl: 450,
+    annualCap: { male: 6, female: 4, other: 4 },
+    // Days to wait after this donation before each type of next donation
+    waitDays: { whole_blood: 56, red_cells: 56, platelets: 7, plasma: 28 }
+  },
+  red_cells: {
+    volumeMl: 400, // Double red cells by apheresis
+    annualCap: { male: 3, female: 2, other: 2 },
+    waitDays: { whole_blood: 112, red_cells: 112, platelets: 7, plasma: 28 }
+  },
+  platelets: {
+    volumeMl: 250,
+    annualCap: { male: 24, female: 24, other: 24 },
+    waitDays: { whole_blood: 7, red_cells: 7, platelets: 7, plasma: 28 }
+  },
+  plasma: {
+    volumeMl: 600,
+    annualCap: { male: 13, female: 13, other: 13 },
+    waitDays: { whole_blood: 28, red_cells: 28, platelets: 28, plasma: 28 }
+  }
+};
+
+// Donation types that can supply each blood component an alert may ask for
+const COMPONENT_DONATION_TYPES = {
+  whole_blood: ['whole_blood'],
+  red_cells: ['whole_blood', 'red_cells'],
+  platelets: ['platelets'],
+  plasma: ['plasma', 'whole_blood'],
+  cryoprecipitate: ['plasma', 'whole_blood']
+};
+
+function mergeRules(defaults, overrides) {
+  const merged = { ...defaults };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeRules(defaults[key] || {}, value)
+      : value;
+  });
+  return merged;
+}
+
+function loadRules() {
+  if (!process.env.DONATION_RULES) return DEFAULT_RULES;
+
+  try {
+    return mergeRules(DEFAULT_RULES, JSON.parse(process.env.DONATION_RULES));
+  } catch (error) {
+    console.error('Invalid DONATION_RULES, using defaults:', error.message);
+    return DEFAULT_RULES;
+  }
+}
+
+const rules = loadRules();
+
+function getRules(donationType = 'whole_blood') {
+  return rules[donationType] || rules.whole_blood;
+}
+
+function getDefaultVolume(donationType) {
+  return getRules(donationType).volumeMl;
+}
+
+function getDonationTypesForComponent(component = 'whole_blood') {
+  return COMPONENT_DONATION_TYPES[component] || COMPONENT_DONATION_TYPES.whole_blood;
+}
+
+// Earliest date the donor may give this type again, given past donations [{ date, type }]
+function getNextEligibleDate(donations, donationType) {
+  let next = null;
+
+  donations.forEach(donation => {
+    const wait = getRules(donation.type).waitDays[donationType];
+    const until = new Date(new Date(donation.date).getTime() + wait * DAY_MS);
+    if (!next || until > next) next = until;
+  });
+
+  return next;
+}
+
+// Whether the donor has hit this type's yearly limit as of a date
+function checkAnnualCap(donations, donationType, sex, asOf = new Date()) {
+  const cap = getRules(donationType).annualCap[sex] ?? getRules(donationType).annualCap.other;
+  const yearAgo = new Date(asOf.getTime() - 365 * DAY_MS);
+  const recent = donations
+    .filter(d => d.type === donationType && new Date(d.date) > yearAgo && new Date(d.date) <= asOf)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (recent.length < cap) return { capped: false, cap, count: recent.length };
+
+  // The oldest donation in the window has to age out before another is allowed
+  const oldestCounted = recent[recent.length - cap];
+  return {
+    capped: true,
+    cap,
+    count: recent.length,
+    until: new Date(new Date(oldestCounted.date).getTime() + 365 * DAY_MS)
+  };
+}
+
+module.exports = {
+  DONATION_TYPES,
+  getRules,
+  getDefaultVolume,
+  getDonationTypesForComponent,
+  getNextEligibleDate,
+  checkAnnualCap
+};
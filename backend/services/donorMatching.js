@@ -0,0 +1,90 @@
+const Donor = require('../models/Donor');
+const { rankDonors, distanceKm } = require('./donorRanking');
+const { getDonationTypesForComponent } = require('./donationRules');
+const { getCompatibleDonorTypes, checkAntigens } = require('./bloodCompatibility');
+
+// Donors contacted per unit needed in each wave, since many will not respond
+const WAVE_DONORS_PER_UNIT = parseFloat(process.env.WAVE_DONORS_PER_UNIT) || 3;
+const WAVE_MIN_SIZE = parseInt(process.env.WAVE_MIN_SIZE) || 5;
+const WAVE_URGENCY_MULTIPLIER = { low: 1, medium: 1, high: 1.5, critical: 2 };
+
+// Find donors who can be notified about an alert
+async function findEligibleDonors(alert) {
+  try {
+    // Blood types that can give the component this alert asks for
+    const eligibleBloodTypes = getCompatibleDonorTypes(alert.bloodType, alert.component, {
+      urgencyLevel: alert.urgencyLevel
+    });
+
+    // Find donors within search radius
+    const donors = await Donor.find({
+      'medicalInfo.bloodGroup': { $in: eligibleBloodTypes },
+      'eligibility.isEligible': true,
+      'verificationStatus': 'verified',
+      'isActive': true,
+      'location.coordinates': {
+        $near: {
+          $geometry: alert.location.coordinates,
+          $maxDistance: alert.location.searchRadius * 1000 // Convert km to meters
+        }
+      }
+    }).populate('user', 'email');
+
+    // Filter by individual donor preferences and eligibility
+    const eligibleDonors = [];
+    const responded = new Set(alert.responses.map(r => r.donor.toString()));
+
+    const donationTypes = getDonationTypesForComponent(alert.component);
+
+    for (const donor of donors) {
+      // Check individual eligibility for a donation type the alert can use
+      const eligibility = donor.checkEligibilityForAny(donationTypes);
+      if (!eligibility.eligible) continue;
+
+      // Check typed antigens when the patient needs antigen-negative blood
+      if (!checkAntigens(donor, alert.patientInfo?.antigenNegative).compatible) continue;
+
+      // Check if donor's max travel distance includes this location
+      if (distanceKm(alert.location.coordinates, donor.location.coordinates) > donor.preferences.maxTravelDistance) continue;
+
+      // Check if donor hasn't already responded to this alert
+      if (responded.has(donor._id.toString())) continue;
+
+      // Check emergency-only preference
+      if (donor.preferences.emergencyOnly && alert.urgencyLevel !== 'critical') continue;
+
+      eligibleDonors.push(donor);
+    }
+
+    return eligibleDonors;
+  } catch (error) {
+    console.error('Error finding eligible donors:', error);
+    return [];
+  }
+}
+
+// Number of donors to contact at once for an alert
+function getWaveSize(alert) {
+  const outstanding = Math.max(alert.unitsNeeded - (alert.unitsCollected || 0), 1);
+  const multiplier = WAVE_URGENCY_MULTIPLIER[alert.urgencyLevel] || 1;
+  return Math.max(WAVE_MIN_SIZE, Math.ceil(outstanding * WAVE_DONORS_PER_UNIT * multiplier));
+}
+
+// Best-ranked eligible donors this alert has not contacted yet
+async function selectDonorWave(alert, size = getWaveSize(alert)) {
+  const notified = new Set(alert.notifications.sentTo.map(n => n.donor.toString()));
+  const candidates = (await findEligibleDonors(alert)).filter(d => !notified.has(d._id.toString()));
+  const ranked = await rankDonors(alert, candidates);
+
+  return {
+    donors: ranked.slice(0, size),
+    remaining: Math.max(ranked.length - size, 0),
+    size
+  };
+}
+
+module.exports = {
+  findEligibleDonors,
+  getWaveSize,
+  selectDonorWave
+};
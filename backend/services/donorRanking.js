@@ -0,0 +1,136 @@
+const Alert = require('../models/Alert');
+
+// Relative weight of each ranking factor; factors are scored 0..1
+const WEIGHTS = {
+  bloodType: 0.25,
+  distance: 0.25,
+  responseRate: 0.2,
+  donationRecency: 0.1,
+  availability: 0.1,
+  fatigue: 0.1
+};
+
+const HISTORY_DAYS = 180; // Window for past response rate
+const FATIGUE_DAYS = 7; // Window for recent alert notifications
+const FATIGUE_LIMIT = 3; // Alerts within the window that fully exhaust the fatigue score
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Great-circle distance in km between two GeoJSON points
+function distanceKm(from, to) {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const toRad = deg => deg * Math.PI / 180;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Exact matches first; universal donors are kept back for patients who need them.
+// For plasma that is AB rather than O, since compatibility runs the other way.
+function bloodTypeScore(donorType, neededType, component) {
+  if (donorType === neededType) return 1;
+  if (['plasma', 'cryoprecipitate'].includes(component)) {
+    return donorType.startsWith('AB') ? 0.3 : 0.7;
+  }
+  if (donorType === 'O-') return 0.2;
+  if (donorType === 'O+') return 0.5;
+  return 0.7;
+}
+
+// Donors who have rested longer are favoured; first-time donors sit in the middle
+function donationRecencyScore(donor, now) {
+  const lastDonation = donor.eligibility.lastDonationDate || donor.statistics?.lastDonationDate;
+  if (!lastDonation) return 0.5;
+
+  const days = (now - lastDonation) / (1000 * 60 * 60 * 24);
+  return Math.min(days / 365, 1);
+}
+
+// Whether the donor said they are usually free at this time
+function availabilityScore(donor, now) {
+  const { availableDays = [], availableTimeSlots = [] } = donor.preferences;
+  if (availableDays.length === 0 && availableTimeSlots.length === 0) return 0.5;
+
+  if (availableDays.length > 0 && !availableDays.includes(DAY_NAMES[now.getDay()])) return 0;
+  if (availableTimeSlots.length === 0) return 0.8;
+
+  const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  return availableTimeSlots.some(slot => slot.start <= time && time <= slot.end) ? 1 : 0.3;
+}
+
+// Past alerts sent to each donor, how many they answered positively and how many were recent
+async function getNotificationHistory(alert, donorIds, now) {
+  const since = new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const fatigueSince = new Date(now.getTime() - FATIGUE_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await Alert.aggregate([
+    { $match: { _id: { $ne: alert._id }, createdAt: { $gte: since }, 'notifications.sentTo.donor': { $in: donorIds } } },
+    {
+      $project: {
+        sentTo: '$notifications.sentTo',
+        responders: {
+          $map: {
+            input: { $filter: { input: '$responses', cond: { $in: ['$$this.responseType', ['interested', 'committed', 'arrived', 'donated']] } } },
+            in: '$$this.donor'
+          }
+        }
+      }
+    },
+    { $unwind: '$sentTo' },
+    { $match: { 'sentTo.donor': { $in: donorIds } } },
+    {
+      $group: {
+        _id: '$sentTo.donor',
+        notified: { $sum: 1 },
+        responded: { $sum: { $cond: [{ $in: ['$sentTo.donor', '$responders'] }, 1, 0] } },
+        recent: { $sum: { $cond: [{ $gte: ['$sentTo.sentAt', fatigueSince] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+}
+
+// Score and sort candidate donors for an alert, best first.
+// The breakdown is left on donor.$locals.ranking for callers that record it.
+async function rankDonors(alert, donors) {
+  if (donors.length === 0) return [];
+
+  const now = new Date();
+  const history = await getNotificationHistory(alert, donors.map(d => d._id), now);
+
+  donors.forEach(donor => {
+    const past = history.get(donor._id.toString());
+    const distance = distanceKm(alert.location.coordinates, donor.location.coordinates);
+
+    const factors = {
+      bloodType: bloodTypeScore(donor.medicalInfo.bloodGroup, alert.bloodType, alert.component),
+      distance: Math.max(0, 1 - distance / alert.location.searchRadius),
+      // Donors with no history get the benefit of the doubt
+      responseRate: past ? (past.responded + 1) / (past.notified + 2) : 0.5,
+      donationRecency: donationRecencyScore(donor, now),
+      availability: availabilityScore(donor, now),
+      fatigue: 1 - Math.min((past?.recent || 0) / FATIGUE_LIMIT, 1)
+    };
+
+    const score = Object.entries(WEIGHTS).reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+    donor.$locals.ranking = {
+      score: Math.round(score * 1000) / 1000,
+      distanceKm: Math.round(distance * 10) / 10,
+      factors
+    };
+  });
+
+  return [...donors].sort((a, b) => b.$locals.ranking.score - a.$locals.ranking.score);
+}
+
+module.exports = {
+  rankDonors,
+  distanceKm
+};
@@ -0,0 +1,239 @@
+const InventoryTransaction = require('../models/InventoryTransaction');
+const BloodUnit = require('../models/BloodUnit');
+const Alert = require('../models/Alert');
+const { BLOOD_TYPES } = require('./bloodCompatibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOOKBACK_DAYS = parseInt(process.env.FORECAST_LOOKBACK_DAYS) || 28;
+const HORIZON_DAYS = parseInt(process.env.FORECAST_HORIZON_DAYS) || 14;
+const RECENT_DAYS = 7;
+const RECENT_WEIGHT = 0.6; // Share of each rate taken from the last week, so trends show up quickly
+
+// Blend the last week's rate with the whole window's rate, in units per day
+function blendedRate(total, recent, lookbackDays) {
+  const recentDays = Math.min(RECENT_DAYS, lookbackDays);
+  return RECENT_WEIGHT * (recent / recentDays) + (1 - RECENT_WEIGHT) * (total / lookbackDays);
+}
+
+// Group rows of { bloodType, recent, amount } into per-type totals
+async function aggregateByType(model, pipeline) {
+  const rows = await model.aggregate([
+    ...pipeline,
+    {
+      $group: {
+        _id: '$bloodType',
+        total: { $sum: '$amount' },
+        recent: { $sum: { $cond: ['$recent', '$amount', 0] } }
+      }
+    }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id, row]));
+}
+
+// Units into and out of available stock, from the inventory ledger
+async function getLedgerFlows(hospitalId, since, recentSince) {
+  const pipeline = direction => [
+    {
+      $match: {
+        hospital: hospitalId,
+        field: 'available',
+        createdAt: { $gte: since },
+        delta: direction === 'out' ? { $lt: 0 } : { $gt: 0 }
+      }
+    },
+    {
+      $project: {
+        bloodType: 1,
+        amount: { $abs: '$delta' },
+        recent: { $gte: ['$createdAt', recentSince] }
+      }
+    }
+  ];
+
+  const [outflow, inflow] = await Promise.all([
+    aggregateByType(InventoryTransaction, pipeline('out')),
+    aggregateByType(InventoryTransaction, pipeline('in'))
+  ]);
+  return { outflow, inflow };
+}
+
+// Red cell units issued to patients or partners, for hospitals that track bags
+function getIssuedUnits(hospitalId, since, recentSince) {
+  return aggregateByType(BloodUnit, [
+    {
+      $match: {
+        hospital: hospitalId,
+        component: { $in: BloodUnit.RED_CELL_COMPONENTS },
+        statusHistory: { $elemMatch: { status: 'issued', changedAt: { $gte: since } } }
+      }
+    },
+    { $unwind: '$statusHistory' },
+    { $match: { 'statusHistory.status': 'issued', 'statusHistory.changedAt': { $gte: since } } },
+    {
+      $project: {
+        bloodType: 1,
+        amount: { $literal: 1 },
+        recent: { $gte: ['$statusHistory.changedAt', recentSince] }
+      }
+    }
+  ]);
+}
+
+// Red cell bags collected or received, for hospitals that track bags; released reservations are not new supply
+function getReceivedUnits(hospitalId, since, recentSince) {
+  return aggregateByType(BloodUnit, [
+    {
+      $match: {
+        hospital: hospitalId,
+        component: { $in: BloodUnit.RED_CELL_COMPONENTS },
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $project: {
+        bloodType: 1,
+        amount: { $literal: 1 },
+        recent: { $gte: ['$createdAt', recentSince] }
+      }
+    }
+  ]);
+}
+
+// Units issued and received, from bag records
+async function getTrackedFlows(hospitalId, since, recentSince) {
+  const [outflow, inflow] = await Promise.all([
+    getIssuedUnits(hospitalId, since, recentSince),
+    getReceivedUnits(hospitalId, since, recentSince)
+  ]);
+  return { outflow, inflow };
+}
+
+// Units requested by the hospital's own alerts; forecast alerts are left out so they do not feed themselves
+function getAlertDemand(hospitalId, since, recentSince) {
+  return aggregateByType(Alert, [
+    {
+      $match: {
+        hospital: hospitalId,
+        component: { $in: BloodUnit.RED_CELL_COMPONENTS },
+        createdAt: { $gte: since },
+        status: { $ne: 'cancelled' },
+        tags: { $ne: 'forecast' }
+      }
+    },
+    {
+      $project: {
+        bloodType: 1,
+        amount: '$unitsNeeded',
+        recent: { $gte: ['$createdAt', recentSince] }
+      }
+    }
+  ]);
+}
+
+// Available red cell units that will expire within the horizon, per type and day
+async function getUpcomingExpiries(hospitalId, now, horizonDays) {
+  const units = await BloodUnit.find({
+    hospital: hospitalId,
+    component: { $in: BloodUnit.RED_CELL_COMPONENTS },
+    status: 'available',
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + horizonDays * DAY_MS) }
+  }).select('bloodType expiryDate');
+
+  const expiries = {};
+  units.forEach(unit => {
+    const day = Math.ceil((unit.expiryDate - now) / DAY_MS);
+    expiries[unit.bloodType] = expiries[unit.bloodType] || {};
+    expiries[unit.bloodType][day] = (expiries[unit.bloodType][day] || 0) + 1;
+  });
+  return expiries;
+}
+
+// Step the stock forward a day at a time and find when it first reaches the critical level
+function projectLevels(available, critical, netPerDay, expiriesByDay, horizonDays, now) {
+  const projection = [{ date: now, level: available }];
+  let daysUntilCritical = available <= critical ? 0 : null;
+  let level = available;
+
+  for (let day = 1; day <= horizonDays; day++) {
+    const previous = level;
+    level = Math.max(0, level - netPerDay - (expiriesByDay[day] || 0));
+    projection.push({ date: new Date(now.getTime() + day * DAY_MS), level: Math.round(level * 10) / 10 });
+
+    if (daysUntilCritical === null && level <= critical) {
+      // Interpolate within the day the threshold is crossed
+      daysUntilCritical = day - 1 + (previous - critical) / (previous - level);
+    }
+  }
+
+  return { projection, daysUntilCritical };
+}
+
+// Project days of supply and the date each blood type reaches its critical level
+async function forecastInventory(hospital, { lookbackDays = LOOKBACK_DAYS, horizonDays = HORIZON_DAYS } = {}) {
+  const now = new Date();
+  const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+  const recentSince = new Date(now.getTime() - Math.min(RECENT_DAYS, lookbackDays) * DAY_MS);
+  const tracked = hospital.inventory.unitTracking;
+
+  // Tracked hospitals know issues, receipts and expiry dates exactly; otherwise the ledger is all we have
+  const [flows, alertDemand, expiries] = await Promise.all([
+    tracked ? getTrackedFlows(hospital._id, since, recentSince) : getLedgerFlows(hospital._id, since, recentSince),
+    getAlertDemand(hospital._id, since, recentSince),
+    tracked ? getUpcomingExpiries(hospital._id, now, horizonDays) : {}
+  ]);
+
+  const bloodTypes = BLOOD_TYPES.map(bloodType => {
+    const { available, critical } = hospital.inventory.bloodUnits[bloodType];
+    const rate = rows => rows[bloodType] ? blendedRate(rows[bloodType].total, rows[bloodType].recent, lookbackDays) : 0;
+
+    const issueRate = rate(flows.outflow);
+    const alertRate = rate(alertDemand);
+    // Alerts stand in for demand that stock could not meet, so a type that ran dry is not under-forecast
+    const usagePerDay = Math.max(issueRate, alertRate);
+    const supplyPerDay = rate(flows.inflow);
+    const netPerDay = usagePerDay - supplyPerDay;
+    const expiriesByDay = expiries[bloodType] || {};
+
+    const { projection, daysUntilCritical } = projectLevels(available, critical, netPerDay, expiriesByDay, horizonDays, now);
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      bloodType,
+      available,
+      critical,
+      usagePerDay: round(usagePerDay),
+      supplyPerDay: round(supplyPerDay),
+      netPerDay: round(netPerDay),
+      daysOfSupply: usagePerDay > 0 ? round(available / usagePerDay) : null,
+      expiringUnits: Object.values(expiriesByDay).reduce((sum, count) => sum + count, 0),
+      alreadyCritical: available <= critical,
+      daysUntilCritical: daysUntilCritical === null ? null : round(daysUntilCritical),
+      criticalOn: daysUntilCritical === null ? null : new Date(now.getTime() + daysUntilCritical * DAY_MS),
+      basis: {
+        issueRate: round(issueRate),
+        alertDemandRate: round(alertRate),
+        source: tracked ? 'unit_records' : 'ledger'
+      },
+      projection
+    };
+  });
+
+  return {
+    generatedAt: now,
+    lookbackDays,
+    horizonDays,
+    unitTracking: tracked,
+    bloodTypes,
+    atRisk: bloodTypes
+      .filter(forecast => forecast.daysUntilCritical !== null)
+      .sort((a, b) => a.daysUntilCritical - b.daysUntilCritical)
+      .map(forecast => ({ bloodType: forecast.bloodType, daysUntilCritical: forecast.daysUntilCritical, criticalOn: forecast.criticalOn }))
+  };
+}
+
+module.exports = {
+  HORIZON_DAYS,
+  LOOKBACK_DAYS,
+  forecastInventory
+};
@@ -0,0 +1,238 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const OutboundMessage = require('../models/OutboundMessage');
+const Notification = require('../models/Notification');
+
+// Per-channel worker settings; rates are messages per second for this instance
+const CHANNEL_SETTINGS = {
+  email: {
+    concurrency: parseInt(process.env.EMAIL_CONCURRENCY) || 5,
+    ratePerSecond: parseFloat(process.env.EMAIL_RATE_PER_SECOND) || 10
+  },
+  sms: {
+    concurrency: parseInt(process.env.SMS_CONCURRENCY) || 2,
+    ratePerSecond: parseFloat(process.env.SMS_RATE_PER_SECOND) || 1 // Twilio long codes send 1 message per second
+  },
+  push: {
+    concurrency: parseInt(process.env.PUSH_CONCURRENCY) || 10,
+    ratePerSecond: parseFloat(process.env.PUSH_RATE_PER_SECOND) || 50
+  }
+};
+
+const POLL_INTERVAL_MS = 2000;
+const LEASE_MS = 2 * 60 * 1000; // Stuck messages are reclaimed after this
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const PROGRESS_THROTTLE_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MessageQueue {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.active = {};
+    this.buckets = {};
+    this.progressTimers = new Map();
+
+    Object.entries(CHANNEL_SETTINGS).forEach(([channel, settings]) => {
+      this.active[channel] = 0;
+      this.buckets[channel] = { tokens: settings.ratePerSecond, updatedAt: Date.now() };
+    });
+  }
+
+  // deliver(channel, content) performs the actual provider send
+  start({ io, deliver }) {
+    this.io = io;
+    this.deliver = deliver;
+    this.timer = setInterval(() => this.pump(), POLL_INTERVAL_MS);
+    this.pump();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.deliver = null;
+  }
+
+  async enqueue(messages) {
+    const docs = await OutboundMessage.insertMany(messages);
+    this.pump();
+    return docs;
+  }
+
+  // Put dead-lettered messages back on the queue
+  async requeue(filter) {
+    const result = await OutboundMessage.updateMany(
+      { ...filter, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    this.pump();
+    return result.modifiedCount;
+  }
+
+  // Start workers up to each channel's concurrency
+  pump() {
+    if (!this.deliver || mongoose.connection.readyState !== 1) return;
+
+    Object.entries(CHANNEL_SETTINGS).forEach(([channel, settings]) => {
+      while (this.active[channel] < settings.concurrency) {
+        this.active[channel]++;
+        this.work(channel)
+          .catch(error => console.error(`Message queue worker for ${channel} failed:`, error.message))
+          .finally(() => { this.active[channel]--; });
+      }
+    });
+  }
+
+  async work(channel) {
+    while (this.deliver) {
+      await this.takeToken(channel);
+
+      const message = await this.claim(channel);
+      if (!message) return;
+
+      await this.process(message);
+    }
+  }
+
+  // Token bucket limiting sends per second on a channel
+  async takeToken(channel) {
+    const { ratePerSecond } = CHANNEL_SETTINGS[channel];
+    const bucket = this.buckets[channel];
+
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(ratePerSecond, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+      bucket.updatedAt = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - bucket.tokens) / ratePerSecond) * 1000);
+    }
+  }
+
+  claim(channel) {
+    const now = new Date();
+    return OutboundMessage.findOneAndUpdate(
+      {
+        channel,
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedBy: this.owner, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async process(message) {
+    const now = new Date();
+
+    try {
+      const result = await this.deliver(message.channel, message.content);
+
+      await OutboundMessage.updateOne(
+        { _id: message._id },
+        {
+          $set: { status: 'sent', sentAt: now, providerMessageId: result?.id },
+          $unset: { lockedBy: 1, lockedUntil: 1 }
+        }
+      );
+      if (message.notification) {
+        await Notification.updateOne(
+          { _id: message.notification },
+          { $set: { status: 'sent', sentAt: now, providerMessageId: result?.id }, $unset: { error: 1 } }
+        );
+      }
+    } catch (error) {
+      let status = 'queued';
+      if (error.code === 'CHANNEL_UNAVAILABLE') {
+        status = 'skipped';
+      } else if (error.permanent || message.attempts >= message.maxAttempts) {
+        status = 'dead';
+      }
+
+      // Exponential backoff with jitter
+      const delay = Math.min(BACKOFF_BASE_MS * 2 ** (message.attempts - 1), BACKOFF_MAX_MS) * (0.8 + Math.random() * 0.4);
+
+      await OutboundMessage.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status,
+            lastError: error.message,
+            nextAttemptAt: new Date(now.getTime() + delay)
+          },
+          $push: { attemptLog: { attempt: message.attempts, message: error.message, at: now } },
+          $unset: { lockedBy: 1, lockedUntil: 1 }
+        }
+      );
+      if (message.notification) {
+        const notificationStatus = { skipped: 'skipped', dead: 'failed', queued: 'pending' }[status];
+        await Notification.updateOne(
+          { _id: message.notification },
+          { $set: { status: notificationStatus, error: error.message } }
+        );
+      }
+
+      if (status === 'dead') {
+        console.error(`Message ${message._id} dead-lettered after ${message.attempts} attempt(s): ${error.message}`);
+      }
+    }
+
+    if (message.alert) {
+      this.reportProgress(message.alert, message.hospital);
+    }
+  }
+
+  // Delivery counts per channel and status for an alert
+  async getProgress(alertId) {
+    const counts = await OutboundMessage.aggregate([
+      { $match: { alert: new mongoose.Types.ObjectId(alertId) } },
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const channels = {};
+    const totals = { queued: 0, processing: 0, sent: 0, dead: 0, skipped: 0 };
+    counts.forEach(({ _id, count }) => {
+      channels[_id.channel] = channels[_id.channel] || { queued: 0, processing: 0, sent: 0, dead: 0, skipped: 0 };
+      channels[_id.channel][_id.status] = count;
+      totals[_id.status] += count;
+    });
+
+    return {
+      channels,
+      totals,
+      complete: totals.queued === 0 && totals.processing === 0
+    };
+  }
+
+  // Throttled progress broadcast to the hospital that owns the alert
+  reportProgress(alertId, hospitalId) {
+    const key = alertId.toString();
+    if (!this.io || !hospitalId || this.progressTimers.has(key)) return;
+
+    this.progressTimers.set(key, setTimeout(async () => {
+      this.progressTimers.delete(key);
+      try {
+        const progress = await this.getProgress(alertId);
+        this.io.to(`hospital-${hospitalId}`).emit('alert-delivery-progress', {
+          alertId,
+          ...progress,
+          timestamp: new Date()
+        });
+      } catch (error) {
+        console.error(`Failed to report delivery progress for alert ${alertId}:`, error.message);
+      }
+    }, PROGRESS_THROTTLE_MS));
+  }
+}
+
+module.exports = new MessageQueue();
@@ -0,0 +1,141 @@
+const notificationService = require('./notificationService');
+const { selectDonorWave } = require('./donorMatching');
+
+const OPEN_STATUSES = ['active', 'partially_fulfilled'];
+const MAX_WAVES = parseInt(process.env.MOBILIZATION_MAX_WAVES) || 10;
+const MAX_SEARCH_RADIUS = 200; // km, matches Alert.location.searchRadius max
+const RADIUS_GROWTH = 1.5;
+
+// Units still needed and commitments that are expected to cover them
+function getCoverage(alert) {
+  return {
+    outstanding: Math.max(alert.unitsNeeded - alert.unitsCollected, 0),
+    committed: alert.responses.filter(r => ['committed', 'arrived'].includes(r.responseType)).length
+  };
+}
+
+// Notify the next batch of ranked donors and record it as a wave on the alert
+async function startWave(alert, reason) {
+  const { donors, remaining } = await selectDonorWave(alert);
+  const now = new Date();
+  const number = alert.mobilization.currentWave + 1;
+
+  alert.mobilization.status = 'active';
+  alert.mobilization.currentWave = number;
+  alert.mobilization.nextWaveAt = new Date(now.getTime() + alert.mobilization.waveWindowMinutes * 60 * 1000);
+  alert.mobilization.waves.push({
+    number,
+    reason,
+    startedAt: now,
+    searchRadius: alert.location.searchRadius,
+    donorsNotified: donors.length,
+    donorsRemaining: remaining,
+    unitsOutstanding: getCoverage(alert).outstanding
+  });
+
+  let notificationResults = null;
+  if (donors.length > 0) {
+    notificationResults = await notificationService.sendBloodShortageAlert(alert, donors, { wave: number });
+  } else {
+    await alert.save();
+  }
+
+  return {
+    wave: alert.mobilization.waves[alert.mobilization.waves.length - 1],
+    notificationResults
+  };
+}
+
+// How the donors contacted in a wave have answered so far
+function tallyWave(alert, wave) {
+  const donorIds = alert.notifications.sentTo
+    .filter(n => n.wave === wave.number)
+    .map(n => n.donor.toString());
+  const responses = new Map(alert.responses.map(r => [r.donor.toString(), r.responseType]));
+
+  const outcome = { interested: 0, committed: 0, notAvailable: 0, noResponse: 0 };
+  donorIds.forEach(id => {
+    const responseType = responses.get(id);
+    if (responseType === 'interested') outcome.interested++;
+    else if (['committed', 'arrived', 'donated'].includes(responseType)) outcome.committed++;
+    else if (responseType === 'not_available') outcome.notAvailable++;
+    else outcome.noResponse++;
+  });
+
+  return outcome;
+}
+
+function closeWave(alert, wave, decision) {
+  wave.outcome = tallyWave(alert, wave);
+  wave.closedAt = new Date();
+  wave.decision = decision;
+}
+
+// Mobilization plan with live outcomes for the wave still in progress
+function summarizeMobilization(alert) {
+  const { status, waveWindowMinutes, currentWave, nextWaveAt, waves } = alert.mobilization;
+
+  return {
+    status,
+    waveWindowMinutes,
+    currentWave,
+    nextWaveAt,
+    ...getCoverage(alert),
+    waves: waves.map(wave => {
+      const entry = wave.toObject();
+      if (!wave.closedAt) entry.outcome = tallyWave(alert, wave);
+      return entry;
+    })
+  };
+}
+
+// Decide what follows a wave whose window has elapsed
+async function advanceMobilization(alert) {
+  const mobilization = alert.mobilization;
+  const current = mobilization.waves[mobilization.waves.length - 1];
+  const { outstanding, committed } = getCoverage(alert);
+
+  const finish = async (status, decision) => {
+    if (current) closeWave(alert, current, decision);
+    mobilization.status = status;
+    mobilization.nextWaveAt = undefined;
+    await alert.save();
+    return { status, decision };
+  };
+
+  if (!OPEN_STATUSES.includes(alert.status)) {
+    return finish('stopped', `Alert is ${alert.status}`);
+  }
+  if (committed >= outstanding) {
+    return finish('covered', `${committed} commitment(s) cover the ${outstanding} outstanding unit(s)`);
+  }
+  if (mobilization.currentWave >= MAX_WAVES) {
+    return finish('exhausted', `Reached the limit of ${MAX_WAVES} waves`);
+  }
+
+  let reason = 'next_batch';
+  let decision = `${committed} of ${outstanding} outstanding unit(s) committed after ${mobilization.waveWindowMinutes} minutes`;
+
+  // Widen the radius once everyone in range has been contacted
+  if (current && current.donorsRemaining === 0) {
+    if (alert.location.searchRadius >= MAX_SEARCH_RADIUS) {
+      return finish('exhausted', `${decision}; no uncontacted donors within the maximum ${MAX_SEARCH_RADIUS} km`);
+    }
+
+    const searchRadius = Math.min(MAX_SEARCH_RADIUS, Math.round(alert.location.searchRadius * RADIUS_GROWTH));
+    decision += `; no uncontacted donors within ${alert.location.searchRadius} km, widened search to ${searchRadius} km`;
+    alert.location.searchRadius = searchRadius;
+    reason = 'radius_expanded';
+  }
+
+  if (current) closeWave(alert, current, decision);
+  const result = await startWave(alert, reason);
+  return { status: mobilization.status, decision, ...result };
+}
+
+module.exports = {
+  startWave,
+  closeWave,
+  advanceMobilization,
+  summarizeMobilization
+};
@@ -0,0 +1,224 @@
+const Hospital = require('../models/Hospital');
+const BloodUnit = require('../models/BloodUnit');
+const Partnership = require('../models/Partnership');
+const { distanceKm } = require('./donorRanking');
+
+// Relative weight of each ranking factor; factors are scored 0..1
+const WEIGHTS = {
+  coverage: 0.4,
+  partnership: 0.25,
+  distance: 0.2,
+  freshness: 0.15
+};
+
+const STALE_HOURS = parseInt(process.env.NETWORK_STALE_HOURS) || 24; // Counter levels older than this are flagged
+const UNCONFIRMED_COVERAGE = 0.25; // Coverage score when only component totals are known
+const MAX_CANDIDATES = 50;
+
+// Available units per hospital for hospitals that track individual bags
+async function countTrackedUnits(hospitalIds, bloodType, component, now) {
+  if (hospitalIds.length === 0) return {};
+
+  const rows = await BloodUnit.aggregate([
+    {
+      $match: {
+        hospital: { $in: hospitalIds },
+        bloodType,
+        component,
+        status: 'available',
+        expiryDate: { $gt: now }
+      }
+    },
+    {
+      $group: {
+        _id: '$hospital',
+        count: { $sum: 1 },
+        soonestExpiry: { $min: '$expiryDate' }
+      }
+    }
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id.toString(), row]));
+}
+
+// What a hospital can spare of the requested type and component, and how sure we are of it.
+// The critical threshold is kept per blood type for red cells, so only red cell stock is held back to it.
+function assessStock(hospital, bloodType, component, tracked, now) {
+  const counters = hospital.inventory.bloodUnits[bloodType];
+  const isRedCell = BloodUnit.RED_CELL_COMPONENTS.includes(component);
+  const critical = isRedCell ? counters.critical : 0;
+
+  if (hospital.inventory.unitTracking) {
+    const available = tracked?.count || 0;
+    return {
+      source: 'units',
+      confirmed: true,
+      available,
+      critical,
+      shareable: Math.max(0, available - critical),
+      soonestExpiry: tracked?.soonestExpiry,
+      lastUpdated: now,
+      ageHours: 0
+    };
+  }
+
+  const lastUpdated = counters.lastUpdated;
+  const ageHours = lastUpdated ? (now - lastUpdated) / (1000 * 60 * 60) : Infinity;
+
+  if (isRedCell) {
+    return {
+      source: 'counters',
+      confirmed: true,
+      available: counters.available,
+      critical,
+      shareable: Math.max(0, counters.available - critical),
+      lastUpdated,
+      ageHours
+    };
+  }
+
+  // Only a total across blood types is kept for other components
+  const componentTotal = hospital.inventory.components?.[BloodUnit.COMPONENT_COUNTERS[component]] || 0;
+  return {
+    source: 'component_totals',
+    confirmed: false,
+    available: null,
+    componentTotal,
+    critical,
+    shareable: componentTotal,
+    lastUpdated,
+    ageHours
+  };
+}
+
+// Whether the agreement lets us ask this hospital for units now, and how many at most
+function assessPartnership(partnership, bloodType, units, stock) {
+  if (!partnership) {
+    return { canRequest: false, maxRequestable: 0, reason: 'No partnership with this hospital' };
+  }
+  // A component total across blood types says nothing about this type, so call rather than request
+  if (!stock.confirmed) {
+    return { canRequest: false, maxRequestable: 0, reason: `${bloodType} stock not confirmed; call to check` };
+  }
+
+  const cap = partnership.terms?.maxUnitsPerRequest || Infinity;
+  const maxRequestable = Math.min(units, stock.shareable, cap);
+  const notCovered = partnership.checkSharing({ bloodType, units: maxRequestable || 1 });
+
+  return {
+    canRequest: !notCovered && maxRequestable > 0,
+    maxRequestable: notCovered ? 0 : maxRequestable,
+    reason: notCovered || (maxRequestable > 0 ? null : 'No units to spare')
+  };
+}
+
+// Hospitals within reach that can supply a blood type and component, best first
+async function searchNetworkAvailability(hospital, { bloodType, component = 'red_cells', units = 1, maxDistance = 100, partnersOnly = false, maxAgeHours } = {}) {
+  const now = new Date();
+
+  const candidates = await Hospital.find({
+    _id: { $ne: hospital._id },
+    verificationStatus: 'verified',
+    isActive: true,
+    'bloodBank.hasBloodBank': true,
+    'location.coordinates': {
+      $near: {
+        $geometry: hospital.location.coordinates,
+        $maxDistance: maxDistance * 1000 // Convert km to meters
+      }
+    }
+  })
+  .select('basicInfo.name basicInfo.type location contactInfo.primaryPhone contactInfo.emergencyPhone inventory')
+  .limit(MAX_CANDIDATES);
+
+  const candidateIds = candidates.map(candidate => candidate._id);
+  const [tracked, partnerships] = await Promise.all([
+    countTrackedUnits(
+      candidates.filter(candidate => candidate.inventory.unitTracking).map(candidate => candidate._id),
+      bloodType,
+      component,
+      now
+    ),
+    Partnership.find({
+      status: { $in: Partnership.OPEN_STATUSES },
+      $or: [
+        { requester: hospital._id, partner: { $in: candidateIds } },
+        { partner: hospital._id, requester: { $in: candidateIds } }
+      ]
+    })
+  ]);
+
+  const results = [];
+  for (const candidate of candidates) {
+    const stock = assessStock(candidate, bloodType, component, tracked[candidate._id.toString()], now);
+    if (stock.shareable <= 0) continue;
+    if (maxAgeHours && stock.ageHours > maxAgeHours) continue;
+
+    const partnership = partnerships.find(p =>
+      p.otherParty(hospital._id).toString() === candidate._id.toString()
+    );
+    if (partnersOnly && !partnership) continue;
+
+    const agreement = assessPartnership(partnership, bloodType, units, stock);
+    const distance = distanceKm(hospital.location.coordinates, candidate.location.coordinates);
+
+    const factors = {
+      coverage: stock.confirmed ? Math.min(stock.shareable / units, 1) : UNCONFIRMED_COVERAGE,
+      partnership: agreement.canRequest ? 1 : partnership ? 0.3 : 0,
+      distance: Math.max(0, 1 - distance / maxDistance),
+      freshness: Math.max(0, 1 - stock.ageHours / (3 * STALE_HOURS))
+    };
+    const score = Object.entries(WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+
+    results.push({
+      hospital: {
+        _id: candidate._id,
+        name: candidate.basicInfo.name,
+        type: candidate.basicInfo.type,
+        address: candidate.location.address,
+        phone: candidate.contactInfo.emergencyPhone || candidate.contactInfo.primaryPhone
+      },
+      distanceKm: Math.round(distance * 10) / 10,
+      stock: {
+        ...stock,
+        ageHours: Number.isFinite(stock.ageHours) ? Math.round(stock.ageHours * 10) / 10 : null,
+        stale: stock.ageHours > STALE_HOURS,
+        canSupplyAll: stock.confirmed && stock.shareable >= units
+      },
+      partnership: partnership ? {
+        _id: partnership._id,
+        type: partnership.type,
+        status: partnership.status,
+        terms: partnership.terms,
+        validUntil: partnership.validUntil
+      } : null,
+      canRequestTransfer: agreement.canRequest,
+      maxRequestable: agreement.maxRequestable,
+      notRequestableReason: agreement.reason,
+      score: Math.round(score * 1000) / 1000,
+      factors
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score);
+
+  const requestable = results
+    .filter(result => result.canRequestTransfer)
+    .reduce((sum, result) => sum + result.maxRequestable, 0);
+
+  return {
+    results,
+    summary: {
+      hospitals: results.length,
+      confirmedShareable: results
+        .filter(result => result.stock.confirmed)
+        .reduce((sum, result) => sum + result.stock.shareable, 0),
+      requestableFromPartners: requestable,
+      coveredByPartners: requestable >= units
+    }
+  };
+}
+
+module.exports = {
+  searchNetworkAvailability
+};
@@ -1,8 +1,13 @@
-const nodemailer = require('nodemailer');
-const twilio = require('twilio');
-const webpush = require('web-push');
 const Alert = require('../models/Alert');
 const Donor = require('../models/Donor');
+const Hospital = require('../models/Hospital');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const messageQueue = require('./messageQueue');
+const { createChannels, channelUnavailable } = require('./channels');
+
+// More urgent alerts are delivered ahead of older, calmer ones
+const URGENCY_PRIORITY = { low: 0, medium: 1, high: 2, critical: 3 };
 
 class NotificationService {
   constructor() {
@@ -10,87 +15,196 @@ class NotificationService {
   }
 
   initializeServices() {
-    // Email service
-    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-      this.emailTransporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        }
+    // Providers are chosen per channel from EMAIL_PROVIDER, SMS_PROVIDER and PUSH_PROVIDER
+    this.channels = createChannels();
+  }
+
+  hasChannel(channel) {
+    return Boolean(this.channels[channel]);
+  }
+
+  async sendEmail({ to, subject, html, text }) {
+    if (!this.channels.email) throw channelUnavailable('Email');
+    return this.channels.email.send({ to, subject, html, text });
+  }
+
+  async sendSMS({ to, body }) {
+    if (!this.channels.sms) throw channelUnavailable('SMS');
+    return this.channels.sms.send({ to, body });
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  // Store a message in the recipient's inbox and push it to their open sessions
+  async notifyInApp(recipient, recipientRole, { type, title, message, link, alert, data }) {
+    try {
+      const notification = await Notification.create({
+        recipient,
+        recipientRole,
+        type,
+        channel: 'in_app',
+        title,
+        message,
+        link,
+        alert,
+        data,
+        status: 'delivered',
+        sentAt: new Date(),
+        deliveredAt: new Date()
       });
-    } else {
-      console.log('Email service not configured - EMAIL_USER and EMAIL_PASS required');
-    }
 
-    // SMS service
-    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && 
-        process.env.TWILIO_ACCOUNT_SID.startsWith('AC')) {
-      this.twilioClient = twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-    } else {
-      console.log('Twilio SMS service not configured - valid TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN required');
+      if (this.io) {
+        this.io.to(`user-${recipient}`).emit('notification', notification.toObject());
+      }
+      return notification;
+    } catch (error) {
+      console.error(`Failed to store in-app notification for user ${recipient}:`, error.message);
+      return null;
     }
+  }
 
-    // Web Push service
-    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY && 
-        process.env.VAPID_PUBLIC_KEY.length > 10 && process.env.VAPID_PRIVATE_KEY.length > 10) {
-      try {
-        webpush.setVapidDetails(
-          `mailto:${process.env.VAPID_EMAIL}`,
-          process.env.VAPID_PUBLIC_KEY,
-          process.env.VAPID_PRIVATE_KEY
-        );
-      } catch (error) {
-        console.log('Web Push service configuration error:', error.message);
+  async notifyManyInApp(records) {
+    try {
+      const now = new Date();
+      const notifications = await Notification.insertMany(records.map(record => ({
+        ...record,
+        channel: 'in_app',
+        status: 'delivered',
+        sentAt: now,
+        deliveredAt: now
+      })));
+
+      if (this.io) {
+        notifications.forEach(notification => {
+          this.io.to(`user-${notification.recipient}`).emit('notification', notification.toObject());
+        });
       }
-    } else {
-      console.log('Web Push service not configured - valid VAPID keys required');
+      return notifications;
+    } catch (error) {
+      console.error(`Failed to store ${records.length} in-app notification(s):`, error.message);
+      return [];
+    }
+  }
+
+  async notifyHospital(hospitalId, payload) {
+    const hospital = await Hospital.findById(hospitalId).select('user');
+    if (!hospital) return null;
+    return this.notifyInApp(hospital.user, 'hospital', payload);
+  }
+
+  // Hand rendered content to the channel provider; called by the message queue workers
+  async deliver(channel, content) {
+    switch (channel) {
+      case 'email':
+        return this.sendEmail(content);
+      case 'sms':
+        return this.sendSMS(content);
+      case 'push':
+        return this.sendPushToUser(content.userId, content.payload, content.options);
+      default:
+        throw new Error(`Unknown channel: ${channel}`);
+    }
+  }
+
+  // Record outbound email, SMS or push messages in the inbox and queue them for delivery.
+  // Entries are { record, channel, content }; a channel with no provider is recorded as skipped.
+  async queue(entries, { priority = 0, alert, hospital } = {}) {
+    const tracked = entries.filter(entry => entry.record);
+    const notifications = await Notification.insertMany(tracked.map(({ record, channel }) => ({
+      ...record,
+      channel,
+      ...(this.hasChannel(channel)
+        ? { status: 'pending' }
+        : { status: 'skipped', error: channelUnavailable(channel).message })
+    })));
+    const notificationIds = new Map(tracked.map((entry, index) => [entry, notifications[index]._id]));
+
+    const messages = entries
+      .filter(({ channel }) => this.hasChannel(channel))
+      .map(entry => ({
+        channel: entry.channel,
+        content: entry.content,
+        priority,
+        notification: notificationIds.get(entry),
+        alert,
+        hospital
+      }));
+
+    if (messages.length > 0) {
+      await messageQueue.enqueue(messages);
     }
+
+    return { queued: messages.length, skipped: entries.length - messages.length };
   }
 
-  async sendBloodShortageAlert(alert, donors) {
+  // Queue the alert for every donor; delivery happens in the background
+  async sendBloodShortageAlert(alert, donors, { wave } = {}) {
     const results = {
-      email: { sent: 0, failed: 0 },
-      sms: { sent: 0, failed: 0 },
-      push: { sent: 0, failed: 0 }
+      email: { queued: 0, skipped: 0 },
+      sms: { queued: 0, skipped: 0 },
+      push: { queued: 0, skipped: 0 }
     };
 
-    for (const donor of donors) {
-      try {
-        // Send email notification
-        if (donor.preferences.notificationMethods.email) {
-          await this.sendEmailAlert(alert, donor);
-          results.email.sent++;
-        }
+    if (!alert.populated('hospital')) {
+      await alert.populate('hospital');
+    }
+    const hospital = alert.hospital;
 
-        // Send SMS notification
-        if (donor.preferences.notificationMethods.sms) {
-          await this.sendSMSAlert(alert, donor);
-          results.sms.sent++;
-        }
+    // Donors without a registered device cannot receive push, so it is skipped rather than queued to fail
+    const pushable = await this.usersWithPushSubscriptions(donors.map(donor => donor.user?._id || donor.user));
 
-        // Send push notification
-        if (donor.preferences.notificationMethods.push) {
-          await this.sendPushAlert(alert, donor);
-          results.push.sent++;
+    const inbox = [];
+    const entries = [];
+    for (const donor of donors) {
+      const recipient = donor.user?._id || donor.user;
+      const record = {
+        recipient,
+        recipientRole: 'donor',
+        type: 'blood_shortage_alert',
+        title: `${alert.describeNeed()} needed`,
+        message: `${alert.urgencyLevel.toUpperCase()} shortage at ${hospital.basicInfo.name}: ${alert.unitsNeeded} units needed`,
+        link: `/alerts/${alert._id}`,
+        alert: alert._id,
+        data: { bloodType: alert.bloodType, component: alert.component, urgencyLevel: alert.urgencyLevel }
+      };
+      inbox.push(record);
+
+      const renderers = {
+        email: () => this.renderEmailAlert(alert, donor, hospital),
+        sms: () => this.renderSMSAlert(alert, donor, hospital),
+        push: () => this.renderPushAlert(alert, donor, hospital)
+      };
+
+      // Each channel is queued independently so one failing provider does not block the others
+      for (const [channel, render] of Object.entries(renderers)) {
+        if (!donor.preferences.notificationMethods[channel]) continue;
+        if (channel === 'push' && !pushable.has(String(recipient))) {
+          results.push.skipped++;
+          continue;
         }
-
-        // Record notification in alert
-        alert.notifications.sentTo.push({
-          donor: donor._id,
-          method: this.getPreferredMethod(donor),
-          sentAt: new Date()
-        });
-
-      } catch (error) {
-        console.error(`Failed to send notification to donor ${donor._id}:`, error);
-        this.incrementFailedCount(results, donor);
+        entries.push({ record, channel, content: render() });
+        results[channel][this.hasChannel(channel) ? 'queued' : 'skipped']++;
       }
+
+      // Record notification in alert
+      alert.notifications.sentTo.push({
+        donor: donor._id,
+        method: this.getPreferredMethod(donor),
+        rankScore: donor.$locals.ranking?.score,
+        wave,
+        sentAt: new Date()
+      });
     }
 
+    await this.notifyManyInApp(inbox);
+    await this.queue(entries, {
+      priority: URGENCY_PRIORITY[alert.urgencyLevel] || 0,
+      alert: alert._id,
+      hospital: hospital._id
+    });
+
     // Update alert statistics
     alert.notifications.sent += donors.length;
     await alert.save();
@@ -98,59 +212,96 @@ class NotificationService {
     return results;
   }
 
-  async sendEmailAlert(alert, donor) {
-    if (!this.emailTransporter) {
-      throw new Error('Email service not configured');
-    }
-
-    const hospitalData = await alert.populate('hospital');
-    const urgencyClass = this.getUrgencyClass(alert.urgencyLevel);
-    
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
+  renderEmailAlert(alert, donor, hospital) {
+    return {
       to: donor.user.email,
-      subject: `🩸 URGENT: ${alert.bloodType} Blood Needed - ${alert.urgencyLevel.toUpperCase()} Alert`,
-      html: this.generateEmailTemplate(alert, donor, hospitalData.hospital)
+      subject: `🩸 URGENT: ${alert.describeNeed()} needed - ${alert.urgencyLevel.toUpperCase()} Alert`,
+      html: this.generateEmailTemplate(alert, donor, hospital)
     };
-
-    return await this.emailTransporter.sendMail(mailOptions);
   }
 
-  async sendSMSAlert(alert, donor) {
-    if (!this.twilioClient) {
-      throw new Error('SMS service not configured');
-    }
+  renderSMSAlert(alert, donor, hospital) {
+    return {
+      to: donor.personalInfo.phone,
+      body: this.generateSMSMessage(alert, donor, hospital)
+    };
+  }
 
-    const hospitalData = await alert.populate('hospital');
-    const message = this.generateSMSMessage(alert, donor, hospitalData.hospital);
+  renderPushAlert(alert, donor, hospital) {
+    return {
+      userId: donor.user?._id || donor.user,
+      payload: {
+        title: `🩸 ${alert.describeNeed()} needed`,
+        body: `${alert.urgencyLevel.toUpperCase()} shortage at ${hospital?.basicInfo?.name || 'a nearby hospital'}`,
+        icon: '/icon-192x192.png',
+        badge: '/badge-72x72.png',
+        tag: `alert-${alert._id}`,
+        data: {
+          alertId: alert._id,
+          bloodType: alert.bloodType,
+          component: alert.component,
+          urgencyLevel: alert.urgencyLevel,
+          url: `/alerts/${alert._id}`
+        }
+      },
+      options: {
+        urgency: ['high', 'critical'].includes(alert.urgencyLevel) ? 'high' : 'normal'
+      }
+    };
+  }
 
-    return await this.twilioClient.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: donor.personalInfo.phone
-    });
+  // Ids (as strings) of the given users that have at least one push subscription
+  async usersWithPushSubscriptions(userIds) {
+    if (!this.channels.push || userIds.length === 0) return new Set();
+    const users = await PushSubscription.distinct('user', { user: { $in: userIds } });
+    return new Set(users.map(String));
   }
 
-  async sendPushAlert(alert, donor) {
-    // This would require storing push subscriptions from the frontend
-    // For now, we'll implement the structure
-    const payload = JSON.stringify({
-      title: `🩸 ${alert.bloodType} Blood Needed`,
-      body: `${alert.urgencyLevel.toUpperCase()} shortage at nearby hospital`,
-      icon: '/icon-192x192.png',
-      badge: '/badge-72x72.png',
-      data: {
-        alertId: alert._id,
-        bloodType: alert.bloodType,
-        urgencyLevel: alert.urgencyLevel,
-        url: `/alerts/${alert._id}`
+  // Deliver a payload to every device the user registered, pruning dead subscriptions
+  async sendPushToUser(userId, payload, options = {}) {
+    if (!this.channels.push) throw channelUnavailable('Push');
+
+    const subscriptions = await PushSubscription.find({ user: userId });
+    if (subscriptions.length === 0) {
+      const error = new Error('No push subscriptions registered');
+      error.permanent = true; // Retrying cannot succeed
+      throw error;
+    }
+
+    const result = { sent: 0, failed: 0, pruned: 0 };
+    for (const subscription of subscriptions) {
+      try {
+        await this.channels.push.send({
+          subscription: subscription.toWebPush(),
+          payload,
+          options: {
+            TTL: 60 * 60, // Alerts are stale after an hour
+            ...options
+          }
+        });
+        subscription.lastSuccessAt = new Date();
+        subscription.failureCount = 0;
+        await subscription.save();
+        result.sent++;
+      } catch (error) {
+        // The browser has dropped this subscription
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await subscription.deleteOne();
+          result.pruned++;
+        } else {
+          subscription.lastFailureAt = new Date();
+          subscription.failureCount += 1;
+          await subscription.save();
+          result.failed++;
+        }
       }
-    });
+    }
 
-    // In a real implementation, you would retrieve the donor's push subscriptions
-    // and send to each subscription endpoint
-    console.log('Push notification payload prepared:', payload);
-    return { success: true, payload };
+    if (result.sent === 0) {
+      throw new Error(`Push delivery failed for all ${subscriptions.length} subscription(s)`);
+    }
+
+    return result;
   }
 
   generateEmailTemplate(alert, donor, hospital) {
@@ -189,7 +340,7 @@ class NotificationService {
           <div class="content">
             <div class="alert-box">
               <h3>Dear ${donor.personalInfo.firstName},</h3>
-              <p>We urgently need your help! A nearby hospital has a <strong>${alert.urgencyLevel}</strong> shortage of <strong>${alert.bloodType}</strong> blood.</p>
+              <p>We urgently need your help! A nearby hospital has a <strong>${alert.urgencyLevel}</strong> shortage of <strong>${alert.describeNeed()}</strong>.</p>
             </div>
 
             <div class="info-grid">
@@ -250,7 +401,7 @@ class NotificationService {
   }
 
   generateSMSMessage(alert, donor, hospital) {
-    return `🩸 BLOOD ALERT: ${alert.urgencyLevel.toUpperCase()} shortage of ${alert.bloodType} blood at ${hospital.basicInfo.name}. ${alert.unitsNeeded} units needed by ${new Date(alert.patientInfo.requiredBy).toLocaleDateString()}. Can you help? Reply YES to confirm or call ${hospital.contactInfo.emergencyPhone}. Thank you for saving lives!`;
+    return `🩸 BLOOD ALERT: ${alert.urgencyLevel.toUpperCase()} shortage of ${alert.describeNeed()} at ${hospital.basicInfo.name}. ${alert.unitsNeeded} units needed by ${new Date(alert.patientInfo.requiredBy).toLocaleDateString()}. Can you help? Reply YES to confirm, NO if you cannot, or call ${hospital.contactInfo.emergencyPhone}. Thank you for saving lives!`;
   }
 
   getPreferredMethod(donor) {
@@ -270,12 +421,6 @@ class NotificationService {
     return classes[urgencyLevel] || 'info';
   }
 
-  incrementFailedCount(results, donor) {
-    if (donor.preferences.notificationMethods.email) results.email.failed++;
-    if (donor.preferences.notificationMethods.sms) results.sms.failed++;
-    if (donor.preferences.notificationMethods.push) results.push.failed++;
-  }
-
   async sendDonationConfirmation(donor, donationDetails) {
     const subject = '🎉 Thank You for Your Blood Donation!';
     const html = `
@@ -314,14 +459,229 @@ class NotificationService {
       </div>
     `;
 
-    return await this.emailTransporter.sendMail({
-      from: process.env.EMAIL_FROM,
-      to: donor.user.email,
-      subject,
-      html
+    const record = {
+      recipient: donor.user._id,
+      recipientRole: 'donor',
+      type: 'donation_confirmation',
+      title: 'Thank you for your donation',
+      message: `Your ${donationDetails.volume}ml donation at ${donationDetails.location} has been recorded.`,
+      link: '/donor/history'
+    };
+    await this.notifyInApp(record.recipient, 'donor', record);
+
+    return await this.queue([{
+      record,
+      channel: 'email',
+      content: { to: donor.user.email, subject, html }
+    }]);
+  }
+
+  async sendArrivalReminder(alert, donor, response) {
+    const hospitalData = await alert.populate('hospital');
+    const hospital = hospitalData.hospital;
+    const arrival = new Date(response.estimatedArrival).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const record = {
+      recipient: donor.user._id,
+      recipientRole: 'donor',
+      type: 'arrival_reminder',
+      title: `Reminder: donation at ${hospital.basicInfo.name}`,
+      message: `${hospital.basicInfo.name} is expecting you around ${arrival}.`,
+      link: `/alerts/${alert._id}`,
+      alert: alert._id
+    };
+    await this.notifyInApp(record.recipient, 'donor', record);
+
+    // Reminders are time-sensitive, so they jump ahead of bulk alert traffic
+    const options = { priority: URGENCY_PRIORITY.critical + 1, hospital: hospital._id };
+
+    if (donor.preferences.notificationMethods.sms && this.hasChannel('sms')) {
+      return await this.queue([{
+        record,
+        channel: 'sms',
+        content: {
+          body: `🩸 Reminder: ${hospital.basicInfo.name} is expecting you around ${arrival} to donate ${alert.describeNeed()}. ${hospital.location.address.street}, ${hospital.location.address.city}.${response.checkInCode ? ` Check-in code: ${response.checkInCode}.` : ''} Call ${hospital.contactInfo.emergencyPhone} if your plans change.`,
+          to: donor.personalInfo.phone
+        }
+      }], options);
+    }
+
+    return await this.queue([{
+      record,
+      channel: 'email',
+      content: {
+        to: donor.user.email,
+        subject: `Reminder: your donation at ${hospital.basicInfo.name}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h3>Dear ${donor.personalInfo.firstName},</h3>
+          <p>Thank you for committing to donate. <strong>${hospital.basicInfo.name}</strong> is expecting you around <strong>${arrival}</strong>.</p>
+          <p><strong>Address:</strong> ${hospital.location.address.street}, ${hospital.location.address.city}</p>
+          <p>If your plans change, please call ${hospital.contactInfo.emergencyPhone} so the team can find another donor.</p>
+        </div>
+      `
+      }
+    }], options);
+  }
+
+  // Tell donors who already responded that an alert they answered has materially changed
+  async sendAlertUpdate(alert, donors, summary) {
+    if (!alert.populated('hospital')) {
+      await alert.populate('hospital');
+    }
+    const hospital = alert.hospital;
+    const title = `Update: ${alert.describeNeed()} at ${hospital.basicInfo.name}`;
+
+    const inbox = [];
+    const entries = [];
+    for (const donor of donors) {
+      const record = {
+        recipient: donor.user._id,
+        recipientRole: 'donor',
+        type: 'alert_update',
+        title,
+        message: summary,
+        link: `/alerts/${alert._id}`,
+        alert: alert._id,
+        data: { urgencyLevel: alert.urgencyLevel, status: alert.status }
+      };
+      inbox.push(record);
+
+      // One outbound message per donor, by text where possible since plans may need to change quickly
+      if (donor.preferences.notificationMethods.sms && this.hasChannel('sms')) {
+        entries.push({
+          record,
+          channel: 'sms',
+          content: {
+            to: donor.personalInfo.phone,
+            body: `🩸 ${title}: ${summary}. Questions? Call ${hospital.contactInfo.emergencyPhone}.`
+          }
+        });
+      } else if (donor.preferences.notificationMethods.email) {
+        entries.push({
+          record,
+          channel: 'email',
+          content: {
+            to: donor.user.email,
+            subject: title,
+            html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h3>Dear ${donor.personalInfo.firstName},</h3>
+          <p>Thank you for responding to the ${alert.describeNeed()} request from <strong>${hospital.basicInfo.name}</strong>. It has changed:</p>
+          <p><strong>${summary}</strong></p>
+          <p>If you have questions, please call ${hospital.contactInfo.emergencyPhone}.</p>
+        </div>
+      `
+          }
+        });
+      }
+    }
+
+    await this.notifyManyInApp(inbox);
+    return this.queue(entries, {
+      priority: URGENCY_PRIORITY[alert.urgencyLevel] || 0,
+      alert: alert._id,
+      hospital: hospital._id
     });
   }
 
+  async sendAppointmentReminder(appointment, donor, hospital) {
+    const when = appointment.scheduledAt.toLocaleString([], { weekday: 'long', hour: '2-digit', minute: '2-digit' });
+
+    const record = {
+      recipient: donor.user._id,
+      recipientRole: 'donor',
+      type: 'appointment_reminder',
+      title: `Reminder: donation appointment at ${hospital.basicInfo.name}`,
+      message: `Your appointment at ${hospital.basicInfo.name} is on ${when}.`,
+      link: '/donor/appointments',
+      alert: appointment.alert,
+      data: { appointmentId: appointment._id }
+    };
+    await this.notifyInApp(record.recipient, 'donor', record);
+
+    const options = { priority: URGENCY_PRIORITY.critical + 1, hospital: hospital._id };
+
+    if (donor.preferences.notificationMethods.sms && this.hasChannel('sms')) {
+      return await this.queue([{
+        record,
+        channel: 'sms',
+        content: {
+          body: `🩸 Reminder: your blood donation appointment at ${hospital.basicInfo.name} is on ${when}. ${hospital.location.address.street}, ${hospital.location.address.city}.${appointment.checkInCode ? ` Check-in code: ${appointment.checkInCode}.` : ''} Reschedule or cancel in the BloodAlert app if your plans change.`,
+          to: donor.personalInfo.phone
+        }
+      }], options);
+    }
+
+    return await this.queue([{
+      record,
+      channel: 'email',
+      content: {
+        to: donor.user.email,
+        subject: `Reminder: your donation appointment at ${hospital.basicInfo.name}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h3>Dear ${donor.personalInfo.firstName},</h3>
+          <p>This is a reminder that your blood donation appointment at <strong>${hospital.basicInfo.name}</strong> is on <strong>${when}</strong>.</p>
+          <p><strong>Address:</strong> ${hospital.location.address.street}, ${hospital.location.address.city}</p>
+          <p>Please eat a meal and drink plenty of water beforehand. If your plans change, reschedule or cancel in the BloodAlert app so another donor can take your chair.</p>
+        </div>
+      `
+      }
+    }], options);
+  }
+
+  async sendVerificationDecision(email, name, decision, recipient) {
+    const record = {
+      recipient,
+      recipientRole: decision.subjectType === 'Hospital' ? 'hospital' : 'donor',
+      type: 'verification_decision',
+      title: `Account ${decision.newStatus}`,
+      message: decision.reason || `Your ${decision.subjectType.toLowerCase()} profile is now ${decision.newStatus}.`,
+      link: decision.subjectType === 'Hospital' ? '/hospital/dashboard' : '/donor/dashboard',
+      data: { previousStatus: decision.previousStatus, newStatus: decision.newStatus }
+    };
+    if (recipient) {
+      await this.notifyInApp(recipient, record.recipientRole, record);
+    }
+
+    const statusColor = {
+      verified: '#28a745',
+      rejected: '#dc3545',
+      suspended: '#fd7e14'
+    };
+
+    const subject = `Your BloodAlert account verification: ${decision.newStatus}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: ${statusColor[decision.newStatus] || '#6c757d'}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1>Verification ${decision.newStatus.charAt(0).toUpperCase() + decision.newStatus.slice(1)}</h1>
+        </div>
+
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px;">
+          <h3>Dear ${name},</h3>
+
+          <p>An administrator has reviewed your ${decision.subjectType.toLowerCase()} profile and changed its status from <strong>${decision.previousStatus}</strong> to <strong>${decision.newStatus}</strong>.</p>
+
+          ${decision.reason ? `
+          <div style="background: white; padding: 15px; margin: 15px 0; border-left: 4px solid ${statusColor[decision.newStatus] || '#6c757d'};">
+            <h4>Reason:</h4>
+            <p>${decision.reason}</p>
+          </div>
+          ` : ''}
+
+          <p>${decision.newStatus === 'verified' ? 'You now have full access to BloodAlert.' : 'Please contact support if you believe this decision is incorrect.'}</p>
+        </div>
+      </div>
+    `;
+
+    return await this.queue([{
+      record: recipient ? record : null,
+      channel: 'email',
+      content: { to: email, subject, html }
+    }]);
+  }
+
   async sendHospitalAlert(hospital, alertDetails) {
     const subject = `🚨 Blood Shortage Alert Created - ${alertDetails.bloodType}`;
     const html = `
@@ -344,12 +704,22 @@ class NotificationService {
       </div>
     `;
 
-    return await this.emailTransporter.sendMail({
-      from: process.env.EMAIL_FROM,
-      to: hospital.contactInfo.email,
-      subject,
-      html
-    });
+    const record = {
+      recipient: hospital.user,
+      recipientRole: 'hospital',
+      type: 'alert_created',
+      title: `${alertDetails.bloodType} alert created`,
+      message: `${alertDetails.unitsNeeded} units at ${alertDetails.urgencyLevel} urgency. Eligible donors are being notified.`,
+      link: '/hospital/alerts',
+      alert: alertDetails._id
+    };
+    await this.notifyInApp(record.recipient, 'hospital', record);
+
+    return await this.queue([{
+      record,
+      channel: 'email',
+      content: { to: hospital.contactInfo.email, subject, html }
+    }], { hospital: hospital._id });
   }
 }
 
@@ -0,0 +1,58 @@
+const notificationService = require('./notificationService');
+
+const HOSPITAL_FIELDS = 'basicInfo.name basicInfo.type location.address contactInfo.primaryPhone';
+
+const STATUS_LABELS = {
+  pending: 'requested',
+  active: 'accepted',
+  declined: 'declined',
+  suspended: 'suspended',
+  terminated: 'terminated',
+  expired: 'expired'
+};
+
+// Stream the agreement to both hospitals and notify the other side, or both when no hospital acted (expiry)
+async function broadcastPartnership(io, partnership, actingHospitalId = null, { label, notes } = {}) {
+  await partnership.populate([
+    { path: 'requester', select: HOSPITAL_FIELDS },
+    { path: 'partner', select: HOSPITAL_FIELDS }
+  ]);
+
+  const parties = [partnership.requester, partnership.partner];
+  const payload = { partnership: partnership.toObject(), status: partnership.status };
+  if (io) {
+    parties.forEach(hospital => {
+      io.to(`hospital-${hospital._id}`).emit('partnership-updated', payload);
+    });
+  }
+
+  const statusLabel = label || STATUS_LABELS[partnership.status];
+  const type = partnership.type.replace('_', ' ');
+  const recipients = actingHospitalId
+    ? parties.filter(hospital => hospital._id.toString() !== actingHospitalId.toString())
+    : parties;
+
+  for (const recipient of recipients) {
+    const other = parties.find(hospital => hospital !== recipient);
+    const message = actingHospitalId
+      ? `${other.basicInfo.name} ${statusLabel} the ${type} partnership`
+      : `The ${type} partnership with ${other.basicInfo.name} has ${statusLabel}`;
+
+    try {
+      await notificationService.notifyHospital(recipient._id, {
+        type: 'partnership_update',
+        title: `Partnership ${statusLabel}`,
+        message: notes ? `${message}: ${notes}` : message,
+        link: '/hospital/partnerships',
+        data: { partnershipId: partnership._id, status: partnership.status }
+      });
+    } catch (error) {
+      console.error(`Failed to notify hospital ${recipient._id} of partnership ${partnership._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  HOSPITAL_FIELDS,
+  broadcastPartnership
+};
@@ -0,0 +1,505 @@
+const os = require('os');
+const { CronJob } = require('cron');
+const Alert = require('../models/Alert');
+const Donor = require('../models/Donor');
+const Appointment = require('../models/Appointment');
+const JobLock = require('../models/JobLock');
+const Hospital = require('../models/Hospital');
+const BloodUnit = require('../models/BloodUnit');
+const Reservation = require('../models/Reservation');
+const Partnership = require('../models/Partnership');
+const notificationService = require('./notificationService');
+const { startWave, closeWave, advanceMobilization } = require('./mobilization');
+const { broadcastPartnership } = require('./partnerships');
+const { forecastInventory } = require('./forecasting');
+const autoAlerts = require('./autoAlerts');
+
+const OPEN_STATUSES = ['active', 'partially_fulfilled'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Escalation settings
+const ESCALATION_WINDOW_HOURS = parseInt(process.env.ESCALATION_WINDOW_HOURS) || 6;
+const ESCALATION_INTERVAL_MINUTES = parseInt(process.env.ESCALATION_INTERVAL_MINUTES) || 30;
+const MAX_ESCALATION_LEVEL = 3;
+const MAX_SEARCH_RADIUS = 200; // km, matches Alert.location.searchRadius max
+
+// Mobilization settings
+const MOBILIZATION_RETRY_MINUTES = 5;
+
+// Reminder settings
+const REMINDER_LEAD_MINUTES = 120;
+const APPOINTMENT_REMINDER_HOURS = parseInt(process.env.APPOINTMENT_REMINDER_HOURS) || 24;
+const NO_SHOW_GRACE_HOURS = 2;
+
+class Scheduler {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.jobs = [];
+    this.running = new Set();
+  }
+
+  start(io) {
+    this.io = io;
+
+    this.schedule('expire-alerts', '* * * * *', () => this.expireAlerts());
+    this.schedule('escalate-alerts', '*/5 * * * *', () => this.escalateAlerts());
+    this.schedule('advance-mobilization', '* * * * *', () => this.advanceMobilizations());
+    this.schedule('arrival-reminders', '*/10 * * * *', () => this.sendArrivalReminders());
+    this.schedule('appointment-reminders', '*/10 * * * *', () => this.sendAppointmentReminders());
+    this.schedule('appointment-no-shows', '0 * * * *', () => this.markNoShows());
+    this.schedule('expire-reservations', '*/5 * * * *', () => this.expireReservations());
+    this.schedule('sync-expired-units', '*/15 * * * *', () => this.syncExpiredUnits());
+    this.schedule('expire-partnerships', '0 * * * *', () => this.expirePartnerships());
+    this.schedule('forecast-shortages', '30 */6 * * *', () => this.raiseForecastAlerts(), 30 * 60 * 1000);
+
+    console.log(`Scheduler started with ${this.jobs.length} jobs`);
+  }
+
+  stop() {
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+  }
+
+  schedule(name, cronTime, task, leaseMs) {
+    const job = new CronJob(cronTime, () => this.runJob(name, task, leaseMs), null, true);
+    this.jobs.push(job);
+  }
+
+  // Run a job under a database lease so only one instance executes it at a time
+  async runJob(name, task, leaseMs = 5 * 60 * 1000) {
+    if (this.running.has(name)) return;
+    this.running.add(name);
+
+    try {
+      const acquired = await JobLock.acquire(name, this.owner, leaseMs);
+      if (!acquired) return;
+
+      let result;
+      try {
+        result = await task();
+      } catch (error) {
+        console.error(`Scheduled job ${name} failed:`, error.message);
+        result = { error: error.message };
+      }
+
+      await JobLock.release(name, this.owner, result);
+    } catch (error) {
+      console.error(`Scheduled job ${name} could not run:`, error.message);
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  // Mark open alerts, and automatic alerts never approved, past their expiry as expired
+  async expireAlerts() {
+    const now = new Date();
+    const candidates = await Alert.find({
+      status: { $in: Alert.UNRESOLVED_STATUSES },
+      expiresAt: { $lte: now }
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+      // Conditional update so a concurrent run or manual change wins cleanly
+      const previous = await Alert.findOneAndUpdate(
+        { _id, status: { $in: Alert.UNRESOLVED_STATUSES }, expiresAt: { $lte: now } },
+        { $set: { status: 'expired', isActive: false } },
+        { new: false }
+      );
+      if (!previous) continue;
+
+      expired++;
+      this.emit(previous.hospital, 'alert-status-updated', {
+        alertId: previous._id,
+        oldStatus: previous.status,
+        newStatus: 'expired',
+        reason: 'Alert expired'
+      });
+    }
+
+    return { expired };
+  }
+
+  // Widen reach for unfilled alerts whose required-by time is approaching
+  async escalateAlerts() {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + ESCALATION_WINDOW_HOURS * 60 * 60 * 1000);
+    const lastAllowed = new Date(now.getTime() - ESCALATION_INTERVAL_MINUTES * 60 * 1000);
+
+    const candidates = await Alert.find({
+      status: { $in: OPEN_STATUSES },
+      expiresAt: { $gt: now },
+      'patientInfo.requiredBy': { $lte: windowEnd },
+      'escalation.level': { $not: { $gte: MAX_ESCALATION_LEVEL } }, // Older alerts have no level yet
+      $expr: { $lt: ['$unitsCollected', '$unitsNeeded'] },
+      $or: [
+        { 'escalation.lastEscalatedAt': { $exists: false } },
+        { 'escalation.lastEscalatedAt': { $lte: lastAllowed } }
+      ]
+    });
+
+    let escalated = 0;
+    for (const candidate of candidates) {
+      const level = candidate.escalation?.level || 0;
+      const urgencyIndex = URGENCY_LEVELS.indexOf(candidate.urgencyLevel);
+      const urgencyLevel = URGENCY_LEVELS[Math.min(urgencyIndex + 1, URGENCY_LEVELS.length - 1)];
+      const searchRadius = Math.min(MAX_SEARCH_RADIUS, Math.round(candidate.location.searchRadius * 1.5));
+
+      // Claim this escalation level; a stale level means another run got here first
+      const alert = await Alert.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          status: { $in: OPEN_STATUSES },
+          'escalation.level': level === 0 ? { $in: [null, 0] } : level
+        },
+        {
+          $set: {
+            urgencyLevel,
+            'location.searchRadius': searchRadius,
+            'escalation.level': level + 1,
+            'escalation.lastEscalatedAt': now
+          },
+          $push: {
+            'escalation.history': { level: level + 1, escalatedAt: now, urgencyLevel, searchRadius, donorsNotified: 0 }
+          }
+        },
+        { new: true }
+      );
+      if (!alert) continue;
+
+      // Escalation cuts the current wave short and contacts the next batch at the wider radius
+      const current = alert.mobilization.waves[alert.mobilization.waves.length - 1];
+      if (current && !current.closedAt) {
+        closeWave(alert, current, `Escalated to level ${level + 1}: ${urgencyLevel} urgency, ${searchRadius} km radius`);
+      }
+      const { wave, notificationResults } = await startWave(alert, 'escalation');
+
+      alert.escalation.history[alert.escalation.history.length - 1].donorsNotified = wave.donorsNotified;
+      await alert.save();
+
+      escalated++;
+      this.emit(alert.hospital, 'alert-escalated', {
+        alertId: alert._id,
+        level: alert.escalation.level,
+        urgencyLevel,
+        searchRadius,
+        donorsNotified: wave.donorsNotified,
+        notificationResults
+      });
+    }
+
+    return { escalated };
+  }
+
+  // Move alerts on to their next donor wave once the current wave's window has passed
+  async advanceMobilizations() {
+    const now = new Date();
+    const candidates = await Alert.find({
+      'mobilization.status': 'active',
+      'mobilization.nextWaveAt': { $lte: now }
+    }).select('_id mobilization.currentWave');
+
+    let advanced = 0;
+    for (const candidate of candidates) {
+      // Claim the due wave; pushing nextWaveAt out keeps other runs away and retries a failed advance later
+      const alert = await Alert.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          'mobilization.status': 'active',
+          'mobilization.currentWave': candidate.mobilization.currentWave,
+          'mobilization.nextWaveAt': { $lte: now }
+        },
+        { $set: { 'mobilization.nextWaveAt': new Date(now.getTime() + MOBILIZATION_RETRY_MINUTES * 60 * 1000) } },
+        { new: true }
+      );
+      if (!alert) continue;
+
+      try {
+        const result = await advanceMobilization(alert);
+
+        advanced++;
+        this.emit(alert.hospital, 'alert-mobilization-updated', {
+          alertId: alert._id,
+          status: alert.mobilization.status,
+          currentWave: alert.mobilization.currentWave,
+          decision: result.decision,
+          wave: result.wave,
+          notificationResults: result.notificationResults
+        });
+      } catch (error) {
+        console.error(`Failed to advance mobilization for alert ${alert._id}:`, error.message);
+      }
+    }
+
+    return { advanced };
+  }
+
+  // Remind committed donors shortly before their estimated arrival
+  async sendArrivalReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+
+    const alerts = await Alert.find({
+      status: { $in: OPEN_STATUSES },
+      responses: {
+        $elemMatch: {
+          responseType: 'committed',
+          estimatedArrival: { $gt: now, $lte: horizon },
+          reminderSentAt: { $exists: false },
+          appointment: { $exists: false }
+        }
+      }
+    });
+
+    let sent = 0;
+    for (const alert of alerts) {
+      const due = alert.responses.filter(r =>
+        r.responseType === 'committed' &&
+        !r.reminderSentAt &&
+        !r.appointment &&
+        r.estimatedArrival > now &&
+        r.estimatedArrival <= horizon
+      );
+
+      for (const response of due) {
+        // Claim the reminder before sending so it goes out once
+        const claimed = await Alert.updateOne(
+          { _id: alert._id, responses: { $elemMatch: { _id: response._id, reminderSentAt: { $exists: false } } } },
+          { $set: { 'responses.$.reminderSentAt': now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const donor = await Donor.findById(response.donor).populate('user', 'email');
+        if (!donor) continue;
+
+        try {
+          await notificationService.sendArrivalReminder(alert, donor, response);
+          sent++;
+        } catch (error) {
+          console.error(`Failed to send arrival reminder to donor ${donor._id}:`, error.message);
+        }
+      }
+    }
+
+    return { sent };
+  }
+
+  // Remind donors of booked appointments ahead of time
+  async sendAppointmentReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + APPOINTMENT_REMINDER_HOURS * 60 * 60 * 1000);
+
+    const appointments = await Appointment.find({
+      status: 'booked',
+      scheduledAt: { $gt: now, $lte: horizon },
+      reminderSentAt: { $exists: false }
+    }).populate('hospital', 'basicInfo.name location.address');
+
+    let sent = 0;
+    for (const appointment of appointments) {
+      // Claim the reminder before sending so it goes out once
+      const claimed = await Appointment.updateOne(
+        { _id: appointment._id, status: 'booked', reminderSentAt: { $exists: false } },
+        { $set: { reminderSentAt: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const donor = await Donor.findById(appointment.donor).populate('user', 'email');
+      if (!donor) continue;
+
+      try {
+        await notificationService.sendAppointmentReminder(appointment, donor, appointment.hospital);
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send appointment reminder to donor ${donor._id}:`, error.message);
+      }
+    }
+
+    return { sent };
+  }
+
+  // Close out bookings the donor never arrived for
+  async markNoShows() {
+    const cutoff = new Date(Date.now() - NO_SHOW_GRACE_HOURS * 60 * 60 * 1000);
+
+    const result = await Appointment.updateMany(
+      { status: 'booked', endsAt: { $lte: cutoff } },
+      {
+        $set: { status: 'no_show' },
+        $push: { history: { action: 'no_show', at: new Date(), reason: 'Not checked in' } }
+      }
+    );
+
+    return { marked: result.modifiedCount };
+  }
+
+  // Return units held by lapsed reservations to available stock
+  async expireReservations() {
+    const now = new Date();
+    const candidates = await Reservation.find({
+      status: 'active',
+      expiresAt: { $lte: now }
+    }).select('_id');
+
+    const hospitalIds = new Set();
+    let expired = 0;
+    for (const { _id } of candidates) {
+      // Claim first so a concurrent issue or release wins cleanly
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id, status: 'active', expiresAt: { $lte: now } },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+      if (!reservation) continue;
+
+      await reservation.close('expired', { reason: 'Reservation hold expired' });
+      await reservation.save();
+      hospitalIds.add(reservation.hospital.toString());
+      expired++;
+
+      this.emit(reservation.hospital, 'reservation-updated', {
+        reservation: reservation.toObject(),
+        timestamp: now
+      });
+    }
+
+    // Recount each affected hospital once
+    for (const hospitalId of hospitalIds) {
+      const hospital = await Hospital.findById(hospitalId);
+      if (hospital) {
+        await BloodUnit.syncHospitalInventory(hospital, { reason: 'Expired reservations released' });
+        autoAlerts.queueEvaluation(hospital);
+      }
+    }
+
+    return { expired };
+  }
+
+  // Recount tracked hospitals whose bags expired since their counters were last derived
+  async syncExpiredUnits() {
+    const now = new Date();
+    const tracked = await Hospital.find({ 'inventory.unitTracking': true }).select('inventory.unitsSyncedAt');
+
+    let synced = 0;
+    for (const { _id, inventory } of tracked) {
+      const lapsed = await BloodUnit.exists({
+        hospital: _id,
+        status: { $in: ['available', 'reserved'] },
+        expiryDate: { $gt: inventory.unitsSyncedAt || new Date(0), $lte: now }
+      });
+      if (!lapsed) continue;
+
+      const hospital = await Hospital.findById(_id);
+      if (!hospital) continue;
+
+      await BloodUnit.syncHospitalInventory(hospital, { reason: 'Expired units removed from stock' });
+      autoAlerts.queueEvaluation(hospital);
+      synced++;
+
+      this.emit(hospital._id, 'units-updated', {
+        units: [],
+        inventory: hospital.inventory.bloodUnits,
+        components: hospital.inventory.components,
+        timestamp: now
+      });
+    }
+
+    return { synced };
+  }
+
+  // End partnerships whose validity period has run out and tell both hospitals
+  async expirePartnerships() {
+    const now = new Date();
+    const candidates = await Partnership.find({
+      status: { $in: Partnership.OPEN_STATUSES },
+      validUntil: { $lte: now }
+    });
+
+    let expired = 0;
+    for (const partnership of candidates) {
+      try {
+        await partnership.saveTransition('expired', { notes: 'Validity period ended' });
+      } catch (error) {
+        continue; // A hospital changed it in the meantime
+      }
+      expired++;
+
+      await broadcastPartnership(this.io, partnership);
+    }
+
+    return { expired };
+  }
+
+  // Raise low-urgency alerts ahead of forecast shortages for hospitals that opted in
+  async raiseForecastAlerts() {
+    const hospitals = await Hospital.find({
+      verificationStatus: 'verified',
+      isActive: true,
+      'alerts.forecastAlerts.enabled': true
+    });
+
+    let raised = 0;
+    for (const hospital of hospitals) {
+      const { leadDays } = hospital.alerts.forecastAlerts;
+      const forecast = await forecastInventory(hospital);
+
+      for (const projected of forecast.bloodTypes) {
+        // Types already at critical are handled by the shortage alert itself
+        if (projected.alreadyCritical || projected.daysUntilCritical === null || projected.daysUntilCritical > leadDays) continue;
+
+        const openAlert = await Alert.exists({
+          hospital: hospital._id,
+          bloodType: projected.bloodType,
+          status: { $in: Alert.UNRESOLVED_STATUSES }
+        });
+        if (openAlert) continue;
+
+        // Enough to push the projected shortage back by the lead time
+        const unitsNeeded = Math.min(100, Math.max(1, Math.ceil(projected.netPerDay * leadDays)));
+        const alert = new Alert({
+          hospital: hospital._id,
+          bloodType: projected.bloodType,
+          urgencyLevel: 'low',
+          unitsNeeded,
+          reason: `Forecast: ${projected.bloodType} stock projected to reach critical level in ${projected.daysUntilCritical} day(s)`,
+          patientInfo: {
+            condition: 'Projected shortage - forecast alert',
+            requiredBy: projected.criticalOn
+          },
+          location: {
+            coordinates: hospital.location.coordinates,
+            searchRadius: hospital.getAutoAlertPolicy(projected.bloodType).searchRadius
+          },
+          createdBy: hospital.user,
+          tags: ['forecast', 'automatic']
+        });
+        await alert.save();
+
+        const { wave, notificationResults } = await startWave(alert, 'initial');
+        try {
+          await notificationService.sendHospitalAlert(hospital, alert);
+        } catch (error) {
+          console.error(`Failed to send forecast alert confirmation to hospital ${hospital._id}:`, error.message);
+        }
+
+        raised++;
+        this.emit(hospital._id, 'alert-created', {
+          alert: alert.toObject(),
+          notificationResults,
+          donorsNotified: wave.donorsNotified,
+          forecast: { daysUntilCritical: projected.daysUntilCritical, criticalOn: projected.criticalOn }
+        });
+      }
+    }
+
+    return { hospitals: hospitals.length, raised };
+  }
+
+  emit(hospitalId, event, data) {
+    if (this.io) {
+      this.io.to(`hospital-${hospitalId}`).emit(event, data);
+    }
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,142 @@
+const questionnaires = require('./questionnaires');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENT_VERSION = Math.max(...Object.keys(questionnaires).map(Number));
+
+function getQuestionnaire(version = CURRENT_VERSION) {
+  return questionnaires[version] || null;
+}
+
+// Questionnaire as shown to donors or staff, without the deferral rules
+function describeQuestionnaire(questionnaire, { includeStaffOnly = false } = {}) {
+  return {
+    version: questionnaire.version,
+    publishedAt: questionnaire.publishedAt,
+    sections: questionnaire.sections,
+    questions: questionnaire.questions.filter(q => includeStaffOnly || !q.staffOnly)
+  };
+}
+
+// Desk checklist items, one per section donors answer, so check-in follows the published questionnaire
+function describeSectionChecks(questionnaire = getQuestionnaire()) {
+  const sections = [...new Set(questionnaire.questions.filter(q => !q.staffOnly).map(q => q.section))];
+  return sections.map(section => ({
+    key: `questionnaire_${section}`,
+    label: `${questionnaire.sections[section]}: questionnaire answers reviewed with the donor`
+  }));
+}
+
+function isShown(question, answers, donor) {
+  const condition = question.showIf;
+  if (!condition) return true;
+  if (condition.gender) return donor.personalInfo.gender === condition.gender;
+  if (condition.in) return condition.in.includes(answers[condition.key]);
+  return answers[condition.key] === condition.equals;
+}
+
+function matches(condition, answers, donor) {
+  const value = answers[condition.key];
+  if (value === undefined || value === null) return false;
+
+  if ('equals' in condition) return value === condition.equals;
+  if (condition.in) return condition.in.includes(value);
+  if (condition.below) {
+    const threshold = typeof condition.below === 'object'
+      ? condition.below[donor.personalInfo.gender]
+      : condition.below;
+    return value < threshold;
+  }
+  return false;
+}
+
+// Check answers against the questions that apply to this donor.
+// Staff-only questions are required once staff confirm the screening.
+function validateAnswers(questionnaire, answers, donor, { includeStaffOnly = false } = {}) {
+  const errors = [];
+  const cleaned = {};
+
+  questionnaire.questions.forEach(question => {
+    if (question.staffOnly && !includeStaffOnly) return;
+    if (!isShown(question, cleaned, donor)) return;
+
+    const value = answers[question.key];
+    if (value === undefined || value === null || value === '') {
+      if (!question.optional) errors.push({ key: question.key, message: `${question.text} is required` });
+      return;
+    }
+
+    switch (question.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') errors.push({ key: question.key, message: 'Answer yes or no' });
+        else cleaned[question.key] = value;
+        break;
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date)) errors.push({ key: question.key, message: 'Enter a valid date' });
+        else cleaned[question.key] = date;
+        break;
+      }
+      case 'number': {
+        const number = Number(value);
+        if (isNaN(number) || number < question.min || number > question.max) {
+          errors.push({ key: question.key, message: `Enter a number between ${question.min} and ${question.max}` });
+        } else {
+          cleaned[question.key] = number;
+        }
+        break;
+      }
+      case 'choice':
+        if (!question.options.some(option => option.value === value)) {
+          errors.push({ key: question.key, message: 'Choose one of the listed options' });
+        } else {
+          cleaned[question.key] = value;
+        }
+        break;
+      default:
+        errors.push({ key: question.key, message: 'Unsupported question type' });
+    }
+  });
+
+  return { errors, answers: cleaned };
+}
+
+// Run the questionnaire's rules over validated answers.
+// A permanent deferral wins; otherwise the latest temporary end date does.
+function evaluateScreening(questionnaire, answers, donor, asOf = new Date()) {
+  const triggered = [];
+
+  questionnaire.rules.forEach(rule => {
+    if (!matches(rule.when, answers, donor)) return;
+
+    if (rule.deferral.type === 'permanent') {
+      triggered.push({ rule: rule.id, type: 'permanent', reason: rule.reason });
+      return;
+    }
+
+    const start = rule.deferral.from && answers[rule.deferral.from] ? answers[rule.deferral.from] : asOf;
+    const until = new Date(start.getTime() + rule.deferral.days * DAY_MS);
+
+    // Events far enough in the past no longer defer the donor
+    if (until > asOf) {
+      triggered.push({ rule: rule.id, type: 'temporary', reason: rule.reason, until });
+    }
+  });
+
+  const deferral = triggered.find(d => d.type === 'permanent') ||
+    triggered.reduce((latest, d) => (!latest || d.until > latest.until ? d : latest), null);
+
+  return {
+    eligible: !deferral,
+    deferral,
+    triggered
+  };
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  getQuestionnaire,
+  describeQuestionnaire,
+  describeSectionChecks,
+  validateAnswers,
+  evaluateScreening
+};
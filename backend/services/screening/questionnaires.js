@@ -0,0 +1,191 @@
+// Published pre-donation questionnaires. A version is never edited once donors have
+// answered it: add a new version instead so stored responses keep their meaning.
+//
+// Questions: { key, section, text, type: boolean|date|number|choice, options, showIf, staffOnly, optional }
+// Rules: { id, when, deferral: { type: temporary|permanent, days, from }, reason }
+//   when    - { key, equals } | { key, in } | { key, below } where below may be keyed by gender
+//   from    - date answer the deferral runs from; defaults to the screening date
+const questionnaires = {
+  1: {
+    version: 1,
+    publishedAt: '2026-10-19',
+    sections: {
+      travel: 'Recent travel',
+      procedures: 'Tattoos and procedures',
+      medications: 'Medications',
+      illness: 'Illness and infections',
+      pregnancy: 'Pregnancy',
+      measurements: 'Measurements'
+    },
+    questions: [
+      {
+        key: 'malaria_travel',
+        section: 'travel',
+        text: 'In the last 12 months, have you travelled to an area where malaria is present?',
+        type: 'boolean'
+      },
+      {
+        key: 'malaria_travel_return',
+        section: 'travel',
+        text: 'When did you return?',
+        type: 'date',
+        showIf: { key: 'malaria_travel', equals: true }
+      },
+      {
+        key: 'tattoo_piercing',
+        section: 'procedures',
+        text: 'In the last 6 months, have you had a tattoo, piercing or permanent make-up?',
+        type: 'boolean'
+      },
+      {
+        key: 'tattoo_piercing_date',
+        section: 'procedures',
+        text: 'When was it done?',
+        type: 'date',
+        showIf: { key: 'tattoo_piercing', equals: true }
+      },
+      {
+        key: 'recent_surgery',
+        section: 'procedures',
+        text: 'In the last 6 months, have you had surgery or a blood transfusion?',
+        type: 'boolean'
+      },
+      {
+        key: 'recent_surgery_date',
+        section: 'procedures',
+        text: 'When was it?',
+        type: 'date',
+        showIf: { key: 'recent_surgery', equals: true }
+      },
+      {
+        key: 'blood_thinners',
+        section: 'medications',
+        text: 'Are you taking blood thinners such as warfarin, heparin or clopidogrel?',
+        type: 'boolean'
+      },
+      {
+        key: 'antibiotics',
+        section: 'medications',
+        text: 'Have you taken antibiotics in the last 7 days?',
+        type: 'boolean'
+      },
+      {
+        key: 'antibiotics_last_dose',
+        section: 'medications',
+        text: 'When was your last dose?',
+        type: 'date',
+        showIf: { key: 'antibiotics', equals: true }
+      },
+      {
+        key: 'isotretinoin_finasteride',
+        section: 'medications',
+        text: 'Have you taken isotretinoin (Accutane) or finasteride in the last month?',
+        type: 'boolean'
+      },
+      {
+        key: 'feeling_unwell',
+        section: 'illness',
+        text: 'Do you currently have a fever, cold, flu, diarrhoea or any infection?',
+        type: 'boolean'
+      },
+      {
+        key: 'bloodborne_infection',
+        section: 'illness',
+        text: 'Have you ever tested positive for HIV, hepatitis B or hepatitis C?',
+        type: 'boolean'
+      },
+      {
+        key: 'pregnancy_status',
+        section: 'pregnancy',
+        text: 'Are you pregnant, or have you given birth or had a miscarriage in the last 6 months?',
+        type: 'choice',
+        options: [
+          { value: 'no', label: 'No' },
+          { value: 'pregnant', label: 'I am pregnant' },
+          { value: 'recent', label: 'Given birth or miscarried in the last 6 months' }
+        ],
+        showIf: { gender: 'female' }
+      },
+      {
+        key: 'pregnancy_end_date',
+        section: 'pregnancy',
+        text: 'Expected or actual date of delivery',
+        type: 'date',
+        showIf: { key: 'pregnancy_status', in: ['pregnant', 'recent'] }
+      },
+      {
+        key: 'hemoglobin',
+        section: 'measurements',
+        text: 'Hemoglobin (g/dL)',
+        type: 'number',
+        min: 3,
+        max: 25,
+        staffOnly: true
+      }
+    ],
+    rules: [
+      {
+        id: 'bloodborne_infection',
+        when: { key: 'bloodborne_infection', equals: true },
+        deferral: { type: 'permanent' },
+        reason: 'History of HIV, hepatitis B or hepatitis C'
+      },
+      {
+        id: 'malaria_travel',
+        when: { key: 'malaria_travel', equals: true },
+        deferral: { type: 'temporary', days: 90, from: 'malaria_travel_return' },
+        reason: 'Recent travel to a malaria area'
+      },
+      {
+        id: 'tattoo_piercing',
+        when: { key: 'tattoo_piercing', equals: true },
+        deferral: { type: 'temporary', days: 180, from: 'tattoo_piercing_date' },
+        reason: 'Recent tattoo, piercing or permanent make-up'
+      },
+      {
+        id: 'recent_surgery',
+        when: { key: 'recent_surgery', equals: true },
+        deferral: { type: 'temporary', days: 180, from: 'recent_surgery_date' },
+        reason: 'Recent surgery or transfusion'
+      },
+      {
+        id: 'blood_thinners',
+        when: { key: 'blood_thinners', equals: true },
+        deferral: { type: 'temporary', days: 7 },
+        reason: 'Taking blood thinners'
+      },
+      {
+        id: 'antibiotics',
+        when: { key: 'antibiotics', equals: true },
+        deferral: { type: 'temporary', days: 7, from: 'antibiotics_last_dose' },
+        reason: 'Recent antibiotics'
+      },
+      {
+        id: 'isotretinoin_finasteride',
+        when: { key: 'isotretinoin_finasteride', equals: true },
+        deferral: { type: 'temporary', days: 30 },
+        reason: 'Recent isotretinoin or finasteride'
+      },
+      {
+        id: 'feeling_unwell',
+        when: { key: 'feeling_unwell', equals: true },
+        deferral: { type: 'temporary', days: 14 },
+        reason: 'Current illness or infection'
+      },
+      {
+        id: 'pregnancy',
+        when: { key: 'pregnancy_status', in: ['pregnant', 'recent'] },
+        deferral: { type: 'temporary', days: 180, from: 'pregnancy_end_date' },
+        reason: 'Pregnancy or recent delivery'
+      },
+      {
+        id: 'low_hemoglobin',
+        when: { key: 'hemoglobin', below: { male: 13, female: 12.5, other: 12.5 } },
+        deferral: { type: 'temporary', days: 90 },
+        reason: 'Hemoglobin below the donation minimum'
+      }
+    ]
+  }
+};
+
+module.exports = questionnaires;
@@ -0,0 +1,202 @@
+const Transfer = require('../models/Transfer');
+const BloodUnit = require('../models/BloodUnit');
+const Hospital = require('../models/Hospital');
+const notificationService = require('./notificationService');
+
+const HOSPITAL_FIELDS = 'basicInfo.name contactInfo.emergencyPhone location.address';
+
+const STATUS_LABELS = {
+  requested: 'offered',
+  approved: 'approved',
+  dispatched: 'dispatched',
+  in_transit: 'in transit',
+  received: 'received',
+  cancelled: 'cancelled'
+};
+
+// Why a hospital cannot send this component by transfer, or null. Without unit tracking only red cells
+// are counted per blood type, so other component stock of the requested type cannot be confirmed.
+function checkTransferableStock(sender, component) {
+  if (sender.inventory.unitTracking || BloodUnit.RED_CELL_COMPONENTS.includes(component)) return null;
+  return `${sender.basicInfo.name} does not track individual bags, so its ${component.replace('_', ' ')} stock by blood type is unconfirmed; arrange this transfer directly`;
+}
+
+// Open a transfer when a partner accepts a shared alert with units to send
+async function createTransferFromShare(alert, sender, units, actor) {
+  const transfer = new Transfer({
+    alert: alert._id,
+    fromHospital: sender._id,
+    toHospital: alert.hospital,
+    bloodType: alert.bloodType,
+    component: alert.component,
+    units,
+    history: [{ status: 'requested', by: actor }]
+  });
+  await transfer.save();
+  return transfer;
+}
+
+// Ask a partner for units directly, e.g. from a network search; the sender approves
+async function createTransferRequest(receiver, sender, { bloodType, component, units, alert, notes }, actor) {
+  const transfer = new Transfer({
+    alert: alert?._id,
+    initiatedBy: 'receiver',
+    fromHospital: sender._id,
+    toHospital: receiver._id,
+    bloodType,
+    component,
+    units,
+    history: [{ status: 'requested', by: actor, notes }]
+  });
+  await transfer.save();
+  return transfer;
+}
+
+// Take the units out of the sender's stock; returns { status, message } when it cannot
+async function dispatchStock(transfer, sender, receiver, actor) {
+  const context = {
+    actor,
+    reason: `Transfer to ${receiver.basicInfo.name}`,
+    source: 'transfer',
+    reference: { kind: 'Transfer', item: transfer._id }
+  };
+
+  if (sender.inventory.unitTracking) {
+    const { issued, shortfall } = await BloodUnit.issueFEFO(sender._id, {
+      bloodType: transfer.bloodType,
+      component: transfer.component,
+      quantity: transfer.units,
+      issuedTo: { destination: receiver.basicInfo.name, reference: `Transfer ${transfer._id}` },
+      actor,
+      reason: context.reason
+    });
+    if (shortfall > 0) {
+      return {
+        status: 409,
+        message: `Insufficient ${transfer.bloodType} ${transfer.component.replace('_', ' ')} units: ${transfer.units - shortfall} available, ${transfer.units} to send`
+      };
+    }
+
+    transfer.bloodUnits = issued.map(unit => ({
+      unit: unit._id,
+      bagId: unit.bagId,
+      bloodType: unit.bloodType,
+      collectionDate: unit.collectionDate,
+      expiryDate: unit.expiryDate,
+      volume: unit.volume
+    }));
+    await BloodUnit.syncHospitalInventory(sender, context);
+    return null;
+  }
+
+  const untracked = checkTransferableStock(sender, transfer.component);
+  if (untracked) {
+    return { status: 409, message: untracked };
+  }
+
+  const available = sender.inventory.bloodUnits[transfer.bloodType].available;
+  if (available < transfer.units) {
+    return { status: 409, message: `Insufficient ${transfer.bloodType} units: ${available} available, ${transfer.units} to send` };
+  }
+
+  sender.adjustCountedStock(transfer.bloodType, transfer.component, -transfer.units, context);
+  await sender.save();
+  return null;
+}
+
+// Put received units into the receiver's stock; bags default to the ones the sender recorded
+async function receiveStock(transfer, receiver, { unitsReceived, bags }, actor) {
+  const context = {
+    actor,
+    reason: `Transfer ${transfer._id} received`,
+    source: 'transfer',
+    reference: { kind: 'Transfer', item: transfer._id }
+  };
+
+  if (receiver.inventory.unitTracking) {
+    const received = (bags || transfer.bloodUnits).slice(0, unitsReceived);
+    if (received.length < unitsReceived) {
+      return { status: 400, message: 'Provide a bag ID and expiry date for each received unit' };
+    }
+
+    try {
+      await BloodUnit.insertMany(received.map(bag => ({
+        hospital: receiver._id,
+        bagId: bag.bagId,
+        bloodType: bag.bloodType || transfer.bloodType,
+        component: transfer.component,
+        volume: bag.volume,
+        collectionDate: bag.collectionDate || new Date(),
+        expiryDate: bag.expiryDate,
+        status: 'available',
+        statusHistory: [{ status: 'available', changedBy: actor, reason: context.reason }]
+      })));
+    } catch (error) {
+      if (error.code === 11000) {
+        return { status: 409, message: 'A received bag ID already exists in your inventory' };
+      }
+      throw error;
+    }
+
+    await BloodUnit.syncHospitalInventory(receiver, context);
+    return null;
+  }
+
+  receiver.adjustCountedStock(transfer.bloodType, transfer.component, unitsReceived, context);
+  await receiver.save();
+  return null;
+}
+
+// Stream the transfer to both hospitals and leave the other side a notification
+async function broadcastTransfer(io, transfer, actingHospitalId) {
+  await transfer.populate([
+    { path: 'fromHospital', select: HOSPITAL_FIELDS },
+    { path: 'toHospital', select: HOSPITAL_FIELDS }
+  ]);
+
+  const payload = { transfer: transfer.toObject(), status: transfer.status };
+  const label = transfer.status === 'requested' && transfer.initiatedBy === 'receiver'
+    ? 'requested'
+    : STATUS_LABELS[transfer.status];
+  [transfer.fromHospital._id, transfer.toHospital._id].forEach(hospitalId => {
+    io.to(`hospital-${hospitalId}`).emit('transfer-updated', payload);
+  });
+
+  const actingSide = transfer.sideOf(actingHospitalId);
+  const [actor, other] = actingSide === 'sender'
+    ? [transfer.fromHospital, transfer.toHospital]
+    : [transfer.toHospital, transfer.fromHospital];
+
+  try {
+    await notificationService.notifyHospital(other._id, {
+      type: 'transfer_update',
+      title: `Transfer ${label}`,
+      message: `${transfer.units} ${transfer.bloodType} ${transfer.component.replace('_', ' ')} unit(s) ${label} by ${actor.basicInfo.name}`,
+      link: '/hospital/transfers',
+      alert: transfer.alert,
+      data: { transferId: transfer._id, status: transfer.status }
+    });
+  } catch (error) {
+    console.error(`Failed to notify hospital ${other._id} of transfer ${transfer._id}:`, error.message);
+  }
+}
+
+// Load both hospitals for a stock move
+async function loadParties(transfer) {
+  const [sender, receiver] = await Promise.all([
+    Hospital.findById(transfer.fromHospital._id || transfer.fromHospital),
+    Hospital.findById(transfer.toHospital._id || transfer.toHospital)
+  ]);
+  return { sender, receiver };
+}
+
+module.exports = {
+  HOSPITAL_FIELDS,
+  createTransferFromShare,
+  createTransferRequest,
+  checkTransferableStock,
+  dispatchStock,
+  receiveStock,
+  broadcastTransfer,
+  loadParties
+};
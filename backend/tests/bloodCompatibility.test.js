@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canDonate,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  checkAntigens,
+  checkDonorForAlert
+} = require('../services/bloodCompatibility');
+
+const policies = { conserveRhNegative: true, conserveRareDonors: true };
+
+test('red cells follow ABO and RhD compatibility', () => {
+  assert.deepEqual(getCompatibleDonorTypes('O-', 'red_cells'), ['O-']);
+  assert.deepEqual(getCompatibleDonorTypes('A+', 'red_cells'), ['A+', 'A-', 'O+', 'O-']);
+  assert.deepEqual(getCompatibleDonorTypes('AB+', 'red_cells'), ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']);
+  assert.equal(canDonate('O+', 'O-', 'red_cells'), false);
+});
+
+test('whole blood must match ABO exactly', () => {
+  assert.deepEqual(getCompatibleDonorTypes('AB+', 'whole_blood'), ['AB+', 'AB-']);
+  assert.equal(canDonate('O-', 'A+', 'whole_blood'), false);
+});
+
+test('plasma runs the other way and ignores RhD', () => {
+  assert.deepEqual(getCompatibleDonorTypes('O-', 'plasma'), ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']);
+  assert.deepEqual(getCompatibleDonorTypes('AB-', 'plasma'), ['AB+', 'AB-']);
+  assert.deepEqual(getCompatibleRecipientTypes('AB+', 'plasma'), ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']);
+});
+
+test('platelets use plasma ABO rules but still respect RhD', () => {
+  assert.equal(canDonate('AB-', 'O-', 'platelets'), true);
+  assert.equal(canDonate('AB+', 'O-', 'platelets'), false);
+  assert.equal(canDonate('O-', 'A-', 'platelets'), false);
+});
+
+test('unknown blood types are never compatible', () => {
+  assert.equal(canDonate('C+', 'A+'), false);
+  assert.equal(canDonate('A+', undefined), false);
+});
+
+test('without a component a donor matches recipients of any component', () => {
+  // AB plasma suits everyone even though AB red cells only suit AB+
+  assert.deepEqual(getCompatibleRecipientTypes('AB+', 'red_cells'), ['AB+']);
+  assert.deepEqual(getCompatibleRecipientTypes('AB+'), ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']);
+  // O+ plasma carries no RhD, so it reaches O- patients too
+  assert.deepEqual(getCompatibleRecipientTypes('O+'), ['A+', 'B+', 'AB+', 'O+', 'O-']);
+});
+
+test('Rh-negative donors are held back from Rh-positive patients unless critical', () => {
+  assert.deepEqual(getCompatibleDonorTypes('A+', 'red_cells', { policies }), ['A+', 'O+']);
+  assert.deepEqual(
+    getCompatibleDonorTypes('A+', 'red_cells', { policies, urgencyLevel: 'critical' }),
+    ['A+', 'A-', 'O+', 'O-']
+  );
+  // RhD plays no part in plasma, so nothing is conserved there
+  assert.deepEqual(getCompatibleDonorTypes('AB+', 'plasma', { policies }), ['AB+', 'AB-']);
+});
+
+test('antigen-negative requests need a donor typed negative for every antigen', () => {
+  const donor = { medicalInfo: { antigenProfile: { negative: ['K', 'E'] } } };
+  assert.deepEqual(checkAntigens(donor, ['K', 'E']), { compatible: true });
+  assert.deepEqual(checkAntigens(donor, ['K', 'Fya']), { compatible: false, reason: 'Not typed negative for Fya' });
+  assert.equal(checkAntigens({ medicalInfo: {} }, ['K']).compatible, false);
+});
+
+test('rare donors are held for antigen-negative requests when conserved', () => {
+  const rare = { medicalInfo: { antigenProfile: { negative: ['K'], rare: true } } };
+  assert.equal(checkAntigens(rare, [], { policies }).compatible, false);
+  assert.equal(checkAntigens(rare, ['K'], { policies }).compatible, true);
+  assert.equal(checkAntigens(rare, [], { policies: {} }).compatible, true);
+});
+
+test('a donor is checked against the alert group, component, policies and antigens', () => {
+  const donor = { medicalInfo: { bloodGroup: 'O-', antigenProfile: { negative: [] } } };
+  const alert = { bloodType: 'B+', component: 'red_cells', urgencyLevel: 'high', patientInfo: {} };
+
+  assert.deepEqual(checkDonorForAlert(donor, alert, { policies: {} }), { compatible: true });
+  assert.equal(checkDonorForAlert(donor, alert, { policies }).reason, 'Rh-negative donors are held for Rh-negative patients');
+  assert.equal(checkDonorForAlert(donor, { ...alert, component: 'plasma' }).reason, 'Blood type incompatible');
+  assert.equal(
+    checkDonorForAlert(donor, { ...alert, patientInfo: { antigenNegative: ['K'] } }, { policies: {} }).reason,
+    'Not typed negative for K'
+  );
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const BloodUnit = require('../models/BloodUnit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const hospital = new mongoose.Types.ObjectId();
+const actor = new mongoose.Types.ObjectId();
+
+const newUnit = (fields = {}) => new BloodUnit({
+  hospital,
+  bagId: 'bag-1',
+  bloodType: 'A+',
+  component: 'red_cells',
+  ...fields
+});
+
+// Stand in for the database: each claim takes the first-expiring available unit
+function stubStock(t, expiryDays) {
+  const shelf = expiryDays.map(days => newUnit({
+    bagId: `bag-${days}`,
+    status: 'available',
+    expiryDate: new Date(Date.now() + days * DAY_MS)
+  }));
+
+  const claims = t.mock.method(BloodUnit, 'findOneAndUpdate', async (filter, update, options) => {
+    const [key] = Object.keys(options.sort);
+    const available = shelf
+      .filter(unit => unit.status === 'available')
+      .sort((a, b) => a[key] - b[key]);
+    if (available.length === 0) return null;
+
+    available[0].status = update.$set.status;
+    return available[0];
+  });
+  const rollbacks = t.mock.method(BloodUnit, 'updateMany', async () => ({}));
+
+  return { claims, rollbacks };
+}
+
+test('units are issued first-expiring first', async (t) => {
+  const { claims, rollbacks } = stubStock(t, [20, 3, 10]);
+
+  const { issued, shortfall } = await BloodUnit.issueFEFO(hospital, {
+    bloodType: 'A+',
+    component: 'red_cells',
+    quantity: 2,
+    actor
+  });
+
+  assert.equal(shortfall, 0);
+  assert.deepEqual(issued.map(unit => unit.bagId), ['BAG-3', 'BAG-10']);
+  assert.equal(rollbacks.mock.callCount(), 0);
+
+  const [filter, update, options] = claims.mock.calls[0].arguments;
+  assert.equal(filter.status, 'available');
+  assert.equal(filter.component, 'red_cells');
+  assert.ok(filter.expiryDate.$gt instanceof Date); // Expired bags are never issued
+  assert.deepEqual(options.sort, { expiryDate: 1, collectionDate: 1 });
+  assert.equal(update.$set.issuedTo.issuedBy, actor);
+});
+
+test('a partial pick is rolled back and reported as a shortfall', async (t) => {
+  const { rollbacks } = stubStock(t, [5, 8]);
+
+  const { issued, shortfall } = await BloodUnit.issueFEFO(hospital, {
+    bloodType: 'A+',
+    component: 'red_cells',
+    quantity: 3,
+    actor
+  });
+
+  assert.deepEqual(issued, []);
+  assert.equal(shortfall, 1);
+  assert.equal(rollbacks.mock.callCount(), 1);
+
+  const [filter, update] = rollbacks.mock.calls[0].arguments;
+  assert.equal(filter._id.$in.length, 2);
+  assert.equal(update.$set.status, 'available');
+  assert.deepEqual(update.$unset, { issuedTo: 1 });
+  assert.equal(update.$push.statusHistory.reason, 'Issue rolled back: insufficient stock');
+});
+
+test('expiry defaults to the component shelf life', async () => {
+  const collectionDate = new Date('2026-01-01T00:00:00Z');
+  const unit = newUnit({ component: 'platelets', collectionDate });
+  await unit.validate();
+
+  assert.deepEqual(unit.expiryDate, new Date('2026-01-06T00:00:00Z'));
+  assert.equal(unit.statusHistory[0].status, 'quarantined');
+});
+
+test('a unit follows its status lifecycle', () => {
+  const unit = newUnit({ expiryDate: new Date(Date.now() + DAY_MS) });
+
+  unit.transition('available', { actor });
+  unit.transition('reserved', { actor });
+  unit.transition('issued', { actor });
+
+  assert.equal(unit.status, 'issued');
+  assert.throws(() => unit.transition('available'), /Cannot move unit BAG-1 from issued to available/);
+  assert.throws(() => newUnit().transition('issued'), /from quarantined to issued/);
+});
+
+test('expired units cannot be released or issued, only discarded', () => {
+  const unit = newUnit({ expiryDate: new Date(Date.now() - DAY_MS) });
+
+  assert.throws(() => unit.transition('available'), /expired on/);
+  unit.transition('discarded', { reason: 'Expired' });
+  assert.equal(unit.discardReason, 'Expired');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getDefaultVolume,
+  getDonationTypesForComponent,
+  getNextEligibleDate,
+  checkAnnualCap
+} = require('../services/donationRules');
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test('intervals depend on both the previous and the next donation type', () => {
+  const wholeBlood = [{ date: day('2026-01-01'), type: 'whole_blood' }];
+  assert.deepEqual(getNextEligibleDate(wholeBlood, 'whole_blood'), day('2026-02-26'));
+  assert.deepEqual(getNextEligibleDate(wholeBlood, 'platelets'), day('2026-01-08'));
+  assert.deepEqual(getNextEligibleDate(wholeBlood, 'plasma'), day('2026-01-29'));
+});
+
+test('the longest wait across past donations wins', () => {
+  const donations = [
+    { date: day('2026-01-01'), type: 'red_cells' },
+    { date: day('2026-03-01'), type: 'platelets' }
+  ];
+  // Double red cells need 112 days, which outlasts the later platelet donation
+  assert.deepEqual(getNextEligibleDate(donations, 'whole_blood'), day('2026-04-23'));
+  assert.deepEqual(getNextEligibleDate(donations, 'plasma'), day('2026-03-29'));
+});
+
+test('a donor with no history is eligible straight away', () => {
+  assert.equal(getNextEligibleDate([], 'whole_blood'), null);
+});
+
+test('annual caps count only donations of that type in the last year', () => {
+  const asOf = day('2026-06-01');
+  const donations = [
+    { date: day('2025-05-01'), type: 'whole_blood' }, // Over a year ago
+    { date: day('2025-09-01'), type: 'whole_blood' },
+    { date: day('2026-01-01'), type: 'whole_blood' },
+    { date: day('2026-03-01'), type: 'plasma' }
+  ];
+
+  assert.deepEqual(checkAnnualCap(donations, 'whole_blood', 'female', asOf), { capped: false, cap: 4, count: 2 });
+  assert.deepEqual(checkAnnualCap(donations, 'plasma', 'male', asOf), { capped: false, cap: 13, count: 1 });
+});
+
+test('a capped donor is eligible once the oldest counted donation ages out', () => {
+  const asOf = day('2026-06-01');
+  const donations = [
+    { date: day('2025-08-01'), type: 'red_cells' },
+    { date: day('2026-02-01'), type: 'red_cells' }
+  ];
+
+  assert.deepEqual(checkAnnualCap(donations, 'red_cells', 'female', asOf), {
+    capped: true,
+    cap: 2,
+    count: 2,
+    until: day('2026-08-01')
+  });
+  assert.equal(checkAnnualCap(donations, 'red_cells', 'male', asOf).capped, false);
+});
+
+test('unknown sexes fall back to the other cap', () => {
+  const donations = [1, 2, 3, 4].map(month => ({ date: day(`2026-0${month}-01`), type: 'whole_blood' }));
+  assert.equal(checkAnnualCap(donations, 'whole_blood', undefined, day('2026-06-01')).capped, true);
+});
+
+test('component requests map to the donation types that supply them', () => {
+  assert.deepEqual(getDonationTypesForComponent('red_cells'), ['whole_blood', 'red_cells']);
+  assert.deepEqual(getDonationTypesForComponent('cryoprecipitate'), ['plasma', 'whole_blood']);
+  assert.deepEqual(getDonationTypesForComponent('unknown'), ['whole_blood']);
+  assert.equal(getDefaultVolume('plasma'), 600);
+});
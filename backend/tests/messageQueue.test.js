@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const OutboundMessage = require('../models/OutboundMessage');
+const Notification = require('../models/Notification');
+const messageQueue = require('../services/messageQueue');
+
+const SECOND_MS = 1000;
+
+// Run one delivery attempt and return the updates written to the message and its inbox record
+async function attempt(t, message, deliver) {
+  t.mock.method(Math, 'random', () => 0.5); // No jitter
+  const messageUpdate = t.mock.method(OutboundMessage, 'updateOne', async () => ({}));
+  const notificationUpdate = t.mock.method(Notification, 'updateOne', async () => ({}));
+  t.mock.method(console, 'error', () => {});
+
+  messageQueue.deliver = deliver;
+  try {
+    await messageQueue.process({
+      _id: new mongoose.Types.ObjectId(),
+      notification: new mongoose.Types.ObjectId(),
+      channel: 'sms',
+      content: { to: '+15550100', body: 'Test' },
+      attempts: 1,
+      maxAttempts: 5,
+      ...message
+    });
+  } finally {
+    messageQueue.deliver = null;
+  }
+
+  return {
+    message: messageUpdate.mock.calls[0].arguments[1],
+    notification: notificationUpdate.mock.calls[0]?.arguments[1]
+  };
+}
+
+const failWith = (error) => async () => { throw error; };
+
+// Time between the failed attempt and the next one
+const backoff = (update) => update.$set.nextAttemptAt - update.$push.attemptLog.at;
+
+test('a delivered message is marked sent on the queue and in the inbox', async (t) => {
+  const { message, notification } = await attempt(t, {}, async () => ({ id: 'SM123' }));
+
+  assert.equal(message.$set.status, 'sent');
+  assert.equal(message.$set.providerMessageId, 'SM123');
+  assert.equal(notification.$set.status, 'sent');
+});
+
+test('a failed message is retried with exponential backoff', async (t) => {
+  const first = await attempt(t, { attempts: 1 }, failWith(new Error('Timeout')));
+  assert.equal(first.message.$set.status, 'queued');
+  assert.equal(first.notification.$set.status, 'pending');
+  assert.equal(backoff(first.message), 30 * SECOND_MS);
+
+  t.mock.restoreAll();
+  const third = await attempt(t, { attempts: 3 }, failWith(new Error('Timeout')));
+  assert.equal(backoff(third.message), 120 * SECOND_MS);
+});
+
+test('backoff is capped at an hour', async (t) => {
+  const { message } = await attempt(t, { attempts: 12, maxAttempts: 20 }, failWith(new Error('Timeout')));
+  assert.equal(backoff(message), 60 * 60 * SECOND_MS);
+});
+
+test('a message is dead-lettered once it runs out of attempts', async (t) => {
+  const { message, notification } = await attempt(t, { attempts: 5 }, failWith(new Error('Timeout')));
+
+  assert.equal(message.$set.status, 'dead');
+  assert.equal(message.$set.lastError, 'Timeout');
+  assert.equal(message.$push.attemptLog.attempt, 5);
+  assert.equal(notification.$set.status, 'failed');
+});
+
+test('a permanent error is dead-lettered without retrying', async (t) => {
+  const error = new Error('Invalid phone number');
+  error.permanent = true;
+  const { message } = await attempt(t, { attempts: 1 }, failWith(error));
+
+  assert.equal(message.$set.status, 'dead');
+});
+
+test('a message for a channel with no provider is skipped', async (t) => {
+  const error = new Error('SMS service not configured');
+  error.code = 'CHANNEL_UNAVAILABLE';
+  const { message, notification } = await attempt(t, { attempts: 5 }, failWith(error));
+
+  assert.equal(message.$set.status, 'skipped');
+  assert.equal(notification.$set.status, 'skipped');
+});
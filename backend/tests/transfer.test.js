@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Transfer = require('../models/Transfer');
+
+const sender = new mongoose.Types.ObjectId();
+const receiver = new mongoose.Types.ObjectId();
+const actor = new mongoose.Types.ObjectId();
+
+const newTransfer = (fields = {}) => new Transfer({
+  fromHospital: sender,
+  toHospital: receiver,
+  bloodType: 'O-',
+  units: 2,
+  ...fields
+});
+
+test('a transfer moves from request to receipt, stamping each step', () => {
+  const transfer = newTransfer();
+
+  ['approved', 'dispatched', 'in_transit', 'received'].forEach(status => {
+    transfer.transition(status, { actor });
+  });
+
+  assert.equal(transfer.status, 'received');
+  assert.deepEqual(transfer.history.map(entry => entry.status), ['approved', 'dispatched', 'in_transit', 'received']);
+  assert.ok(transfer.approvedAt && transfer.dispatchedAt && transfer.inTransitAt && transfer.receivedAt);
+  assert.equal(transfer.history[0].by.toString(), actor.toString());
+});
+
+test('a dispatched transfer can be received without an in-transit step', () => {
+  const transfer = newTransfer({ status: 'dispatched' });
+  transfer.transition('received');
+  assert.equal(transfer.status, 'received');
+});
+
+test('only requested or approved transfers can be cancelled', () => {
+  const requested = newTransfer();
+  requested.transition('cancelled', { notes: 'No longer needed' });
+  assert.ok(requested.cancelledAt);
+
+  const dispatched = newTransfer({ status: 'dispatched' });
+  assert.throws(() => dispatched.transition('cancelled'), /Cannot move transfer from dispatched to cancelled/);
+});
+
+test('finished transfers cannot move again', () => {
+  ['received', 'cancelled'].forEach(status => {
+    const transfer = newTransfer({ status });
+    assert.throws(() => transfer.transition('approved'), /Cannot move transfer/);
+    assert.equal(transfer.status, status);
+    assert.equal(transfer.history.length, 0);
+  });
+});
+
+test('steps cannot be skipped', () => {
+  assert.throws(() => newTransfer().transition('dispatched'), /Cannot move transfer from requested to dispatched/);
+});
+
+test('saving a transition only matches the status it moved from', async (t) => {
+  const transfer = newTransfer();
+  const save = t.mock.method(transfer, 'save', async () => transfer);
+
+  await transfer.saveTransition('approved', { actor });
+
+  assert.equal(save.mock.callCount(), 1);
+  assert.deepEqual(transfer.$where, { status: 'requested' });
+});
+
+test('a transition the other hospital beat us to is reported as a conflict', async (t) => {
+  const transfer = newTransfer();
+  t.mock.method(transfer, 'save', async () => {
+    throw new mongoose.Error.DocumentNotFoundError({ _id: transfer._id }, 'Transfer');
+  });
+
+  await assert.rejects(transfer.saveTransition('approved'), /updated by the other hospital/);
+});
+
+test('the side that did not propose the transfer approves it', () => {
+  assert.equal(newTransfer().approverSide(), 'receiver');
+  assert.equal(newTransfer({ initiatedBy: 'receiver' }).approverSide(), 'sender');
+});
+
+test('hospitals are placed on their side of the transfer', () => {
+  const transfer = newTransfer();
+  assert.equal(transfer.sideOf(sender), 'sender');
+  assert.equal(transfer.sideOf(receiver.toString()), 'receiver');
+  assert.equal(transfer.sideOf(new mongoose.Types.ObjectId()), null);
+});
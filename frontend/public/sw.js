@@ -0,0 +1,48 @@
+// Service worker for BloodAlert push notifications
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch {
+    payload = { title: 'BloodAlert', body: event.data.text() };
+  }
+
+  const { title = 'BloodAlert', body, icon, badge, tag, data = {} } = payload;
+  const urgent = ['high', 'critical'].includes(data.urgencyLevel);
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body,
+      icon,
+      badge,
+      tag,
+      data,
+      renotify: Boolean(tag),
+      requireInteraction: urgent,
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  // Focus an open tab on the target page, otherwise open a new one
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      const existing = clientList.find((client) => client.url === url);
+      if (existing) return existing.focus();
+
+      const sameOrigin = clientList.find((client) => client.url.startsWith(self.location.origin));
+      if (sameOrigin && 'navigate' in sameOrigin) {
+        return sameOrigin.navigate(url).then((client) => client?.focus());
+      }
+
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -12,6 +12,8 @@ import DonorSetup from './pages/DonorSetup';
 import HospitalSetup from './pages/HospitalSetup';
 import DonorDashboard from './pages/DonorDashboard';
 import HospitalDashboard from './pages/HospitalDashboard';
+import AdminDashboard from './pages/AdminDashboard';
+import AlertDetails from './pages/AlertDetails';
 import ProtectedRoute from './components/ProtectedRoute';
 import './App.css';
 
@@ -69,6 +71,30 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/alerts/:alertId"
+                  element={
+                    <ProtectedRoute allowedRoles={['donor']}>
+                      <AlertDetails />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/donor/appointments"
+                  element={
+                    <ProtectedRoute allowedRoles={['donor']}>
+                      <DonorDashboard defaultTab="appointments" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/donor/screening"
+                  element={
+                    <ProtectedRoute allowedRoles={['donor']}>
+                      <DonorDashboard defaultTab="screening" />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/donor/history"
                   element={
@@ -109,6 +135,46 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/hospital/appointments"
+                  element={
+                    <ProtectedRoute allowedRoles={['hospital', 'blood_bank', 'admin']}>
+                      <HospitalDashboard defaultTab="appointments" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/hospital/check-in"
+                  element={
+                    <ProtectedRoute allowedRoles={['hospital', 'blood_bank', 'admin']}>
+                      <HospitalDashboard defaultTab="check-in" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/hospital/transfers"
+                  element={
+                    <ProtectedRoute allowedRoles={['hospital', 'blood_bank', 'admin']}>
+                      <HospitalDashboard defaultTab="transfers" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/hospital/partnerships"
+                  element={
+                    <ProtectedRoute allowedRoles={['hospital', 'blood_bank', 'admin']}>
+                      <HospitalDashboard defaultTab="partnerships" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/hospital/network"
+                  element={
+                    <ProtectedRoute allowedRoles={['hospital', 'blood_bank', 'admin']}>
+                      <HospitalDashboard defaultTab="network" />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/hospital/donors"
                   element={
@@ -125,6 +191,22 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/admin/dashboard"
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminDashboard />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/admin/audit"
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminDashboard defaultTab="audit" />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/dashboard"
                   element={
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { X, History } from 'lucide-react';
+import LoadingSpinner, { ButtonLoader } from './LoadingSpinner';
+import { alertAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const FIELD_LABELS = {
+  status: 'Status',
+  urgencyLevel: 'Urgency',
+  unitsNeeded: 'Units needed',
+  reason: 'Reason',
+  'patientInfo.requiredBy': 'Required by',
+  'location.searchRadius': 'Search radius (km)',
+  expiresAt: 'Expires',
+  internalNotes: 'Internal notes'
+};
+
+const DATE_FIELDS = ['patientInfo.requiredBy', 'expiresAt'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return DATE_FIELDS.includes(field) ? new Date(value).toLocaleString() : String(value);
+};
+
+// Value for a datetime-local input in the browser's time zone
+const toLocalInput = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+// Correct an open alert's details and see its change history; donors who responded are told of material changes
+const AlertEditor = ({ alertId, onClose, onSaved }) => {
+  const [alert, setAlert] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadAlert = async () => {
+      try {
+        const response = await alertAPI.getAlert(alertId);
+        const loaded = response.data.alert;
+        const initial = {
+          unitsNeeded: loaded.unitsNeeded,
+          urgencyLevel: loaded.urgencyLevel,
+          requiredBy: toLocalInput(loaded.patientInfo.requiredBy),
+          searchRadius: loaded.location.searchRadius,
+          reason: loaded.reason,
+          internalNotes: loaded.internalNotes || ''
+        };
+        setAlert({ ...loaded, initial });
+        setForm({ ...initial, changeReason: '' });
+      } catch (error) {
+        toast.error(handleAPIError(error));
+      }
+    };
+    loadAlert();
+  }, [alertId]);
+
+  const finish = (response) => {
+    const { donorsNotified } = response.data;
+    toast.success(donorsNotified
+      ? `${response.data.message}; ${donorsNotified} responding donor(s) notified`
+      : response.data.message);
+    onSaved(response.data.alert);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      // Send only what was edited so untouched fields, such as a past deadline, are not re-validated
+      const changed = field => form[field] !== alert.initial[field];
+      const response = await alertAPI.updateAlert(alertId, {
+        ...(changed('unitsNeeded') && { unitsNeeded: form.unitsNeeded }),
+        ...(changed('urgencyLevel') && { urgencyLevel: form.urgencyLevel }),
+        ...(changed('requiredBy') && { patientInfo: { requiredBy: new Date(form.requiredBy).toISOString() } }),
+        ...(changed('searchRadius') && { location: { searchRadius: form.searchRadius } }),
+        ...(changed('reason') && { reason: form.reason }),
+        ...(changed('internalNotes') && { internalNotes: form.internalNotes }),
+        ...(form.changeReason && { changeReason: form.changeReason })
+      });
+      finish(response);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const cancelAlert = async () => {
+    const reason = window.prompt('Reason for cancelling this alert', 'No longer needed');
+    if (reason === null) return;
+    try {
+      setIsSaving(true);
+      finish(await alertAPI.updateAlertStatus(alertId, { status: 'cancelled', reason }));
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Edit {alert?.bloodType} Alert</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!form ? (
+          <LoadingSpinner />
+        ) : (
+          <>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Units needed</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    className="input-field"
+                    value={form.unitsNeeded}
+                    onChange={(e) => setForm({ ...form, unitsNeeded: parseInt(e.target.value) || 1 })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Urgency</label>
+                  <select
+                    className="input-field"
+                    value={form.urgencyLevel}
+                    onChange={(e) => setForm({ ...form, urgencyLevel: e.target.value })}
+                  >
+                    <option value="low">Low</option>
+                    <option value="medium">Medium</option>
+                    <option value="high">High</option>
+                    <option value="critical">Critical</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Required by</label>
+                  <input
+                    type="datetime-local"
+                    className="input-field"
+                    value={form.requiredBy}
+                    onChange={(e) => setForm({ ...form, requiredBy: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Search radius (km)</label>
+                  <input
+                    type="number"
+                    min="5"
+                    max="200"
+                    className="input-field"
+                    value={form.searchRadius}
+                    onChange={(e) => setForm({ ...form, searchRadius: parseInt(e.target.value) || 5 })}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Reason</label>
+                <textarea
+                  className="input-field"
+                  rows="2"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Internal notes</label>
+                <textarea
+                  className="input-field"
+                  rows="2"
+                  value={form.internalNotes}
+                  onChange={(e) => setForm({ ...form, internalNotes: e.target.value })}
+                />
+              </div>
+              <input
+                className="input-field"
+                placeholder="Why is this changing? (optional)"
+                value={form.changeReason}
+                onChange={(e) => setForm({ ...form, changeReason: e.target.value })}
+              />
+
+              <div className="flex justify-between">
+                <button type="button" onClick={cancelAlert} disabled={isSaving} className="btn btn-danger">
+                  Cancel Alert
+                </button>
+                <button type="submit" disabled={isSaving} className="btn btn-primary flex items-center">
+                  {isSaving && <ButtonLoader />}
+                  Save Changes
+                </button>
+              </div>
+            </form>
+
+            {alert.revisions?.length > 0 && (
+              <div className="mt-6 border-t pt-4">
+                <h4 className="font-medium text-gray-900 flex items-center mb-3">
+                  <History className="h-4 w-4 mr-2" />
+                  Change History
+                </h4>
+                <div className="space-y-3">
+                  {[...alert.revisions].reverse().map(revision => (
+                    <div key={revision._id} className="text-sm">
+                      <div className="text-gray-500">
+                        {new Date(revision.changedAt).toLocaleString()}
+                        {revision.reason && ` · ${revision.reason}`}
+                      </div>
+                      {revision.changes.map(change => (
+                        <div key={change.field} className="text-gray-700">
+                          {FIELD_LABELS[change.field] || change.field}: {formatValue(change.field, change.from)} → {formatValue(change.field, change.to)}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertEditor;
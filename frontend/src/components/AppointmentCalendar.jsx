@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_STYLES = {
+  booked: 'bg-blue-50 border-blue-200 text-blue-800',
+  checked_in: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  completed: 'bg-green-50 border-green-200 text-green-800',
+  cancelled: 'bg-gray-50 border-gray-200 text-gray-500 line-through',
+  no_show: 'bg-red-50 border-red-200 text-red-700',
+  open: 'bg-white border-gray-200 text-gray-700',
+  full: 'bg-gray-100 border-gray-200 text-gray-500',
+  closed: 'bg-gray-100 border-gray-200 text-gray-400'
+};
+
+// Monday of the week containing the date
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Week view of calendar items: { id, start, end, title, subtitle, status }.
+// onRangeChange(from, to) fires whenever the visible week changes so the parent can load it.
+const AppointmentCalendar = ({ items, onItemClick, onRangeChange }) => {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+
+  useEffect(() => {
+    onRangeChange(weekStart, new Date(weekStart.getTime() + 7 * DAY_MS));
+  }, [weekStart, onRangeChange]);
+
+  const days = Array.from({ length: 7 }, (_, index) => new Date(weekStart.getTime() + index * DAY_MS));
+  const today = new Date().toDateString();
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <button onClick={() => setWeekStart(new Date(weekStart.getTime() - 7 * DAY_MS))} className="btn btn-secondary text-sm">
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+        <h3 className="font-semibold text-gray-900">
+          {days[0].toLocaleDateString([], { month: 'short', day: 'numeric' })} – {days[6].toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}
+        </h3>
+        <button onClick={() => setWeekStart(new Date(weekStart.getTime() + 7 * DAY_MS))} className="btn btn-secondary text-sm">
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+        {days.map((day) => {
+          const dayItems = items
+            .filter(item => new Date(item.start).toDateString() === day.toDateString())
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+          return (
+            <div key={day.toISOString()} className="min-h-[8rem]">
+              <div className={`text-center text-sm font-medium mb-2 ${day.toDateString() === today ? 'text-blood-600' : 'text-gray-600'}`}>
+                {day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+              </div>
+              <div className="space-y-1">
+                {dayItems.map(item => (
+                  <button
+                    key={item.id}
+                    onClick={() => onItemClick?.(item)}
+                    disabled={!onItemClick}
+                    className={`w-full text-left text-xs p-2 rounded border ${STATUS_STYLES[item.status] || STATUS_STYLES.open}`}
+                  >
+                    <div className="font-medium">{formatTime(item.start)}–{formatTime(item.end)}</div>
+                    <div className="truncate">{item.title}</div>
+                    {item.subtitle && <div className="truncate opacity-75">{item.subtitle}</div>}
+                  </button>
+                ))}
+                {dayItems.length === 0 && (
+                  <div className="text-xs text-center text-gray-400 py-2">—</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentCalendar;
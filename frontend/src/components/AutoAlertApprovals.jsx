@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { alertAPI, handleAPIError } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+// Automatic alerts held by policy until staff approve them; donors are contacted on approval
+const AutoAlertApprovals = () => {
+  const { socket, isConnected } = useSocket();
+  const [pending, setPending] = useState([]);
+  const [busy, setBusy] = useState(null);
+
+  const loadPending = useCallback(async () => {
+    try {
+      const response = await alertAPI.getAlerts({ status: 'pending_approval' });
+      setPending(response.data.alerts);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPending();
+  }, [loadPending]);
+
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleUpdate = () => loadPending();
+    socket.on('critical-shortage', handleUpdate);
+    socket.on('alert-status-updated', handleUpdate);
+    return () => {
+      socket.off('critical-shortage', handleUpdate);
+      socket.off('alert-status-updated', handleUpdate);
+    };
+  }, [socket, isConnected, loadPending]);
+
+  const runAction = async (alertId, action) => {
+    try {
+      setBusy(alertId);
+      const response = await action();
+      toast.success(response.data.message);
+      await loadPending();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="card border-l-4 border-yellow-400">
+      <h3 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+        <ShieldCheck className="h-5 w-5 mr-2 text-yellow-600" />
+        Automatic Alerts Awaiting Approval
+      </h3>
+      <div className="space-y-3">
+        {pending.map(alert => (
+          <div key={alert._id} className="flex items-center justify-between">
+            <div>
+              <div className="font-medium text-gray-900">
+                {alert.bloodType} · {alert.unitsNeeded} unit(s) · {alert.urgencyLevel}
+              </div>
+              <div className="text-sm text-gray-600">
+                {alert.reason} · {alert.location?.searchRadius} km
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => runAction(alert._id, () => alertAPI.approveAlert(alert._id))}
+                disabled={busy === alert._id}
+                className="btn btn-success text-sm"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => {
+                  const reason = window.prompt('Reason for rejecting this alert (optional)');
+                  if (reason === null) return;
+                  runAction(alert._id, () => alertAPI.rejectAlert(alert._id, reason));
+                }}
+                disabled={busy === alert._id}
+                className="btn btn-outline text-sm"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AutoAlertApprovals;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Zap, Plus, Trash2 } from 'lucide-react';
+import LoadingSpinner, { ButtonLoader } from './LoadingSpinner';
+import { hospitalAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const NUMBER_FIELDS = [
+  { key: 'cooldownMinutes', label: 'Cooldown (minutes)', min: 0, max: 10080 },
+  { key: 'searchRadius', label: 'Search radius (km)', min: 5, max: 200 },
+  { key: 'expiryHours', label: 'Expires after (hours)', min: 1, max: 168 },
+  { key: 'restockRatio', label: 'Restock to (× critical)', min: 0.5, max: 5, step: 0.5 }
+];
+
+// Threshold levels and alert settings for one policy
+const PolicyFields = ({ policy, onChange }) => {
+  const updateLevel = (index, changes) => {
+    onChange({
+      ...policy,
+      levels: policy.levels.map((level, i) => (i === index ? { ...level, ...changes } : level))
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        {policy.levels.map((level, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-600">At or below</span>
+            <input
+              type="number"
+              min="0"
+              step={level.basis === 'units' ? 1 : 0.1}
+              className="input-field w-20 py-1"
+              value={level.threshold}
+              onChange={(e) => updateLevel(index, { threshold: parseFloat(e.target.value) || 0 })}
+            />
+            <select
+              className="input-field w-auto py-1"
+              value={level.basis}
+              onChange={(e) => updateLevel(index, { basis: e.target.value })}
+            >
+              <option value="critical_ratio">× critical level</option>
+              <option value="units">units</option>
+            </select>
+            <span className="text-gray-600">raise a</span>
+            <select
+              className="input-field w-auto py-1"
+              value={level.urgencyLevel}
+              onChange={(e) => updateLevel(index, { urgencyLevel: e.target.value })}
+            >
+              {URGENCY_LEVELS.map(urgency => <option key={urgency} value={urgency}>{urgency}</option>)}
+            </select>
+            <span className="text-gray-600">alert</span>
+            {policy.levels.length > 1 && (
+              <button
+                type="button"
+                onClick={() => onChange({ ...policy, levels: policy.levels.filter((_, i) => i !== index) })}
+                className="text-gray-400 hover:text-red-600"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        ))}
+        {policy.levels.length < 4 && (
+          <button
+            type="button"
+            onClick={() => onChange({
+              ...policy,
+              levels: [...policy.levels, { threshold: 1, basis: 'critical_ratio', urgencyLevel: 'medium' }]
+            })}
+            className="text-sm text-blood-600 flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add level
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {NUMBER_FIELDS.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+            <input
+              type="number"
+              min={field.min}
+              max={field.max}
+              step={field.step || 1}
+              className="input-field py-1"
+              value={policy[field.key]}
+              onChange={(e) => onChange({ ...policy, [field.key]: parseFloat(e.target.value) || field.min })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={policy.enabled}
+            onChange={(e) => onChange({ ...policy, enabled: e.target.checked })}
+          />
+          Raise alerts automatically
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={policy.requireApproval}
+            onChange={(e) => onChange({ ...policy, requireApproval: e.target.checked })}
+          />
+          Hold for staff approval before contacting donors
+        </label>
+      </div>
+    </div>
+  );
+};
+
+// Auto-alert policy for low stock, with per blood type overrides
+const AutoAlertPolicies = () => {
+  const [policies, setPolicies] = useState(null);
+  const [newOverride, setNewOverride] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPolicies = async () => {
+      try {
+        const response = await hospitalAPI.getAlertPolicies();
+        setPolicies(response.data);
+      } catch (error) {
+        toast.error(handleAPIError(error));
+      }
+    };
+    loadPolicies();
+  }, []);
+
+  const savePolicies = async () => {
+    try {
+      setIsSaving(true);
+      const response = await hospitalAPI.updateAlertPolicies({
+        autoAlertEnabled: policies.autoAlertEnabled,
+        defaultPolicy: policies.defaultPolicy,
+        overrides: policies.overrides
+      });
+      setPolicies(response.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!policies) {
+    return <LoadingSpinner />;
+  }
+
+  const usedTypes = policies.overrides.map(override => override.bloodType);
+
+  return (
+    <div className="card space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Zap className="h-5 w-5 mr-2 text-blood-600" />
+          Automatic Shortage Alerts
+        </h3>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={policies.autoAlertEnabled}
+            onChange={(e) => setPolicies({ ...policies, autoAlertEnabled: e.target.checked })}
+          />
+          Enabled
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Checked after every inventory change. No new alert is raised while one is open for the blood type or within the cooldown.
+      </p>
+
+      <div>
+        <h4 className="font-medium text-gray-900 mb-3">All blood types</h4>
+        <PolicyFields
+          policy={policies.defaultPolicy}
+          onChange={(defaultPolicy) => setPolicies({ ...policies, defaultPolicy })}
+        />
+      </div>
+
+      {policies.overrides.map((override, index) => (
+        <div key={override.bloodType} className="border-t pt-4">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-medium text-gray-900">{override.bloodType} override</h4>
+            <button
+              onClick={() => setPolicies({ ...policies, overrides: policies.overrides.filter((_, i) => i !== index) })}
+              className="text-sm text-gray-500 hover:text-red-600"
+            >
+              Remove
+            </button>
+          </div>
+          <PolicyFields
+            policy={override}
+            onChange={(updated) => setPolicies({
+              ...policies,
+              overrides: policies.overrides.map((item, i) => (i === index ? updated : item))
+            })}
+          />
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between border-t pt-4">
+        <div className="flex items-center gap-2">
+          <select className="input-field w-auto py-1" value={newOverride} onChange={(e) => setNewOverride(e.target.value)}>
+            <option value="">Blood type…</option>
+            {BLOOD_TYPES.filter(type => !usedTypes.includes(type)).map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <button
+            disabled={!newOverride}
+            onClick={() => {
+              setPolicies({
+                ...policies,
+                overrides: [...policies.overrides, { ...policies.defaultPolicy, bloodType: newOverride }]
+              });
+              setNewOverride('');
+            }}
+            className="btn btn-outline text-sm"
+          >
+            Add override
+          </button>
+        </div>
+        <button onClick={savePolicies} disabled={isSaving} className="btn btn-primary flex items-center">
+          {isSaving && <ButtonLoader />}
+          Save policies
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AutoAlertPolicies;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { QrCode, Phone, UserCheck, ClipboardCheck, Droplets, LogOut } from 'lucide-react';
+import QuestionnaireConfirm from './QuestionnaireConfirm';
+import { checkInAPI, donationAPI, handleAPIError } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  arrived: 'bg-blue-100 text-blue-800',
+  cleared: 'bg-green-100 text-green-800',
+  deferred: 'bg-yellow-100 text-yellow-800',
+  donated: 'bg-blood-100 text-blood-800',
+  left: 'bg-gray-100 text-gray-600'
+};
+
+const donorName = (donor) => `${donor?.personalInfo?.firstName} ${donor?.personalInfo?.lastName}`;
+
+const describeVisit = (visit) => {
+  const time = visit.scheduledAt
+    ? new Date(visit.scheduledAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+  if (visit.type === 'appointment') return `Appointment${time ? ` at ${time}` : ''}`;
+  return `${visit.bloodType} ${visit.urgencyLevel} alert${time ? ` · expected ${time}` : ''}`;
+};
+
+const ScreeningForm = ({ checkIn, screening, onDone }) => {
+  const [answers, setAnswers] = useState({});
+  const [vitals, setVitals] = useState({});
+  const [notes, setNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const parsedVitals = Object.fromEntries(
+        Object.entries(vitals).filter(([, value]) => value !== '').map(([key, value]) => [key, Number(value)])
+      );
+      const response = await checkInAPI.submitScreening(checkIn._id, { answers, vitals: parsedVitals, notes });
+      const { outcome, reasons } = response.data.checkIn.screening;
+      if (outcome === 'cleared') {
+        toast.success('Donor cleared to donate');
+      } else {
+        toast.error(`Deferred: ${reasons.join('; ')}`);
+      }
+      onDone();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+      <div className="space-y-2">
+        {screening.checklist.map(item => (
+          <label key={item.key} className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={answers[item.key] === true}
+              onChange={(e) => setAnswers({ ...answers, [item.key]: e.target.checked })}
+              className="mr-2"
+            />
+            {item.label}
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {Object.entries(screening.vitalLimits).map(([key, limit]) => (
+          <label key={key} className="text-sm text-gray-600">
+            {limit.label}
+            <input
+              type="number"
+              step="0.1"
+              value={vitals[key] ?? ''}
+              onChange={(e) => setVitals({ ...vitals, [key]: e.target.value })}
+              placeholder={`${limit.min}–${limit.max}`}
+              className="input-field"
+              required
+            />
+          </label>
+        ))}
+      </div>
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Screening notes"
+        rows={2}
+        className="input-field"
+      />
+      <button type="submit" disabled={isSubmitting} className="btn btn-primary flex items-center">
+        <ClipboardCheck className="h-4 w-4 mr-2" />
+        Submit screening
+      </button>
+    </form>
+  );
+};
+
+const DonationForm = ({ checkIn, onDone }) => {
+  const [donationType, setDonationType] = useState('whole_blood');
+  const [volume, setVolume] = useState(450);
+  const [bagIds, setBagIds] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const bags = bagIds.split(',').map(bagId => bagId.trim()).filter(Boolean);
+      await donationAPI.recordDonation({
+        donorId: checkIn.donor._id,
+        checkInId: checkIn._id,
+        donationType,
+        volume: Number(volume),
+        units: Math.max(bags.length, 1),
+        ...(bags.length > 0 && { bagIds: bags })
+      });
+      toast.success('Donation recorded');
+      onDone();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+      <label className="text-sm text-gray-600">
+        Donation type
+        <select value={donationType} onChange={(e) => setDonationType(e.target.value)} className="input-field">
+          <option value="whole_blood">Whole blood</option>
+          <option value="plasma">Plasma</option>
+          <option value="platelets">Platelets</option>
+          <option value="red_cells">Red cells</option>
+        </select>
+      </label>
+      <label className="text-sm text-gray-600">
+        Volume (ml)
+        <input type="number" min="50" max="1000" value={volume} onChange={(e) => setVolume(e.target.value)} className="input-field" required />
+      </label>
+      <label className="text-sm text-gray-600">
+        Bag IDs (comma separated)
+        <input type="text" value={bagIds} onChange={(e) => setBagIds(e.target.value)} className="input-field" />
+      </label>
+      <button type="submit" disabled={isSubmitting} className="btn btn-primary flex items-center justify-center">
+        <Droplets className="h-4 w-4 mr-2" />
+        Record donation
+      </button>
+    </form>
+  );
+};
+
+// Hospital desk: find arriving donors, screen them and hand over to donation recording
+const CheckInDesk = () => {
+  const { socket, isConnected } = useSocket();
+  const [lookupMode, setLookupMode] = useState('code');
+  const [lookupValue, setLookupValue] = useState('');
+  const [matches, setMatches] = useState(null);
+  const [checkIns, setCheckIns] = useState([]);
+  const [screening, setScreening] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadCheckIns = useCallback(async () => {
+    try {
+      const response = await checkInAPI.getCheckIns();
+      setCheckIns(response.data.checkIns);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCheckIns();
+    checkInAPI.getScreening()
+      .then(response => setScreening(response.data))
+      .catch(error => toast.error(handleAPIError(error)));
+  }, [loadCheckIns]);
+
+  // Other desks and appointment check-ins update the queue live
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    socket.on('check-in-updated', loadCheckIns);
+    return () => socket.off('check-in-updated', loadCheckIns);
+  }, [socket, isConnected, loadCheckIns]);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const response = await checkInAPI.lookup({ [lookupMode]: lookupValue.trim() });
+      setMatches(response.data.matches);
+    } catch (error) {
+      setMatches([]);
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCheckIn = async (donor, visit) => {
+    try {
+      setIsSubmitting(true);
+      const response = await checkInAPI.checkIn({
+        donorId: donor._id,
+        appointmentId: visit?.appointmentId,
+        alertId: visit?.alertId,
+        method: visit ? (lookupMode === 'code' ? 'qr_code' : 'phone') : 'walk_in'
+      });
+      toast.success(`${donorName(donor)} checked in`);
+      if (!response.data.eligibility.eligible) {
+        toast.error(`Eligibility warning: ${response.data.eligibility.reason}`);
+      }
+      setMatches(null);
+      setLookupValue('');
+      setExpanded(response.data.checkIn._id);
+      await loadCheckIns();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleLeave = async (checkIn) => {
+    const reason = window.prompt('Why is the donor leaving without donating?');
+    if (reason === null) return;
+    try {
+      await checkInAPI.leave(checkIn._id, reason);
+      await loadCheckIns();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Donor Check-in</h2>
+
+      <div className="card">
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => setLookupMode('code')}
+            className={`btn text-sm flex items-center ${lookupMode === 'code' ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <QrCode className="h-4 w-4 mr-2" />
+            Check-in code
+          </button>
+          <button
+            onClick={() => setLookupMode('phone')}
+            className={`btn text-sm flex items-center ${lookupMode === 'phone' ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <Phone className="h-4 w-4 mr-2" />
+            Phone number
+          </button>
+        </div>
+        {/* Handheld scanners type the code and press Enter, which submits the form */}
+        <form onSubmit={handleLookup} className="flex gap-2">
+          <input
+            type={lookupMode === 'phone' ? 'tel' : 'text'}
+            value={lookupValue}
+            onChange={(e) => setLookupValue(e.target.value)}
+            placeholder={lookupMode === 'phone' ? 'Donor phone number' : 'Scan or type the check-in code'}
+            className="input-field flex-1"
+            autoFocus
+            required
+          />
+          <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+            Find
+          </button>
+        </form>
+
+        {matches && matches.length === 0 && (
+          <p className="text-sm text-gray-600 mt-4">No matching donor found.</p>
+        )}
+        {matches?.map(({ donor, visits, eligibility }) => (
+          <div key={donor._id} className="border border-gray-200 rounded-lg p-4 mt-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {donorName(donor)}
+                  <span className="text-blood-600 ml-2">{donor.medicalInfo?.bloodGroup}</span>
+                </div>
+                <div className="text-sm text-gray-600">{donor.personalInfo?.phone}</div>
+                {!eligibility.eligible && (
+                  <div className="text-sm text-yellow-700">Not currently eligible: {eligibility.reason}</div>
+                )}
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              {visits.map(visit => (
+                <button
+                  key={visit.appointmentId || visit.alertId}
+                  onClick={() => handleCheckIn(donor, visit)}
+                  disabled={isSubmitting}
+                  className="btn btn-primary text-sm flex items-center"
+                >
+                  <UserCheck className="h-4 w-4 mr-2" />
+                  {describeVisit(visit)}
+                </button>
+              ))}
+              <button
+                onClick={() => handleCheckIn(donor, null)}
+                disabled={isSubmitting}
+                className="btn btn-secondary text-sm"
+              >
+                Walk-in
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Today's arrivals</h3>
+        {checkIns.length === 0 ? (
+          <p className="text-sm text-gray-600">No donors have checked in today.</p>
+        ) : (
+          <div className="space-y-3">
+            {checkIns.map(checkIn => (
+              <div key={checkIn._id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <button
+                    onClick={() => setExpanded(expanded === checkIn._id ? null : checkIn._id)}
+                    className="text-left"
+                  >
+                    <div className="font-medium text-gray-900">
+                      {donorName(checkIn.donor)}
+                      <span className="text-blood-600 ml-2">{checkIn.donor?.medicalInfo?.bloodGroup}</span>
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      Arrived {new Date(checkIn.arrivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      {checkIn.alert && ` · ${checkIn.alert.bloodType} alert`}
+                      {checkIn.appointment && ' · booked'}
+                      {checkIn.questionnaire && ' · questionnaire confirmed'}
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[checkIn.status]}`}>
+                      {checkIn.status}
+                    </span>
+                    {['arrived', 'cleared'].includes(checkIn.status) && (
+                      <button onClick={() => handleLeave(checkIn)} className="btn btn-secondary text-sm" title="Left without donating">
+                        <LogOut className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {checkIn.status === 'deferred' && checkIn.screening?.reasons?.length > 0 && (
+                  <div className="text-sm text-yellow-700 mt-2">{checkIn.screening.reasons.join('; ')}</div>
+                )}
+                {expanded === checkIn._id && !checkIn.questionnaire && ['arrived', 'cleared'].includes(checkIn.status) && (
+                  <QuestionnaireConfirm checkIn={checkIn} onDone={loadCheckIns} />
+                )}
+                {expanded === checkIn._id && checkIn.status === 'arrived' && screening && (
+                  <ScreeningForm checkIn={checkIn} screening={screening} onDone={loadCheckIns} />
+                )}
+                {expanded === checkIn._id && checkIn.status === 'cleared' && (
+                  <DonationForm checkIn={checkIn} onDone={loadCheckIns} />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckInDesk;
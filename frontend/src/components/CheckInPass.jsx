@@ -0,0 +1,26 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+// QR code and typed fallback the hospital desk scans when the donor arrives
+const CheckInPass = ({ code }) => {
+  const [qrImage, setQrImage] = useState(null);
+
+  useEffect(() => {
+    QRCode.toDataURL(code, { width: 160, margin: 1 })
+      .then(setQrImage)
+      .catch(() => setQrImage(null));
+  }, [code]);
+
+  return (
+    <div className="flex items-center gap-4 bg-gray-50 rounded-lg p-3">
+      {qrImage && <img src={qrImage} alt={`Check-in code ${code}`} className="h-24 w-24" />}
+      <div>
+        <div className="text-xs text-gray-500 uppercase">Check-in code</div>
+        <div className="font-mono text-xl font-bold tracking-widest text-gray-900">{code}</div>
+        <div className="text-xs text-gray-600">Show this at the hospital desk when you arrive</div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckInPass;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapPin, XCircle, RefreshCw, Plus } from 'lucide-react';
+import AppointmentCalendar from './AppointmentCalendar';
+import SlotPicker from './SlotPicker';
+import CheckInPass from './CheckInPass';
+import { appointmentAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const DONATION_TYPES = [
+  { value: 'whole_blood', label: 'Whole blood' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'platelets', label: 'Platelets' },
+  { value: 'red_cells', label: 'Red cells' }
+];
+
+const toCalendarItem = (appointment) => ({
+  id: appointment._id,
+  start: appointment.scheduledAt,
+  end: appointment.endsAt,
+  title: appointment.hospital?.basicInfo?.name || 'Hospital',
+  subtitle: appointment.alert ? `${appointment.alert.bloodType} request` : 'General donation',
+  status: appointment.status
+});
+
+// Donor's booked appointments with booking, rescheduling and cancellation
+const DonorAppointments = () => {
+  const [appointments, setAppointments] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [range, setRange] = useState(null);
+  const [hospitals, setHospitals] = useState([]);
+  const [bookingHospitalId, setBookingHospitalId] = useState('');
+  const [donationType, setDonationType] = useState('whole_blood');
+  const [rescheduling, setRescheduling] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadAppointments = useCallback(async () => {
+    if (!range) return;
+    try {
+      const [weekResponse, upcomingResponse] = await Promise.all([
+        appointmentAPI.getAppointments({ from: range.from.toISOString(), to: range.to.toISOString() }),
+        appointmentAPI.getAppointments({ from: new Date().toISOString(), status: 'booked' })
+      ]);
+      setAppointments(weekResponse.data.appointments);
+      setUpcoming(upcomingResponse.data.appointments);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadAppointments();
+  }, [loadAppointments]);
+
+  useEffect(() => {
+    appointmentAPI.getHospitals()
+      .then(response => setHospitals(response.data.hospitals))
+      .catch(error => toast.error(handleAPIError(error)));
+  }, []);
+
+  const handleRangeChange = useCallback((from, to) => setRange({ from, to }), []);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setIsSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      setRescheduling(null);
+      setBookingHospitalId('');
+      await loadAppointments();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleBook = (slot) => runAction(
+    () => appointmentAPI.book({ slotId: slot._id, donationType }),
+    `Booked for ${new Date(slot.startTime).toLocaleString()}`
+  );
+
+  const handleReschedule = (slot) => runAction(
+    () => appointmentAPI.reschedule(rescheduling._id, slot._id),
+    `Moved to ${new Date(slot.startTime).toLocaleString()}`
+  );
+
+  const handleCancel = (appointment) => {
+    if (!window.confirm('Cancel this appointment?')) return;
+    runAction(() => appointmentAPI.cancel(appointment._id), 'Appointment cancelled');
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">My Appointments</h2>
+
+      <AppointmentCalendar
+        items={appointments.map(toCalendarItem)}
+        onRangeChange={handleRangeChange}
+      />
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Upcoming</h3>
+        {upcoming.length === 0 ? (
+          <p className="text-sm text-gray-600">You have no upcoming appointments.</p>
+        ) : (
+          <div className="space-y-4">
+            {upcoming.map(appointment => (
+              <div key={appointment._id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium text-gray-900">{new Date(appointment.scheduledAt).toLocaleString()}</div>
+                    <div className="flex items-center text-sm text-gray-600">
+                      <MapPin className="h-4 w-4 mr-1" />
+                      {appointment.hospital?.basicInfo?.name}
+                      {appointment.alert && ` · ${appointment.alert.bloodType} request`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setRescheduling(rescheduling?._id === appointment._id ? null : appointment)}
+                      disabled={isSubmitting}
+                      className="btn btn-secondary text-sm flex items-center"
+                    >
+                      <RefreshCw className="h-4 w-4 mr-1" />
+                      Reschedule
+                    </button>
+                    <button
+                      onClick={() => handleCancel(appointment)}
+                      disabled={isSubmitting}
+                      className="btn btn-secondary text-sm flex items-center"
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+                {appointment.checkInCode && (
+                  <div className="mt-4">
+                    <CheckInPass code={appointment.checkInCode} />
+                  </div>
+                )}
+                {rescheduling?._id === appointment._id && (
+                  <div className="mt-4">
+                    <SlotPicker hospitalId={appointment.hospital?._id} onSelect={handleReschedule} disabled={isSubmitting} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Plus className="h-5 w-5 mr-2" />
+          Book a general donation
+        </h3>
+        {hospitals.length === 0 ? (
+          <p className="text-sm text-gray-600">No hospitals within your travel distance have open slots right now.</p>
+        ) : (
+          <>
+            <select
+              value={bookingHospitalId}
+              onChange={(e) => setBookingHospitalId(e.target.value)}
+              className="input-field mb-4"
+            >
+              <option value="">Choose a hospital</option>
+              {hospitals.map(hospital => (
+                <option key={hospital._id} value={hospital._id}>
+                  {hospital.basicInfo.name}{hospital.location?.address?.city ? ` — ${hospital.location.address.city}` : ''}
+                </option>
+              ))}
+            </select>
+            <select
+              value={donationType}
+              onChange={(e) => setDonationType(e.target.value)}
+              className="input-field mb-4"
+            >
+              {DONATION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            {bookingHospitalId && (
+              <SlotPicker hospitalId={bookingHospitalId} onSelect={handleBook} disabled={isSubmitting} />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DonorAppointments;
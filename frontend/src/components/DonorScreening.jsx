@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, CheckCircle, AlertTriangle } from 'lucide-react';
+import ScreeningQuestions from './ScreeningQuestions';
+import LoadingSpinner from './LoadingSpinner';
+import { screeningAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Donor's pre-arrival health questionnaire and its outcome
+const DonorScreening = () => {
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [latest, setLatest] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [answerErrors, setAnswerErrors] = useState([]);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const loadScreening = async () => {
+      try {
+        const [questionnaireResponse, latestResponse] = await Promise.all([
+          screeningAPI.getQuestionnaire(),
+          screeningAPI.getMyResponse()
+        ]);
+        setQuestionnaire(questionnaireResponse.data.questionnaire);
+        setLatest(latestResponse.data);
+        setIsEditing(!latestResponse.data.response);
+      } catch (error) {
+        toast.error(handleAPIError(error));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadScreening();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setAnswerErrors([]);
+      const response = await screeningAPI.submit(answers);
+      setLatest({ ...latest, response: response.data.response, eligibility: response.data.eligibility });
+      setIsEditing(false);
+      toast.success(response.data.message);
+    } catch (error) {
+      setAnswerErrors(error.response?.data?.answerErrors || []);
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  const response = latest?.response;
+  const deferral = response?.outcome?.deferral;
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Health Questionnaire</h2>
+
+      {response && !isEditing && (
+        <div className="card">
+          {deferral ? (
+            <div className="flex items-start text-yellow-800">
+              <AlertTriangle className="h-5 w-5 mr-2 mt-0.5" />
+              <div>
+                <div className="font-medium">{deferral.reason}</div>
+                <div className="text-sm">
+                  {deferral.type === 'permanent'
+                    ? 'This rules out donating. Please speak to a blood bank doctor if you think this is wrong.'
+                    : `You can donate again from ${new Date(deferral.until).toLocaleDateString()}.`}
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-start text-green-800">
+              <CheckCircle className="h-5 w-5 mr-2 mt-0.5" />
+              <div>
+                <div className="font-medium">
+                  {response.status === 'confirmed' ? 'Confirmed by hospital staff' : 'Ready for your visit'}
+                </div>
+                <div className="text-sm">
+                  Completed {new Date(response.createdAt).toLocaleString()} · valid until {new Date(response.validUntil).toLocaleString()}
+                </div>
+              </div>
+            </div>
+          )}
+          <button onClick={() => setIsEditing(true)} className="btn btn-secondary text-sm mt-4">
+            Answer again
+          </button>
+        </div>
+      )}
+
+      {isEditing && questionnaire && (
+        <form onSubmit={handleSubmit} className="card">
+          <p className="text-sm text-gray-600 mb-6 flex items-start">
+            <ClipboardList className="h-5 w-5 mr-2 flex-shrink-0" />
+            Answer these questions shortly before your visit. Staff will go through them with you when you arrive.
+          </p>
+          <ScreeningQuestions
+            questionnaire={questionnaire}
+            gender={latest?.gender}
+            answers={answers}
+            onChange={setAnswers}
+            errors={answerErrors}
+          />
+          <button type="submit" disabled={isSubmitting} className="btn btn-primary mt-6">
+            Submit answers
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DonorScreening;
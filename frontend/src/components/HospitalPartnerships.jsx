@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Handshake, Plus } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { hospitalAPI, partnershipAPI, handleAPIError } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const TYPE_LABELS = {
+  blood_sharing: 'Blood sharing',
+  emergency_backup: 'Emergency backup',
+  referral: 'Referral'
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-green-100 text-green-800',
+  suspended: 'bg-orange-100 text-orange-800',
+  declined: 'bg-gray-100 text-gray-600',
+  terminated: 'bg-gray-100 text-gray-600',
+  expired: 'bg-gray-100 text-gray-600'
+};
+
+// Proposal form; the other hospital sees the terms and accepts or declines them
+const RequestForm = ({ hospitals, onDone }) => {
+  const [form, setForm] = useState({
+    hospitalId: '',
+    type: 'blood_sharing',
+    allowedBloodTypes: [],
+    maxUnitsPerRequest: '',
+    validUntil: '',
+    notes: '',
+    message: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const toggleBloodType = (bloodType) => {
+    setForm(prev => ({
+      ...prev,
+      allowedBloodTypes: prev.allowedBloodTypes.includes(bloodType)
+        ? prev.allowedBloodTypes.filter(type => type !== bloodType)
+        : [...prev.allowedBloodTypes, bloodType]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const response = await partnershipAPI.requestPartnership({
+        hospitalId: form.hospitalId,
+        type: form.type,
+        terms: {
+          allowedBloodTypes: form.allowedBloodTypes,
+          ...(form.maxUnitsPerRequest && { maxUnitsPerRequest: parseInt(form.maxUnitsPerRequest) }),
+          ...(form.notes && { notes: form.notes })
+        },
+        ...(form.validUntil && { validUntil: new Date(form.validUntil).toISOString() }),
+        ...(form.message && { message: form.message })
+      });
+      toast.success(response.data.message);
+      onDone();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <select
+          className="input-field"
+          value={form.hospitalId}
+          onChange={(e) => setForm({ ...form, hospitalId: e.target.value })}
+          required
+        >
+          <option value="">Select a nearby hospital</option>
+          {hospitals.map(hospital => (
+            <option key={hospital._id} value={hospital._id}>
+              {hospital.basicInfo.name} — {hospital.location?.address?.city}
+            </option>
+          ))}
+        </select>
+        <select
+          className="input-field"
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+        >
+          {Object.entries(TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          className="input-field"
+          placeholder="Max units per request (optional)"
+          value={form.maxUnitsPerRequest}
+          onChange={(e) => setForm({ ...form, maxUnitsPerRequest: e.target.value })}
+        />
+        <input
+          type="date"
+          className="input-field"
+          value={form.validUntil}
+          onChange={(e) => setForm({ ...form, validUntil: e.target.value })}
+        />
+      </div>
+
+      <div>
+        <div className="text-sm text-gray-600 mb-2">Blood types covered (none selected means all)</div>
+        <div className="flex flex-wrap gap-2">
+          {BLOOD_TYPES.map(bloodType => (
+            <label key={bloodType} className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                className="mr-1"
+                checked={form.allowedBloodTypes.includes(bloodType)}
+                onChange={() => toggleBloodType(bloodType)}
+              />
+              {bloodType}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <textarea
+        className="input-field"
+        rows="2"
+        placeholder="Terms and conditions"
+        value={form.notes}
+        onChange={(e) => setForm({ ...form, notes: e.target.value })}
+      />
+      <input
+        className="input-field"
+        placeholder="Message to the hospital (optional)"
+        value={form.message}
+        onChange={(e) => setForm({ ...form, message: e.target.value })}
+      />
+
+      <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+        Send partnership request
+      </button>
+    </form>
+  );
+};
+
+// Partnership agreements with other hospitals, from request through to termination
+const HospitalPartnerships = () => {
+  const { socket, isConnected } = useSocket();
+  const [partnerships, setPartnerships] = useState([]);
+  const [nearbyHospitals, setNearbyHospitals] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadPartnerships = useCallback(async () => {
+    try {
+      const [partnershipsResponse, nearbyResponse] = await Promise.all([
+        partnershipAPI.getPartnerships(),
+        hospitalAPI.getNearbyHospitals({ maxDistance: 200 })
+      ]);
+      setPartnerships(partnershipsResponse.data.partnerships);
+      setNearbyHospitals(nearbyResponse.data.hospitals.filter(hospital => !hospital.partnership));
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPartnerships();
+  }, [loadPartnerships]);
+
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleUpdate = () => loadPartnerships();
+    socket.on('partnership-updated', handleUpdate);
+    return () => socket.off('partnership-updated', handleUpdate);
+  }, [socket, isConnected, loadPartnerships]);
+
+  const runAction = async (action) => {
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+      await loadPartnerships();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const withReason = (question, action, required = true) => {
+    const reason = window.prompt(question);
+    if (reason === null || (required && !reason)) return;
+    runAction(() => action(reason));
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-900">Partnerships</h2>
+        <button onClick={() => setShowForm(!showForm)} className="btn btn-primary flex items-center">
+          <Plus className="h-4 w-4 mr-2" />
+          Request Partnership
+        </button>
+      </div>
+
+      {showForm && (
+        <RequestForm
+          hospitals={nearbyHospitals}
+          onDone={() => {
+            setShowForm(false);
+            loadPartnerships();
+          }}
+        />
+      )}
+
+      {partnerships.length === 0 && (
+        <div className="card text-center text-gray-600">
+          <Handshake className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+          No partnerships yet. Request one to share alerts and blood with another hospital.
+        </div>
+      )}
+
+      {partnerships.map(partnership => {
+        const isRequester = partnership.side === 'requester';
+        const self = isRequester ? partnership.requester : partnership.partner;
+        const other = isRequester ? partnership.partner : partnership.requester;
+        const { terms = {} } = partnership;
+        const suspendedBySelf = partnership.suspendedBy === self?._id;
+
+        return (
+          <div key={partnership._id} className="card">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="font-semibold text-gray-900">
+                  {other?.basicInfo?.name}
+                  <span className="text-gray-600 font-normal"> · {TYPE_LABELS[partnership.type]}</span>
+                </div>
+                <div className="text-sm text-gray-600">
+                  {isRequester ? 'Requested by you' : 'Requested by them'}
+                  {' · '}
+                  {terms.allowedBloodTypes?.length ? terms.allowedBloodTypes.join(', ') : 'All blood types'}
+                  {terms.maxUnitsPerRequest && ` · up to ${terms.maxUnitsPerRequest} unit(s) per request`}
+                  {partnership.validUntil && ` · until ${new Date(partnership.validUntil).toLocaleDateString()}`}
+                </div>
+                {terms.notes && <div className="text-sm text-gray-500 mt-1">{terms.notes}</div>}
+                {partnership.message && partnership.status === 'pending' && (
+                  <div className="text-sm text-gray-500 mt-1">“{partnership.message}”</div>
+                )}
+                {partnership.endReason && (
+                  <div className="text-xs text-gray-500 mt-1">{partnership.endReason}</div>
+                )}
+              </div>
+              <span className={`px-3 py-1 rounded-full text-sm font-medium ${STATUS_STYLES[partnership.status]}`}>
+                {partnership.status}
+              </span>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-4">
+              {!isRequester && partnership.status === 'pending' && (
+                <>
+                  <button onClick={() => runAction(() => partnershipAPI.accept(partnership._id))} className="btn btn-success text-sm">
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => withReason('Reason for declining (optional)', reason => partnershipAPI.decline(partnership._id, reason), false)}
+                    className="btn btn-outline text-sm"
+                  >
+                    Decline
+                  </button>
+                </>
+              )}
+              {isRequester && partnership.status === 'pending' && (
+                <button
+                  onClick={() => withReason('Reason for withdrawing this request', reason => partnershipAPI.terminate(partnership._id, reason))}
+                  className="btn btn-outline text-sm"
+                >
+                  Withdraw
+                </button>
+              )}
+              {partnership.status === 'active' && (
+                <button
+                  onClick={() => withReason('Reason for suspending this partnership', reason => partnershipAPI.suspend(partnership._id, reason))}
+                  className="btn btn-secondary text-sm"
+                >
+                  Suspend
+                </button>
+              )}
+              {partnership.status === 'suspended' && suspendedBySelf && (
+                <button onClick={() => runAction(() => partnershipAPI.resume(partnership._id))} className="btn btn-primary text-sm">
+                  Resume
+                </button>
+              )}
+              {['active', 'suspended'].includes(partnership.status) && (
+                <button
+                  onClick={() => withReason('Reason for terminating this partnership', reason => partnershipAPI.terminate(partnership._id, reason))}
+                  className="btn btn-danger text-sm"
+                >
+                  Terminate
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default HospitalPartnerships;
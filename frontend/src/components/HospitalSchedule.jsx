@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarPlus, CheckCircle, XCircle, UserX, Lock, Unlock } from 'lucide-react';
+import AppointmentCalendar from './AppointmentCalendar';
+import { appointmentAPI, handleAPIError } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+const STATUS_LABELS = {
+  booked: 'Booked',
+  checked_in: 'Checked in',
+  completed: 'Donated',
+  cancelled: 'Cancelled',
+  no_show: 'No-show'
+};
+
+const toCalendarItem = (slot) => ({
+  id: slot._id,
+  start: slot.startTime,
+  end: slot.endTime,
+  title: `${slot.booked}/${slot.capacity} booked`,
+  status: slot.status === 'closed' ? 'closed' : slot.booked >= slot.capacity ? 'full' : 'open'
+});
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+// Hospital calendar of donation slots and the donors booked into them
+const HospitalSchedule = () => {
+  const { socket, isConnected } = useSocket();
+  const [slots, setSlots] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [range, setRange] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [generateForm, setGenerateForm] = useState(() => ({
+    from: toDateInput(new Date()),
+    to: toDateInput(new Date(Date.now() + 6 * 24 * 60 * 60 * 1000)),
+    slotMinutes: 30,
+    chairs: 4
+  }));
+
+  const loadSchedule = useCallback(async () => {
+    if (!range) return;
+    try {
+      const params = { from: range.from.toISOString(), to: range.to.toISOString() };
+      const [slotsResponse, appointmentsResponse] = await Promise.all([
+        appointmentAPI.getSlots(params),
+        appointmentAPI.getAppointments(params)
+      ]);
+      setSlots(slotsResponse.data.slots);
+      setAppointments(appointmentsResponse.data.appointments);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  // Bookings made by donors show up without a refresh
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleUpdate = (update) => {
+      toast(`${update.donorName} ${update.action.replace('_', ' ')} an appointment`);
+      loadSchedule();
+    };
+    socket.on('appointment-updated', handleUpdate);
+    return () => socket.off('appointment-updated', handleUpdate);
+  }, [socket, isConnected, loadSchedule]);
+
+  const handleRangeChange = useCallback((from, to) => setRange({ from, to }), []);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setIsSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      await loadSchedule();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleGenerate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await appointmentAPI.generateSlots({
+        from: new Date(`${generateForm.from}T00:00`).toISOString(),
+        to: new Date(`${generateForm.to}T23:59`).toISOString(),
+        slotMinutes: Number(generateForm.slotMinutes),
+        chairs: Number(generateForm.chairs)
+      });
+      return response;
+    }, 'Slots generated from operating hours');
+  };
+
+  const slot = selectedSlot && slots.find(s => s._id === selectedSlot);
+  const slotAppointments = slot ? appointments.filter(a => a.slot === slot._id) : [];
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Donation Schedule</h2>
+
+      <form onSubmit={handleGenerate} className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <CalendarPlus className="h-5 w-5 mr-2" />
+          Open slots from operating hours
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <label className="text-sm text-gray-600">
+            From
+            <input type="date" value={generateForm.from} onChange={(e) => setGenerateForm({ ...generateForm, from: e.target.value })} className="input-field" required />
+          </label>
+          <label className="text-sm text-gray-600">
+            To
+            <input type="date" value={generateForm.to} onChange={(e) => setGenerateForm({ ...generateForm, to: e.target.value })} className="input-field" required />
+          </label>
+          <label className="text-sm text-gray-600">
+            Slot length (min)
+            <input type="number" min="15" max="240" step="5" value={generateForm.slotMinutes} onChange={(e) => setGenerateForm({ ...generateForm, slotMinutes: e.target.value })} className="input-field" required />
+          </label>
+          <label className="text-sm text-gray-600">
+            Chairs per slot
+            <input type="number" min="1" max="50" value={generateForm.chairs} onChange={(e) => setGenerateForm({ ...generateForm, chairs: e.target.value })} className="input-field" required />
+          </label>
+          <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+            Generate
+          </button>
+        </div>
+      </form>
+
+      <AppointmentCalendar
+        items={slots.map(toCalendarItem)}
+        onItemClick={(item) => setSelectedSlot(item.id)}
+        onRangeChange={handleRangeChange}
+      />
+
+      {slot && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {new Date(slot.startTime).toLocaleString()} · {slot.booked}/{slot.capacity} chairs booked
+            </h3>
+            <button
+              onClick={() => runAction(
+                () => appointmentAPI.updateSlot(slot._id, { status: slot.status === 'open' ? 'closed' : 'open' }),
+                slot.status === 'open' ? 'Slot closed to new bookings' : 'Slot reopened'
+              )}
+              disabled={isSubmitting}
+              className="btn btn-secondary text-sm flex items-center"
+            >
+              {slot.status === 'open' ? <Lock className="h-4 w-4 mr-1" /> : <Unlock className="h-4 w-4 mr-1" />}
+              {slot.status === 'open' ? 'Close slot' : 'Reopen slot'}
+            </button>
+          </div>
+
+          {slotAppointments.length === 0 ? (
+            <p className="text-sm text-gray-600">No donors booked into this slot.</p>
+          ) : (
+            <div className="space-y-3">
+              {slotAppointments.map(appointment => (
+                <div key={appointment._id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+                  <div>
+                    <div className="font-medium text-gray-900">
+                      {appointment.donor?.personalInfo?.firstName} {appointment.donor?.personalInfo?.lastName}
+                      <span className="text-blood-600 ml-2">{appointment.donor?.medicalInfo?.bloodGroup}</span>
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      {STATUS_LABELS[appointment.status]}
+                      {appointment.alert && ` · ${appointment.alert.bloodType} alert`}
+                      {appointment.donor?.personalInfo?.phone && ` · ${appointment.donor.personalInfo.phone}`}
+                    </div>
+                  </div>
+                  {appointment.status === 'booked' && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => runAction(() => appointmentAPI.checkIn(appointment._id), 'Donor checked in')}
+                        disabled={isSubmitting}
+                        className="btn btn-success text-sm flex items-center"
+                      >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Check in
+                      </button>
+                      {new Date(appointment.scheduledAt) <= new Date() && (
+                        <button
+                          onClick={() => runAction(() => appointmentAPI.markNoShow(appointment._id), 'Marked as no-show')}
+                          disabled={isSubmitting}
+                          className="btn btn-secondary text-sm flex items-center"
+                        >
+                          <UserX className="h-4 w-4 mr-1" />
+                          No-show
+                        </button>
+                      )}
+                      <button
+                        onClick={() => {
+                          const reason = window.prompt('Reason for cancelling (shared with the donor)');
+                          if (reason !== null) {
+                            runAction(() => appointmentAPI.cancel(appointment._id, reason), 'Appointment cancelled');
+                          }
+                        }}
+                        disabled={isSubmitting}
+                        className="btn btn-danger text-sm flex items-center"
+                      >
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HospitalSchedule;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Truck, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { transferAPI, handleAPIError } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  dispatched: 'bg-purple-100 text-purple-800',
+  in_transit: 'bg-purple-100 text-purple-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const TIMELINE = [
+  { status: 'requested', field: 'requestedAt', label: 'Proposed' },
+  { status: 'approved', field: 'approvedAt', label: 'Approved' },
+  { status: 'dispatched', field: 'dispatchedAt', label: 'Dispatched' },
+  { status: 'in_transit', field: 'inTransitAt', label: 'In transit' },
+  { status: 'received', field: 'receivedAt', label: 'Received' }
+];
+
+// Dispatch form for the sending hospital
+const DispatchForm = ({ transfer, onDone }) => {
+  const [courier, setCourier] = useState({ name: '', phone: '', vehicle: '' });
+  const [estimatedArrival, setEstimatedArrival] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const response = await transferAPI.dispatch(transfer._id, {
+        courier,
+        ...(estimatedArrival && { estimatedArrival: new Date(estimatedArrival).toISOString() })
+      });
+      toast.success(response.data.message);
+      onDone();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3">
+      <input
+        className="input-field"
+        placeholder="Courier name"
+        value={courier.name}
+        onChange={(e) => setCourier({ ...courier, name: e.target.value })}
+        required
+      />
+      <input
+        className="input-field"
+        placeholder="Courier phone"
+        value={courier.phone}
+        onChange={(e) => setCourier({ ...courier, phone: e.target.value })}
+      />
+      <input
+        className="input-field"
+        placeholder="Vehicle"
+        value={courier.vehicle}
+        onChange={(e) => setCourier({ ...courier, vehicle: e.target.value })}
+      />
+      <input
+        type="datetime-local"
+        className="input-field"
+        value={estimatedArrival}
+        onChange={(e) => setEstimatedArrival(e.target.value)}
+      />
+      <button type="submit" disabled={isSubmitting} className="btn btn-primary md:col-span-4">
+        Dispatch {transfer.units} unit(s)
+      </button>
+    </form>
+  );
+};
+
+// Transfers of blood between this hospital and its partners, updated live for both sides
+const HospitalTransfers = () => {
+  const { socket, isConnected } = useSocket();
+  const [transfers, setTransfers] = useState([]);
+  const [direction, setDirection] = useState('');
+  const [dispatching, setDispatching] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadTransfers = useCallback(async () => {
+    try {
+      const response = await transferAPI.getTransfers(direction ? { direction } : {});
+      setTransfers(response.data.transfers);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [direction]);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [loadTransfers]);
+
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleUpdate = () => loadTransfers();
+    socket.on('transfer-updated', handleUpdate);
+    return () => socket.off('transfer-updated', handleUpdate);
+  }, [socket, isConnected, loadTransfers]);
+
+  const runAction = async (action) => {
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+      await loadTransfers();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const handleReceive = (transfer) => {
+    const input = window.prompt(`How many of the ${transfer.units} unit(s) arrived?`, transfer.units);
+    if (input === null) return;
+    runAction(() => transferAPI.receive(transfer._id, { unitsReceived: parseInt(input) }));
+  };
+
+  const handleCancel = (transfer) => {
+    const reason = window.prompt('Reason for cancelling this transfer');
+    if (!reason) return;
+    runAction(() => transferAPI.cancel(transfer._id, reason));
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-900">Blood Transfers</h2>
+        <select value={direction} onChange={(e) => setDirection(e.target.value)} className="input-field w-48">
+          <option value="">All transfers</option>
+          <option value="incoming">Incoming</option>
+          <option value="outgoing">Outgoing</option>
+        </select>
+      </div>
+
+      {transfers.length === 0 && (
+        <div className="card text-center text-gray-600">
+          <Truck className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+          Transfers appear here when a partner accepts a shared alert or you request units from the network.
+        </div>
+      )}
+
+      {transfers.map(transfer => {
+        const isSender = transfer.side === 'sender';
+        const partner = isSender ? transfer.toHospital : transfer.fromHospital;
+        const open = !['received', 'cancelled'].includes(transfer.status);
+
+        return (
+          <div key={transfer._id} className="card">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                {isSender
+                  ? <ArrowUpRight className="h-5 w-5 text-purple-600 mr-2" />
+                  : <ArrowDownLeft className="h-5 w-5 text-green-600 mr-2" />}
+                <div>
+                  <div className="font-semibold text-gray-900">
+                    {transfer.units} × {transfer.bloodType} {transfer.component.replace('_', ' ')}
+                    <span className="text-gray-600 font-normal"> {isSender ? 'to' : 'from'} {partner?.basicInfo?.name}</span>
+                  </div>
+                  {transfer.courier?.name && (
+                    <div className="text-sm text-gray-600">
+                      Courier: {transfer.courier.name}
+                      {transfer.courier.phone && ` · ${transfer.courier.phone}`}
+                      {transfer.courier.vehicle && ` · ${transfer.courier.vehicle}`}
+                      {transfer.estimatedArrival && ` · ETA ${new Date(transfer.estimatedArrival).toLocaleString()}`}
+                    </div>
+                  )}
+                </div>
+              </div>
+              <span className={`px-3 py-1 rounded-full text-sm font-medium ${STATUS_STYLES[transfer.status]}`}>
+                {transfer.status.replace('_', ' ')}
+              </span>
+            </div>
+
+            <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-500">
+              {TIMELINE.filter(step => transfer[step.field]).map(step => (
+                <span key={step.status}>
+                  {step.label} {new Date(transfer[step.field]).toLocaleString()}
+                </span>
+              ))}
+              {transfer.status === 'received' && transfer.unitsReceived !== transfer.units && (
+                <span className="text-yellow-700">{transfer.unitsReceived} of {transfer.units} arrived</span>
+              )}
+              {transfer.cancellationReason && <span>Cancelled: {transfer.cancellationReason}</span>}
+            </div>
+
+            {open && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                {transfer.side !== transfer.initiatedBy && transfer.status === 'requested' && (
+                  <button onClick={() => runAction(() => transferAPI.approve(transfer._id))} className="btn btn-primary text-sm">
+                    Approve
+                  </button>
+                )}
+                {isSender && transfer.status === 'approved' && (
+                  <button
+                    onClick={() => setDispatching(dispatching === transfer._id ? null : transfer._id)}
+                    className="btn btn-primary text-sm"
+                  >
+                    Dispatch
+                  </button>
+                )}
+                {isSender && transfer.status === 'dispatched' && (
+                  <button onClick={() => runAction(() => transferAPI.markInTransit(transfer._id, {}))} className="btn btn-secondary text-sm">
+                    Mark in transit
+                  </button>
+                )}
+                {!isSender && ['dispatched', 'in_transit'].includes(transfer.status) && (
+                  <button onClick={() => handleReceive(transfer)} className="btn btn-success text-sm">
+                    Confirm receipt
+                  </button>
+                )}
+                {['requested', 'approved'].includes(transfer.status) && (
+                  <button onClick={() => handleCancel(transfer)} className="btn btn-outline text-sm">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            )}
+
+            {dispatching === transfer._id && transfer.status === 'approved' && (
+              <DispatchForm
+                transfer={transfer}
+                onDone={() => {
+                  setDispatching(null);
+                  loadTransfers();
+                }}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default HospitalTransfers;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { TrendingDown } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { inventoryAPI, hospitalAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const CHART = { width: 600, height: 220, padding: 32 };
+
+// Projected stock for one blood type against its critical level
+const ForecastChart = ({ forecast }) => {
+  const { projection, critical, daysUntilCritical } = forecast;
+  const days = projection.length - 1;
+  const maxLevel = Math.max(critical * 1.5, ...projection.map(point => point.level), 1);
+
+  const x = day => CHART.padding + (day / days) * (CHART.width - 2 * CHART.padding);
+  const y = level => CHART.height - CHART.padding - (level / maxLevel) * (CHART.height - 2 * CHART.padding);
+  const points = projection.map((point, day) => `${x(day)},${y(point.level)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-56">
+      <line x1={CHART.padding} y1={y(0)} x2={CHART.width - CHART.padding} y2={y(0)} stroke="#d1d5db" />
+      <line
+        x1={CHART.padding}
+        y1={y(critical)}
+        x2={CHART.width - CHART.padding}
+        y2={y(critical)}
+        stroke="#ef4444"
+        strokeDasharray="6 4"
+      />
+      <text x={CHART.width - CHART.padding} y={y(critical) - 6} textAnchor="end" fontSize="11" fill="#ef4444">
+        Critical ({critical})
+      </text>
+      <polyline points={points} fill="none" stroke="#dc2626" strokeWidth="2.5" />
+      {daysUntilCritical !== null && daysUntilCritical <= days && (
+        <circle cx={x(daysUntilCritical)} cy={y(critical)} r="5" fill="#ef4444" />
+      )}
+      {[0, Math.round(days / 2), days].map(day => (
+        <text key={day} x={x(day)} y={CHART.height - 10} textAnchor="middle" fontSize="11" fill="#6b7280">
+          {day === 0 ? 'Today' : `+${day}d`}
+        </text>
+      ))}
+      <text x={CHART.padding - 6} y={y(maxLevel) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+        {Math.round(maxLevel)}
+      </text>
+    </svg>
+  );
+};
+
+// Days-of-supply forecast per blood type, with the opt-in for proactive alerts
+const InventoryForecast = () => {
+  const [forecast, setForecast] = useState(null);
+  const [forecastAlerts, setForecastAlerts] = useState({ enabled: false, leadDays: 3 });
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadForecast = useCallback(async () => {
+    try {
+      const response = await inventoryAPI.getForecast();
+      setForecast(response.data.forecast);
+      setForecastAlerts(response.data.forecastAlerts);
+      setSelected(current => current || response.data.forecast.atRisk[0]?.bloodType || 'O-');
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadForecast();
+  }, [loadForecast]);
+
+  const saveForecastAlerts = async (changes) => {
+    const updated = { ...forecastAlerts, ...changes };
+    try {
+      await hospitalAPI.updateProfile({ alerts: { forecastAlerts: updated } });
+      setForecastAlerts(updated);
+      toast.success('Forecast alert settings saved');
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+  if (!forecast) return null;
+
+  const current = forecast.bloodTypes.find(item => item.bloodType === selected);
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <TrendingDown className="h-5 w-5 mr-2 text-blood-600" />
+          Supply Forecast ({forecast.horizonDays} days)
+        </h3>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={forecastAlerts.enabled}
+            onChange={(e) => saveForecastAlerts({ enabled: e.target.checked })}
+          />
+          Alert donors
+          <input
+            type="number"
+            min="1"
+            max="14"
+            className="input-field w-16 mx-2 py-1"
+            value={forecastAlerts.leadDays}
+            onChange={(e) => setForecastAlerts({ ...forecastAlerts, leadDays: parseInt(e.target.value) || 1 })}
+            onBlur={() => saveForecastAlerts({})}
+          />
+          days before critical
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {forecast.bloodTypes.map(item => {
+          const atRisk = item.alreadyCritical || item.daysUntilCritical !== null;
+          return (
+            <button
+              key={item.bloodType}
+              onClick={() => setSelected(item.bloodType)}
+              className={`px-3 py-1 rounded-full text-sm font-medium border ${
+                selected === item.bloodType ? 'border-blood-500 bg-blood-50 text-blood-700' : 'border-gray-200 text-gray-700'
+              }`}
+            >
+              {item.bloodType}
+              {atRisk && <span className="ml-1 text-red-600">•</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      {current && (
+        <>
+          <ForecastChart forecast={current} />
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-sm">
+            <div>
+              <div className="text-gray-600">Days of supply</div>
+              <div className="font-semibold">{current.daysOfSupply ?? 'No recent use'}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Use / supply per day</div>
+              <div className="font-semibold">{current.usagePerDay} / {current.supplyPerDay}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Expiring in window</div>
+              <div className="font-semibold">{current.expiringUnits} unit(s)</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Reaches critical</div>
+              <div className={`font-semibold ${current.daysUntilCritical !== null ? 'text-red-600' : 'text-green-600'}`}>
+                {current.alreadyCritical
+                  ? 'Already critical'
+                  : current.criticalOn
+                    ? new Date(current.criticalOn).toLocaleDateString()
+                    : `Not within ${forecast.horizonDays} days`}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InventoryForecast;
@@ -26,17 +26,27 @@ const Navbar = () => {
     {
       name: 'Dashboard',
       path: hasRole('donor') ? '/donor/dashboard' : '/hospital/dashboard',
-      show: !!user
+      show: !!user && !hasRole('admin')
     },
     {
       name: 'Alerts',
       path: hasRole('donor') ? '/donor/alerts' : '/hospital/alerts',
-      show: !!user
+      show: !!user && !hasRole('admin')
     },
     {
       name: 'Profile',
       path: hasRole('donor') ? '/donor/profile' : '/hospital/profile',
-      show: !!user
+      show: !!user && !hasRole('admin')
+    },
+    {
+      name: 'Verification Queue',
+      path: '/admin/dashboard',
+      show: hasRole('admin')
+    },
+    {
+      name: 'Audit Log',
+      path: '/admin/audit',
+      show: hasRole('admin')
     },
     {
       name: 'Inventory',
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Search, MapPin, Clock, Truck } from 'lucide-react';
+import { ButtonLoader } from './LoadingSpinner';
+import { hospitalAPI, transferAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const COMPONENT_OPTIONS = [
+  { value: 'red_cells', label: 'Red cells' },
+  { value: 'whole_blood', label: 'Whole blood' },
+  { value: 'platelets', label: 'Platelets' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'cryoprecipitate', label: 'Cryoprecipitate' }
+];
+
+const SOURCE_LABELS = {
+  units: 'Live bag count',
+  counters: 'Reported level',
+  component_totals: 'Component total, blood type unconfirmed'
+};
+
+// Who within reach can spare units now, ranked, with a direct transfer request to partners
+const NetworkSearch = () => {
+  const [search, setSearch] = useState({
+    bloodType: 'O-',
+    component: 'red_cells',
+    units: 2,
+    maxDistance: 100,
+    partnersOnly: false
+  });
+  const [result, setResult] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [requesting, setRequesting] = useState(null);
+
+  const runSearch = async (e) => {
+    e?.preventDefault();
+    try {
+      setIsSearching(true);
+      const response = await hospitalAPI.searchNetwork(search);
+      setResult(response.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const requestTransfer = async (entry) => {
+    const { bloodType, component } = result.query;
+    const units = Math.min(result.query.units, entry.maxRequestable);
+    if (!window.confirm(`Request ${units} ${bloodType} unit(s) from ${entry.hospital.name}?`)) return;
+
+    try {
+      setRequesting(entry.hospital._id);
+      const response = await transferAPI.requestTransfer({
+        fromHospitalId: entry.hospital._id,
+        bloodType,
+        component,
+        units
+      });
+      toast.success(response.data.message);
+      await runSearch();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setRequesting(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Regional Network</h2>
+
+      <form onSubmit={runSearch} className="card grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Blood type</label>
+          <select
+            className="input-field"
+            value={search.bloodType}
+            onChange={(e) => setSearch({ ...search, bloodType: e.target.value })}
+          >
+            {BLOOD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Component</label>
+          <select
+            className="input-field"
+            value={search.component}
+            onChange={(e) => setSearch({ ...search, component: e.target.value })}
+          >
+            {COMPONENT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Units</label>
+          <input
+            type="number"
+            min="1"
+            className="input-field"
+            value={search.units}
+            onChange={(e) => setSearch({ ...search, units: parseInt(e.target.value) || 1 })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Within (km)</label>
+          <input
+            type="number"
+            min="1"
+            max="500"
+            className="input-field"
+            value={search.maxDistance}
+            onChange={(e) => setSearch({ ...search, maxDistance: parseInt(e.target.value) || 1 })}
+          />
+        </div>
+        <label className="flex items-center text-sm text-gray-700 pb-2">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={search.partnersOnly}
+            onChange={(e) => setSearch({ ...search, partnersOnly: e.target.checked })}
+          />
+          Partners only
+        </label>
+        <button type="submit" disabled={isSearching} className="btn btn-primary flex items-center justify-center">
+          {isSearching ? <ButtonLoader /> : <Search className="h-4 w-4 mr-2" />}
+          Search
+        </button>
+      </form>
+
+      {result && (
+        <div className="text-sm text-gray-600">
+          {result.summary.hospitals} hospital(s) can spare stock · {result.summary.confirmedShareable} confirmed unit(s) above their critical levels ·{' '}
+          <span className={result.summary.coveredByPartners ? 'text-green-700' : 'text-yellow-700'}>
+            {result.summary.requestableFromPartners} requestable from partners
+          </span>
+        </div>
+      )}
+
+      {result && result.results.length === 0 && (
+        <div className="card text-center text-gray-600">
+          No hospital within {result.query.maxDistance} km can spare {result.query.bloodType} {result.query.component.replace('_', ' ')} right now.
+        </div>
+      )}
+
+      {result?.results.map(entry => (
+        <div key={entry.hospital._id} className="card">
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="font-semibold text-gray-900">{entry.hospital.name}</div>
+              <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-1">
+                <span className="flex items-center">
+                  <MapPin className="h-4 w-4 mr-1" />
+                  {entry.distanceKm} km · {entry.hospital.address?.city}
+                </span>
+                <span className={`flex items-center ${entry.stock.stale ? 'text-yellow-700' : ''}`}>
+                  <Clock className="h-4 w-4 mr-1" />
+                  {SOURCE_LABELS[entry.stock.source]}
+                  {entry.stock.source !== 'units' && entry.stock.ageHours !== null && `, ${entry.stock.ageHours}h old`}
+                </span>
+                {entry.hospital.phone && <span>{entry.hospital.phone}</span>}
+              </div>
+            </div>
+            <div className="text-right">
+              <div className={`text-2xl font-bold ${entry.stock.canSupplyAll ? 'text-green-600' : 'text-gray-900'}`}>
+                {entry.stock.shareable}
+              </div>
+              <div className="text-xs text-gray-500">
+                {entry.stock.confirmed ? `spare above critical (${entry.stock.critical})` : 'unconfirmed'}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between mt-4">
+            <div className="text-sm text-gray-600">
+              {entry.partnership
+                ? `${entry.partnership.type.replace('_', ' ')} partner (${entry.partnership.status})`
+                : 'Not a partner'}
+              {entry.notRequestableReason && entry.partnership && ` · ${entry.notRequestableReason}`}
+            </div>
+            {entry.canRequestTransfer ? (
+              <button
+                onClick={() => requestTransfer(entry)}
+                disabled={requesting === entry.hospital._id}
+                className="btn btn-primary text-sm flex items-center"
+              >
+                <Truck className="h-4 w-4 mr-2" />
+                Request {Math.min(result.query.units, entry.maxRequestable)} unit(s)
+              </button>
+            ) : (
+              <span className="text-sm text-gray-500">{entry.hospital.phone ? 'Call to arrange' : ''}</span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NetworkSearch;
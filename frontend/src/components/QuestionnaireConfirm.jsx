@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList } from 'lucide-react';
+import ScreeningQuestions from './ScreeningQuestions';
+import LoadingSpinner from './LoadingSpinner';
+import { screeningAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Staff review of a checked-in donor's questionnaire, prefilled with what the donor submitted
+const QuestionnaireConfirm = ({ checkIn, onDone }) => {
+  const [screening, setScreening] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [answerErrors, setAnswerErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Live desk refreshes replace the checkIn object, so only reload when the donor or reading changes
+  const donorId = checkIn.donor._id;
+  const hemoglobin = checkIn.screening?.vitals?.hemoglobin;
+
+  useEffect(() => {
+    screeningAPI.getDonorScreening(donorId)
+      .then(response => {
+        setScreening(response.data);
+        const submitted = response.data.response;
+        setAnswers({
+          ...(submitted?.status === 'submitted' ? submitted.answers : {}),
+          ...(hemoglobin && { hemoglobin })
+        });
+      })
+      .catch(error => toast.error(handleAPIError(error)));
+  }, [donorId, hemoglobin]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setAnswerErrors([]);
+      const submitted = screening.response;
+      const response = await screeningAPI.confirm(donorId, {
+        answers,
+        checkInId: checkIn._id,
+        ...(submitted?.status === 'submitted' && { responseId: submitted._id })
+      });
+      if (response.data.response.outcome.eligible) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+      onDone();
+    } catch (error) {
+      setAnswerErrors(error.response?.data?.answerErrors || []);
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!screening) {
+    return <LoadingSpinner size="sm" />;
+  }
+
+  const submitted = screening.response;
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 border-t border-gray-200 pt-4">
+      <h4 className="font-semibold text-gray-900 mb-1 flex items-center">
+        <ClipboardList className="h-4 w-4 mr-2" />
+        Health questionnaire
+      </h4>
+      <p className="text-sm text-gray-600 mb-4">
+        {submitted?.status === 'confirmed'
+          ? `Already confirmed ${new Date(submitted.confirmedAt).toLocaleString()}; confirming again replaces it.`
+          : submitted
+            ? `Donor answered ${new Date(submitted.createdAt).toLocaleString()}. Go through each answer with them.`
+            : 'The donor has not answered in advance. Complete it with them now.'}
+      </p>
+      <ScreeningQuestions
+        questionnaire={screening.questionnaire}
+        gender={screening.donor.gender}
+        answers={answers}
+        onChange={setAnswers}
+        errors={answerErrors}
+      />
+      <button type="submit" disabled={isSubmitting} className="btn btn-primary mt-4">
+        Confirm answers
+      </button>
+    </form>
+  );
+};
+
+export default QuestionnaireConfirm;
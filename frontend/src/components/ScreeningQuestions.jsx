@@ -0,0 +1,104 @@
+import React from 'react';
+
+// Mirrors the server's showIf handling so follow-up questions appear as answers change
+const isShown = (question, answers, gender) => {
+  const condition = question.showIf;
+  if (!condition) return true;
+  if (condition.gender) return gender === condition.gender;
+  if (condition.in) return condition.in.includes(answers[condition.key]);
+  return answers[condition.key] === condition.equals;
+};
+
+const QuestionInput = ({ question, value, onChange }) => {
+  switch (question.type) {
+    case 'boolean':
+      return (
+        <div className="flex gap-4">
+          {[true, false].map(option => (
+            <label key={String(option)} className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                name={question.key}
+                checked={value === option}
+                onChange={() => onChange(option)}
+                className="mr-1"
+              />
+              {option ? 'Yes' : 'No'}
+            </label>
+          ))}
+        </div>
+      );
+    case 'date':
+      return (
+        <input
+          type="date"
+          value={value ? String(value).slice(0, 10) : ''}
+          max={new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)}
+          onChange={(e) => onChange(e.target.value)}
+          className="input-field"
+        />
+      );
+    case 'number':
+      return (
+        <input
+          type="number"
+          step="0.1"
+          min={question.min}
+          max={question.max}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+          className="input-field"
+        />
+      );
+    case 'choice':
+      return (
+        <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} className="input-field">
+          <option value="">Choose…</option>
+          {question.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      );
+    default:
+      return null;
+  }
+};
+
+// Questionnaire form grouped by section; errors is the server's answerErrors list
+const ScreeningQuestions = ({ questionnaire, gender, answers, onChange, errors = [] }) => {
+  const visible = questionnaire.questions.filter(question => isShown(question, answers, gender));
+  const sections = Object.entries(questionnaire.sections)
+    .map(([key, title]) => ({ key, title, questions: visible.filter(q => q.section === key) }))
+    .filter(section => section.questions.length > 0);
+
+  return (
+    <div className="space-y-6">
+      {sections.map(section => (
+        <div key={section.key}>
+          <h4 className="font-semibold text-gray-900 mb-3">{section.title}</h4>
+          <div className="space-y-4">
+            {section.questions.map(question => {
+              const error = errors.find(e => e.key === question.key);
+              return (
+                <div key={question.key}>
+                  <p className="text-sm text-gray-700 mb-1">
+                    {question.text}
+                    {question.staffOnly && <span className="ml-2 text-xs text-gray-500">(staff)</span>}
+                  </p>
+                  <QuestionInput
+                    question={question}
+                    value={answers[question.key]}
+                    onChange={(value) => onChange({ ...answers, [question.key]: value })}
+                  />
+                  {error && <p className="text-xs text-red-600 mt-1">{error.message}</p>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScreeningQuestions;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Calendar } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { appointmentAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Open donation slots at a hospital over the next two weeks, grouped by day
+const SlotPicker = ({ hospitalId, onSelect, disabled = false }) => {
+  const [slots, setSlots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadSlots = async () => {
+      try {
+        setIsLoading(true);
+        const from = new Date();
+        const to = new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+        const response = await appointmentAPI.getSlots({ hospitalId, from: from.toISOString(), to: to.toISOString() });
+        setSlots(response.data.slots);
+      } catch (error) {
+        toast.error(handleAPIError(error));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (hospitalId) loadSlots();
+  }, [hospitalId]);
+
+  if (isLoading) {
+    return <LoadingSpinner size="sm" />;
+  }
+
+  if (slots.length === 0) {
+    return <p className="text-sm text-gray-600">No open donation slots in the next two weeks.</p>;
+  }
+
+  const byDay = slots.reduce((days, slot) => {
+    const day = new Date(slot.startTime).toDateString();
+    (days[day] = days[day] || []).push(slot);
+    return days;
+  }, {});
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(byDay).map(([day, daySlots]) => (
+        <div key={day}>
+          <div className="flex items-center text-sm font-medium text-gray-700 mb-1">
+            <Calendar className="h-4 w-4 mr-2" />
+            {new Date(day).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {daySlots.map(slot => (
+              <button
+                key={slot._id}
+                onClick={() => onSelect(slot)}
+                disabled={disabled}
+                className="btn btn-secondary text-sm"
+                title={`${slot.available} chair(s) free`}
+              >
+                {new Date(slot.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SlotPicker;
@@ -102,25 +102,8 @@ export const AuthProvider = ({ children }) => {
             },
           });
 
-          // Connect socket
+          // Connect socket; the server joins the user's rooms on connection
           socketService.connect(token);
-          
-          // Join appropriate room based on user role
-          const user = response.data.user;
-          const profile = response.data.profile;
-          
-          if (user.role === 'hospital' || user.role === 'blood_bank') {
-            socketService.joinRoom({
-              userType: 'hospital',
-              hospitalId: profile?._id,
-              location: profile?.location?.coordinates
-            });
-          } else if (user.role === 'donor') {
-            socketService.joinRoom({
-              userType: 'donor',
-              location: profile?.location?.coordinates
-            });
-          }
         } catch (error) {
           console.error('Auth check failed:', error);
           localStorage.removeItem('token');
@@ -152,22 +135,8 @@ export const AuthProvider = ({ children }) => {
         payload: { user, profile, token },
       });
 
-      // Connect socket
+      // Connect socket; the server joins the user's rooms on connection
       socketService.connect(token);
-      
-      // Join appropriate room
-      if (user.role === 'hospital' || user.role === 'blood_bank') {
-        socketService.joinRoom({
-          userType: 'hospital',
-          hospitalId: profile?._id,
-          location: profile?.location?.coordinates
-        });
-      } else if (user.role === 'donor') {
-        socketService.joinRoom({
-          userType: 'donor',
-          location: profile?.location?.coordinates
-        });
-      }
 
       return response.data;
     } catch (error) {
@@ -98,24 +98,10 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  const joinRoom = (roomName) => {
-    if (socket && isConnected) {
-      socket.emit('join_room', roomName);
-    }
-  };
-
-  const leaveRoom = (roomName) => {
-    if (socket && isConnected) {
-      socket.emit('leave_room', roomName);
-    }
-  };
-
   const value = {
     socket,
     isConnected,
-    emitEvent,
-    joinRoom,
-    leaveRoom
+    emitEvent
   };
 
   return (
@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  ShieldCheck,
+  Building2,
+  User,
+  ClipboardList,
+  CheckCircle,
+  XCircle,
+  PauseCircle
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { adminAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['pending', 'verified', 'rejected', 'suspended'];
+
+// Actions an admin can take from each verification status
+const ACTIONS_BY_STATUS = {
+  pending: ['approve', 'reject'],
+  verified: ['suspend'],
+  rejected: ['approve'],
+  suspended: ['approve']
+};
+
+const ACTION_STYLES = {
+  approve: { label: 'Approve', className: 'btn btn-sm btn-primary flex items-center' },
+  reject: { label: 'Reject', className: 'btn btn-sm btn-secondary flex items-center' },
+  suspend: { label: 'Suspend', className: 'btn btn-sm btn-secondary flex items-center' }
+};
+
+const AdminDashboard = ({ defaultTab = 'hospitals' }) => {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState(defaultTab);
+  const [status, setStatus] = useState('pending');
+  const [queue, setQueue] = useState({ hospitals: { items: [], total: 0 }, donors: { items: [], total: 0 } });
+  const [counts, setCounts] = useState({ hospitals: {}, donors: {} });
+  const [decisions, setDecisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingDecision, setPendingDecision] = useState(null);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [queueResponse, decisionsResponse] = await Promise.all([
+        adminAPI.getQueue({ status }),
+        adminAPI.getDecisions({ limit: 50 })
+      ]);
+
+      setQueue(queueResponse.data.queue);
+      setCounts(queueResponse.data.counts);
+      setDecisions(decisionsResponse.data.decisions);
+    } catch (error) {
+      console.error('Failed to load verification queue:', error);
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const openDecision = (subjectType, subject, action) => {
+    setPendingDecision({ subjectType, subject, action });
+    setReason('');
+  };
+
+  const submitDecision = async (e) => {
+    e.preventDefault();
+    const { subjectType, subject, action } = pendingDecision;
+
+    try {
+      setIsSubmitting(true);
+      const response = await adminAPI.decide(subjectType, subject._id, action, { reason: reason || undefined });
+      toast.success(response.data.notified
+        ? `${response.data.message}. Applicant notified.`
+        : response.data.message);
+      setPendingDecision(null);
+      await loadQueue();
+    } catch (error) {
+      console.error('Failed to record decision:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const getStatusColor = (value) => {
+    switch (value) {
+      case 'verified': return 'text-green-600 bg-green-100';
+      case 'pending': return 'text-yellow-600 bg-yellow-100';
+      case 'rejected': return 'text-red-600 bg-red-100';
+      case 'suspended': return 'text-orange-600 bg-orange-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const renderActions = (subjectType, subject) => (
+    <div className="flex gap-2">
+      {(ACTIONS_BY_STATUS[subject.verificationStatus] || []).map(action => (
+        <button
+          key={action}
+          onClick={() => openDecision(subjectType, subject, action)}
+          className={ACTION_STYLES[action].className}
+        >
+          {action === 'approve' && <CheckCircle className="h-4 w-4 mr-1" />}
+          {action === 'reject' && <XCircle className="h-4 w-4 mr-1" />}
+          {action === 'suspend' && <PauseCircle className="h-4 w-4 mr-1" />}
+          {ACTION_STYLES[action].label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const tabs = [
+    { id: 'hospitals', label: 'Hospitals', count: counts.hospitals?.pending || 0 },
+    { id: 'donors', label: 'Donors', count: counts.donors?.pending || 0 },
+    { id: 'audit', label: 'Audit Log' }
+  ];
+
+  if (isLoading && decisions.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+                <ShieldCheck className="h-8 w-8 text-blood-600 mr-3" />
+                Admin Console
+              </h1>
+              <p className="text-gray-600 mt-1">
+                Signed in as {user?.email}
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Status
+              </label>
+              <select
+                className="input-field"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+              >
+                {STATUSES.map(value => (
+                  <option key={value} value={value}>
+                    {value.charAt(0).toUpperCase() + value.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Navigation Tabs */}
+      <div className="bg-white border-b">
+        <div className="container mx-auto px-4">
+          <nav className="flex space-x-8">
+            {tabs.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-4 px-2 border-b-2 font-medium text-sm flex items-center ${
+                  activeTab === tab.id
+                    ? 'border-blood-500 text-blood-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.id === 'hospitals' && <Building2 className="h-4 w-4 mr-2" />}
+                {tab.id === 'donors' && <User className="h-4 w-4 mr-2" />}
+                {tab.id === 'audit' && <ClipboardList className="h-4 w-4 mr-2" />}
+                {tab.label}
+                {tab.count > 0 && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">
+                    {tab.count}
+                  </span>
+                )}
+              </button>
+            ))}
+          </nav>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="container mx-auto px-4 py-8">
+        {activeTab === 'hospitals' && (
+          <div className="space-y-4">
+            {queue.hospitals.items.length === 0 ? (
+              <div className="text-center py-12 text-gray-600">No {status} hospitals.</div>
+            ) : queue.hospitals.items.map(hospital => (
+              <div key={hospital._id} className="card">
+                <div className="flex items-center justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center mb-2">
+                      <h3 className="text-xl font-bold text-gray-900 mr-4">{hospital.basicInfo?.name}</h3>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(hospital.verificationStatus)}`}>
+                        {hospital.verificationStatus}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+                      <div>
+                        <span className="text-gray-600">Registration:</span>
+                        <span className="font-medium ml-2">{hospital.basicInfo?.registrationNumber}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Type:</span>
+                        <span className="font-medium ml-2">{hospital.basicInfo?.type}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">City:</span>
+                        <span className="font-medium ml-2">{hospital.location?.address?.city}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Documents:</span>
+                        <span className="font-medium ml-2">{hospital.documents?.length || 0}</span>
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      {hospital.contactInfo?.email} · Applied {new Date(hospital.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <div className="ml-6">
+                    {renderActions('hospitals', hospital)}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {activeTab === 'donors' && (
+          <div className="space-y-4">
+            {queue.donors.items.length === 0 ? (
+              <div className="text-center py-12 text-gray-600">No {status} donors.</div>
+            ) : queue.donors.items.map(donor => (
+              <div key={donor._id} className="card">
+                <div className="flex items-center justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center mb-2">
+                      <h3 className="text-xl font-bold text-gray-900 mr-4">
+                        {donor.personalInfo?.firstName} {donor.personalInfo?.lastName}
+                      </h3>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(donor.verificationStatus)}`}>
+                        {donor.verificationStatus}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+                      <div>
+                        <span className="text-gray-600">Blood Type:</span>
+                        <span className="font-medium ml-2 text-blood-600">{donor.medicalInfo?.bloodGroup}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Phone:</span>
+                        <span className="font-medium ml-2">{donor.personalInfo?.phone}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">City:</span>
+                        <span className="font-medium ml-2">{donor.location?.address?.city}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Documents:</span>
+                        <span className="font-medium ml-2">{donor.documents?.length || 0}</span>
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      {donor.user?.email} · Applied {new Date(donor.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <div className="ml-6">
+                    {renderActions('donors', donor)}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {activeTab === 'audit' && (
+          <div className="card">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Date</th>
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Applicant</th>
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Action</th>
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Status Change</th>
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Reason</th>
+                    <th className="text-left py-3 px-4 font-medium text-gray-600">Admin</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {decisions.map(decision => (
+                    <tr key={decision._id} className="border-b border-gray-100">
+                      <td className="py-3 px-4">{new Date(decision.createdAt).toLocaleString()}</td>
+                      <td className="py-3 px-4">{decision.subjectType}</td>
+                      <td className="py-3 px-4 font-medium">{decision.action}</td>
+                      <td className="py-3 px-4">{decision.previousStatus} → {decision.newStatus}</td>
+                      <td className="py-3 px-4 text-sm text-gray-600">{decision.reason || '—'}</td>
+                      <td className="py-3 px-4 text-sm">{decision.decidedBy?.email}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Decision Modal */}
+      {pendingDecision && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold mb-4">
+              {ACTION_STYLES[pendingDecision.action].label}{' '}
+              {pendingDecision.subjectType === 'hospitals'
+                ? pendingDecision.subject.basicInfo?.name
+                : `${pendingDecision.subject.personalInfo?.firstName} ${pendingDecision.subject.personalInfo?.lastName}`}
+            </h3>
+            <form onSubmit={submitDecision} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Reason {pendingDecision.action !== 'approve' && '*'}
+                </label>
+                <textarea
+                  className="input-field"
+                  rows="3"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  required={pendingDecision.action !== 'approve'}
+                  minLength={pendingDecision.action !== 'approve' ? 5 : undefined}
+                  placeholder="Shared with the applicant and kept in the audit log"
+                />
+              </div>
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setPendingDecision(null)}
+                  className="btn btn-secondary flex-1"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="btn btn-primary flex-1"
+                >
+                  Confirm
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
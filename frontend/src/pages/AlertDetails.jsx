@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  MapPin,
+  Clock,
+  Phone,
+  CheckCircle,
+  XCircle,
+  ArrowLeft
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import SlotPicker from '../components/SlotPicker';
+import CheckInPass from '../components/CheckInPass';
+import { donorAPI, appointmentAPI, handleAPIError } from '../services/api';
+import toast from 'react-hot-toast';
+
+const RESPONSE_LABELS = {
+  interested: 'Interested',
+  committed: 'On my way',
+  arrived: 'Checked in',
+  donated: 'Donated',
+  not_available: 'Not available',
+  not_eligible: 'Not eligible'
+};
+
+const getUrgencyColor = (urgency) => {
+  switch (urgency) {
+    case 'critical': return 'text-red-600 bg-red-100 border-red-200';
+    case 'high': return 'text-orange-600 bg-orange-100 border-orange-200';
+    case 'medium': return 'text-yellow-600 bg-yellow-100 border-yellow-200';
+    case 'low': return 'text-blue-600 bg-blue-100 border-blue-200';
+    default: return 'text-gray-600 bg-gray-100 border-gray-200';
+  }
+};
+
+const AlertDetails = () => {
+  const { alertId } = useParams();
+  const [alert, setAlert] = useState(null);
+  const [myResponse, setMyResponse] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadAlert = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await donorAPI.getAlert(alertId);
+      setAlert(response.data.alert);
+      setMyResponse(response.data.myResponse);
+      setEligibility(response.data.eligibility);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [alertId]);
+
+  useEffect(() => {
+    loadAlert();
+  }, [loadAlert]);
+
+  const handleRespond = async (responseType) => {
+    try {
+      setIsSubmitting(true);
+      await donorAPI.respondToAlert(alertId, { responseType });
+      toast.success(responseType === 'not_available' ? 'Thanks for letting us know' : 'Thank you! The hospital has been notified.');
+      await loadAlert();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleBook = async (slot) => {
+    try {
+      setIsSubmitting(true);
+      await appointmentAPI.book({ slotId: slot._id, alertId });
+      toast.success(`Booked for ${new Date(slot.startTime).toLocaleString()}`);
+      await loadAlert();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!alert) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-12 text-center">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Alert not found</h2>
+        <Link to="/donor/alerts" className="text-blood-600">Back to blood requests</Link>
+      </div>
+    );
+  }
+
+  const isOpen = alert.status === 'active' && new Date(alert.expiresAt) > new Date();
+  const address = alert.hospital?.location?.address;
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 py-8">
+      <Link to="/donor/alerts" className="flex items-center text-sm text-gray-600 mb-4">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        All blood requests
+      </Link>
+
+      <div className={`card border-l-4 ${getUrgencyColor(alert.urgencyLevel)}`}>
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold text-gray-900">{alert.hospital?.basicInfo?.name}</h1>
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${getUrgencyColor(alert.urgencyLevel)}`}>
+            {alert.urgencyLevel.charAt(0).toUpperCase() + alert.urgencyLevel.slice(1)} Priority
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm mb-4">
+          <div>
+            <span className="text-gray-600">Blood Type:</span>
+            <span className="font-medium ml-2 text-blood-600">{alert.bloodType}</span>
+            {alert.component && alert.component !== 'red_cells' && (
+              <span className="font-medium ml-1 text-blood-600">{alert.component.replace('_', ' ')}</span>
+            )}
+          </div>
+          <div>
+            <span className="text-gray-600">Units:</span>
+            <span className="font-medium ml-2">{alert.unitsCollected} / {alert.unitsNeeded}</span>
+          </div>
+          <div>
+            <span className="text-gray-600">Status:</span>
+            <span className="font-medium ml-2">{alert.status.replace('_', ' ')}</span>
+          </div>
+        </div>
+
+        <p className="text-gray-700 mb-4">{alert.reason}</p>
+
+        <div className="space-y-2 text-sm text-gray-600 mb-6">
+          <div className="flex items-center">
+            <Clock className="h-4 w-4 mr-2" />
+            Needed by {new Date(alert.requiredBy).toLocaleString()}
+          </div>
+          {address && (
+            <div className="flex items-center">
+              <MapPin className="h-4 w-4 mr-2" />
+              {[address.street, address.city, address.state].filter(Boolean).join(', ')}
+            </div>
+          )}
+          {alert.hospital?.contactInfo?.emergencyPhone && (
+            <div className="flex items-center">
+              <Phone className="h-4 w-4 mr-2" />
+              <a href={`tel:${alert.hospital.contactInfo.emergencyPhone}`}>{alert.hospital.contactInfo.emergencyPhone}</a>
+            </div>
+          )}
+        </div>
+
+        {myResponse ? (
+          <div className="space-y-3">
+            <div className="p-4 rounded-lg bg-green-50 border border-green-200 text-green-800">
+              You responded: <strong>{RESPONSE_LABELS[myResponse.responseType]}</strong>
+            </div>
+            {myResponse.checkInCode && !myResponse.appointment && isOpen &&
+              ['interested', 'committed'].includes(myResponse.responseType) && (
+              <CheckInPass code={myResponse.checkInCode} />
+            )}
+          </div>
+        ) : !isOpen ? (
+          <div className="p-4 rounded-lg bg-gray-50 border border-gray-200 text-gray-700">
+            This request is no longer accepting responses.
+          </div>
+        ) : eligibility && !eligibility.eligible ? (
+          <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800">
+            You can't respond to this request: {eligibility.reason}
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => handleRespond('committed')}
+              disabled={isSubmitting}
+              className="btn btn-primary flex items-center"
+            >
+              <CheckCircle className="h-4 w-4 mr-2" />
+              I'm coming
+            </button>
+            <button
+              onClick={() => handleRespond('interested')}
+              disabled={isSubmitting}
+              className="btn btn-secondary flex items-center"
+            >
+              Interested
+            </button>
+            <button
+              onClick={() => handleRespond('not_available')}
+              disabled={isSubmitting}
+              className="btn btn-secondary flex items-center"
+            >
+              <XCircle className="h-4 w-4 mr-2" />
+              Not available
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isOpen && eligibility?.eligible && alert.hospital?._id &&
+        !['arrived', 'donated', 'not_available', 'not_eligible'].includes(myResponse?.responseType) && (
+        <div className="card mt-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Book a donation time</h2>
+          {myResponse?.appointment ? (
+            <p className="text-sm text-gray-600">
+              You have a booked appointment. Manage it from <Link to="/donor/appointments" className="text-blood-600">your appointments</Link>.
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">Reserve a chair so the team is ready when you arrive.</p>
+              <SlotPicker hospitalId={alert.hospital._id} onSelect={handleBook} disabled={isSubmitting} />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertDetails;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
 import { 
@@ -15,21 +16,29 @@ import {
   AlertTriangle,
   CheckCircle,
   XCircle,
-  Navigation
+  Navigation,
+  CalendarClock,
+  ClipboardList
 } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { donorAPI, alertAPI, handleAPIError } from '../services/api';
+import DonorAppointments from '../components/DonorAppointments';
+import DonorScreening from '../components/DonorScreening';
+import { donorAPI, alertAPI, notificationAPI, handleAPIError } from '../services/api';
 import { toast } from 'react-hot-toast';
+import pushService from '../services/push';
 
 export default function DonorDashboard({ defaultTab = 'overview' }) {
   const { user } = useAuth();
-  const { socket, isConnected, joinRoom } = useSocket();
+  const { socket, isConnected } = useSocket();
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState(defaultTab);
   const [alerts, setAlerts] = useState([]);
   const [donationHistory, setDonationHistory] = useState([]);
   const [profile, setProfile] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [notifications, setNotifications] = useState([]);
+  const [pushEnabled, setPushEnabled] = useState(false);
 
   // Real data loading from API
   useEffect(() => {
@@ -41,13 +50,20 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
         const [
           profileResponse,
           alertsResponse,
-          historyResponse
+          historyResponse,
+          notificationsResponse,
+          eligibilityResponse
         ] = await Promise.all([
           donorAPI.getProfile(),
           donorAPI.getAlerts(),
-          donorAPI.getDonationHistory()
+          donorAPI.getDonationHistory(),
+          notificationAPI.getHistory({ channel: 'in_app', limit: 10 }),
+          donorAPI.getEligibility()
         ]);
 
+        // Eligibility comes from the server, which knows the interval after each donation type
+        setEligibility(eligibilityResponse.data);
+
         // Set profile data
         if (profileResponse.data) {
           const donor = profileResponse.data;
@@ -93,17 +109,10 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
           })));
         }
 
-        // Mock notifications for now
-        setNotifications([
-          {
-            id: 1,
-            title: 'Welcome to BloodAlert!',
-            message: 'Thank you for joining our life-saving community.',
-            type: 'info',
-            date: new Date().toISOString(),
-            read: false
-          }
-        ]);
+        // Set inbox notifications
+        if (notificationsResponse.data) {
+          setNotifications(notificationsResponse.data.notifications.map(mapNotification));
+        }
 
       } catch (error) {
         console.error('Failed to load dashboard data:', error);
@@ -147,13 +156,31 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
     loadDashboardData();
   }, []);
 
+  // Reflect whether this browser already has a push subscription
+  useEffect(() => {
+    pushService.getSubscription()
+      .then(subscription => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false));
+  }, []);
+
+  const handlePushToggle = async (enabled) => {
+    try {
+      if (enabled) {
+        await pushService.subscribe();
+        toast.success('Push notifications enabled on this device');
+      } else {
+        await pushService.unsubscribe();
+        toast.success('Push notifications disabled on this device');
+      }
+      setPushEnabled(enabled);
+    } catch (error) {
+      toast.error(error.response ? handleAPIError(error) : error.message);
+    }
+  };
+
   // Socket.io real-time updates
   useEffect(() => {
     if (socket && isConnected && user) {
-      // Join donor room for real-time updates
-      joinRoom(`donor_${user._id}`);
-      joinRoom(`blood_type_${user.profile?.bloodGroup}`);
-
       // Listen for new alerts matching this donor's blood type
       socket.on('new_alert', (alert) => {
         if (alert.bloodType === user.profile?.bloodGroup) {
@@ -177,13 +204,36 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
         toast.success('Donation confirmed! Thank you for saving lives.');
       });
 
+      // Listen for new inbox notifications
+      socket.on('notification', (notification) => {
+        setNotifications(prevNotifications => [mapNotification(notification), ...prevNotifications]);
+      });
+
       return () => {
         socket.off('new_alert');
         socket.off('alert_updated');
         socket.off('donation_confirmed');
+        socket.off('notification');
       };
     }
-  }, [socket, isConnected, user, joinRoom]);
+  }, [socket, isConnected, user]);
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.read) {
+      try {
+        await notificationAPI.markAsRead(notification.id);
+        setNotifications(prevNotifications =>
+          prevNotifications.map(n => n.id === notification.id ? { ...n, read: true } : n)
+        );
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
 
   const handleAlertResponse = async (alertId, response) => {
     try {
@@ -222,6 +272,7 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
   };
 
   const canDonate = () => {
+    if (eligibility) return eligibility.eligibility.eligible;
     if (!profile?.lastDonation) return true;
     const lastDonationDate = new Date(profile.lastDonation);
     const nextEligibleDate = new Date(lastDonationDate);
@@ -230,6 +281,10 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
   };
 
   const getDaysUntilEligible = () => {
+    if (eligibility) {
+      const nextDate = eligibility.eligibility.nextEligibleDate;
+      return nextDate ? Math.max(0, Math.ceil((new Date(nextDate) - new Date()) / (1000 * 60 * 60 * 24))) : 0;
+    }
     if (!profile?.lastDonation) return 0;
     const lastDonationDate = new Date(profile.lastDonation);
     const nextEligibleDate = new Date(lastDonationDate);
@@ -285,6 +340,8 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
             {[
               { id: 'overview', label: 'Overview', icon: Activity },
               { id: 'alerts', label: 'Blood Requests', icon: Bell },
+              { id: 'appointments', label: 'Appointments', icon: CalendarClock },
+              { id: 'screening', label: 'Health Questionnaire', icon: ClipboardList },
               { id: 'history', label: 'Donation History', icon: Calendar },
               { id: 'profile', label: 'Profile', icon: User },
               { id: 'settings', label: 'Settings', icon: Settings },
@@ -419,10 +476,17 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
             <div className="card">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Notifications</h3>
               <div className="space-y-3">
+                {notifications.length === 0 && (
+                  <p className="text-sm text-gray-500">No notifications yet.</p>
+                )}
                 {notifications.map((notification) => (
-                  <div key={notification.id} className={`p-4 rounded-lg border ${
-                    notification.read ? 'bg-gray-50 border-gray-200' : 'bg-blue-50 border-blue-200'
-                  }`}>
+                  <div
+                    key={notification.id}
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`p-4 rounded-lg border cursor-pointer ${
+                      notification.read ? 'bg-gray-50 border-gray-200' : 'bg-blue-50 border-blue-200'
+                    }`}
+                  >
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <h4 className="font-medium text-gray-900">{notification.title}</h4>
@@ -564,6 +628,10 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
           </div>
         )}
 
+        {activeTab === 'appointments' && <DonorAppointments />}
+
+        {activeTab === 'screening' && <DonorScreening />}
+
         {activeTab === 'history' && (
           <div className="space-y-6">
             <div className="flex items-center justify-between">
@@ -683,6 +751,22 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
                       {canDonate() ? 'Eligible Now' : `Eligible in ${getDaysUntilEligible()} days`}
                     </span>
                   </div>
+                  {eligibility && (
+                    <div className="pt-4 border-t border-gray-200 space-y-2">
+                      {Object.entries(eligibility.byType).map(([type, result]) => (
+                        <div key={type} className="flex justify-between text-sm">
+                          <span className="text-gray-600 capitalize">{type.replace('_', ' ')}:</span>
+                          <span className={`font-medium ${result.eligible ? 'text-green-600' : 'text-yellow-600'}`}>
+                            {result.eligible
+                              ? 'Eligible Now'
+                              : result.nextEligibleDate
+                                ? `From ${new Date(result.nextEligibleDate).toLocaleDateString()}`
+                                : 'Not eligible'}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-gray-600">Lives Saved:</span>
                     <span className="font-medium text-green-600">{(profile?.totalDonations || 0) * 3}</span>
@@ -692,7 +776,9 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
                 {!canDonate() && (
                   <div className="mt-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
                     <p className="text-sm text-yellow-800">
-                      You'll be eligible to donate again on {new Date(profile?.eligibleToDonateSince).toLocaleDateString()}
+                      {eligibility?.eligibility.nextEligibleDate
+                        ? `You'll be eligible to donate again on ${new Date(eligibility.eligibility.nextEligibleDate).toLocaleDateString()}`
+                        : eligibility?.eligibility.reason}
                     </p>
                   </div>
                 )}
@@ -719,7 +805,13 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
                   </div>
                   <div className="flex items-center justify-between">
                     <span className="text-gray-700">Push Notifications</span>
-                    <input type="checkbox" className="toggle" />
+                    <input
+                      type="checkbox"
+                      className="toggle"
+                      checked={pushEnabled}
+                      disabled={!pushService.isSupported()}
+                      onChange={(e) => handlePushToggle(e.target.checked)}
+                    />
                   </div>
                   <div className="flex items-center justify-between">
                     <span className="text-gray-700">Critical Alerts Only</span>
@@ -765,3 +857,15 @@ export default function DonorDashboard({ defaultTab = 'overview' }) {
     </div>
   );
 }
+
+function mapNotification(notification) {
+  return {
+    id: notification._id,
+    title: notification.title,
+    message: notification.message,
+    type: notification.type,
+    link: notification.link,
+    date: notification.createdAt,
+    read: notification.read
+  };
+}
@@ -14,21 +14,49 @@ import {
   Calendar,
   PhoneCall,
   TrendingUp,
-  MapPin
+  MapPin,
+  CalendarClock,
+  UserCheck,
+  Truck,
+  Handshake,
+  Network
 } from 'lucide-react';
 import LoadingSpinner, { ButtonLoader } from '../components/LoadingSpinner';
+import HospitalSchedule from '../components/HospitalSchedule';
+import CheckInDesk from '../components/CheckInDesk';
+import HospitalTransfers from '../components/HospitalTransfers';
+import HospitalPartnerships from '../components/HospitalPartnerships';
+import NetworkSearch from '../components/NetworkSearch';
+import InventoryForecast from '../components/InventoryForecast';
+import AutoAlertPolicies from '../components/AutoAlertPolicies';
+import AutoAlertApprovals from '../components/AutoAlertApprovals';
+import AlertEditor from '../components/AlertEditor';
 import { hospitalAPI, alertAPI, inventoryAPI, donorAPI, handleAPIError } from '../services/api';
 import toast from 'react-hot-toast';
 
+// Blood components an alert can ask for; plasma and platelets match donors differently to red cells
+const COMPONENT_OPTIONS = [
+  { value: 'red_cells', label: 'Red cells' },
+  { value: 'whole_blood', label: 'Whole blood' },
+  { value: 'platelets', label: 'Platelets' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'cryoprecipitate', label: 'Cryoprecipitate' }
+];
+
+const getComponentLabel = (component) =>
+  COMPONENT_OPTIONS.find(option => option.value === component)?.label || 'Red cells';
+
 const HospitalDashboard = ({ defaultTab = 'overview' }) => {
   const { user } = useAuth();
-  const { socket, isConnected, joinRoom, emitEvent } = useSocket();
+  const { socket, isConnected, emitEvent } = useSocket();
   const [activeTab, setActiveTab] = useState(defaultTab);
   const [inventory, setInventory] = useState({});
   const [alerts, setAlerts] = useState([]);
   const [donors, setDonors] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showCreateAlert, setShowCreateAlert] = useState(false);
+  const [editingAlertId, setEditingAlertId] = useState(null);
+  const [deliveryProgress, setDeliveryProgress] = useState({});
 
   // Real data loading from API
   useEffect(() => {
@@ -67,6 +95,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
           setAlerts(alertsResponse.data.map(alert => ({
             id: alert._id,
             bloodType: alert.bloodType,
+            component: alert.component,
             urgency: alert.urgencyLevel,
             unitsNeeded: alert.unitsNeeded,
             patientAge: alert.patientAge,
@@ -151,10 +180,6 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
   // Socket.io real-time updates
   useEffect(() => {
     if (socket && isConnected && user) {
-      // Join hospital room for real-time updates
-      joinRoom(`hospital_${user._id}`);
-      joinRoom('all_hospitals');
-
       // Listen for alert responses from donors
       socket.on('alert_response', (response) => {
         setAlerts(prevAlerts => 
@@ -180,6 +205,31 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
         }
       });
 
+      // Listen for notification delivery progress on new alerts
+      socket.on('alert-delivery-progress', (progress) => {
+        setDeliveryProgress(prev => ({ ...prev, [progress.alertId]: progress }));
+      });
+
+      // Listen for follow-up donor waves sent by the mobilization plan
+      socket.on('alert-mobilization-updated', (update) => {
+        if (update.wave) {
+          toast(`Wave ${update.wave.number}: contacted ${update.wave.donorsNotified} more donors`);
+        } else if (update.status === 'covered') {
+          toast.success('Donor commitments now cover an alert');
+        }
+      });
+
+      // Listen for donors arriving and moving through screening at the desk
+      // Named so cleanup leaves the check-in desk's own listener in place
+      const handleCheckInUpdated = (update) => {
+        if (update.action === 'arrived') {
+          toast.success(`${update.donorName} has arrived`);
+        } else if (update.action === 'cleared') {
+          toast.success(`${update.donorName} cleared to donate`);
+        }
+      };
+      socket.on('check-in-updated', handleCheckInUpdated);
+
       // Listen for new donor registrations
       socket.on('new_donor_registered', (donor) => {
         if (donor.profile?.address?.city === user.profile?.address?.city) {
@@ -192,9 +242,12 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
         socket.off('alert_response');
         socket.off('inventory_updated');
         socket.off('new_donor_registered');
+        socket.off('alert-delivery-progress');
+        socket.off('alert-mobilization-updated');
+        socket.off('check-in-updated', handleCheckInUpdated);
       };
     }
-  }, [socket, isConnected, user, joinRoom]);
+  }, [socket, isConnected, user]);
 
   const getInventoryStatus = (bloodType) => {
     const data = inventory[bloodType];
@@ -227,6 +280,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
   const CreateAlertForm = () => {
     const [formData, setFormData] = useState({
       bloodType: '',
+      component: 'red_cells',
       unitsNeeded: '',
       urgency: '',
       patientAge: '',
@@ -240,6 +294,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
         // Create alert using real API
         const alertData = {
           bloodType: formData.bloodType,
+          component: formData.component,
           unitsNeeded: parseInt(formData.unitsNeeded),
           urgencyLevel: formData.urgency,
           patientAge: formData.patientAge ? parseInt(formData.patientAge) : undefined,
@@ -271,6 +326,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
           setAlerts(alertsResponse.data.map(alert => ({
             id: alert._id,
             bloodType: alert.bloodType,
+            component: alert.component,
             urgency: alert.urgencyLevel,
             unitsNeeded: alert.unitsNeeded,
             patientAge: alert.patientAge,
@@ -308,6 +364,22 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Component *
+              </label>
+              <select
+                className="input-field"
+                value={formData.component}
+                onChange={(e) => setFormData({...formData, component: e.target.value})}
+                required
+              >
+                {COMPONENT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Units Needed *
@@ -443,6 +515,11 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
               { id: 'overview', label: 'Overview', icon: Activity },
               { id: 'inventory', label: 'Blood Inventory', icon: Droplets },
               { id: 'alerts', label: 'Active Alerts', icon: Bell },
+              { id: 'appointments', label: 'Appointments', icon: CalendarClock },
+              { id: 'check-in', label: 'Check-in', icon: UserCheck },
+              { id: 'transfers', label: 'Transfers', icon: Truck },
+              { id: 'partnerships', label: 'Partners', icon: Handshake },
+              { id: 'network', label: 'Network', icon: Network },
               { id: 'donors', label: 'Nearby Donors', icon: Users },
               { id: 'settings', label: 'Settings', icon: Settings },
             ].map(({ id, label, icon: Icon }) => (
@@ -536,7 +613,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                           alert.urgency === 'critical' ? 'bg-red-500' : 'bg-orange-500'
                         }`}></div>
                         <div>
-                          <p className="font-medium">{alert.bloodType} - {alert.unitsNeeded} units</p>
+                          <p className="font-medium">{alert.bloodType} {getComponentLabel(alert.component).toLowerCase()} - {alert.unitsNeeded} units</p>
                           <p className="text-sm text-gray-600">{alert.department}</p>
                         </div>
                       </div>
@@ -639,6 +716,8 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                 );
               })}
             </div>
+
+            <InventoryForecast />
           </div>
         )}
 
@@ -655,6 +734,8 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
               </button>
             </div>
 
+            <AutoAlertApprovals />
+
             <div className="space-y-4">
               {alerts.map((alert) => (
                 <div key={alert.id} className={`card border-l-4 ${getUrgencyColor(alert.urgency)}`}>
@@ -664,6 +745,7 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                         <span className="text-2xl font-bold text-gray-900 mr-4">
                           {alert.bloodType}
                         </span>
+                        <span className="text-sm text-gray-600 mr-4">{getComponentLabel(alert.component)}</span>
                         <span className={`px-3 py-1 rounded-full text-sm font-medium ${getUrgencyColor(alert.urgency)}`}>
                           {alert.urgency.charAt(0).toUpperCase() + alert.urgency.slice(1)} Priority
                         </span>
@@ -689,6 +771,20 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                           </span>
                         </div>
                       </div>
+
+                      {deliveryProgress[alert.id] && (
+                        <div className="flex items-center mt-3 text-sm text-gray-600">
+                          <Bell className="h-4 w-4 mr-2" />
+                          <span>
+                            {deliveryProgress[alert.id].totals.sent} sent
+                            {deliveryProgress[alert.id].totals.queued + deliveryProgress[alert.id].totals.processing > 0 &&
+                              `, ${deliveryProgress[alert.id].totals.queued + deliveryProgress[alert.id].totals.processing} pending`}
+                            {deliveryProgress[alert.id].totals.dead > 0 &&
+                              `, ${deliveryProgress[alert.id].totals.dead} failed`}
+                            {deliveryProgress[alert.id].complete ? ' · delivery complete' : ' · delivering…'}
+                          </span>
+                        </div>
+                      )}
                     </div>
                     
                     <div className="text-right ml-6">
@@ -697,6 +793,9 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                       <button className="btn btn-sm btn-primary mt-2">
                         View Details
                       </button>
+                      <button onClick={() => setEditingAlertId(alert.id)} className="btn btn-sm btn-outline mt-2 ml-2">
+                        Edit
+                      </button>
                     </div>
                   </div>
                 </div>
@@ -705,6 +804,16 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
           </div>
         )}
 
+        {activeTab === 'appointments' && <HospitalSchedule />}
+
+        {activeTab === 'check-in' && <CheckInDesk />}
+
+        {activeTab === 'transfers' && <HospitalTransfers />}
+
+        {activeTab === 'partnerships' && <HospitalPartnerships />}
+
+        {activeTab === 'network' && <NetworkSearch />}
+
         {activeTab === 'donors' && (
           <div className="space-y-6">
             <div className="flex items-center justify-between">
@@ -775,10 +884,6 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                     <span className="text-gray-700">SMS Notifications</span>
                     <input type="checkbox" className="toggle" defaultChecked />
                   </div>
-                  <div className="flex items-center justify-between">
-                    <span className="text-gray-700">Auto-create alerts when inventory is low</span>
-                    <input type="checkbox" className="toggle" />
-                  </div>
                 </div>
               </div>
 
@@ -806,12 +911,26 @@ const HospitalDashboard = ({ defaultTab = 'overview' }) => {
                 </div>
               </div>
             </div>
+
+            <AutoAlertPolicies />
           </div>
         )}
       </div>
 
       {/* Create Alert Modal */}
       {showCreateAlert && <CreateAlertForm />}
+
+      {editingAlertId && (
+        <AlertEditor
+          alertId={editingAlertId}
+          onClose={() => setEditingAlertId(null)}
+          onSaved={(updated) => setAlerts(prev => prev
+            .filter(alert => alert.id !== updated._id || ['active', 'partially_fulfilled'].includes(updated.status))
+            .map(alert => (alert.id === updated._id
+              ? { ...alert, urgency: updated.urgencyLevel, unitsNeeded: updated.unitsNeeded, status: updated.status }
+              : alert)))}
+        />
+      )}
     </div>
   );
 };
@@ -32,6 +32,8 @@ const Login = () => {
         navigate('/donor/dashboard');
       } else if (userRole === 'hospital' || userRole === 'blood_bank') {
         navigate('/hospital/dashboard');
+      } else if (userRole === 'admin') {
+        navigate('/admin/dashboard');
       } else {
         navigate('/');
       }
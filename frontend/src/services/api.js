@@ -54,9 +54,11 @@ export const donorAPI = {
   updateProfile: (profileData) => api.put('/donors/profile', profileData),
   getEligibility: () => api.get('/donors/eligibility'),
   getAlerts: () => api.get('/donors/alerts'),
+  getAlert: (alertId) => api.get(`/donors/alerts/${alertId}`),
   respondToAlert: (alertId, response) => api.post(`/donors/alerts/${alertId}/respond`, response),
   getDonationHistory: () => api.get('/donors/donations'),
   updatePreferences: (preferences) => api.put('/donors/preferences', preferences),
+  setAntigenProfile: (donorId, profile) => api.put(`/donors/${donorId}/antigen-profile`, profile),
 };
 
 // Hospital API
@@ -67,7 +69,9 @@ export const hospitalAPI = {
   getDashboard: () => api.get('/hospitals/dashboard'),
   updateInventory: (bloodType, inventoryData) => api.put(`/hospitals/inventory/${bloodType}`, inventoryData),
   getNearbyHospitals: (params) => api.get('/hospitals/nearby', { params }),
-  createPartnership: (partnershipData) => api.post('/hospitals/partnerships', partnershipData),
+  searchNetwork: (params) => api.get('/hospitals/network/availability', { params }),
+  getAlertPolicies: () => api.get('/hospitals/alert-policies'),
+  updateAlertPolicies: (policyData) => api.put('/hospitals/alert-policies', policyData),
   getAnalytics: (params) => api.get('/hospitals/analytics', { params }),
 };
 
@@ -76,8 +80,11 @@ export const alertAPI = {
   createAlert: (alertData) => api.post('/alerts', alertData),
   getAlerts: (params) => api.get('/alerts', { params }),
   getAlert: (alertId) => api.get(`/alerts/${alertId}`),
+  updateAlert: (alertId, changes) => api.patch(`/alerts/${alertId}`, changes),
   updateAlertStatus: (alertId, statusData) => api.put(`/alerts/${alertId}/status`, statusData),
   extendAlert: (alertId, hours) => api.put(`/alerts/${alertId}/extend`, { hours }),
+  approveAlert: (alertId, changes) => api.put(`/alerts/${alertId}/approve`, changes),
+  rejectAlert: (alertId, reason) => api.put(`/alerts/${alertId}/reject`, { reason }),
   shareAlert: (alertId, shareData) => api.post(`/alerts/${alertId}/share`, shareData),
   respondToSharedAlert: (alertId, response) => api.post(`/alerts/${alertId}/respond-share`, response),
   getSharedAlerts: (params) => api.get('/alerts/shared/received', { params }),
@@ -89,20 +96,121 @@ export const inventoryAPI = {
   updateBloodType: (bloodType, data) => api.put(`/inventory/${bloodType}`, data),
   bulkUpdate: (updates) => api.put('/inventory', { updates }),
   getHistory: (bloodType, params) => api.get(`/inventory/history/${bloodType}`, { params }),
+  getForecast: (params) => api.get('/inventory/forecast', { params }),
   updateComponents: (componentData) => api.put('/inventory/components', componentData),
   getCriticalShortages: (params) => api.get('/inventory/critical/global', { params }),
 };
 
+// Donation API
+export const donationAPI = {
+  recordDonation: (donationData) => api.post('/donations', donationData),
+  getDonations: (params) => api.get('/donations', { params }),
+  getDonation: (donationId) => api.get(`/donations/${donationId}`),
+};
+
+// Blood unit API
+export const bloodUnitAPI = {
+  getUnits: (params) => api.get('/inventory/units', { params }),
+  getExpiring: (days) => api.get('/inventory/units/expiring', { params: { days } }),
+  getUnit: (unitId) => api.get(`/inventory/units/${unitId}`),
+  receiveUnit: (unitData) => api.post('/inventory/units', unitData),
+  issueUnits: (issueData) => api.post('/inventory/units/issue', issueData),
+  updateStatus: (unitId, statusData) => api.put(`/inventory/units/${unitId}/status`, statusData),
+  updateLocation: (unitId, storageLocation) => api.put(`/inventory/units/${unitId}/location`, { storageLocation }),
+  setTracking: (enabled, confirmRecount) => api.put('/inventory/units/tracking', { enabled, confirmRecount }),
+};
+
+// Reservation API
+export const reservationAPI = {
+  getReservations: (params) => api.get('/inventory/reservations', { params }),
+  getReservation: (reservationId) => api.get(`/inventory/reservations/${reservationId}`),
+  createReservation: (reservationData) => api.post('/inventory/reservations', reservationData),
+  recordCrossMatch: (reservationId, unitId, result) => api.put(`/inventory/reservations/${reservationId}/units/${unitId}/cross-match`, result),
+  issue: (reservationId, issueData) => api.post(`/inventory/reservations/${reservationId}/issue`, issueData),
+  release: (reservationId, reason) => api.post(`/inventory/reservations/${reservationId}/release`, { reason }),
+};
+
+// Transfer API
+export const transferAPI = {
+  getTransfers: (params) => api.get('/transfers', { params }),
+  getTransfer: (transferId) => api.get(`/transfers/${transferId}`),
+  requestTransfer: (requestData) => api.post('/transfers', requestData),
+  approve: (transferId, notes) => api.put(`/transfers/${transferId}/approve`, { notes }),
+  dispatch: (transferId, dispatchData) => api.put(`/transfers/${transferId}/dispatch`, dispatchData),
+  markInTransit: (transferId, transitData) => api.put(`/transfers/${transferId}/in-transit`, transitData),
+  receive: (transferId, receiptData) => api.put(`/transfers/${transferId}/receive`, receiptData),
+  cancel: (transferId, reason) => api.put(`/transfers/${transferId}/cancel`, { reason }),
+};
+
+// Partnership API
+export const partnershipAPI = {
+  getPartnerships: (params) => api.get('/hospitals/partnerships', { params }),
+  getPartnership: (partnershipId) => api.get(`/hospitals/partnerships/${partnershipId}`),
+  requestPartnership: (partnershipData) => api.post('/hospitals/partnerships', partnershipData),
+  accept: (partnershipId, notes) => api.put(`/hospitals/partnerships/${partnershipId}/accept`, { notes }),
+  decline: (partnershipId, reason) => api.put(`/hospitals/partnerships/${partnershipId}/decline`, { reason }),
+  suspend: (partnershipId, reason) => api.put(`/hospitals/partnerships/${partnershipId}/suspend`, { reason }),
+  resume: (partnershipId, notes) => api.put(`/hospitals/partnerships/${partnershipId}/resume`, { notes }),
+  terminate: (partnershipId, reason) => api.put(`/hospitals/partnerships/${partnershipId}/terminate`, { reason }),
+};
+
+// Appointment API
+export const appointmentAPI = {
+  getAppointments: (params) => api.get('/appointments', { params }),
+  book: (bookingData) => api.post('/appointments', bookingData),
+  reschedule: (appointmentId, slotId) => api.put(`/appointments/${appointmentId}/reschedule`, { slotId }),
+  cancel: (appointmentId, reason) => api.put(`/appointments/${appointmentId}/cancel`, { reason }),
+  checkIn: (appointmentId) => api.put(`/appointments/${appointmentId}/check-in`),
+  markNoShow: (appointmentId) => api.put(`/appointments/${appointmentId}/no-show`),
+  getHospitals: () => api.get('/appointments/hospitals'),
+  getSlots: (params) => api.get('/appointments/slots', { params }),
+  createSlot: (slotData) => api.post('/appointments/slots', slotData),
+  generateSlots: (generateData) => api.post('/appointments/slots/generate', generateData),
+  updateSlot: (slotId, slotData) => api.put(`/appointments/slots/${slotId}`, slotData),
+  deleteSlot: (slotId) => api.delete(`/appointments/slots/${slotId}`),
+};
+
+// Check-in API
+export const checkInAPI = {
+  getScreening: () => api.get('/check-ins/screening'),
+  lookup: (params) => api.get('/check-ins/lookup', { params }),
+  getCheckIns: (params) => api.get('/check-ins', { params }),
+  checkIn: (checkInData) => api.post('/check-ins', checkInData),
+  submitScreening: (checkInId, screeningData) => api.put(`/check-ins/${checkInId}/screening`, screeningData),
+  leave: (checkInId, reason) => api.put(`/check-ins/${checkInId}/leave`, { reason }),
+};
+
+// Screening questionnaire API
+export const screeningAPI = {
+  getQuestionnaire: () => api.get('/screening/questionnaire'),
+  getMyResponse: () => api.get('/screening/responses/me'),
+  submit: (answers) => api.post('/screening/responses', { answers }),
+  getDonorScreening: (donorId) => api.get(`/screening/donors/${donorId}`),
+  confirm: (donorId, confirmData) => api.post(`/screening/donors/${donorId}/confirm`, confirmData),
+};
+
 // Notification API
 export const notificationAPI = {
   getPreferences: () => api.get('/notifications/preferences'),
   updatePreferences: (preferences) => api.put('/notifications/preferences', preferences),
   getHistory: (params) => api.get('/notifications/history', { params }),
   markAsRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllAsRead: () => api.put('/notifications/read-all'),
+  getPushPublicKey: () => api.get('/notifications/push/public-key'),
+  subscribePush: (subscription) => api.post('/notifications/push/subscribe', subscription),
+  unsubscribePush: (endpoint) => api.delete('/notifications/push/subscribe', { data: { endpoint } }),
   testNotification: (testData) => api.post('/notifications/test', testData),
   getStats: () => api.get('/notifications/stats'),
 };
 
+// Admin API
+export const adminAPI = {
+  getQueue: (params) => api.get('/admin/queue', { params }),
+  getDecisions: (params) => api.get('/admin/decisions', { params }),
+  getApplicant: (subjectType, subjectId) => api.get(`/admin/${subjectType}/${subjectId}`),
+  decide: (subjectType, subjectId, action, data) => api.post(`/admin/${subjectType}/${subjectId}/${action}`, data),
+};
+
 // Utility functions
 export const handleAPIError = (error) => {
   if (error.response) {
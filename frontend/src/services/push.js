@@ -0,0 +1,63 @@
+import { notificationAPI } from './api';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+class PushService {
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  async getRegistration() {
+    const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return existing || navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  }
+
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await this.getRegistration();
+    return registration.pushManager.getSubscription();
+  }
+
+  async subscribe() {
+    if (!this.isSupported()) {
+      throw new Error('Push notifications are not supported in this browser');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notification permission was not granted');
+    }
+
+    const registration = await this.getRegistration();
+    let subscription = await registration.pushManager.getSubscription();
+
+    if (!subscription) {
+      const { data } = await notificationAPI.getPushPublicKey();
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(data.publicKey),
+      });
+    }
+
+    await notificationAPI.subscribePush(subscription.toJSON());
+    return subscription;
+  }
+
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    await notificationAPI.unsubscribePush(subscription.endpoint);
+    await subscription.unsubscribe();
+  }
+}
+
+export default new PushService();
@@ -45,12 +45,6 @@ class SocketService {
     }
   }
 
-  joinRoom(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('join-room', data);
-    }
-  }
-
   // Hospital events
   onAlertCreated(callback) {
     if (this.socket) {
@@ -88,6 +82,18 @@ class SocketService {
     }
   }
 
+  onDonationRecorded(callback) {
+    if (this.socket) {
+      this.socket.on('donation-recorded', callback);
+    }
+  }
+
+  onUnitsUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('units-updated', callback);
+    }
+  }
+
   // General events
   onAlertStatusUpdated(callback) {
     if (this.socket) {
@@ -95,6 +101,30 @@ class SocketService {
     }
   }
 
+  onAlertEscalated(callback) {
+    if (this.socket) {
+      this.socket.on('alert-escalated', callback);
+    }
+  }
+
+  onAlertMobilizationUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('alert-mobilization-updated', callback);
+    }
+  }
+
+  onAlertDeliveryProgress(callback) {
+    if (this.socket) {
+      this.socket.on('alert-delivery-progress', callback);
+    }
+  }
+
+  onNotification(callback) {
+    if (this.socket) {
+      this.socket.on('notification', callback);
+    }
+  }
+
   onBulkInventoryUpdated(callback) {
     if (this.socket) {
       this.socket.on('bulk-inventory-updated', callback);